@@ -0,0 +1,153 @@
+package com.bluebash.app;
+
+import android.Manifest;
+import android.annotation.SuppressLint;
+import android.bluetooth.BluetoothAdapter;
+import android.bluetooth.BluetoothDevice;
+import android.bluetooth.BluetoothManager;
+import android.bluetooth.BluetoothSocket;
+import android.content.Context;
+import android.os.Build;
+import android.util.Base64;
+
+import com.getcapacitor.JSArray;
+import com.getcapacitor.JSObject;
+import com.getcapacitor.PermissionState;
+import com.getcapacitor.Plugin;
+import com.getcapacitor.PluginCall;
+import com.getcapacitor.PluginMethod;
+import com.getcapacitor.annotation.CapacitorPlugin;
+import com.getcapacitor.annotation.Permission;
+import com.getcapacitor.annotation.PermissionCallback;
+
+import java.io.OutputStream;
+import java.util.Set;
+import java.util.UUID;
+
+/**
+ * Prints raw ESC/POS bytes to a paired Bluetooth (classic SPP) thermal printer.
+ *
+ * JS: registerPlugin("BluetoothPrinter")
+ *   listPaired()               → { devices: [{ name, address }] }
+ *   print({ address, data })   → data is base64 ESC/POS bytes
+ */
+@CapacitorPlugin(
+    name = "BluetoothPrinter",
+    permissions = {
+        @Permission(alias = "bluetooth", strings = { Manifest.permission.BLUETOOTH_CONNECT })
+    }
+)
+public class BluetoothPrinterPlugin extends Plugin {
+
+    private static final UUID SPP_UUID = UUID.fromString("00001101-0000-1000-8000-00805F9B34FB");
+    private static final int CHUNK = 512;
+
+    private BluetoothAdapter adapter() {
+        BluetoothManager manager = (BluetoothManager) getContext().getSystemService(Context.BLUETOOTH_SERVICE);
+        return manager != null ? manager.getAdapter() : null;
+    }
+
+    // BLUETOOTH_CONNECT is a runtime permission from Android 12; older versions grant it at install
+    private boolean needsPermission() {
+        return Build.VERSION.SDK_INT >= Build.VERSION_CODES.S && getPermissionState("bluetooth") != PermissionState.GRANTED;
+    }
+
+    @PluginMethod
+    public void listPaired(PluginCall call) {
+        if (needsPermission()) {
+            requestPermissionForAlias("bluetooth", call, "permissionCallback");
+            return;
+        }
+        doListPaired(call);
+    }
+
+    @PluginMethod
+    public void print(PluginCall call) {
+        if (needsPermission()) {
+            requestPermissionForAlias("bluetooth", call, "permissionCallback");
+            return;
+        }
+        // socket I/O must stay off the main thread
+        new Thread(() -> doPrint(call)).start();
+    }
+
+    @PermissionCallback
+    private void permissionCallback(PluginCall call) {
+        if (getPermissionState("bluetooth") != PermissionState.GRANTED) {
+            call.reject("Bluetooth permission denied");
+            return;
+        }
+        if ("print".equals(call.getMethodName())) {
+            new Thread(() -> doPrint(call)).start();
+        } else {
+            doListPaired(call);
+        }
+    }
+
+    @SuppressLint("MissingPermission")
+    private void doListPaired(PluginCall call) {
+        BluetoothAdapter bt = adapter();
+        if (bt == null) {
+            call.reject("Bluetooth is not available on this device");
+            return;
+        }
+        if (!bt.isEnabled()) {
+            call.reject("Turn on Bluetooth to print");
+            return;
+        }
+        JSArray devices = new JSArray();
+        Set<BluetoothDevice> bonded = bt.getBondedDevices();
+        if (bonded != null) {
+            for (BluetoothDevice d : bonded) {
+                JSObject o = new JSObject();
+                o.put("name", d.getName() != null ? d.getName() : d.getAddress());
+                o.put("address", d.getAddress());
+                devices.put(o);
+            }
+        }
+        JSObject ret = new JSObject();
+        ret.put("devices", devices);
+        call.resolve(ret);
+    }
+
+    @SuppressLint("MissingPermission")
+    private void doPrint(PluginCall call) {
+        String address = call.getString("address");
+        String data = call.getString("data");
+        if (address == null || data == null) {
+            call.reject("address and data are required");
+            return;
+        }
+        BluetoothAdapter bt = adapter();
+        if (bt == null || !bt.isEnabled()) {
+            call.reject("Turn on Bluetooth to print");
+            return;
+        }
+
+        byte[] bytes = Base64.decode(data, Base64.DEFAULT);
+        BluetoothSocket socket = null;
+        try {
+            BluetoothDevice device = bt.getRemoteDevice(address);
+            socket = device.createRfcommSocketToServiceRecord(SPP_UUID);
+            socket.connect();
+            OutputStream out = socket.getOutputStream();
+            for (int i = 0; i < bytes.length; i += CHUNK) {
+                out.write(bytes, i, Math.min(CHUNK, bytes.length - i));
+                out.flush();
+            }
+            // let the printer drain its buffer before the link drops
+            Thread.sleep(300);
+            call.resolve();
+        } catch (Exception e) {
+            call.reject("Could not print: " + e.getMessage(), e);
+        } finally {
+            if (socket != null) {
+                try {
+                    socket.close();
+                } catch (Exception ignored) {
+                    // already closed
+                }
+            }
+        }
+    }
+}
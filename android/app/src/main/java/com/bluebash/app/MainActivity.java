@@ -1,5 +1,14 @@
 package com.bluebash.app;
 
+import android.os.Bundle;
+
 import com.getcapacitor.BridgeActivity;
 
-public class MainActivity extends BridgeActivity {}
+public class MainActivity extends BridgeActivity {
+    @Override
+    public void onCreate(Bundle savedInstanceState) {
+        // local plugins must be registered before the bridge starts
+        registerPlugin(BluetoothPrinterPlugin.class);
+        super.onCreate(savedInstanceState);
+    }
+}
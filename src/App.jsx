@@ -14,11 +14,19 @@ import NavBar from "./components/NavBar";
 import Footer from "./components/Footer.jsx";
 import AdminUsers from "./pages/AdminUsers.jsx";
 import PackagingAdmin from "./pages/PackagingAdmin.jsx";
+import MaterialsAdmin from "./pages/MaterialsAdmin.jsx";
+import PurchasingAdmin from "./pages/PurchasingAdmin.jsx";
+import QualityAdmin from "./pages/QualityAdmin.jsx";
 import CashierSale from "./pages/CashierSale.jsx";
 import CashierExpenses from "./pages/CashierExpenses.jsx";
 import CashierCustomers from "./pages/CashierCustomers.jsx";
 import CashierStock from "./pages/CashierStock.jsx";
+import CashierDispatch from "./pages/CashierDispatch.jsx";
 import AdminDashboard from "./pages/AdminDashboard.jsx";
+import AdminReceivables from "./pages/AdminReceivables.jsx";
+import AdminProfitLoss from "./pages/AdminProfitLoss.jsx";
+import AdminMpesaRecon from "./pages/AdminMpesaRecon.jsx";
+import AdminActivity from "./pages/AdminActivity.jsx";
 
 // 🔐 Contexts
 import { UserProvider, useUser } from "./contexts/UserContext.jsx";
@@ -28,24 +36,6 @@ import { SaleProvider } from "./contexts/SaleContext.jsx";
 // ✅ Only import 'toast' here (single ToastContainer lives in index.jsx)
 import { toast } from "react-toastify";
 
-/* ----------------- Role helpers (centralized) ----------------- */
-function normalizeRole(user) {
-  return (user?.role_slug || user?.role || "").toString().trim().toLowerCase();
-}
-function roleFlags(user, ctxOverallAdmin) {
-  const r = normalizeRole(user);
-  const isOverall =
-    !!ctxOverallAdmin ||
-    user?.is_overall_admin === true ||
-    user?.is_super_admin === true ||
-    r === "overall_admin" ||
-    r === "overall-admin" ||
-    r === "superadmin";
-  const isAdmin = user?.is_admin === true || r === "admin";
-  const isCashier = r === "cashier";
-  return { isOverall, isAdmin, isCashier };
-}
-
 export default function App() {
   return (
     <UserProvider>
@@ -79,63 +69,134 @@ export default function App() {
                       <Route
                         path="/admin/dashboard"
                         element={
-                          <RequireAdmin>
+                          <RequirePermission cap="dashboard.view">
                             <AdminDashboard />
-                          </RequireAdmin>
+                          </RequirePermission>
                         }
                       />
 
-                      {/* Admin areas (Admin OR Overall Admin) */}
+                      {/* Admin areas — capabilities per role in utils/permissions.jsx */}
                       <Route
                         path="/admin/packaging"
                         element={
-                          <RequireAdmin>
+                          <RequirePermission cap="packaging.manage">
                             <PackagingAdmin />
-                          </RequireAdmin>
+                          </RequirePermission>
+                        }
+                      />
+
+                      <Route
+                        path="/admin/materials"
+                        element={
+                          <RequirePermission cap="materials.manage">
+                            <MaterialsAdmin />
+                          </RequirePermission>
+                        }
+                      />
+
+                      <Route
+                        path="/admin/purchasing"
+                        element={
+                          <RequirePermission cap="purchasing.manage">
+                            <PurchasingAdmin />
+                          </RequirePermission>
+                        }
+                      />
+
+                      <Route
+                        path="/admin/quality"
+                        element={
+                          <RequirePermission cap="quality.manage">
+                            <QualityAdmin />
+                          </RequirePermission>
+                        }
+                      />
+
+                      <Route
+                        path="/admin/pnl"
+                        element={
+                          <RequirePermission cap="reports.pnl">
+                            <AdminProfitLoss />
+                          </RequirePermission>
+                        }
+                      />
+
+                      <Route
+                        path="/admin/receivables"
+                        element={
+                          <RequirePermission cap="reports.view">
+                            <AdminReceivables />
+                          </RequirePermission>
+                        }
+                      />
+
+                      <Route
+                        path="/admin/mpesa"
+                        element={
+                          <RequirePermission cap="reports.view">
+                            <AdminMpesaRecon />
+                          </RequirePermission>
+                        }
+                      />
+
+                      <Route
+                        path="/admin/activity"
+                        element={
+                          <RequirePermission cap="audit.view">
+                            <AdminActivity />
+                          </RequirePermission>
                         }
                       />
 
-                      {/* Users page (Overall → full; Admin → readOnly) */}
+                      {/* Users page (users.manage → full; users.view only → readOnly) */}
                       <Route
                         path="/admin/users"
                         element={
-                          <RequireAdmin>
+                          <RequirePermission cap="users.view">
                             <UsersRoute />
-                          </RequireAdmin>
+                          </RequirePermission>
                         }
                       />
 
-                      {/* Cashier pages — allow Cashier, Admin, Overall Admin */}
+                      {/* Cashier pages */}
                       <Route
                         path="/cashier/sale"
                         element={
-                          <RequireCashierOrAdmin>
+                          <RequirePermission cap="sale.view">
                             <CashierSale />
-                          </RequireCashierOrAdmin>
+                          </RequirePermission>
                         }
                       />
                       <Route
                         path="/cashier/expenses"
                         element={
-                          <RequireCashierOrAdmin>
+                          <RequirePermission cap="expense.view">
                             <CashierExpenses />
-                          </RequireCashierOrAdmin>
+                          </RequirePermission>
+                        }
+                      />
+                      <Route
+                        path="/cashier/dispatch"
+                        element={
+                          <RequirePermission cap="sale.dispatch">
+                            <CashierDispatch />
+                          </RequirePermission>
                         }
                       />
                       <Route
                         path="/cashier/customers"
                         element={
-                          <RequireCashierOrAdmin>
+                          <RequirePermission cap="customer.view">
                             <CashierCustomers />
-                          </RequireCashierOrAdmin>
+                          </RequirePermission>
                         }
                       />
                       <Route
                         path="/cashier/stock"
                         element={
-                          <RequireCashierOrAdmin>
+                          <RequirePermission cap="stock.view">
                             <CashierStock />
-                          </RequireCashierOrAdmin>
+                          </RequirePermission>
                         }
                       />
 
@@ -154,10 +215,14 @@ export default function App() {
   );
 }
 
-/** Wrap SaleProvider so it always has the latest auth token from UserContext */
+/** Wrap SaleProvider so it always has the latest auth token & user from UserContext */
 function WithSaleProvider({ children }) {
-  const { token } = useUser();
-  return <SaleProvider getToken={() => token}>{children}</SaleProvider>;
+  const { token, user } = useUser();
+  return (
+    <SaleProvider getToken={() => token} userId={user?.id ?? null}>
+      {children}
+    </SaleProvider>
+  );
 }
 
 /**
@@ -205,6 +270,17 @@ function AuthToasterRoot() {
     return () => window.removeEventListener("auth:unauthorized", handler);
   }, []);
 
+  // Signed in but not allowed (role/device) — the API client fires this on 403
+  React.useEffect(() => {
+    const handler = (e) => {
+      toast.error(e?.detail?.message || "You don't have permission to do that.", {
+        toastId: "auth-forbidden",
+      });
+    };
+    window.addEventListener("auth:forbidden", handler);
+    return () => window.removeEventListener("auth:forbidden", handler);
+  }, []);
+
   // Optional: show signed-out once
   React.useEffect(() => {
     if (ref.current.wasLoggedIn && !isLoggedIn) {
@@ -225,41 +301,19 @@ function ProtectedRoute({ children }) {
   return children;
 }
 
-/** Admin OR Overall Admin */
-function RequireAdmin({ children }) {
-  const { isLoggedIn, isOverallAdmin, user, loading } = useUser();
-  if (loading) return <ScreenSpinner label="Checking access…" />;
-  if (!isLoggedIn) return <Navigate to="/login" replace />;
-  const { isOverall, isAdmin } = roleFlags(user, isOverallAdmin);
-  if (!(isOverall || isAdmin)) return <DeniedAdmin />;
-  return children;
-}
-
-/** Only Overall Admin */
-function RequireOverallAdmin({ children }) {
-  const { isLoggedIn, isOverallAdmin, user, loading } = useUser();
-  if (loading) return <ScreenSpinner label="Checking access…" />;
-  if (!isLoggedIn) return <Navigate to="/login" replace />;
-  const { isOverall } = roleFlags(user, isOverallAdmin);
-  if (!isOverall) return <Denied />;
-  return children;
-}
-
-/** Cashier OR Admin OR Overall Admin */
-function RequireCashierOrAdmin({ children }) {
-  const { isLoggedIn, isOverallAdmin, user, loading } = useUser();
+/** Logged in AND the user's role grants `cap` (see utils/permissions.jsx) */
+function RequirePermission({ cap, children }) {
+  const { isLoggedIn, can, loading } = useUser();
   if (loading) return <ScreenSpinner label="Checking access…" />;
   if (!isLoggedIn) return <Navigate to="/login" replace />;
-  const { isOverall, isAdmin, isCashier } = roleFlags(user, isOverallAdmin);
-  if (!(isCashier || isAdmin || isOverall)) return <Denied />;
+  if (!can(cap)) return <Denied />;
   return children;
 }
 
 /* ------------- Role-aware wrapper for Users page ------------- */
 function UsersRoute() {
-  const { isOverallAdmin, user } = useUser();
-  const { isOverall } = roleFlags(user, isOverallAdmin);
-  return <AdminUsers readOnly={!isOverall} />;
+  const { can } = useUser();
+  return <AdminUsers readOnly={!can("users.manage")} />;
 }
 
 /* ------------- UX helpers (spinner, denied, 404, auto-home) ------------- */
@@ -287,17 +341,6 @@ function Denied() {
   );
 }
 
-function DeniedAdmin() {
-  return (
-    <div className="mx-auto max-w-md rounded-xl border border-yellow-500/40 bg-yellow-500/10 p-6 text-center">
-      <h3 className="text-lg font-semibold text-yellow-200">Admin Only</h3>
-      <p className="mt-2 text-sm text-yellow-100/80">
-        You need <strong>Admin</strong> or <strong>Overall Admin</strong> access for this page.
-      </p>
-    </div>
-  );
-}
-
 function NotFound() {
   return (
     <div className="grid min-h-[40vh] place-items-center">
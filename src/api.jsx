@@ -1,9 +1,261 @@
-// src/api.js (or your axios setup)
-import axios from "axios";
-const API_URL =
-  import.meta.env.VITE_API_URL ||
-  process.env.REACT_APP_API_URL ||
-  "/api";
-
-const api = axios.create({ baseURL: API_URL });
-export default api;
+// src/api.jsx — the one HTTP client used by every context and page
+//
+// - Base URL from VITE_API_URL (dev container: Vite proxies /api -> http://backend:5000)
+// - JWT from the caller or localStorage("token"); stable "X-Device-Id" on every request
+// - Errors are always ApiError { message, status, code, data }
+//     status 0 + code "NETWORK_ERROR"  → request never reached the server
+//     code "ABORTED" / "TIMEOUT"        → cancelled via `signal` / `timeoutMs`
+// - 401 / 403 on an authenticated request fire window events
+//   "auth:unauthorized" / "auth:forbidden" (UserContext logs out on 401)
+// - Idempotent GET/HEAD requests retry on network errors and 5xx with backoff;
+//   writes retry only on network errors / timeouts, and only when they carry an
+//   Idempotency-Key (`idempotencyKey`) — a 5xx means the server saw it, so never again
+
+export const API_BASE =
+  (typeof import.meta !== "undefined" && import.meta?.env?.VITE_API_URL) || "/api";
+
+const TOKEN_KEY = "token";
+
+// Stable device id (UserContext device approval relies on it)
+const DEVICE_KEY = "bb.device_id";
+function getOrCreateDeviceId() {
+  try {
+    let id = localStorage.getItem(DEVICE_KEY);
+    if (!id) {
+      // Modern browsers: crypto.randomUUID()
+      id = typeof crypto !== "undefined" && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `dev-${Math.random().toString(36).slice(2)}-${Date.now()}`;
+      localStorage.setItem(DEVICE_KEY, id);
+    }
+    return id;
+  } catch {
+    // If localStorage is unavailable, use ephemeral (will require re-approval per session)
+    return `ephemeral-${Math.random().toString(36).slice(2)}`;
+  }
+}
+export const DEVICE_ID = getOrCreateDeviceId();
+
+const RETRY_METHODS = ["GET", "HEAD"];
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_MS = 400;
+
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = "", data = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.data = data;
+  }
+}
+
+export function isAbortError(e) {
+  return e?.code === "ABORTED";
+}
+
+/** No response came back — the write may or may not have landed, so retry with the same key */
+export function isTransientError(e) {
+  return e?.code === "NETWORK_ERROR" || e?.code === "TIMEOUT";
+}
+
+export function newIdempotencyKey() {
+  return typeof crypto !== "undefined" && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `idem-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+export function qs(params = {}) {
+  const q = new URLSearchParams();
+  Object.entries(params).forEach(([k, v]) => {
+    if (v === undefined || v === null || v === "") return;
+    q.set(k, String(v));
+  });
+  const s = q.toString();
+  return s ? `?${s}` : "";
+}
+
+export function getStoredToken() {
+  try {
+    return localStorage.getItem(TOKEN_KEY) || localStorage.getItem("access_token") || "";
+  } catch {
+    return "";
+  }
+}
+
+function emit(name, detail) {
+  try {
+    window.dispatchEvent(new CustomEvent(name, { detail }));
+  } catch {
+    /* non-browser */
+  }
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Flask errors come back as { error: "..." }; some carry a machine code too
+function errorFromResponse(res, data) {
+  const body = data && typeof data === "object" ? data : null;
+  const message =
+    (typeof body?.error === "string" && body.error) ||
+    body?.message ||
+    (typeof data === "string" && data.trim() && data.length < 200 ? data.trim() : "") ||
+    `${res.status} ${res.statusText}`.trim();
+  const code =
+    body?.code ||
+    body?.error_code ||
+    (typeof body?.error === "string" && /^[A-Z][A-Z0-9_]+$/.test(body.error) ? body.error : "") ||
+    `HTTP_${res.status}`;
+  return new ApiError(message, { status: res.status, code, data: body ?? data ?? null });
+}
+
+async function readBody(res, blob) {
+  if (blob) return res.blob();
+  const ct = res.headers.get("content-type") || "";
+  if (ct.includes("application/json")) return res.json();
+  return res.text();
+}
+
+/**
+ * apiRequest(path, {
+ *   method = "GET", token, body, headers,
+ *   blob = false,        // resolve with a Blob (PDF/CSV downloads)
+ *   signal,              // AbortSignal for cancellation
+ *   timeoutMs,           // abort after N ms
+ *   retries,             // GET/HEAD, or writes with idempotencyKey (network errors only); default 2
+ *   idempotencyKey,      // sent as "Idempotency-Key"; reuse it when retrying the same write
+ * })
+ * Resolves with parsed JSON (or text / Blob). Rejects with ApiError.
+ */
+export async function apiRequest(
+  path,
+  {
+    method = "GET",
+    token,
+    body,
+    headers,
+    blob = false,
+    signal,
+    timeoutMs,
+    retries,
+    idempotencyKey,
+  } = {}
+) {
+  const verb = String(method).toUpperCase();
+  const authToken = token === undefined ? getStoredToken() : token;
+  const isForm = typeof FormData !== "undefined" && body instanceof FormData;
+
+  const opts = {
+    method: verb,
+    headers: {
+      Accept: blob ? "*/*" : "application/json",
+      ...(body !== undefined && body !== null && !isForm ? { "Content-Type": "application/json" } : {}),
+      ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+      "X-Device-Id": DEVICE_ID,
+      ...(idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {}),
+      ...(headers || {}),
+    },
+  };
+  if (body !== undefined && body !== null) {
+    opts.body = isForm || typeof body === "string" ? body : JSON.stringify(body);
+  }
+
+  const isRead = RETRY_METHODS.includes(verb);
+  const maxRetries = isRead || idempotencyKey ? retries ?? DEFAULT_RETRIES : 0;
+
+  for (let attempt = 0; ; attempt++) {
+    // One controller per attempt: follows the caller's signal + our timeout
+    const ctrl = new AbortController();
+    let timedOut = false;
+    const onAbort = () => ctrl.abort();
+    if (signal) {
+      if (signal.aborted) ctrl.abort();
+      else signal.addEventListener("abort", onAbort, { once: true });
+    }
+    const timer = timeoutMs
+      ? setTimeout(() => {
+          timedOut = true;
+          ctrl.abort();
+        }, timeoutMs)
+      : null;
+
+    let res;
+    try {
+      res = await fetch(API_BASE + path, { ...opts, signal: ctrl.signal });
+    } catch (e) {
+      if (signal?.aborted) throw new ApiError("Request cancelled", { code: "ABORTED" });
+      const err = timedOut
+        ? new ApiError("Request timed out", { code: "TIMEOUT" })
+        : new ApiError(e?.message || "Network error", { code: "NETWORK_ERROR" });
+      if (attempt < maxRetries) {
+        await sleep(RETRY_BASE_MS * 2 ** attempt);
+        continue;
+      }
+      throw err;
+    } finally {
+      if (timer) clearTimeout(timer);
+      signal?.removeEventListener?.("abort", onAbort);
+    }
+
+    if (res.ok) return readBody(res, blob);
+
+    if (isRead && res.status >= 500 && attempt < maxRetries) {
+      await sleep(RETRY_BASE_MS * 2 ** attempt);
+      continue;
+    }
+
+    let data = null;
+    try {
+      data = await readBody(res, false);
+    } catch {
+      /* empty body */
+    }
+    const err = errorFromResponse(res, data);
+    if (authToken && res.status === 401) emit("auth:unauthorized", err);
+    if (authToken && res.status === 403) emit("auth:forbidden", err);
+    throw err;
+  }
+}
+
+// Writes time out instead of hanging on slow links. They are sent once unless the caller
+// passes an `idempotencyKey` (see the header), so edits, prints & emails are never re-sent.
+export const WRITE_TIMEOUT_MS = 20000;
+
+/** apiRequest() for POST/PUT/PATCH/DELETE: same options, WRITE_TIMEOUT_MS unless given */
+export function apiWrite(path, opts = {}) {
+  return apiRequest(path, { timeoutMs: WRITE_TIMEOUT_MS, ...opts });
+}
+
+/** Rows of a list response: { data: [...] } or a bare array */
+export function rowsOf(res) {
+  if (Array.isArray(res?.data)) return res.data;
+  return Array.isArray(res) ? res : [];
+}
+
+/** fn over every item with at most `limit` calls in flight; results keep the items' order */
+export async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let i = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (i < items.length) {
+      const idx = i++;
+      out[idx] = await fn(items[idx]);
+    }
+  });
+  await Promise.all(workers);
+  return out;
+}
+
+/** Save a Blob from apiRequest(..., { blob: true }) as a file */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+export default apiRequest;
@@ -0,0 +1,340 @@
+// src/components/CloseDayModal.jsx — end-of-day cash-up: totals by method, cash count, variance, lock
+import { useEffect, useMemo, useState } from "react";
+import { Lock, Unlock, RefreshCcw, Loader2, AlertTriangle } from "lucide-react";
+import Swal from "sweetalert2";
+import { toast } from "react-toastify";
+import { useSaleContext } from "../contexts/SaleContext.jsx";
+import { useUser } from "../contexts/UserContext.jsx";
+import { apiRequest, qs } from "../api.jsx";
+import { CASH_DENOMINATIONS, denominationsTotal, drawerExpenses, splitByMethod } from "../utils/cashup.jsx";
+import { toNum, formatMoney, todayNairobi } from "../utils/format.jsx";
+import Tile from "./Tile.jsx";
+
+// The day's expenses, read directly: SaleContext.listExpenses would replace the page's `expenses` list
+async function listDayExpenses(day) {
+  const res = await apiRequest(`/expenses${qs({ date_from: day, date_to: day, include_deleted: "false" })}`);
+  return Array.isArray(res?.data) ? res.data : [];
+}
+
+/**
+ * CloseDayModal
+ * - Sales summary for the day (fetchSummaryByDate) + payments received by method
+ * - Expenses by method — only "Cash" expenses leave the drawer; COGS and Bank/Other are shown apart
+ * - Only approved expenses count; pending cash expenses get their own line, rejected ones are left out
+ * - Expected cash = opening float + cash payments − cash expenses; cashier counts the drawer
+ * - Saving locks the day's sales & expenses; only an admin can reopen (with a reason)
+ */
+export default function CloseDayModal({ date: initialDate, onClose, onChanged }) {
+  const {
+    fetchSummaryByDate,
+    listPaymentsByMethod,
+    getDayClosing,
+    closeDay,
+    reopenDay,
+    outbox,
+  } = useSaleContext();
+  const { can } = useUser();
+
+  const [date, setDate] = useState(initialDate || todayNairobi());
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [closing, setClosing] = useState(null);
+  const [summary, setSummary] = useState({ gross: 0, paid: 0, balance: 0, count: 0 });
+  const [payments, setPayments] = useState({ cash: 0, mpesa: 0, total: 0 });
+  const [expenses, setExpenses] = useState({ cash: 0, mpesa: 0, other: 0, cogs: 0, pendingCash: 0, pendingCount: 0 });
+
+  const [openingFloat, setOpeningFloat] = useState("");
+  const [counts, setCounts] = useState({});
+  const [note, setNote] = useState("");
+
+  async function load(day = date) {
+    setLoading(true);
+    try {
+      const [existing, sum, pays, exps] = await Promise.all([
+        getDayClosing(day),
+        fetchSummaryByDate({ date_from: day, date_to: day }),
+        listPaymentsByMethod({ date_from: day, date_to: day }),
+        listDayExpenses(day),
+      ]);
+      setClosing(existing);
+      setSummary(
+        (sum || []).reduce(
+          (t, r) => ({
+            gross: t.gross + r.gross,
+            paid: t.paid + r.paid,
+            balance: t.balance + r.balance,
+            count: t.count + r.count,
+          }),
+          { gross: 0, paid: 0, balance: 0, count: 0 }
+        )
+      );
+      setPayments(splitByMethod(pays));
+      setExpenses(drawerExpenses(exps));
+    } catch (e) {
+      toast.error(e?.message || "Failed to load the day's totals");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load(date);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [date]);
+
+  const float = toNum(openingFloat);
+  const expectedCash = float + payments.cash - expenses.cash;
+  const counted = denominationsTotal(counts);
+  const variance = counted - expectedCash;
+  const hasVariance = Math.abs(variance) >= 0.5;
+
+  // queued (not yet synced) writes would be missing from the totals
+  const unsynced = useMemo(
+    () => (outbox || []).filter((e) => e.status !== "conflict").length,
+    [outbox]
+  );
+
+  const isClosed = closing && closing.status !== "reopened";
+  const canClose = can("day.close") && !loading && !saving && !isClosed && unsynced === 0 && (!hasVariance || note.trim().length > 0);
+
+  const submit = async () => {
+    const ok = await Swal.fire({
+      title: `Close ${date}?`,
+      html: `Expected cash <b>${formatMoney(expectedCash)}</b>, counted <b>${formatMoney(counted)}</b>,
+        variance <b>${formatMoney(variance)}</b>.<br/>Sales and expenses for this day will be locked.`,
+      icon: hasVariance ? "warning" : "question",
+      showCancelButton: true,
+      confirmButtonText: "Close day",
+      cancelButtonText: "Cancel",
+    });
+    if (!ok.isConfirmed) return;
+    setSaving(true);
+    try {
+      const row = await closeDay({
+        date,
+        opening_float: float,
+        expected_cash: expectedCash,
+        counted_cash: counted,
+        variance,
+        denominations: Object.fromEntries(
+          CASH_DENOMINATIONS.filter((d) => toNum(counts[d]) > 0).map((d) => [d, Math.floor(toNum(counts[d]))])
+        ),
+        totals: {
+          sales: summary,
+          payments: { cash: payments.cash, mpesa: payments.mpesa },
+          expenses: { cash: expenses.cash, mpesa: expenses.mpesa, other: expenses.other, cogs: expenses.cogs, pending_cash: expenses.pendingCash },
+        },
+        ...(note.trim() ? { note: note.trim() } : {}),
+      });
+      setClosing(row);
+      toast.success(`Day ${date} closed`);
+      onChanged?.(row);
+    } catch (e) {
+      toast.error(e?.message || "Failed to close the day");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const reopen = async () => {
+    const res = await Swal.fire({
+      title: `Reopen ${date}?`,
+      input: "text",
+      inputLabel: "Reason",
+      inputPlaceholder: "e.g. late M-Pesa payment to record",
+      inputValidator: (v) => (!String(v || "").trim() ? "A reason is required" : undefined),
+      showCancelButton: true,
+      confirmButtonText: "Reopen",
+      cancelButtonText: "Cancel",
+    });
+    if (!res.isConfirmed) return;
+    setSaving(true);
+    try {
+      const row = await reopenDay(date, String(res.value).trim());
+      setClosing(row);
+      toast.success(`Day ${date} reopened`);
+      onChanged?.(row);
+    } catch (e) {
+      toast.error(e?.message || "Failed to reopen the day");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 grid place-items-center bg-black/60 p-3">
+      <div className="w-full max-w-3xl max-h-[92vh] overflow-y-auto rounded-2xl border border-white/10 bg-[#0b0f17] p-4 shadow-2xl">
+        <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+          <div className="text-lg font-semibold">Close Day</div>
+          <div className="flex items-center gap-2">
+            <input
+              type="date"
+              value={date}
+              max={todayNairobi()}
+              onChange={(e) => e.target.value && setDate(e.target.value)}
+              className="rounded-xl bg-black/20 border border-white/10 px-3 py-1.5 text-sm"
+            />
+            <button
+              className="rounded-xl border border-white/10 px-2 py-1.5 text-sm disabled:opacity-50"
+              onClick={() => load()}
+              disabled={loading}
+              title="Reload totals"
+            >
+              {loading ? <Loader2 size={16} className="animate-spin" /> : <RefreshCcw size={16} />}
+            </button>
+            <button className="rounded-xl border border-white/10 px-3 py-1 text-sm" onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </div>
+
+        {isClosed ? (
+          <ClosedSummary closing={closing} />
+        ) : (
+          closing?.status === "reopened" && (
+            <div className="mb-3 rounded-xl border border-amber-400/30 bg-amber-500/10 px-3 py-2 text-sm text-amber-200">
+              Reopened{closing.reopened_by_name ? ` by ${closing.reopened_by_name}` : ""}
+              {closing.reopen_reason ? ` — ${closing.reopen_reason}` : ""}. Close it again once corrections are done.
+            </div>
+          )
+        )}
+
+        <div className="grid grid-cols-2 gap-3 sm:grid-cols-4">
+          <Tile label={`Sales (${summary.count})`} value={formatMoney(summary.gross)} />
+          <Tile label="Paid on these sales" value={formatMoney(summary.paid)} />
+          <Tile label="Payments — Cash" value={formatMoney(payments.cash)} />
+          <Tile label="Payments — M-Pesa" value={formatMoney(payments.mpesa)} />
+          <Tile label="Expenses — Cash" value={formatMoney(expenses.cash)} />
+          <Tile label="Expenses — M-Pesa" value={formatMoney(expenses.mpesa)} />
+          <Tile label="M-Pesa net" value={formatMoney(payments.mpesa - expenses.mpesa)} />
+          <Tile label="Expenses — Bank / Other" value={formatMoney(expenses.other)} />
+          <Tile label="COGS purchases" value={formatMoney(expenses.cogs)} />
+          <Tile label={`Pending approval — Cash (${expenses.pendingCount})`} value={formatMoney(expenses.pendingCash)} tone={expenses.pendingCount ? "text-amber-300" : ""} />
+          <Tile label="Expected cash" value={formatMoney(isClosed ? toNum(closing.expected_cash) : expectedCash)} strong />
+        </div>
+
+        {!isClosed && (
+          <>
+            {unsynced > 0 && (
+              <div className="mt-3 flex items-center gap-2 rounded-xl border border-amber-400/30 bg-amber-500/10 px-3 py-2 text-sm text-amber-200">
+                <AlertTriangle size={16} /> {unsynced} offline {unsynced === 1 ? "entry is" : "entries are"} waiting
+                to sync. Sync before closing so the totals are complete.
+              </div>
+            )}
+
+            <div className="mt-3 rounded-2xl border border-white/10 p-3">
+              <div className="grid grid-cols-1 gap-3 sm:grid-cols-3">
+                <label className="grid gap-1">
+                  <span className="text-xs text-white/60">Opening float</span>
+                  <input
+                    type="number"
+                    min={0}
+                    value={openingFloat}
+                    onChange={(e) => setOpeningFloat(e.target.value)}
+                    placeholder="0"
+                    className="rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm"
+                  />
+                </label>
+                <div className="sm:col-span-2 text-xs text-white/60 self-end">
+                  Expected cash = float + cash payments − cash expenses (COGS and Bank / Other not included)
+                </div>
+              </div>
+
+              <div className="mt-3 text-xs text-white/60">Cash count</div>
+              <div className="mt-1 grid grid-cols-2 gap-2 sm:grid-cols-5">
+                {CASH_DENOMINATIONS.map((d) => (
+                  <label key={d} className="grid gap-1">
+                    <span className="text-[11px] text-white/50">
+                      {d} × {toNum(counts[d]) > 0 ? `= ${formatMoney(d * Math.floor(toNum(counts[d])))}` : ""}
+                    </span>
+                    <input
+                      type="number"
+                      min={0}
+                      step={1}
+                      value={counts[d] ?? ""}
+                      onChange={(e) => setCounts((c) => ({ ...c, [d]: e.target.value }))}
+                      className="rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm"
+                    />
+                  </label>
+                ))}
+              </div>
+
+              <div className="mt-3 grid grid-cols-1 gap-3 sm:grid-cols-3">
+                <Tile label="Counted cash" value={formatMoney(counted)} strong />
+                <Tile
+                  label={variance < 0 ? "Variance (short)" : variance > 0 ? "Variance (over)" : "Variance"}
+                  value={formatMoney(variance)}
+                  tone={hasVariance ? (variance < 0 ? "text-rose-300" : "text-amber-300") : "text-emerald-300"}
+                  strong
+                />
+                <label className="grid gap-1">
+                  <span className="text-xs text-white/60">Note {hasVariance ? "(required)" : "(optional)"}</span>
+                  <textarea
+                    rows={2}
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder={hasVariance ? "Explain the variance" : ""}
+                    className="rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm"
+                  />
+                </label>
+              </div>
+            </div>
+          </>
+        )}
+
+        <div className="mt-4 flex justify-end gap-2">
+          {isClosed ? (
+            can("day.reopen") && (
+              <button
+                disabled={saving}
+                className="inline-flex items-center gap-2 rounded-xl border border-amber-400/40 px-3 py-2 text-amber-200 disabled:opacity-50"
+                onClick={reopen}
+              >
+                <Unlock size={16} /> {saving ? "Reopening…" : "Reopen day"}
+              </button>
+            )
+          ) : (
+            <button
+              disabled={!canClose}
+              className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
+              onClick={submit}
+            >
+              <Lock size={16} /> {saving ? "Closing…" : "Close day & lock"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ClosedSummary({ closing }) {
+  const variance = toNum(closing.variance);
+  return (
+    <div className="mb-3 rounded-xl border border-emerald-400/30 bg-emerald-500/10 px-3 py-2 text-sm text-emerald-100">
+      <div className="flex items-center gap-2 font-medium">
+        <Lock size={14} /> Closed
+        {closing.closed_by_name ? ` by ${closing.closed_by_name}` : ""}
+        {closing.closed_at ? ` at ${formatTime(closing.closed_at)}` : ""}
+      </div>
+      <div className="mt-1 text-emerald-100/80">
+        Counted {formatMoney(toNum(closing.counted_cash))} · Variance{" "}
+        <span className={Math.abs(variance) >= 0.5 ? "text-rose-300" : ""}>{formatMoney(variance)}</span>
+        {closing.note ? ` · ${closing.note}` : ""}
+      </div>
+      <div className="mt-1 text-xs text-emerald-100/60">Sales and expenses for this day are locked.</div>
+    </div>
+  );
+}
+
+/* ---------------- helpers ---------------- */
+
+function formatTime(v) {
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) return String(v);
+  return new Intl.DateTimeFormat("en-KE", {
+    timeZone: "Africa/Nairobi",
+    dateStyle: "medium",
+    timeStyle: "short",
+  }).format(d);
+}
@@ -0,0 +1,370 @@
+// src/components/CustomerDrawer.jsx — per-customer sales, payments & running ledger + printable statement
+import { useEffect, useMemo, useRef, useState } from "react";
+import { motion } from "framer-motion";
+import { X, Printer, RefreshCcw, Phone, Mail, Loader2 } from "lucide-react";
+import { toast } from "react-toastify";
+import { useSaleContext } from "../contexts/SaleContext.jsx";
+import { printHtml, escapeHtml } from "../utils/printHtml.jsx";
+import { mapLimit } from "../api.jsx";
+import { toNum, formatMoney, monthStartNairobi, todayNairobi, ymdOf } from "../utils/format.jsx";
+import { GROSS_KEYS, PAID_KEYS, getDue, pickNum } from "../utils/saleMoney.jsx";
+import Tile from "./Tile.jsx";
+
+const BRAND = import.meta.env?.VITE_BRAND_NAME || "Blue Bash";
+
+/**
+ * CustomerDrawer
+ * - Loads every sale for the customer (listCustomerSales) + payments per sale (listPayments)
+ * - Balance carried forward = sales − payments dated before `From`
+ * - Ledger: sales are debits, payments credits, with a running balance (Nairobi dates)
+ * - "Print statement" → A4 statement of account (browser print / Save as PDF)
+ */
+export default function CustomerDrawer({ customer, onClose }) {
+  const { listCustomerSales, listPayments } = useSaleContext();
+
+  const [range, setRange] = useState(() => ({ date_from: monthStartNairobi(), date_to: todayNairobi() }));
+  const [tab, setTab] = useState("ledger");
+  const [loading, setLoading] = useState(false);
+  const [sales, setSales] = useState([]);
+  const [payments, setPayments] = useState([]);
+
+  // a new load (range change, Refresh, close) cancels the one still in flight
+  const loadCtrl = useRef(null);
+  async function load() {
+    loadCtrl.current?.abort();
+    const ctrl = new AbortController();
+    loadCtrl.current = ctrl;
+    const { signal } = ctrl;
+    setLoading(true);
+    try {
+      // history up to `To` (no lower bound) so the carried-forward balance is right
+      const rows = await listCustomerSales(customer, { date_to: range.date_to }, { signal });
+      if (signal.aborted) return;
+      setSales(rows);
+      const withPayments = rows.filter((s) => pickNum(s, PAID_KEYS) > 0);
+      const pays = await mapLimit(withPayments, 4, async (s) => {
+        const list = await listPayments(s.id, { signal }).catch(() => []);
+        return list.map((p) => ({ ...p, sale_id: s.id, receipt_number: s.receipt_number }));
+      });
+      if (!signal.aborted) setPayments(pays.flat());
+    } catch (e) {
+      if (!signal.aborted) toast.error(e?.message || "Failed to load customer history");
+    } finally {
+      if (!signal.aborted) setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    return () => loadCtrl.current?.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [customer?.id, range.date_to]);
+
+  const statement = useMemo(
+    () => buildStatement({ sales, payments, ...range }),
+    [sales, payments, range]
+  );
+
+  const printStatement = () => {
+    try {
+      printHtml(`Statement — ${customer.name}`, statementHtml(customer, range, statement));
+    } catch (e) {
+      toast.error(e.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/60" onClick={onClose}>
+      <motion.aside
+        initial={{ x: 40, opacity: 0 }}
+        animate={{ x: 0, opacity: 1 }}
+        className="h-full w-full max-w-3xl overflow-y-auto border-l border-white/10 bg-[#0b0f17] p-4 shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="mb-3 flex items-start justify-between gap-3">
+          <div className="min-w-0">
+            <div className="text-lg font-semibold truncate">{customer.name}</div>
+            <div className="mt-0.5 flex flex-wrap gap-3 text-xs text-white/60">
+              {(customer.phone || customer.phone_number) && (
+                <span className="inline-flex items-center gap-1">
+                  <Phone size={12} /> {customer.phone || customer.phone_number}
+                </span>
+              )}
+              {customer.email && (
+                <span className="inline-flex items-center gap-1">
+                  <Mail size={12} /> {customer.email}
+                </span>
+              )}
+            </div>
+          </div>
+          <button className="icon-btn" onClick={onClose} title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        {/* Range + actions */}
+        <div className="mb-3 flex flex-wrap items-end gap-2 rounded-2xl border border-white/10 p-3">
+          <label className="grid gap-1">
+            <span className="text-xs text-white/60">From</span>
+            <input
+              type="date"
+              value={range.date_from}
+              onChange={(e) => setRange((r) => ({ ...r, date_from: e.target.value }))}
+              className="rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm"
+            />
+          </label>
+          <label className="grid gap-1">
+            <span className="text-xs text-white/60">To</span>
+            <input
+              type="date"
+              value={range.date_to}
+              onChange={(e) => setRange((r) => ({ ...r, date_to: e.target.value }))}
+              className="rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm"
+            />
+          </label>
+          <div className="ml-auto flex gap-2">
+            <button
+              className="inline-flex items-center gap-2 rounded-xl border border-white/10 px-3 py-2 text-sm hover:bg-white/5 disabled:opacity-50"
+              onClick={load}
+              disabled={loading}
+            >
+              {loading ? <Loader2 size={16} className="animate-spin" /> : <RefreshCcw size={16} />} Refresh
+            </button>
+            <button
+              className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 text-sm disabled:opacity-50"
+              onClick={printStatement}
+              disabled={loading}
+            >
+              <Printer size={16} /> Print statement
+            </button>
+          </div>
+        </div>
+
+        {/* Summary */}
+        <div className="mb-3 grid grid-cols-2 gap-3 sm:grid-cols-4">
+          <Tile label="Brought forward" value={formatMoney(statement.opening)} />
+          <Tile label="Sales" value={formatMoney(statement.debits)} />
+          <Tile label="Payments" value={formatMoney(statement.credits)} />
+          <Tile label="Balance due" value={formatMoney(statement.closing)} strong />
+        </div>
+
+        {/* Tabs */}
+        <div className="mb-3 inline-flex rounded-xl border border-white/10 p-1 text-sm">
+          {[
+            ["ledger", "Ledger"],
+            ["sales", `Sales (${statement.sales.length})`],
+            ["payments", `Payments (${statement.payments.length})`],
+          ].map(([k, label]) => (
+            <button
+              key={k}
+              className={`rounded-lg px-3 py-1.5 ${tab === k ? "bg-white text-gray-900" : "hover:bg-white/5"}`}
+              onClick={() => setTab(k)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="rounded-2xl border border-white/10 overflow-x-auto">
+          {tab === "ledger" && (
+            <table className="w-full min-w-[560px] text-sm">
+              <thead className="bg-white/5">
+                <tr>
+                  <th className="px-3 py-2 text-left">Date</th>
+                  <th className="px-3 py-2 text-left">Details</th>
+                  <th className="px-3 py-2 text-right">Debit</th>
+                  <th className="px-3 py-2 text-right">Credit</th>
+                  <th className="px-3 py-2 text-right">Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr className="border-t border-white/10 text-white/70">
+                  <td className="px-3 py-2">{range.date_from}</td>
+                  <td className="px-3 py-2">Balance brought forward</td>
+                  <td className="px-3 py-2" />
+                  <td className="px-3 py-2" />
+                  <td className="px-3 py-2 text-right">{formatMoney(statement.opening)}</td>
+                </tr>
+                {statement.lines.map((l) => (
+                  <tr key={l.key} className="border-t border-white/10">
+                    <td className="px-3 py-2">{l.date}</td>
+                    <td className="px-3 py-2">{l.details}</td>
+                    <td className="px-3 py-2 text-right">{l.debit ? formatMoney(l.debit) : ""}</td>
+                    <td className="px-3 py-2 text-right">{l.credit ? formatMoney(l.credit) : ""}</td>
+                    <td className="px-3 py-2 text-right">{formatMoney(l.balance)}</td>
+                  </tr>
+                ))}
+                {statement.lines.length === 0 && (
+                  <tr>
+                    <td colSpan={5} className="px-3 py-8 text-center text-white/60">
+                      {loading ? "Loading…" : "No activity in this range"}
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          )}
+
+          {tab === "sales" && (
+            <table className="w-full min-w-[560px] text-sm">
+              <thead className="bg-white/5">
+                <tr>
+                  <th className="px-3 py-2 text-left">Date</th>
+                  <th className="px-3 py-2 text-left">Receipt</th>
+                  <th className="px-3 py-2 text-left">Type</th>
+                  <th className="px-3 py-2 text-right">Gross</th>
+                  <th className="px-3 py-2 text-right">Paid</th>
+                  <th className="px-3 py-2 text-right">Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {statement.sales.map((s) => (
+                  <tr key={s.id} className="border-t border-white/10">
+                    <td className="px-3 py-2">{ymdOf(s.date)}</td>
+                    <td className="px-3 py-2 font-mono">{s.receipt_number}</td>
+                    <td className="px-3 py-2 capitalize">{s.sale_type}</td>
+                    <td className="px-3 py-2 text-right">{formatMoney(pickNum(s, GROSS_KEYS))}</td>
+                    <td className="px-3 py-2 text-right">{formatMoney(pickNum(s, PAID_KEYS))}</td>
+                    <td className="px-3 py-2 text-right">{formatMoney(getDue(s))}</td>
+                  </tr>
+                ))}
+                {statement.sales.length === 0 && (
+                  <tr>
+                    <td colSpan={6} className="px-3 py-8 text-center text-white/60">
+                      {loading ? "Loading…" : "No sales in this range"}
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          )}
+
+          {tab === "payments" && (
+            <table className="w-full min-w-[560px] text-sm">
+              <thead className="bg-white/5">
+                <tr>
+                  <th className="px-3 py-2 text-left">Date</th>
+                  <th className="px-3 py-2 text-left">Receipt</th>
+                  <th className="px-3 py-2 text-left">Method</th>
+                  <th className="px-3 py-2 text-right">Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {statement.payments.map((p) => (
+                  <tr key={`${p.sale_id}-${p.id}`} className="border-t border-white/10">
+                    <td className="px-3 py-2">{paymentDate(p)}</td>
+                    <td className="px-3 py-2 font-mono">{p.receipt_number}</td>
+                    <td className="px-3 py-2">
+                      {p.payment_method || "-"}
+                      {p.mpesa_code && <span className="ml-1 font-mono text-white/60">{p.mpesa_code}</span>}
+                    </td>
+                    <td className="px-3 py-2 text-right">{formatMoney(toNum(p.amount))}</td>
+                  </tr>
+                ))}
+                {statement.payments.length === 0 && (
+                  <tr>
+                    <td colSpan={4} className="px-3 py-8 text-center text-white/60">
+                      {loading ? "Loading…" : "No payments in this range"}
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </motion.aside>
+    </div>
+  );
+}
+
+/* ---------------- statement maths ---------------- */
+
+function buildStatement({ sales, payments, date_from, date_to }) {
+  const inRange = (d) => (!date_from || d >= date_from) && (!date_to || d <= date_to);
+  const before = (d) => date_from && d < date_from;
+
+  let opening = 0;
+  const events = [];
+  for (const s of sales) {
+    const d = ymdOf(s.date);
+    const amt = pickNum(s, GROSS_KEYS);
+    if (before(d)) opening += amt;
+    else if (inRange(d))
+      events.push({
+        key: `s-${s.id}`,
+        date: d,
+        order: 0,
+        details: `Sale ${s.receipt_number || `#${s.id}`}${s.sale_type ? ` (${s.sale_type})` : ""}`,
+        debit: amt,
+        credit: 0,
+      });
+  }
+  for (const p of payments) {
+    const d = paymentDate(p);
+    const amt = toNum(p.amount);
+    if (before(d)) opening -= amt;
+    else if (inRange(d))
+      events.push({
+        key: `p-${p.sale_id}-${p.id}`,
+        date: d,
+        order: 1,
+        details: `Payment${p.payment_method ? ` — ${p.payment_method}` : ""}${p.mpesa_code ? ` ${p.mpesa_code}` : ""} (${
+          p.receipt_number || `#${p.sale_id}`
+        })`,
+        debit: 0,
+        credit: amt,
+      });
+  }
+  events.sort((a, b) => a.date.localeCompare(b.date) || a.order - b.order);
+
+  let running = opening;
+  let debits = 0;
+  let credits = 0;
+  const lines = events.map((e) => {
+    running += e.debit - e.credit;
+    debits += e.debit;
+    credits += e.credit;
+    return { ...e, balance: running };
+  });
+
+  return {
+    opening,
+    debits,
+    credits,
+    closing: running,
+    lines,
+    sales: sales.filter((s) => inRange(ymdOf(s.date))),
+    payments: payments.filter((p) => inRange(paymentDate(p))),
+  };
+}
+
+function statementHtml(customer, range, st) {
+  const money = (v) => escapeHtml(formatMoney(v));
+  const rows = st.lines
+    .map(
+      (l) => `<tr><td>${escapeHtml(l.date)}</td><td>${escapeHtml(l.details)}</td>
+<td class="num">${l.debit ? money(l.debit) : ""}</td><td class="num">${l.credit ? money(l.credit) : ""}</td>
+<td class="num">${money(l.balance)}</td></tr>`
+    )
+    .join("");
+  return `
+<div class="row"><div><h1>${escapeHtml(BRAND)}</h1><div class="muted">Statement of account</div></div>
+<div style="text-align:right"><div><b>${escapeHtml(customer.name)}</b></div>
+<div class="muted">${escapeHtml(customer.phone || customer.phone_number || "")} ${escapeHtml(customer.email || "")}</div>
+<div class="muted">Period: ${escapeHtml(range.date_from)} → ${escapeHtml(range.date_to)}</div>
+<div class="muted">Printed: ${escapeHtml(todayNairobi())}</div></div></div>
+<h2>Transactions</h2>
+<table><thead><tr><th>Date</th><th>Details</th><th class="num">Debit</th><th class="num">Credit</th><th class="num">Balance</th></tr></thead>
+<tbody><tr><td>${escapeHtml(range.date_from)}</td><td>Balance brought forward</td><td></td><td></td><td class="num">${money(st.opening)}</td></tr>
+${rows}
+<tr class="total"><td></td><td>Totals / balance due</td><td class="num">${money(st.debits)}</td><td class="num">${money(st.credits)}</td><td class="num">${money(st.closing)}</td></tr>
+</tbody></table>
+<p class="muted" style="margin-top:16px">Please settle the balance due. Queries: contact ${escapeHtml(BRAND)}.</p>`;
+}
+
+/* ---------------- utils ---------------- */
+
+function paymentDate(p) {
+  return ymdOf(p.date || p.payment_date || p.created_at);
+}
+
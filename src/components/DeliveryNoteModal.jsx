@@ -0,0 +1,156 @@
+// src/components/DeliveryNoteModal.jsx — print a dispatch sale's delivery note (A4, 80mm, or this device's printer)
+import { useEffect, useMemo, useState } from "react";
+import { FileText, Printer, Loader2 } from "lucide-react";
+import { toast } from "react-toastify";
+import DevicePrinterPicker from "./DevicePrinterPicker.jsx";
+import { deliveryNoteHtml, deliveryNoteModel } from "../utils/deliveryNote.jsx";
+import { printHtml } from "../utils/printHtml.jsx";
+import { buildDeliveryNote } from "../utils/escpos.jsx";
+import { getSavedPrinter, printBytes, printerSupport } from "../utils/receiptPrinter.jsx";
+
+const BRAND = import.meta.env?.VITE_BRAND_NAME || "Blue Bash";
+
+/**
+ * DeliveryNoteModal
+ * - sale: the dispatch sale; items come from listItemsForSale(sale.id)
+ * - closed: the DispatchCloseModal payload just submitted ({ returns, amount_paid, payment_method, mpesa_code })
+ *   → reprint with the returns recorded; without it an open dispatch prints blank return slots
+ */
+export default function DeliveryNoteModal({ sale, listItemsForSale, closed = null, onClose }) {
+  const [items, setItems] = useState(null);
+  const [err, setErr] = useState("");
+  const [printer, setPrinter] = useState(() => getSavedPrinter());
+  const [busy, setBusy] = useState(false);
+  const support = printerSupport();
+  const canDevice = support.bluetooth || support.serial || support.usb;
+
+  useEffect(() => {
+    const ctrl = new AbortController();
+    listItemsForSale(sale.id, { signal: ctrl.signal })
+      .then((rows) => !ctrl.signal.aborted && setItems(rows || []))
+      .catch((e) => !ctrl.signal.aborted && setErr(e?.message || "Failed to load items"));
+    return () => ctrl.abort();
+  }, [sale.id, listItemsForSale]);
+
+  const note = useMemo(() => {
+    if (!items) return null;
+    const returns = closed
+      ? Object.fromEntries((closed.returns || []).map((r) => [r.bottle_size_id, r.quantity_returned]))
+      : null;
+    return deliveryNoteModel(sale, items, { returns, payment: closed });
+  }, [sale, items, closed]);
+
+  const printPage = (page) => {
+    try {
+      printHtml(`Delivery note — ${sale.receipt_number}`, deliveryNoteHtml(note, { brand: BRAND, page }), { page });
+    } catch (e) {
+      toast.error(e.message);
+    }
+  };
+
+  const printDevice = async () => {
+    setBusy(true);
+    try {
+      await printBytes(buildDeliveryNote(note, { columns: printer?.columns || 32, brand: BRAND }), printer);
+      toast.success("Delivery note printed");
+    } catch (e) {
+      toast.error(e?.message || "Print failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 grid place-items-center bg-black/60 p-3">
+      <div className="w-full max-w-2xl max-h-[92vh] overflow-y-auto rounded-2xl border border-white/10 bg-[#0b0f17] p-4 shadow-2xl">
+        <div className="mb-3 flex items-center justify-between">
+          <div className="text-lg font-semibold inline-flex items-center gap-2">
+            <FileText size={18} /> Delivery Note — {sale.receipt_number}
+          </div>
+          <button className="rounded-xl border border-white/10 px-3 py-1 text-sm" onClick={onClose}>
+            Close
+          </button>
+        </div>
+
+        {err ? (
+          <div className="text-sm text-rose-300">{err}</div>
+        ) : !note ? (
+          <div className="flex items-center gap-2 text-sm text-white/60">
+            <Loader2 size={14} className="animate-spin" /> Loading…
+          </div>
+        ) : (
+          <div className="grid gap-3">
+            {closed && (
+              <div className="rounded-xl border border-emerald-400/30 bg-emerald-500/10 px-3 py-2 text-sm text-emerald-200">
+                Dispatch closed — print the note again with the returns for the driver and customer to sign.
+              </div>
+            )}
+            <div className="text-sm text-white/70">
+              {sale.customer_name || "—"}
+              {note.trip?.driver_name ? ` · ${note.trip.driver_name}` : ""}
+              {note.trip?.vehicle_registration ? ` · ${note.trip.vehicle_registration}` : ""}
+            </div>
+            <div className="rounded-2xl border border-white/10 overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-white/5">
+                  <tr>
+                    <th className="px-3 py-2 text-left">Size</th>
+                    <th className="px-3 py-2 text-right">Sent</th>
+                    <th className="px-3 py-2 text-right">Returned</th>
+                    <th className="px-3 py-2 text-right">Delivered</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {note.lines.map((l) => (
+                    <tr key={l.bottle_size_id} className="border-t border-white/10">
+                      <td className="px-3 py-2">
+                        {l.label}
+                        {l.batches && <div className="text-[11px] text-white/50">Batch {l.batches}</div>}
+                      </td>
+                      <td className="px-3 py-2 text-right">{l.sent}</td>
+                      <td className="px-3 py-2 text-right">{note.closed ? l.returned : "—"}</td>
+                      <td className="px-3 py-2 text-right">{note.closed ? l.delivered : "—"}</td>
+                    </tr>
+                  ))}
+                  <tr className="border-t border-white/10 font-semibold">
+                    <td className="px-3 py-2">Total</td>
+                    <td className="px-3 py-2 text-right">{note.totals.sent}</td>
+                    <td className="px-3 py-2 text-right">{note.closed ? note.totals.returned : ""}</td>
+                    <td className="px-3 py-2 text-right">{note.closed ? note.totals.delivered : ""}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+
+            {canDevice && <DevicePrinterPicker printer={printer} onChange={setPrinter} />}
+
+            <div className="flex flex-wrap justify-end gap-2">
+              <button
+                className="inline-flex items-center gap-2 rounded-xl border border-white/10 px-3 py-2 text-sm hover:bg-white/5"
+                onClick={() => printPage("thermal")}
+              >
+                <Printer size={16} /> 80mm (browser)
+              </button>
+              <button
+                className="inline-flex items-center gap-2 rounded-xl border border-white/10 px-3 py-2 text-sm hover:bg-white/5"
+                onClick={() => printPage("a4")}
+              >
+                <Printer size={16} /> A4
+              </button>
+              {canDevice && (
+                <button
+                  className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 text-sm disabled:opacity-50"
+                  onClick={printDevice}
+                  disabled={!printer || busy}
+                  title={printer ? `Print on ${printer.name}` : "Select a printer first"}
+                >
+                  {busy ? <Loader2 size={16} className="animate-spin" /> : <Printer size={16} />} Device printer
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
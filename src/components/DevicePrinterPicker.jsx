@@ -0,0 +1,127 @@
+// src/components/DevicePrinterPicker.jsx — choose the thermal printer attached to this device
+import { useState } from "react";
+import { Bluetooth, Usb, Cable, Loader2 } from "lucide-react";
+import { toast } from "react-toastify";
+import { choosePrinter, listBluetoothPrinters, printerSupport, savePrinter } from "../utils/receiptPrinter.jsx";
+
+/**
+ * DevicePrinterPicker
+ * - Android app: paired Bluetooth printers
+ * - Chrome/Edge: USB (WebUSB) or serial port (Web Serial, also covers BT SPP ports on desktop)
+ * - Paper width: 58mm (32 columns) / 80mm (48 columns)
+ * The selection is saved (receiptPrinter.savePrinter) and handed back via onChange.
+ */
+export default function DevicePrinterPicker({ printer, onChange }) {
+  const support = printerSupport();
+  const [paired, setPaired] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const update = (next) => {
+    savePrinter(next);
+    onChange(next);
+  };
+
+  const pick = async (type, extra) => {
+    setBusy(true);
+    try {
+      const p = await choosePrinter(type, extra);
+      update({ ...p, columns: printer?.columns || 32 });
+    } catch (e) {
+      // closing the browser chooser is not an error worth shouting about
+      if (e?.name !== "NotFoundError") toast.error(e?.message || "Could not select printer");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const loadPaired = async () => {
+    setBusy(true);
+    try {
+      setPaired(await listBluetoothPrinters());
+    } catch (e) {
+      toast.error(e?.message || "Could not list Bluetooth printers");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!support.bluetooth && !support.serial && !support.usb) {
+    return (
+      <div className="rounded-xl border border-amber-400/30 bg-amber-500/10 px-3 py-2 text-xs text-amber-200">
+        This browser can’t reach local printers. Use Chrome/Edge, the Android app, or the server printer.
+      </div>
+    );
+  }
+
+  return (
+    <div className="rounded-2xl border border-white/10 p-3 grid gap-2">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm">
+          <span className="text-white/60">Printer: </span>
+          {printer ? <strong>{printer.name}</strong> : <span className="text-white/50">none selected</span>}
+        </div>
+        <select
+          value={printer?.columns || 32}
+          onChange={(e) => printer && update({ ...printer, columns: Number(e.target.value) })}
+          disabled={!printer}
+          className="rounded-xl bg-black/20 border border-white/10 px-2 py-1 text-xs"
+          title="Paper width"
+        >
+          <option value={32}>58mm paper</option>
+          <option value={48}>80mm paper</option>
+        </select>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {busy && <Loader2 size={14} className="animate-spin text-white/60" />}
+        {support.bluetooth &&
+          (paired ? (
+            <select
+              value={printer?.type === "bluetooth" ? printer.address : ""}
+              onChange={(e) => {
+                const d = paired.find((x) => x.address === e.target.value);
+                if (d) pick("bluetooth", d);
+              }}
+              className="rounded-xl bg-black/20 border border-white/10 px-3 py-1.5 text-sm"
+            >
+              <option value="">{paired.length ? "Select paired printer…" : "No paired devices"}</option>
+              {paired.map((d) => (
+                <option key={d.address} value={d.address}>
+                  {d.name} ({d.address})
+                </option>
+              ))}
+            </select>
+          ) : (
+            <button
+              type="button"
+              className="inline-flex items-center gap-1 rounded-xl border border-white/10 px-3 py-1.5 text-sm"
+              onClick={loadPaired}
+              disabled={busy}
+            >
+              <Bluetooth size={14} /> Bluetooth printers
+            </button>
+          ))}
+        {support.usb && (
+          <button
+            type="button"
+            className="inline-flex items-center gap-1 rounded-xl border border-white/10 px-3 py-1.5 text-sm"
+            onClick={() => pick("usb")}
+            disabled={busy}
+          >
+            <Usb size={14} /> USB
+          </button>
+        )}
+        {support.serial && (
+          <button
+            type="button"
+            className="inline-flex items-center gap-1 rounded-xl border border-white/10 px-3 py-1.5 text-sm"
+            onClick={() => pick("serial")}
+            disabled={busy}
+          >
+            <Cable size={14} /> Serial / Bluetooth port
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+// src/components/ExpenseApprovalsModal.jsx
+import { useEffect, useState } from "react";
+import { Check, X as XIcon, Save } from "lucide-react";
+import { toast } from "react-toastify";
+import Swal from "sweetalert2";
+
+import ReceiptViewer from "./ReceiptViewer.jsx";
+import { categoryName, listExpenseCategories } from "../utils/expenseCategories.jsx";
+import {
+  approveExpense,
+  getApprovalSettings,
+  listPendingExpenses,
+  rejectExpense,
+  saveApprovalSettings,
+} from "../utils/expenseApproval.jsx";
+import { formatMoney } from "../utils/format.jsx";
+
+/**
+ * Admin approval queue: expenses above the approval limit waiting for a decision,
+ * plus the limit itself. Approving counts the expense in totals; rejecting needs a reason,
+ * which is sent back to the cashier who entered it.
+ */
+export default function ExpenseApprovalsModal({ onClose, onChanged }) {
+  const [rows, setRows] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [threshold, setThreshold] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [savingLimit, setSavingLimit] = useState(false);
+  const [viewing, setViewing] = useState(null);
+
+  async function load() {
+    setLoading(true);
+    try {
+      const [pending, settings, cats] = await Promise.all([
+        listPendingExpenses(),
+        getApprovalSettings(),
+        listExpenseCategories().catch(() => []),
+      ]);
+      setRows(pending);
+      setThreshold(settings.threshold > 0 ? String(settings.threshold) : "");
+      setCategories(cats);
+    } catch (e) {
+      toast.error(e?.message || "Failed to load approvals");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const decide = async (row, approve) => {
+    let reason = "";
+    if (!approve) {
+      const res = await Swal.fire({
+        title: "Reject expense?",
+        input: "text",
+        inputLabel: "Reason (sent to the cashier)",
+        inputPlaceholder: "e.g. no receipt, amount does not match",
+        inputValidator: (v) => (!String(v || "").trim() ? "A reason is required" : undefined),
+        showCancelButton: true,
+        confirmButtonText: "Reject",
+        cancelButtonText: "Cancel",
+      });
+      if (!res.isConfirmed) return;
+      reason = String(res.value).trim();
+    }
+    setBusyId(row.id);
+    try {
+      if (approve) await approveExpense(row.id);
+      else await rejectExpense(row.id, reason);
+      toast.success(approve ? "Expense approved" : "Expense rejected");
+      setRows((rs) => rs.filter((r) => r.id !== row.id));
+      onChanged?.();
+    } catch (e) {
+      toast.error(e?.message || "Update failed");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const saveLimit = async () => {
+    setSavingLimit(true);
+    try {
+      const s = await saveApprovalSettings({ threshold });
+      setThreshold(s.threshold > 0 ? String(s.threshold) : "");
+      toast.success(s.threshold > 0 ? `Approval needed above ${formatMoney(s.threshold)}` : "Approval limit turned off");
+    } catch (e) {
+      toast.error(e?.message || "Save failed");
+    } finally {
+      setSavingLimit(false);
+    }
+  };
+
+  const total = rows.reduce((a, r) => a + (Number(r.amount) || 0), 0);
+
+  return (
+    <div className="fixed inset-0 z-50 grid place-items-center bg-black/60 p-3">
+      <div className="w-full max-w-4xl max-h-[92vh] overflow-y-auto rounded-2xl border border-white/10 bg-[#0b0f17] p-4 shadow-2xl">
+        <div className="mb-3 flex items-center justify-between">
+          <div className="text-lg font-semibold">Expense Approvals</div>
+          <button className="rounded-xl border border-white/10 px-3 py-1 text-sm" onClick={onClose}>
+            Close
+          </button>
+        </div>
+
+        <div className="mb-4 flex flex-wrap items-end gap-2 rounded-2xl border border-white/10 p-3">
+          <label className="grid gap-1">
+            <span className="text-xs text-gray-400">Approval needed above (KES)</span>
+            <input
+              type="number"
+              min={0}
+              value={threshold}
+              onChange={(e) => setThreshold(e.target.value)}
+              className="w-40 rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm"
+              placeholder="Off"
+            />
+          </label>
+          <button
+            className="inline-flex items-center gap-2 rounded-xl border border-white/10 px-3 py-2 text-sm disabled:opacity-50"
+            onClick={saveLimit}
+            disabled={savingLimit}
+          >
+            <Save size={14} /> Save limit
+          </button>
+          <div className="ml-auto text-sm text-white/70">
+            {rows.length} pending · {formatMoney(total)}
+          </div>
+        </div>
+
+        <div className="rounded-2xl border border-white/10 overflow-x-auto">
+          <table className="w-full min-w-[720px] text-sm">
+            <thead className="bg-white/5">
+              <tr>
+                <th className="px-3 py-2 text-left">Date</th>
+                <th className="px-3 py-2 text-left">Expense</th>
+                <th className="px-3 py-2 text-left">Entered by</th>
+                <th className="px-3 py-2 text-left">Receipt</th>
+                <th className="px-3 py-2 text-right">Amount</th>
+                <th className="px-3 py-2 text-right">Decision</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => {
+                const receipts = Array.isArray(r.receipts) ? r.receipts : [];
+                return (
+                  <tr key={r.id} className="border-t border-white/10">
+                    <td className="px-3 py-2">{String(r.date || "").slice(0, 10)}</td>
+                    <td className="px-3 py-2">
+                      {r.description}
+                      <div className="text-xs text-white/50">
+                        {categoryName(categories, r.category)} · {r.payment_method}
+                      </div>
+                    </td>
+                    <td className="px-3 py-2">{r.created_by_name || r.user_name || "-"}</td>
+                    <td className="px-3 py-2">
+                      {receipts.length ? (
+                        <button
+                          className="h-9 w-9 overflow-hidden rounded-md border border-white/10"
+                          onClick={() => setViewing({ receipts, start: 0, title: r.description })}
+                          title="View receipt"
+                        >
+                          <img src={receipts[0].thumbnail_url || receipts[0].url} alt="Receipt" className="h-full w-full object-cover" />
+                        </button>
+                      ) : (
+                        <span className="text-xs text-amber-300">None</span>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-right font-semibold">{formatMoney(r.amount)}</td>
+                    <td className="px-3 py-2 text-right">
+                      <div className="inline-flex gap-2">
+                        <button
+                          className="inline-flex items-center gap-1 rounded-xl bg-emerald-500/20 px-2 py-1 text-xs text-emerald-200 disabled:opacity-50"
+                          disabled={busyId === r.id}
+                          onClick={() => decide(r, true)}
+                        >
+                          <Check size={14} /> Approve
+                        </button>
+                        <button
+                          className="inline-flex items-center gap-1 rounded-xl bg-rose-500/20 px-2 py-1 text-xs text-rose-200 disabled:opacity-50"
+                          disabled={busyId === r.id}
+                          onClick={() => decide(r, false)}
+                        >
+                          <XIcon size={14} /> Reject
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+              {rows.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="px-3 py-8 text-center text-gray-400">
+                    {loading ? "Loading…" : "Nothing waiting for approval"}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {viewing && <ReceiptViewer {...viewing} onClose={() => setViewing(null)} />}
+    </div>
+  );
+}
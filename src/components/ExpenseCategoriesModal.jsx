@@ -0,0 +1,168 @@
+// src/components/ExpenseCategoriesModal.jsx
+import { useEffect, useState } from "react";
+import { Plus, Save } from "lucide-react";
+import { toast } from "react-toastify";
+
+import { listExpenseCategories, saveExpenseCategory } from "../utils/expenseCategories.jsx";
+
+/**
+ * Manage expense categories & monthly budgets (admin).
+ * Suggested categories (no id yet) are created on first save.
+ */
+export default function ExpenseCategoriesModal({ onClose, onChanged }) {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [savingKey, setSavingKey] = useState(null);
+  const [newName, setNewName] = useState("");
+
+  async function load() {
+    setLoading(true);
+    try {
+      const cats = await listExpenseCategories({ include_inactive: true });
+      setRows(cats.map((c) => ({ ...c, monthly_budget: c.monthly_budget ?? "" })));
+    } catch (e) {
+      toast.error(e?.message || "Failed to load categories");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const setRow = (key, patch) => setRows((rs) => rs.map((r) => (r.key === key ? { ...r, ...patch } : r)));
+
+  const save = async (row, patch = {}) => {
+    const next = { ...row, ...patch };
+    setSavingKey(row.key);
+    try {
+      await saveExpenseCategory({
+        ...(row.id ? { id: row.id } : { key: row.key }),
+        name: String(next.name).trim(),
+        monthly_budget: next.monthly_budget === "" ? null : Number(next.monthly_budget),
+        is_active: next.is_active !== false,
+      });
+      toast.success(`${next.name} saved`);
+      await load();
+      onChanged?.();
+    } catch (e) {
+      toast.error(e?.message || "Save failed");
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  const add = async () => {
+    const name = newName.trim();
+    if (!name) return;
+    setSavingKey("__new");
+    try {
+      await saveExpenseCategory({ name, is_active: true });
+      setNewName("");
+      await load();
+      onChanged?.();
+    } catch (e) {
+      toast.error(e?.message || "Save failed");
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 grid place-items-center bg-black/60 p-3">
+      <div className="w-full max-w-2xl max-h-[92vh] overflow-y-auto rounded-2xl border border-white/10 bg-[#0b0f17] p-4 shadow-2xl">
+        <div className="mb-3 flex items-center justify-between">
+          <div className="text-lg font-semibold">Expense Categories & Budgets</div>
+          <button className="rounded-xl border border-white/10 px-3 py-1 text-sm" onClick={onClose}>
+            Close
+          </button>
+        </div>
+
+        <div className="rounded-2xl border border-white/10 overflow-x-auto">
+          <table className="w-full min-w-[520px] text-sm">
+            <thead className="bg-white/5">
+              <tr>
+                <th className="px-3 py-2 text-left">Category</th>
+                <th className="px-3 py-2 text-right">Monthly budget (KES)</th>
+                <th className="px-3 py-2 text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.key} className={`border-t border-white/10 ${r.is_active === false ? "text-white/40" : ""}`}>
+                  <td className="px-3 py-2">
+                    <input
+                      value={r.name}
+                      onChange={(e) => setRow(r.key, { name: e.target.value })}
+                      className="w-full rounded-xl bg-black/20 border border-white/10 px-3 py-1.5 text-sm"
+                    />
+                    {!r.id && <div className="mt-0.5 text-[11px] text-white/50">Suggested — save to use it</div>}
+                  </td>
+                  <td className="px-3 py-2 text-right">
+                    <input
+                      type="number"
+                      min={0}
+                      value={r.monthly_budget}
+                      onChange={(e) => setRow(r.key, { monthly_budget: e.target.value })}
+                      className="w-32 rounded-xl bg-black/20 border border-white/10 px-3 py-1.5 text-right text-sm"
+                      placeholder="No budget"
+                    />
+                  </td>
+                  <td className="px-3 py-2 text-right">
+                    <div className="inline-flex items-center gap-2">
+                      {r.id && (
+                        <button
+                          className="rounded-lg border border-white/10 px-2 py-0.5 text-xs"
+                          onClick={() => save(r, { is_active: r.is_active === false })}
+                          disabled={savingKey === r.key}
+                        >
+                          {r.is_active === false ? "Activate" : "Deactivate"}
+                        </button>
+                      )}
+                      <button
+                        className="icon-btn"
+                        title="Save"
+                        onClick={() => save(r)}
+                        disabled={savingKey === r.key || !String(r.name).trim()}
+                      >
+                        <Save size={14} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+              {rows.length === 0 && (
+                <tr>
+                  <td colSpan={3} className="px-3 py-8 text-center text-gray-400">
+                    {loading ? "Loading…" : "No categories"}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="mt-3 flex gap-2">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && add()}
+            className="flex-1 rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm"
+            placeholder="New category, e.g. Security"
+          />
+          <button
+            className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 text-sm disabled:opacity-50"
+            onClick={add}
+            disabled={!newName.trim() || savingKey === "__new"}
+          >
+            <Plus size={16} /> Add
+          </button>
+        </div>
+        <p className="mt-2 text-xs text-white/50">
+          COGS purchases keep their own category and are not budgeted here. Deactivated categories stay on past expenses.
+        </p>
+      </div>
+    </div>
+  );
+}
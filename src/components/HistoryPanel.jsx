@@ -0,0 +1,113 @@
+// src/components/HistoryPanel.jsx — who changed this record, when, and what (audit.view only)
+import { useEffect, useState } from "react";
+import { History, ChevronDown, ChevronRight, Loader2 } from "lucide-react";
+import { useUser } from "../contexts/UserContext.jsx";
+import { ACTIONS, diffChanges, entityLabel, formatAuditTime, formatValue, listAuditLogs } from "../utils/audit.jsx";
+
+/**
+ * HistoryPanel
+ * - entityType / entityId: the record (e.g. "sale", 42)
+ * - includeChildren: also list changes to child records (a sale's payments)
+ * - defaultOpen: start expanded (collapsed panels load on first open)
+ */
+export default function HistoryPanel({ entityType, entityId, includeChildren = false, defaultOpen = false }) {
+  const { can } = useUser();
+  const allowed = can("audit.view");
+  const [open, setOpen] = useState(defaultOpen);
+  const [loading, setLoading] = useState(false);
+  const [logs, setLogs] = useState(null);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    if (!open || !allowed || !entityId || logs) return;
+    const ctrl = new AbortController();
+    setLoading(true);
+    listAuditLogs(
+      {
+        entity_type: entityType,
+        entity_id: entityId,
+        ...(includeChildren ? { include_children: true } : {}),
+        per_page: 100,
+      },
+      { signal: ctrl.signal }
+    )
+      .then((res) => !ctrl.signal.aborted && setLogs(res.data))
+      .catch((e) => !ctrl.signal.aborted && setErr(e?.message || "Failed to load history"))
+      .finally(() => !ctrl.signal.aborted && setLoading(false));
+    return () => ctrl.abort();
+  }, [open, allowed, entityType, entityId, includeChildren, logs]);
+
+  if (!allowed || !entityId) return null;
+
+  return (
+    <div className="mt-4 rounded-2xl border border-white/10">
+      <button
+        type="button"
+        className="flex w-full items-center justify-between gap-2 px-3 py-2 text-sm"
+        onClick={() => setOpen((o) => !o)}
+      >
+        <span className="inline-flex items-center gap-2">
+          <History size={16} /> History
+          {logs && <span className="text-xs text-white/50">({logs.length})</span>}
+        </span>
+        {open ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+      </button>
+
+      {open && (
+        <div className="max-h-72 overflow-y-auto border-t border-white/10 px-3 py-2">
+          {loading ? (
+            <div className="flex items-center gap-2 text-sm text-white/60">
+              <Loader2 size={14} className="animate-spin" /> Loading…
+            </div>
+          ) : err ? (
+            <div className="text-sm text-rose-300">{err}</div>
+          ) : !logs?.length ? (
+            <div className="text-sm text-white/60">No changes recorded.</div>
+          ) : (
+            <ol className="grid gap-3">
+              {logs.map((log) => (
+                <LogItem key={log.id} log={log} showEntity={log.entity_type !== entityType} />
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function LogItem({ log, showEntity = false }) {
+  const action = ACTIONS[log.action] || { label: log.action, cls: "bg-white/10 text-white/70" };
+  const changes = log.action === "update" ? diffChanges(log) : [];
+  return (
+    <li className="text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className={`inline-flex rounded-full px-2 py-0.5 text-xs ${action.cls}`}>{action.label}</span>
+        {showEntity && (
+          <span className="text-white/70">
+            {entityLabel(log.entity_type)} {log.entity_label || `#${log.entity_id}`}
+          </span>
+        )}
+        <span className="font-medium">{log.actor_name || (log.actor_id ? `User #${log.actor_id}` : "System")}</span>
+        <span className="text-xs text-white/50">{formatAuditTime(log.created_at)}</span>
+      </div>
+      {changes.length > 0 && <DiffTable changes={changes} />}
+    </li>
+  );
+}
+
+export function DiffTable({ changes }) {
+  return (
+    <table className="mt-1 w-full text-xs">
+      <tbody>
+        {changes.map((c) => (
+          <tr key={c.field} className="border-t border-white/5 align-top">
+            <td className="py-1 pr-2 text-white/60 whitespace-nowrap">{c.field.replace(/_/g, " ")}</td>
+            <td className="py-1 pr-2 text-rose-300/90 line-through break-all">{formatValue(c.before)}</td>
+            <td className="py-1 text-emerald-300 break-all">{formatValue(c.after)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
@@ -0,0 +1,17 @@
+// src/components/Modal.jsx — centred dialog with a title bar and a Close button
+/** Tall content scrolls inside the dialog */
+export default function Modal({ title, children, onClose }) {
+  return (
+    <div className="fixed inset-0 z-50 grid place-items-center bg-black/60 p-3">
+      <div className="w-full max-w-3xl max-h-[92vh] overflow-y-auto rounded-2xl border border-white/10 bg-[#0b0f17] p-4 shadow-2xl">
+        <div className="mb-3 flex items-center justify-between">
+          <div className="text-lg font-semibold">{title}</div>
+          <button className="rounded-xl border border-white/10 px-3 py-1 text-sm" onClick={onClose}>
+            Close
+          </button>
+        </div>
+        {children}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+// src/components/MpesaCodeField.jsx — M-Pesa transaction code input (uppercased; validated as you type)
+import { isValidMpesaCode, normalizeMpesaCode } from "../utils/mpesa.jsx";
+
+export default function MpesaCodeField({ value, onChange, className = "" }) {
+  const code = normalizeMpesaCode(value);
+  const invalid = code.length > 0 && !isValidMpesaCode(code);
+  return (
+    <label className={`grid gap-1 ${className}`}>
+      <span className="text-xs text-white/60">M-Pesa Code</span>
+      <input
+        value={code}
+        onChange={(e) => onChange(normalizeMpesaCode(e.target.value))}
+        maxLength={10}
+        placeholder="e.g. SGH4K7XQ2P"
+        autoCapitalize="characters"
+        className={`rounded-xl bg-black/20 border px-3 py-2 text-sm font-mono tracking-wider ${
+          invalid ? "border-rose-400/60" : "border-white/10"
+        }`}
+      />
+      <span className={`text-xs ${invalid ? "text-rose-300" : "text-white/50"}`}>
+        {invalid
+          ? "10 letters/digits, starting with a letter"
+          : "Required — from the customer’s M-Pesa confirmation SMS"}
+      </span>
+    </label>
+  );
+}
@@ -2,11 +2,12 @@
 import React, { useEffect, useState } from "react";
 import { NavLink, useNavigate, useLocation } from "react-router-dom";
 import { useUser } from "../contexts/UserContext.jsx";
+import { homePathFor } from "../utils/permissions.jsx";
 import * as Tooltip from "@radix-ui/react-tooltip";
 import {
   FiMenu, FiX, FiChevronLeft, FiChevronRight,
   FiShoppingCart, FiDollarSign, FiUsers, FiBox, FiArchive,
-  FiBarChart2, FiUserCheck, FiLogOut, FiLogIn
+  FiBarChart2, FiUserCheck, FiLogOut, FiLogIn, FiClock, FiCheckSquare, FiActivity, FiTruck, FiLayers, FiDroplet, FiShoppingBag, FiTrendingUp
 } from "react-icons/fi";
 import { toast } from "react-toastify";
 
@@ -21,45 +22,32 @@ const BRAND =
   (typeof process !== "undefined" && process.env?.REACT_APP_BRAND_NAME) ||
   "Blue Bash";
 
-/* ---------- role helpers ---------- */
-function normalizeRole(user) {
-  return (user?.role_slug || user?.role || "")
-    .toString()
-    .trim()
-    .toLowerCase();
-}
-function roleFlags(user, ctxOverallAdmin) {
-  const r = normalizeRole(user);
-  const isOverall =
-    !!ctxOverallAdmin ||
-    user?.is_overall_admin === true ||
-    user?.is_super_admin === true ||
-    r === "overall_admin" || r === "overall-admin" || r === "superadmin";
-  const isAdmin = user?.is_admin === true || r === "admin";
-  const isCashier = r === "cashier" || r === "server";
-  return { isOverall, isAdmin, isCashier };
-}
-
 export default function NavBar() {
   const navigate = useNavigate();
   const location = useLocation();
-  const { user, logout, isLoggedIn, isOverallAdmin } = useUser();
-  const { isOverall, isAdmin, isCashier } = roleFlags(user, isOverallAdmin);
-
-  const showCashierSection = isCashier || isAdmin || isOverall; // admins can also access cashier tools
-  const showAdminSection = isAdmin || isOverall;
+  const { user, logout, isLoggedIn, can } = useUser();
 
+  // each link shows only if the user's role grants its capability (utils/permissions.jsx)
   const cashierLinks = [
-    { to: "/cashier/sale", icon: <FiShoppingCart />, label: "Sale" },
-    { to: "/cashier/customers", icon: <FiUsers />, label: "Customers" },
-    { to: "/cashier/expenses", icon: <FiArchive />, label: "Expenses" },
-    { to: "/cashier/stock", icon: <FiBox />, label: "Stock" },
-  ];
+    { to: "/cashier/sale", icon: <FiShoppingCart />, label: "Sale", cap: "sale.view" },
+    { to: "/cashier/dispatch", icon: <FiTruck />, label: "Dispatch", cap: "sale.dispatch" },
+    { to: "/cashier/customers", icon: <FiUsers />, label: "Customers", cap: "customer.view" },
+    { to: "/cashier/expenses", icon: <FiArchive />, label: "Expenses", cap: "expense.view" },
+    { to: "/cashier/stock", icon: <FiBox />, label: "Stock", cap: "stock.view" },
+  ].filter((l) => can(l.cap));
   const adminLinks = [
-    { to: "/admin/dashboard", icon: <FiBarChart2 />, label: "Dashboard" },
-    { to: "/admin/packaging", icon: <FiArchive />, label: "Packaging" },
-    { to: "/admin/users", icon: <FiUserCheck />, label: "Users & Devices" },
-  ];
+    { to: "/admin/dashboard", icon: <FiBarChart2 />, label: "Dashboard", cap: "dashboard.view" },
+    { to: "/admin/packaging", icon: <FiArchive />, label: "Packaging", cap: "packaging.manage" },
+    { to: "/admin/materials", icon: <FiLayers />, label: "Materials", cap: "materials.manage" },
+    { to: "/admin/purchasing", icon: <FiShoppingBag />, label: "Purchasing", cap: "purchasing.manage" },
+    { to: "/admin/quality", icon: <FiDroplet />, label: "Quality", cap: "quality.manage" },
+    { to: "/admin/pnl", icon: <FiTrendingUp />, label: "Profit & Loss", cap: "reports.pnl" },
+    { to: "/admin/receivables", icon: <FiClock />, label: "Receivables", cap: "reports.view" },
+    { to: "/admin/mpesa", icon: <FiCheckSquare />, label: "M-Pesa Recon", cap: "reports.view" },
+    { to: "/admin/activity", icon: <FiActivity />, label: "Activity", cap: "audit.view" },
+    { to: "/admin/users", icon: <FiUserCheck />, label: "Users & Devices", cap: "users.view" },
+  ].filter((l) => can(l.cap));
+  const home = homePathFor(user);
 
   // mobile drawer
   const [open, setOpen] = useState(false);
@@ -86,15 +74,14 @@ export default function NavBar() {
     return () => window.removeEventListener("keydown", onKey);
   }, []);
 
-  // Redirect after login by role (Admin→/admin/dashboard, Cashier→/cashier/sale)
+  // Redirect after login to the role's landing page (ROLES[role].home)
   useEffect(() => {
     if (!isLoggedIn) return;
     const p = location.pathname;
-    if (p === "/" || p === "/dashboard" || p === "/admin") {
-      if (isAdmin || isOverall) navigate("/admin/dashboard", { replace: true });
-      else if (isCashier) navigate("/cashier/sale", { replace: true });
+    if ((p === "/" || p === "/dashboard" || p === "/admin") && home !== "/") {
+      navigate(home, { replace: true });
     }
-  }, [isLoggedIn, isAdmin, isOverall, isCashier, location.pathname, navigate]);
+  }, [isLoggedIn, home, location.pathname, navigate]);
 
   // logout with toasts
   const handleLogout = async () => {
@@ -121,11 +108,7 @@ export default function NavBar() {
     }
   };
 
-  const handleBrandClick = () => {
-    if (isAdmin || isOverall) navigate("/admin/dashboard");
-    else if (isCashier) navigate("/cashier/sale");
-    else navigate("/");
-  };
+  const handleBrandClick = () => navigate(isLoggedIn ? home : "/");
 
   return (
     <>
@@ -157,8 +140,8 @@ export default function NavBar() {
         </div>
 
         <div className="flex-1 overflow-y-auto [mask-image:linear-gradient(to_bottom,black,black,transparent)]">
-          <NavSection title="Cashier" show={showCashierSection} links={cashierLinks} collapsed={collapsed} />
-          <NavSection title="Admin" show={showAdminSection} links={adminLinks} collapsed={collapsed} />
+          <NavSection title="Cashier" show={cashierLinks.length > 0} links={cashierLinks} collapsed={collapsed} />
+          <NavSection title="Admin" show={adminLinks.length > 0} links={adminLinks} collapsed={collapsed} />
         </div>
 
         {/* user footer + logout / sign-in */}
@@ -258,8 +241,8 @@ export default function NavBar() {
               </button>
             </div>
 
-            <NavSection title="Cashier" show={showCashierSection} links={cashierLinks} onNavigate={() => setOpen(false)} />
-            <NavSection title="Admin" show={showAdminSection} links={adminLinks} onNavigate={() => setOpen(false)} />
+            <NavSection title="Cashier" show={cashierLinks.length > 0} links={cashierLinks} onNavigate={() => setOpen(false)} />
+            <NavSection title="Admin" show={adminLinks.length > 0} links={adminLinks} onNavigate={() => setOpen(false)} />
 
             <div className="mt-6 rounded-xl border border-white/10 bg-white/5 px-3 py-2">
               <div className="flex items-center gap-2">
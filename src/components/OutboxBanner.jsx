@@ -0,0 +1,128 @@
+// src/components/OutboxBanner.jsx — offline outbox status: pending count, sync button, conflicts
+import { useEffect, useRef, useState } from "react";
+import { CloudOff, RefreshCcw, AlertTriangle, RotateCcw, Trash2 } from "lucide-react";
+import Swal from "sweetalert2";
+import { toast } from "react-toastify";
+import { useSaleContext } from "../contexts/SaleContext.jsx";
+
+const KIND_LABEL = { sale: "Sale", payment: "Payment", expense: "Expense" };
+
+/**
+ * Shows what is still waiting in the offline outbox.
+ * - `kinds` limits the banner to the entry kinds relevant to the page
+ * - Conflicts (server rejected the replay) are listed with Retry / Discard
+ */
+export default function OutboxBanner({ kinds = ["sale", "payment", "expense"] }) {
+  const { outbox, syncing, lastSync, syncOutbox, retryOutboxEntry, discardOutboxEntry } =
+    useSaleContext();
+  const [online, setOnline] = useState(() =>
+    typeof navigator === "undefined" ? true : navigator.onLine !== false
+  );
+
+  useEffect(() => {
+    const on = () => setOnline(true);
+    const off = () => setOnline(false);
+    window.addEventListener("online", on);
+    window.addEventListener("offline", off);
+    return () => {
+      window.removeEventListener("online", on);
+      window.removeEventListener("offline", off);
+    };
+  }, []);
+
+  // Report replay results once per sync run (not again when the page remounts)
+  const seenSyncRef = useRef(lastSync);
+  useEffect(() => {
+    if (!lastSync || seenSyncRef.current === lastSync) return;
+    seenSyncRef.current = lastSync;
+    if (lastSync.synced) toast.success(`Synced ${lastSync.synced} offline ${lastSync.synced === 1 ? "entry" : "entries"}`);
+    if (lastSync.conflicts) toast.error(`${lastSync.conflicts} offline ${lastSync.conflicts === 1 ? "entry was" : "entries were"} rejected — review below`);
+  }, [lastSync]);
+
+  const rows = (outbox || []).filter((e) => kinds.includes(e.kind));
+  const pending = rows.filter((e) => e.status === "pending");
+  const conflicts = rows.filter((e) => e.status === "conflict");
+
+  if (online && rows.length === 0) return null;
+
+  const discard = async (entry) => {
+    const r = await Swal.fire({
+      title: `Discard this ${(KIND_LABEL[entry.kind] || "entry").toLowerCase()}?`,
+      text: "It was never saved on the server and will be lost.",
+      icon: "warning",
+      showCancelButton: true,
+      confirmButtonText: "Discard",
+      confirmButtonColor: "#ef4444",
+    });
+    if (r.isConfirmed) discardOutboxEntry(entry.id).catch(() => {});
+  };
+
+  return (
+    <div className="mb-4 rounded-2xl border border-amber-500/30 bg-amber-500/10 p-3 text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="inline-flex items-center gap-2 text-amber-200">
+          <CloudOff size={16} />
+          {!online ? "Offline — new entries are saved on this device. " : ""}
+          {pending.length
+            ? `${pending.length} pending sync`
+            : conflicts.length
+            ? "Nothing pending"
+            : "Nothing waiting to sync"}
+          {conflicts.length ? ` • ${conflicts.length} conflict${conflicts.length === 1 ? "" : "s"}` : ""}
+        </div>
+        {pending.length > 0 && (
+          <button
+            className="inline-flex items-center gap-2 rounded-xl border border-white/10 px-3 py-1.5 hover:bg-white/10 disabled:opacity-50"
+            onClick={() => syncOutbox().catch(() => {})}
+            disabled={!online || syncing}
+            title="Send queued entries to the server now"
+          >
+            <RefreshCcw size={14} className={syncing ? "animate-spin" : ""} />
+            {syncing ? "Syncing…" : "Sync now"}
+          </button>
+        )}
+      </div>
+
+      {conflicts.length > 0 && (
+        <ul className="mt-3 grid gap-2">
+          {conflicts.map((e) => (
+            <li
+              key={e.id}
+              className="flex flex-wrap items-center justify-between gap-2 rounded-xl border border-rose-500/30 bg-rose-500/10 px-3 py-2"
+            >
+              <div className="min-w-0">
+                <div className="inline-flex items-center gap-2 text-rose-200">
+                  <AlertTriangle size={14} />
+                  {KIND_LABEL[e.kind] || e.kind} • {describeEntry(e)}
+                </div>
+                <div className="text-xs text-rose-300/80 truncate">{e.error || "Rejected by server"}</div>
+              </div>
+              <div className="inline-flex gap-2">
+                <button
+                  className="icon-btn"
+                  title="Retry"
+                  disabled={!online || syncing}
+                  onClick={() => retryOutboxEntry(e.id).catch(() => {})}
+                >
+                  <RotateCcw size={16} />
+                </button>
+                <button className="icon-btn text-rose-300" title="Discard" onClick={() => discard(e)}>
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function describeEntry(e) {
+  const when = new Date(e.created_at).toLocaleString();
+  const b = e.body || {};
+  if (e.kind === "sale") return `${b.customer_name || e.meta?.customer_name || "Walk-in"} (${b.sale_type || "normal"}) — ${when}`;
+  if (e.kind === "payment") return `KES ${b.amount} ${b.payment_method || ""} on sale #${e.meta?.sale_id ?? "?"} — ${when}`;
+  if (e.kind === "expense") return `${b.description || "Expense"} KES ${b.amount} — ${when}`;
+  return when;
+}
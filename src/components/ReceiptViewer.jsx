@@ -0,0 +1,76 @@
+// src/components/ReceiptViewer.jsx
+import { useEffect, useState } from "react";
+import { ChevronLeft, ChevronRight, ExternalLink, X } from "lucide-react";
+
+/**
+ * Full-size viewer for an expense's receipt photos.
+ * receipts: [{ id, url, thumbnail_url }], start: index to open on.
+ */
+export default function ReceiptViewer({ receipts = [], start = 0, title, onClose }) {
+  const [i, setI] = useState(start);
+  const current = receipts[i];
+  const many = receipts.length > 1;
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === "Escape") onClose();
+      if (e.key === "ArrowLeft") setI((n) => (n - 1 + receipts.length) % receipts.length);
+      if (e.key === "ArrowRight") setI((n) => (n + 1) % receipts.length);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [receipts.length, onClose]);
+
+  if (!current) return null;
+
+  return (
+    <div className="fixed inset-0 z-[60] flex flex-col bg-black/90 p-3" onClick={onClose}>
+      <div className="mb-2 flex items-center justify-between gap-2 text-sm text-white/80" onClick={(e) => e.stopPropagation()}>
+        <div className="truncate">
+          {title}
+          {many ? ` · ${i + 1} / ${receipts.length}` : ""}
+        </div>
+        <div className="flex items-center gap-2">
+          <a href={current.url} target="_blank" rel="noreferrer" className="icon-btn" title="Open original">
+            <ExternalLink size={16} />
+          </a>
+          <button className="icon-btn" onClick={onClose} title="Close">
+            <X size={18} />
+          </button>
+        </div>
+      </div>
+      <div className="relative flex min-h-0 flex-1 items-center justify-center">
+        <img
+          src={current.url}
+          alt="Receipt"
+          className="max-h-full max-w-full rounded-lg object-contain"
+          onClick={(e) => e.stopPropagation()}
+        />
+        {many && (
+          <>
+            <button
+              className="absolute left-1 top-1/2 -translate-y-1/2 rounded-full bg-black/60 p-2"
+              onClick={(e) => {
+                e.stopPropagation();
+                setI((n) => (n - 1 + receipts.length) % receipts.length);
+              }}
+              title="Previous"
+            >
+              <ChevronLeft size={20} />
+            </button>
+            <button
+              className="absolute right-1 top-1/2 -translate-y-1/2 rounded-full bg-black/60 p-2"
+              onClick={(e) => {
+                e.stopPropagation();
+                setI((n) => (n + 1) % receipts.length);
+              }}
+              title="Next"
+            >
+              <ChevronRight size={20} />
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
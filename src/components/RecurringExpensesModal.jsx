@@ -0,0 +1,300 @@
+// src/components/RecurringExpensesModal.jsx
+import { useEffect, useState } from "react";
+import { Plus, Edit2 } from "lucide-react";
+import { toast } from "react-toastify";
+
+import { categoryName } from "../utils/expenseCategories.jsx";
+import {
+  FREQUENCIES,
+  WEEKDAYS,
+  listRecurringExpenses,
+  saveRecurringExpense,
+  scheduleLabel,
+} from "../utils/recurringExpenses.jsx";
+import { formatMoney } from "../utils/format.jsx";
+import { inputCls } from "./formStyles.jsx";
+
+/**
+ * Manage recurring expense templates (rent, salaries, electricity…).
+ * Drafts they generate are confirmed from the Expenses page (RecurringExpensesPanel).
+ */
+export default function RecurringExpensesModal({ categories = [], today, onClose, onChanged }) {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [editing, setEditing] = useState(null); // {} for new
+
+  async function load() {
+    setLoading(true);
+    try {
+      setRows(await listRecurringExpenses({ include_inactive: true }));
+    } catch (e) {
+      toast.error(e?.message || "Failed to load recurring expenses");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const changed = async () => {
+    setEditing(null);
+    await load();
+    onChanged?.();
+  };
+
+  const toggleActive = async (t) => {
+    try {
+      await saveRecurringExpense({ id: t.id, is_active: t.is_active === false });
+      await changed();
+    } catch (e) {
+      toast.error(e?.message || "Update failed");
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 grid place-items-center bg-black/60 p-3">
+      <div className="w-full max-w-3xl max-h-[92vh] overflow-y-auto rounded-2xl border border-white/10 bg-[#0b0f17] p-4 shadow-2xl">
+        <div className="mb-3 flex items-center justify-between">
+          <div className="text-lg font-semibold">Recurring Expenses</div>
+          <button className="rounded-xl border border-white/10 px-3 py-1 text-sm" onClick={onClose}>
+            Close
+          </button>
+        </div>
+
+        {editing ? (
+          <TemplateForm
+            record={editing}
+            categories={categories}
+            today={today}
+            onCancel={() => setEditing(null)}
+            onSaved={changed}
+          />
+        ) : (
+          <>
+            <div className="mb-3 flex justify-end">
+              <button
+                className="inline-flex items-center gap-1 rounded-xl bg-white text-gray-900 px-3 py-1.5 text-sm"
+                onClick={() => setEditing({})}
+              >
+                <Plus size={14} /> New template
+              </button>
+            </div>
+            <div className="rounded-2xl border border-white/10 overflow-x-auto">
+              <table className="w-full min-w-[640px] text-sm">
+                <thead className="bg-white/5">
+                  <tr>
+                    <th className="px-3 py-2 text-left">Expense</th>
+                    <th className="px-3 py-2 text-left">Schedule</th>
+                    <th className="px-3 py-2 text-right">Amount</th>
+                    <th className="px-3 py-2 text-left">Last handled</th>
+                    <th className="px-3 py-2 text-right">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((t) => (
+                    <tr key={t.id} className={`border-t border-white/10 ${t.is_active === false ? "text-white/40" : ""}`}>
+                      <td className="px-3 py-2">
+                        {t.description}
+                        <div className="text-xs text-white/50">
+                          {categoryName(categories, t.category)} · {t.payment_method}
+                        </div>
+                      </td>
+                      <td className="px-3 py-2">
+                        {scheduleLabel(t)}
+                        <div className="text-xs text-white/50">
+                          from {t.start_date}
+                          {t.end_date ? ` to ${t.end_date}` : ""}
+                        </div>
+                      </td>
+                      <td className="px-3 py-2 text-right">{formatMoney(t.amount)}</td>
+                      <td className="px-3 py-2">{t.last_occurrence || "—"}</td>
+                      <td className="px-3 py-2 text-right">
+                        <div className="inline-flex items-center gap-2">
+                          <button className="rounded-lg border border-white/10 px-2 py-0.5 text-xs" onClick={() => toggleActive(t)}>
+                            {t.is_active === false ? "Resume" : "Pause"}
+                          </button>
+                          <button className="icon-btn" title="Edit" onClick={() => setEditing(t)}>
+                            <Edit2 size={14} />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                  {rows.length === 0 && (
+                    <tr>
+                      <td colSpan={5} className="px-3 py-8 text-center text-gray-400">
+                        {loading ? "Loading…" : "No recurring expenses yet"}
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function TemplateForm({ record, categories, today, onCancel, onSaved }) {
+  const [form, setForm] = useState(() => ({
+    description: record.description || "",
+    category: record.category || "",
+    amount: record.amount ?? "",
+    payment_method: record.payment_method || "Cash",
+    frequency: record.frequency || "monthly",
+    weekday: record.weekday ?? 1,
+    day_of_month: record.day_of_month ?? 1,
+    interval_days: record.interval_days ?? 14,
+    start_date: record.start_date || today,
+    end_date: record.end_date || "",
+  }));
+  const [saving, setSaving] = useState(false);
+  const set = (patch) => setForm((s) => ({ ...s, ...patch }));
+
+  const canSave =
+    !saving &&
+    form.description.trim() &&
+    form.category &&
+    Number(form.amount) > 0 &&
+    form.start_date &&
+    (!form.end_date || form.end_date >= form.start_date) &&
+    (form.frequency !== "custom" || Number(form.interval_days) >= 1);
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await saveRecurringExpense({
+        ...(record.id ? { id: record.id } : { is_active: true }),
+        description: form.description.trim(),
+        category: form.category,
+        amount: Number(form.amount),
+        payment_method: form.payment_method,
+        frequency: form.frequency,
+        ...(form.frequency === "weekly" ? { weekday: Number(form.weekday) } : {}),
+        ...(form.frequency === "monthly" ? { day_of_month: Number(form.day_of_month) } : {}),
+        ...(form.frequency === "custom" ? { interval_days: Math.floor(Number(form.interval_days)) } : {}),
+        start_date: form.start_date,
+        end_date: form.end_date || null,
+      });
+      toast.success("Recurring expense saved");
+      onSaved();
+    } catch (e) {
+      toast.error(e?.message || "Save failed");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="grid gap-3 sm:grid-cols-2">
+      <label className="grid gap-1 sm:col-span-2">
+        <span className="text-xs text-gray-400">Description</span>
+        <input value={form.description} onChange={(e) => set({ description: e.target.value })} className={inputCls} placeholder="e.g. Plant rent" />
+      </label>
+      <label className="grid gap-1">
+        <span className="text-xs text-gray-400">Category</span>
+        <select value={form.category} onChange={(e) => set({ category: e.target.value })} className={inputCls}>
+          <option value="" disabled>
+            Select category
+          </option>
+          {categories.map((c) => (
+            <option key={c.key} value={c.key}>
+              {c.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <div className="grid grid-cols-2 gap-3">
+        <label className="grid gap-1">
+          <span className="text-xs text-gray-400">Amount</span>
+          <input type="number" min={0} value={form.amount} onChange={(e) => set({ amount: e.target.value })} className={inputCls} />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-gray-400">Method</span>
+          <select value={form.payment_method} onChange={(e) => set({ payment_method: e.target.value })} className={inputCls}>
+            <option value="Cash">Cash</option>
+            <option value="M-Pesa">M-Pesa</option>
+          </select>
+        </label>
+      </div>
+      <label className="grid gap-1">
+        <span className="text-xs text-gray-400">Repeats</span>
+        <select value={form.frequency} onChange={(e) => set({ frequency: e.target.value })} className={inputCls}>
+          {Object.entries(FREQUENCIES).map(([k, label]) => (
+            <option key={k} value={k}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {form.frequency === "weekly" && (
+        <label className="grid gap-1">
+          <span className="text-xs text-gray-400">On</span>
+          <select value={form.weekday} onChange={(e) => set({ weekday: e.target.value })} className={inputCls}>
+            {WEEKDAYS.map((d, i) => (
+              <option key={d} value={i}>
+                {d}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      {form.frequency === "monthly" && (
+        <label className="grid gap-1">
+          <span className="text-xs text-gray-400">Day of month</span>
+          <input
+            type="number"
+            min={1}
+            max={31}
+            value={form.day_of_month}
+            onChange={(e) => set({ day_of_month: e.target.value })}
+            className={inputCls}
+          />
+          {Number(form.day_of_month) > 28 && <span className="text-[11px] text-white/50">Shorter months use their last day.</span>}
+        </label>
+      )}
+      {form.frequency === "custom" && (
+        <label className="grid gap-1">
+          <span className="text-xs text-gray-400">Every (days)</span>
+          <input
+            type="number"
+            min={1}
+            value={form.interval_days}
+            onChange={(e) => set({ interval_days: e.target.value })}
+            className={inputCls}
+          />
+        </label>
+      )}
+      <label className="grid gap-1">
+        <span className="text-xs text-gray-400">Starts</span>
+        <input type="date" value={form.start_date} onChange={(e) => set({ start_date: e.target.value })} className={inputCls} />
+      </label>
+      <label className="grid gap-1">
+        <span className="text-xs text-gray-400">Ends (optional)</span>
+        <input
+          type="date"
+          value={form.end_date}
+          min={form.start_date}
+          onChange={(e) => set({ end_date: e.target.value })}
+          className={inputCls}
+        />
+      </label>
+      <div className="mt-2 flex justify-end gap-2 sm:col-span-2">
+        <button className="rounded-xl border border-white/10 px-3 py-2" onClick={onCancel}>
+          Back
+        </button>
+        <button
+          disabled={!canSave}
+          className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
+          onClick={save}
+        >
+          {saving ? "Saving…" : "Save"}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+// src/components/RecurringExpensesPanel.jsx
+import { useMemo, useState } from "react";
+import { Check, Repeat, SkipForward, CalendarClock } from "lucide-react";
+
+import { categoryName } from "../utils/expenseCategories.jsx";
+import { dueDrafts, upcomingObligations } from "../utils/recurringExpenses.jsx";
+import { formatMoney } from "../utils/format.jsx";
+
+/**
+ * Recurring expenses on the Expenses page:
+ * - drafts due up to today, each confirmed (amount/method adjustable) or skipped — oldest first
+ *   per template: the server keeps only a high-water mark (`last_occurrence`), so handling a
+ *   later date would drop the earlier ones unrecorded
+ * - upcoming obligations for the next 30 days
+ * `queued` (draft keys with an offline expense waiting to sync) and `handled` (confirmed /
+ * skipped this session) hide drafts the server hasn't caught up with yet.
+ */
+export default function RecurringExpensesPanel({ templates, categories = [], queued, today, canConfirm, onConfirm, onSkip }) {
+  const [edits, setEdits] = useState({}); // key → { amount, payment_method }
+  const [busy, setBusy] = useState(null);
+  const [handled, setHandled] = useState(() => new Set());
+  const [showUpcoming, setShowUpcoming] = useState(false);
+
+  const drafts = useMemo(
+    () => dueDrafts(templates, today).filter((d) => !handled.has(d.key) && !queued?.has(d.key)),
+    [templates, today, handled, queued]
+  );
+  // drafts are sorted oldest first, so the first one seen per template is its oldest
+  const actionable = useMemo(() => {
+    const seen = new Set();
+    return new Set(drafts.filter((d) => !seen.has(d.template.id) && seen.add(d.template.id)).map((d) => d.key));
+  }, [drafts]);
+  const upcoming = useMemo(() => upcomingObligations(templates, today, 30), [templates, today]);
+  const upcomingTotal = upcoming.reduce((a, u) => a + u.amount, 0);
+
+  if (!drafts.length && !upcoming.length) return null;
+
+  const valueOf = (d) => ({
+    amount: edits[d.key]?.amount ?? d.template.amount,
+    payment_method: edits[d.key]?.payment_method ?? d.template.payment_method ?? "Cash",
+  });
+  const setEdit = (key, patch) => setEdits((s) => ({ ...s, [key]: { ...s[key], ...patch } }));
+
+  const run = async (d, fn) => {
+    setBusy(d.key);
+    try {
+      await fn();
+      setHandled((s) => new Set(s).add(d.key));
+    } catch {
+      // the caller already showed the error
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="mb-4 rounded-2xl border border-sky-400/30 bg-sky-500/5 p-3">
+      <div className="mb-2 flex flex-wrap items-center justify-between gap-2 text-sm">
+        <div className="inline-flex items-center gap-2 text-sky-200">
+          <Repeat size={16} />
+          {drafts.length ? `${drafts.length} recurring expense${drafts.length === 1 ? "" : "s"} due to confirm` : "No recurring expenses due"}
+        </div>
+        {upcoming.length > 0 && (
+          <button
+            className="inline-flex items-center gap-1 rounded-xl border border-white/10 px-2 py-1 text-xs hover:bg-white/5"
+            onClick={() => setShowUpcoming((v) => !v)}
+          >
+            <CalendarClock size={14} /> Next 30 days: {upcoming.length} · {formatMoney(upcomingTotal)}
+          </button>
+        )}
+      </div>
+
+      {drafts.length > 0 && (
+        <div className="grid gap-2">
+          {drafts.map((d) => {
+            const v = valueOf(d);
+            const first = actionable.has(d.key);
+            return (
+              <div key={d.key} className="flex flex-wrap items-center gap-2 rounded-xl bg-black/20 px-3 py-2 text-sm">
+                <div className="min-w-[10rem] flex-1">
+                  <div className="font-medium">{d.template.description}</div>
+                  <div className="text-xs text-white/60">
+                    Due {d.occurrence_date} · {categoryName(categories, d.template.category)}
+                  </div>
+                </div>
+                <input
+                  type="number"
+                  min={0}
+                  value={v.amount}
+                  onChange={(e) => setEdit(d.key, { amount: e.target.value })}
+                  className="w-28 rounded-xl bg-black/20 border border-white/10 px-2 py-1.5 text-right text-sm"
+                  disabled={!canConfirm}
+                  title="Adjust if this period's bill differs"
+                />
+                <select
+                  value={v.payment_method}
+                  onChange={(e) => setEdit(d.key, { payment_method: e.target.value })}
+                  className="rounded-xl bg-black/20 border border-white/10 px-2 py-1.5 text-sm"
+                  disabled={!canConfirm}
+                >
+                  <option value="Cash">Cash</option>
+                  <option value="M-Pesa">M-Pesa</option>
+                </select>
+                {canConfirm && (
+                  <div className="inline-flex gap-2" title={first ? undefined : "Confirm or skip the earlier date first"}>
+                    <button
+                      className="inline-flex items-center gap-1 rounded-xl bg-white text-gray-900 px-2 py-1.5 text-xs disabled:opacity-50"
+                      disabled={!first || busy === d.key || !(Number(v.amount) > 0)}
+                      onClick={() => run(d, () => onConfirm(d, { amount: Number(v.amount), payment_method: v.payment_method }))}
+                    >
+                      <Check size={14} /> Confirm
+                    </button>
+                    <button
+                      className="inline-flex items-center gap-1 rounded-xl border border-white/10 px-2 py-1.5 text-xs disabled:opacity-50"
+                      disabled={!first || busy === d.key}
+                      onClick={() => run(d, () => onSkip(d))}
+                      title={first ? "Not paid this period" : undefined}
+                    >
+                      <SkipForward size={14} /> Skip
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {showUpcoming && (
+        <div className="mt-2 grid gap-1 text-xs">
+          {upcoming.map((u) => (
+            <div key={u.key} className="flex justify-between border-t border-white/5 py-1">
+              <span>
+                {u.occurrence_date} · {u.template.description}
+              </span>
+              <span>{formatMoney(u.amount)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+// src/components/StockBadge.jsx — "Low stock" / "Out of stock" pill next to a bottle size
+import { STOCK_STATUS, stockStatus } from "../utils/stockLevels.jsx";
+
+/** Renders nothing while the size is above its threshold */
+export default function StockBadge({ cartons, min }) {
+  const status = stockStatus(cartons, min);
+  if (status === "ok") return null;
+  const s = STOCK_STATUS[status];
+  return (
+    <span
+      className={`ml-2 inline-block rounded-full px-2 py-0.5 text-[11px] whitespace-nowrap ${s.cls}`}
+      title={Number(min) > 0 ? `Minimum ${min} cartons` : undefined}
+    >
+      {s.label}
+    </span>
+  );
+}
@@ -0,0 +1,236 @@
+// src/components/StockLedger.jsx — opening → packaged / sold / returned / adjusted → closing, per bottle size
+import { Fragment, useEffect, useMemo, useState } from "react";
+import { ChevronDown, ChevronRight, Download, Loader2, ScrollText } from "lucide-react";
+import { toast } from "react-toastify";
+import { ADJUSTMENT_REASONS, MOVEMENT_TYPES, buildStockLedger, listStockMovements, movementDay } from "../utils/stockLedger.jsx";
+import { toCsv, downloadCsv } from "../utils/csv.jsx";
+import { monthStartNairobi, todayNairobi } from "../utils/format.jsx";
+import { inputCls } from "./formStyles.jsx";
+
+/**
+ * StockLedger
+ * - balances: stockBalances from PackagingContext (today's cartons on hand per size)
+ * - refreshKey: bump to reload movements (e.g. after the page's Refresh)
+ * Movements are fetched from the range start up to now so the closing balance can be
+ * walked back from what is on hand today.
+ */
+export default function StockLedger({ balances, refreshKey = 0 }) {
+  const [dateFrom, setDateFrom] = useState(() => monthStartNairobi());
+  const [dateTo, setDateTo] = useState(() => todayNairobi());
+  const [sizeId, setSizeId] = useState("");
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState("");
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    const ctrl = new AbortController();
+    setLoading(true);
+    setErr("");
+    listStockMovements({ date_from: dateFrom, ...(sizeId ? { bottle_size_id: sizeId } : {}) }, { signal: ctrl.signal })
+      .then((rows) => !ctrl.signal.aborted && setMovements(rows))
+      .catch((e) => !ctrl.signal.aborted && setErr(e?.message || "Failed to load stock movements"))
+      .finally(() => !ctrl.signal.aborted && setLoading(false));
+    return () => ctrl.abort();
+  }, [dateFrom, sizeId, refreshKey]);
+
+  const rows = useMemo(() => {
+    const all = buildStockLedger(movements, balances, { dateFrom, dateTo });
+    return sizeId ? all.filter((r) => String(r.bottle_size_id) === String(sizeId)) : all;
+  }, [movements, balances, dateFrom, dateTo, sizeId]);
+
+  const exportCsv = () => {
+    if (!rows.length) return toast.info("Nothing to export");
+    const lines = rows.flatMap((r) => [
+      { ...r, kind: "Opening", day: dateFrom, qty: "", balance: r.opening },
+      ...r.movements.map((m) => ({
+        ...r,
+        kind: MOVEMENT_TYPES[m.type]?.label || m.type,
+        day: movementDay(m),
+        qty: m.cartons,
+        reference: m.reference || "",
+        note: [ADJUSTMENT_REASONS[m.reason] || m.reason, m.note].filter(Boolean).join(" — "),
+        user: m.user_name || "",
+        balance: m.balance,
+      })),
+      { ...r, kind: "Closing", day: dateTo, qty: "", balance: r.closing },
+    ]);
+    const csv = toCsv(lines, [
+      { key: "label", label: "Size" },
+      { key: "day", label: "Date" },
+      { key: "kind", label: "Movement" },
+      { key: "qty", label: "Cartons" },
+      { key: "balance", label: "Balance" },
+      { key: "reference", label: "Reference" },
+      { key: "note", label: "Note" },
+      { key: "user", label: "By" },
+    ]);
+    downloadCsv(`stock-ledger_${dateFrom}_to_${dateTo}.csv`, csv);
+  };
+
+  return (
+    <div className="rounded-2xl border border-white/10">
+      <div className="p-3 flex flex-wrap items-end gap-2 border-b border-white/10">
+        <div className="mr-auto flex items-center gap-2 text-sm text-gray-300">
+          <ScrollText size={16} /> Stock Movements
+        </div>
+        <label className="grid gap-1 text-xs text-white/60">
+          From
+          <input type="date" className={inputCls} value={dateFrom} max={dateTo} onChange={(e) => setDateFrom(e.target.value)} />
+        </label>
+        <label className="grid gap-1 text-xs text-white/60">
+          To
+          <input type="date" className={inputCls} value={dateTo} min={dateFrom} max={todayNairobi()} onChange={(e) => setDateTo(e.target.value)} />
+        </label>
+        <label className="grid gap-1 text-xs text-white/60">
+          Size
+          <select className={inputCls} value={sizeId} onChange={(e) => setSizeId(e.target.value)}>
+            <option value="">All sizes</option>
+            {(balances || []).map((b) => (
+              <option key={b.bottle_size_id} value={b.bottle_size_id}>
+                {b.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          className="inline-flex items-center gap-2 rounded-xl border border-white/10 px-3 py-2 text-sm hover:bg-white/5"
+          onClick={exportCsv}
+        >
+          <Download size={16} /> CSV
+        </button>
+      </div>
+
+      {err && <div className="px-3 py-2 text-sm text-rose-300">{err}</div>}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm min-w-[720px]">
+          <thead className="bg-white/5">
+            <tr>
+              <th className="px-3 py-2 text-left">Size</th>
+              <th className="px-3 py-2 text-right">Opening</th>
+              <th className="px-3 py-2 text-right">Packaged</th>
+              <th className="px-3 py-2 text-right">Sold</th>
+              <th className="px-3 py-2 text-right">Returned</th>
+              <th className="px-3 py-2 text-right">Adjusted</th>
+              <th className="px-3 py-2 text-right">Closing</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => {
+              const open = expanded === r.bottle_size_id;
+              return (
+                <Fragment key={r.bottle_size_id}>
+                  <tr
+                    className="border-t border-white/10 cursor-pointer hover:bg-white/5"
+                    onClick={() => setExpanded(open ? null : r.bottle_size_id)}
+                  >
+                    <td className="px-3 py-2">
+                      <span className="inline-flex items-center gap-1">
+                        {open ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                        {r.label}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2 text-right">{r.opening}</td>
+                    <td className="px-3 py-2 text-right text-emerald-300">{signed(r.packaged)}</td>
+                    <td className="px-3 py-2 text-right text-sky-300">{signed(-r.sold)}</td>
+                    <td className="px-3 py-2 text-right text-amber-300">{signed(r.returned)}</td>
+                    <td className="px-3 py-2 text-right text-rose-300">{signed(r.adjusted)}</td>
+                    <td className="px-3 py-2 text-right font-semibold">{r.closing}</td>
+                  </tr>
+                  {open && (
+                    <tr className="border-t border-white/10 bg-black/20">
+                      <td colSpan={7} className="px-3 py-2">
+                        <MovementLines row={r} />
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              );
+            })}
+
+            {rows.length === 0 && (
+              <tr>
+                <td colSpan={7} className="px-3 py-8 text-center text-gray-400">
+                  {loading ? "Loading…" : "No stock records"}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {loading && rows.length > 0 && (
+        <div className="flex items-center gap-2 px-3 py-2 text-xs text-white/60">
+          <Loader2 size={14} className="animate-spin" /> Updating…
+        </div>
+      )}
+    </div>
+  );
+}
+
+function MovementLines({ row }) {
+  if (!row.movements.length) {
+    return <div className="text-xs text-white/50">No movements in this period — closing equals opening.</div>;
+  }
+  return (
+    <table className="w-full text-xs">
+      <thead className="text-white/50">
+        <tr>
+          <th className="py-1 text-left">When</th>
+          <th className="py-1 text-left">Movement</th>
+          <th className="py-1 text-left">Reference</th>
+          <th className="py-1 text-right">Cartons</th>
+          <th className="py-1 text-right">Balance</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr className="text-white/50">
+          <td className="py-1" colSpan={4}>
+            Opening
+          </td>
+          <td className="py-1 text-right">{row.opening}</td>
+        </tr>
+        {row.movements.map((m) => {
+          const t = MOVEMENT_TYPES[m.type] || { label: m.type, cls: "bg-white/10 text-white/70" };
+          return (
+            <tr key={m.id ?? `${m.type}-${m.reference_id}-${m.occurred_at}`} className="border-t border-white/5">
+              <td className="py-1 whitespace-nowrap">{formatWhen(m)}</td>
+              <td className="py-1">
+                <span className={`rounded-full px-2 py-0.5 ${t.cls}`}>{t.label}</span>
+              </td>
+              <td className="py-1 text-white/70">
+                {[m.reference, ADJUSTMENT_REASONS[m.reason] || m.reason, m.note, m.user_name].filter(Boolean).join(" · ") || "—"}
+              </td>
+              <td className="py-1 text-right">{signed(m.cartons)}</td>
+              <td className="py-1 text-right">{m.balance}</td>
+            </tr>
+          );
+        })}
+        <tr className="border-t border-white/10 font-semibold">
+          <td className="py-1" colSpan={4}>
+            Closing
+          </td>
+          <td className="py-1 text-right">{row.closing}</td>
+        </tr>
+      </tbody>
+    </table>
+  );
+}
+
+/* ---------- utils ---------- */
+function signed(v) {
+  const n = Number(v) || 0;
+  return n > 0 ? `+${n}` : String(n);
+}
+
+function formatWhen(m) {
+  if (!m.occurred_at) return movementDay(m);
+  const d = new Date(m.occurred_at);
+  if (Number.isNaN(d.getTime())) return movementDay(m);
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone: "Africa/Nairobi",
+    dateStyle: "medium",
+    timeStyle: "short",
+  }).format(d);
+}
@@ -0,0 +1,13 @@
+// src/components/TabBtn.jsx — pill button for the tab rows on admin & cashier pages
+export default function TabBtn({ children, onClick, active = false }) {
+  return (
+    <button
+      onClick={onClick}
+      className={`inline-flex items-center gap-2 rounded-2xl px-3 py-2 border transition ${
+        active ? "bg-white text-gray-900 border-white" : "border-white/10 hover:bg-white/5"
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
@@ -0,0 +1,14 @@
+// src/components/Tile.jsx — summary figure card (label over a value)
+/**
+ * `tone` is a text colour class for the value, `strong` makes it larger (totals);
+ * `children` render under it (e.g. a change vs last period)
+ */
+export default function Tile({ label, value, tone = "", strong = false, children }) {
+  return (
+    <div className="rounded-2xl border border-white/10 bg-white/5 p-3">
+      <div className="text-[10px] sm:text-xs uppercase tracking-wide text-white/70">{label}</div>
+      <div className={`mt-1 ${strong ? "text-xl" : "text-lg"} font-semibold ${tone}`}>{value}</div>
+      {children}
+    </div>
+  );
+}
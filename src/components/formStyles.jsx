@@ -0,0 +1,2 @@
+// src/components/formStyles.jsx — class strings shared by form controls on the admin & cashier pages
+export const inputCls = "rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm";
@@ -2,21 +2,9 @@
 import React, {
   createContext, useCallback, useContext, useEffect, useMemo, useState
 } from "react";
-import axios from "axios";
 import { useUser } from "./UserContext.jsx";
-
-/** Base API (containerized dev: Vite proxies /api -> http://backend:5000) */
-const API_URL =
-  (typeof import.meta !== "undefined" && import.meta.env?.VITE_API_URL) ||
-  "/api";
-
-/** Axios instance with JWT from localStorage */
-const api = axios.create({ baseURL: API_URL });
-api.interceptors.request.use((config) => {
-  const token = localStorage.getItem("token");
-  if (token) config.headers.Authorization = `Bearer ${token}`;
-  return config;
-});
+import { ApiError, apiRequest, apiWrite } from "../api.jsx";
+import { listBillOfMaterials, listMaterials, materialsForPackaging } from "../utils/materials.jsx";
 
 const PackagingContext = createContext(null);
 
@@ -47,28 +35,28 @@ export function PackagingProvider({ children }) {
 
   /** ---------------- Stock Balances (declare FIRST; used by others) ---------------- */
   const fetchStockBalances = useCallback(async () => {
-    const { data } = await api.get("/stock-balances");
+    const data = await apiRequest("/stock-balances");
     setStockBalances(data?.data || []);
     return data?.data || [];
   }, []);
 
   /** --------------- Bottle Sizes ---------------- */
   const fetchBottleSizes = useCallback(async () => {
-    const { data } = await api.get("/bottle-sizes");
+    const data = await apiRequest("/bottle-sizes");
     setBottleSizes(data?.data || []);
     return data?.data || [];
   }, []);
 
   const fetchBottleSizeOptions = useCallback(async () => {
-    const { data } = await api.get("/bottle-sizes/options");
+    const data = await apiRequest("/bottle-sizes/options");
     setSizeOptions(data?.data || []);
     return data?.data || [];
   }, []);
 
   const createBottleSize = useCallback(
     async (payload) => {
-      // { label, selling_price, cost_price_carton? }
-      const { data } = await api.post("/bottle-sizes", payload);
+      // { label, selling_price, cost_price_carton?, min_cartons? }
+      const data = await apiWrite("/bottle-sizes", { method: "POST", body: payload });
       await Promise.all([fetchBottleSizes(), fetchBottleSizeOptions(), fetchStockBalances()]);
       return data;
     },
@@ -77,7 +65,7 @@ export function PackagingProvider({ children }) {
 
   const updateBottleSize = useCallback(
     async (id, payload) => {
-      const { data } = await api.patch(`/bottle-sizes/${id}`, payload);
+      const data = await apiWrite(`/bottle-sizes/${id}`, { method: "PATCH", body: payload });
       await Promise.all([fetchBottleSizes(), fetchBottleSizeOptions(), fetchStockBalances()]);
       return data;
     },
@@ -86,7 +74,7 @@ export function PackagingProvider({ children }) {
 
   const deleteBottleSize = useCallback(
     async (id) => {
-      const { data } = await api.delete(`/bottle-sizes/${id}`);
+      const data = await apiWrite(`/bottle-sizes/${id}`, { method: "DELETE" });
       await Promise.all([fetchBottleSizes(), fetchBottleSizeOptions(), fetchStockBalances()]);
       return data;
     },
@@ -109,13 +97,13 @@ export function PackagingProvider({ children }) {
         q.set("page", String(page));
         q.set("per_page", String(per_page));
 
-        const { data } = await api.get(`/packaging?${q.toString()}`);
+        const data = await apiRequest(`/packaging?${q.toString()}`);
         setEntries(data?.data || []);
         setPagination(data?.pagination || pagination);
         setFilters(f);
         return data;
       } catch (e) {
-        setError(e?.response?.data?.error || "Failed to load packaging");
+        setError(e?.message || "Failed to load packaging");
         throw e;
       } finally {
         setLoading(false);
@@ -124,34 +112,63 @@ export function PackagingProvider({ children }) {
     [filters, pagination]
   );
 
+  // Materials consumed by an entry (bill of materials × cartons); the server deducts them
+  // with the entry and reverses them if the entry is edited or deleted. When the BOM or
+  // materials can't be loaded nothing is saved: the save rejects with MATERIALS_UNAVAILABLE
+  // so the user can retry, rather than posting an entry without its deduction.
+  const materialsUsed = useCallback(async (bottle_size_id, cartons) => {
+    let bom, materials;
+    try {
+      [bom, materials] = await Promise.all([listBillOfMaterials(), listMaterials()]);
+    } catch (e) {
+      throw new ApiError(
+        `Couldn't load the bill of materials (${e?.message || "network error"}). Nothing was saved — try again.`,
+        { status: e?.status, code: "MATERIALS_UNAVAILABLE" }
+      );
+    }
+    return materialsForPackaging(bom, materials, bottle_size_id, cartons).map((m) => ({
+      material_id: m.material_id,
+      quantity: m.quantity,
+    }));
+  }, []);
+
   const createPackaging = useCallback(
-    async ({ bottle_size_id, cartons, date }) => {
+    async ({ bottle_size_id, cartons, date, batch_code, production_date, best_before }) => {
       const payload = { bottle_size_id, cartons };
       if (date) payload.date = date; // "YYYY-MM-DD"
-      const { data } = await api.post("/packaging", payload);
+      // batch / lot (utils/batches.jsx) — sales draw from it FIFO
+      if (batch_code) payload.batch_code = batch_code;
+      if (production_date) payload.production_date = production_date;
+      if (best_before) payload.best_before = best_before;
+      payload.materials = await materialsUsed(bottle_size_id, cartons);
+      const data = await apiWrite("/packaging", { method: "POST", body: payload });
       await Promise.all([listPackaging({ page: 1 }), fetchStockBalances()]);
       return data;
     },
-    [listPackaging, fetchStockBalances]
+    [listPackaging, fetchStockBalances, materialsUsed]
   );
 
   const getPackaging = useCallback(async (entryId) => {
-    const { data } = await api.get(`/packaging/${entryId}`);
+    const data = await apiRequest(`/packaging/${entryId}`);
     return data?.data;
   }, []);
 
   const updatePackaging = useCallback(
     async (entryId, payload) => {
-      const { data } = await api.patch(`/packaging/${entryId}`, payload);
+      const body = { ...payload };
+      if (payload.bottle_size_id && payload.cartons != null) {
+        body.materials = await materialsUsed(payload.bottle_size_id, payload.cartons);
+      }
+      const data = await apiWrite(`/packaging/${entryId}`, { method: "PATCH", body });
       await Promise.all([listPackaging({ page: pagination.page }), fetchStockBalances()]);
       return data;
     },
-    [listPackaging, pagination.page, fetchStockBalances]
+    [listPackaging, pagination.page, fetchStockBalances, materialsUsed]
   );
 
   const deletePackaging = useCallback(
     async (entryId) => {
-      const { data } = await api.delete(`/packaging/${entryId}`);
+      const data = await apiWrite(`/packaging/${entryId}`, { method: "DELETE" });
       await Promise.all([listPackaging({ page: pagination.page }), fetchStockBalances()]);
       return data;
     },
@@ -160,13 +177,25 @@ export function PackagingProvider({ children }) {
 
   const restorePackaging = useCallback(
     async (entryId) => {
-      const { data } = await api.post(`/packaging/${entryId}/restore`);
+      const data = await apiWrite(`/packaging/${entryId}/restore`, { method: "POST" });
       await Promise.all([listPackaging({ page: 1 }), fetchStockBalances()]);
       return data;
     },
     [listPackaging, fetchStockBalances]
   );
 
+  /** ---------------- Stock adjustments / stock-take ---------------- */
+  // { date, source: "stock_take" | "manual", note?, lines: [{ bottle_size_id, cartons (±), reason,
+  //   note?, system_cartons?, counted_cartons? }] } → one "adjustment" stock movement per line
+  const createStockAdjustments = useCallback(
+    async (payload) => {
+      const data = await apiWrite("/stock-adjustments", { method: "POST", body: payload });
+      await fetchStockBalances();
+      return data;
+    },
+    [fetchStockBalances]
+  );
+
   /** Initial loads — only after auth to avoid @jwt_required() 500/401 */
   useEffect(() => {
     if (!isAuthenticated) return;
@@ -179,7 +208,6 @@ export function PackagingProvider({ children }) {
 
   const value = useMemo(
     () => ({
-      api,
       loading,
       error,
 
@@ -203,6 +231,7 @@ export function PackagingProvider({ children }) {
 
       stockBalances,
       fetchStockBalances,
+      createStockAdjustments,
       setFilters,
     }),
     [
@@ -226,6 +255,7 @@ export function PackagingProvider({ children }) {
       deletePackaging,
       restorePackaging,
       fetchStockBalances,
+      createStockAdjustments,
     ]
   );
 
@@ -8,120 +8,42 @@ import React, {
   useRef,
   useState,
 } from "react";
+import {
+  enqueueOutbox,
+  isNetworkError,
+  isOffline,
+  listOutbox,
+  removeOutboxEntry,
+  updateOutboxEntry,
+} from "../utils/offlineOutbox.jsx";
+import { ApiError, apiRequest, apiWrite, downloadBlob, getStoredToken, newIdempotencyKey, qs } from "../api.jsx";
+import { normalizeMpesaCode } from "../utils/mpesa.jsx";
+import { toNum, ymdInNairobi } from "../utils/format.jsx";
 
 /**
  * SaleContext.jsx — matches latest Flask routes & Nairobi time rules
  * Provides:
  * - Customers CRUD
  * - Sales list/search/CRUD
- * - Payments (incl. credit)
+ * - Payments (incl. credit); M-Pesa payments carry a unique `mpesa_code`
  * - Dispatch close
  * - Summary by date (normalized: always { date, gross, paid, balance, count })
  * - Cartons-by-size summary (totals first, then per-size)
  * - COGS summary (totals + per-size; with Today/Yesterday/Last-7 helpers)
- * - COGS purchases (POST /cogs) to record non-sale COGS (e.g., water purchase)
+ * - COGS purchases (GET/POST /cogs) to list/record non-sale COGS (e.g., water purchase);
+ *   goods received on purchase orders post their COGS server-side (utils/purchasing.jsx)
  * - Receipt + CSV/PDF exports + email
  * - Today / Yesterday / Last-7-days helpers
+ * - New sales, payments, expenses & dispatch closes carry an Idempotency-Key (callers that
+ *   retry pass their own via opts); other writes (edits, deletes, print, email) are sent exactly once
+ * - Reads used by effects (sale items, payments, receipt, customer sales, day closing) take
+ *   opts.signal so an unmounted screen cancels them
+ * - Offline outbox: sales, payments & expenses queued in IndexedDB while offline,
+ *   replayed on reconnect (server rejections are kept as conflicts)
+ * - Day closing (cash-up): close / reopen a Nairobi day; closed days are locked for edits
  */
 
-// -------------------- API Helpers --------------------
-const API_BASE =
-  (typeof import.meta !== "undefined" && import.meta?.env?.VITE_API_URL) || "/api"; // Vite proxy in dev
-
-const jsonHeaders = { Accept: "application/json", "Content-Type": "application/json" };
-
-function qs(params = {}) {
-  const q = new URLSearchParams();
-  Object.entries(params).forEach(([k, v]) => {
-    if (v === undefined || v === null || v === "") return;
-    q.set(k, String(v));
-  });
-  const s = q.toString();
-  return s ? `?${s}` : "";
-}
-
-async function apiFetch(path, { method = "GET", token, body, headers, blob = false } = {}) {
-  const url = API_BASE + path;
-  const opts = {
-    method,
-    headers: {
-      ...(blob ? {} : jsonHeaders),
-      ...(token ? { Authorization: `Bearer ${token}` } : {}),
-      ...(headers || {}),
-    },
-  };
-  if (body !== undefined && body !== null && !blob) {
-    opts.body = typeof body === "string" ? body : JSON.stringify(body);
-  }
-  const res = await fetch(url, opts);
-  if (!res.ok) {
-    let msg = `${res.status} ${res.statusText}`;
-    try {
-      const j = await res.json();
-      if (j?.error) msg = j.error;
-    } catch {}
-    const e = new Error(msg);
-    e.status = res.status;
-    throw e;
-  }
-  if (blob) return res.blob();
-  const ct = res.headers.get("content-type") || "";
-  if (ct.includes("application/json")) return res.json();
-  return res.text();
-}
-
-function downloadBlob(blob, filename) {
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
-}
-
-function getDefaultToken() {
-  try {
-    const t = localStorage.getItem("token") || localStorage.getItem("access_token");
-    return t || "";
-  } catch {
-    return "";
-  }
-}
-
-// -------------------- Money & Date Helpers --------------------
-// Robust numeric normalizer for values like "KES 12,000", "KSh 1 500", "12,000.50"
-function toNum(v) {
-  if (v === null || v === undefined) return 0;
-  if (typeof v === "number") return Number.isFinite(v) ? v : 0;
-  if (typeof v === "string") {
-    const cleaned = v
-      .replace(/(kes|ksh|\bsh\b|\bkes\.)/gi, "")
-      .replace(/[,\u00A0\s]/g, "") // commas, nbsp, spaces
-      .replace(/[^\d.-]/g, ""); // keep digits, dot, minus
-    const n = Number(cleaned);
-    return Number.isFinite(n) ? n : 0;
-  }
-  const n = Number(v);
-  return Number.isFinite(n) ? n : 0;
-}
-
 // -------------------- Nairobi-time helpers --------------------
-const NAIROBI_TZ = "Africa/Nairobi";
-
-function ymdInNairobi(date) {
-  const parts = new Intl.DateTimeFormat("en-CA", {
-    timeZone: NAIROBI_TZ,
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-  }).formatToParts(date);
-  const y = parts.find((p) => p.type === "year")?.value;
-  const m = parts.find((p) => p.type === "month")?.value;
-  const d = parts.find((p) => p.type === "day")?.value;
-  return `${y}-${m}-${d}`;
-}
 function todayISOInNairobi() {
   return ymdInNairobi(new Date());
 }
@@ -168,6 +90,14 @@ const initialState = {
   // Expenses (optional)
   expenses: [],
   expenseToday: null,
+
+  // Offline outbox
+  outbox: [],
+  syncing: false,
+  lastSync: null, // { at, synced, conflicts }
+
+  // Day closings seen so far, by Nairobi date ("YYYY-MM-DD" → closing row)
+  dayClosings: {},
 };
 
 function reducer(state, action) {
@@ -190,6 +120,25 @@ function reducer(state, action) {
       return { ...state, expenses: action.data || [] };
     case "SET_EXPENSE_TODAY":
       return { ...state, expenseToday: action.data || null };
+    case "SET_OUTBOX":
+      return { ...state, outbox: action.outbox || [] };
+    case "SET_SYNCING":
+      return { ...state, syncing: action.syncing };
+    case "SET_LAST_SYNC":
+      return { ...state, lastSync: action.lastSync };
+    case "SET_DAY_CLOSINGS": {
+      // a range reload drops dates in that range that are no longer closed
+      const next = { ...state.dayClosings };
+      if (action.range) {
+        Object.keys(next).forEach((d) => {
+          if (d >= action.range.date_from && d <= action.range.date_to) delete next[d];
+        });
+      }
+      (action.rows || []).forEach((r) => {
+        if (r?.date) next[String(r.date).slice(0, 10)] = r;
+      });
+      return { ...state, dayClosings: next };
+    }
     default:
       return state;
   }
@@ -202,8 +151,15 @@ export function useSaleContext() {
   return ctx;
 }
 
+// Payments queued on this device (by any user) with this M-Pesa code
+async function queuedPaymentsWithCode(c) {
+  return (await listOutbox())
+    .filter((e) => e.kind === "payment" && normalizeMpesaCode(e.body?.mpesa_code) === c)
+    .map((e) => ({ ...e.body, sale_id: e.meta?.sale_id, _outbox: true }));
+}
+
 // -------------------- Provider --------------------
-export function SaleProvider({ children, getToken }) {
+export function SaleProvider({ children, getToken, userId = null }) {
   const [state, dispatch] = useReducer(reducer, initialState);
 
   // Always use the latest getToken function
@@ -219,16 +175,59 @@ export function SaleProvider({ children, getToken }) {
         if (t) return t;
       }
     } catch {}
-    return getDefaultToken();
+    return getStoredToken();
   }, []);
 
+  // ---------------- Offline outbox ----------------
+  // Only the signed-in user's entries are shown & replayed (tills are shared between cashiers)
+  const userIdRef = useRef(userId);
+  useEffect(() => {
+    userIdRef.current = userId;
+  }, [userId]);
+
+  const refreshOutbox = useCallback(async () => {
+    try {
+      const rows = await listOutbox(userIdRef.current);
+      dispatch({ type: "SET_OUTBOX", outbox: rows });
+      return rows;
+    } catch {
+      return [];
+    }
+  }, []);
+
+  // Runs `send`; when the request cannot reach the server the write is queued instead.
+  // Queued results come back as { _offline: true, outbox_id }.
+  const sendOrQueue = useCallback(
+    async (entry, send) => {
+      if (!isOffline()) {
+        try {
+          return await send();
+        } catch (e) {
+          if (!isNetworkError(e)) throw e;
+        }
+      }
+      const saved = await enqueueOutbox({ ...entry, userId: userIdRef.current });
+      await refreshOutbox();
+      return { _offline: true, outbox_id: saved.id };
+    },
+    [refreshOutbox]
+  );
+
+  const discardOutboxEntry = useCallback(
+    async (id) => {
+      await removeOutboxEntry(id);
+      return refreshOutbox();
+    },
+    [refreshOutbox]
+  );
+
   // ---------------- Customers ----------------
   const fetchCustomers = useCallback(async () => {
     const token = getAuthToken();
     if (!token) return { data: [] };
     dispatch({ type: "SET_LOADING", loading: true });
     try {
-      const res = await apiFetch(`/customers`, { token });
+      const res = await apiRequest(`/customers`, { token });
       dispatch({ type: "SET_CUSTOMERS", customers: res?.data || [] });
       dispatch({ type: "SET_LOADING", loading: false });
       return res;
@@ -242,7 +241,7 @@ export function SaleProvider({ children, getToken }) {
   const createCustomer = useCallback(
     async (payload) => {
       const token = getAuthToken();
-      const res = await apiFetch(`/customers`, { method: "POST", token, body: payload });
+      const res = await apiWrite(`/customers`, { method: "POST", token, body: payload });
       try {
         await fetchCustomers();
       } catch {}
@@ -254,7 +253,7 @@ export function SaleProvider({ children, getToken }) {
   const updateCustomer = useCallback(
     async (customer_id, patch) => {
       const token = getAuthToken();
-      const res = await apiFetch(`/customers/${customer_id}`, { method: "PUT", token, body: patch });
+      const res = await apiWrite(`/customers/${customer_id}`, { method: "PUT", token, body: patch });
       try {
         await fetchCustomers();
       } catch {}
@@ -266,7 +265,7 @@ export function SaleProvider({ children, getToken }) {
   const deleteCustomer = useCallback(
     async (customer_id) => {
       const token = getAuthToken();
-      await apiFetch(`/customers/${customer_id}`, { method: "DELETE", token });
+      await apiWrite(`/customers/${customer_id}`, { method: "DELETE", token });
       try {
         await fetchCustomers();
       } catch {}
@@ -295,7 +294,7 @@ export function SaleProvider({ children, getToken }) {
           include_deleted: params.include_deleted ?? state.filters.include_deleted,
           order: params.order ?? state.filters.order,
         };
-        const res = await apiFetch(`/retail-sales${qs(q)}`, { token });
+        const res = await apiRequest(`/retail-sales${qs(q)}`, { token });
         dispatch({
           type: "SET_SALES",
           sales: res?.data || [],
@@ -318,7 +317,7 @@ export function SaleProvider({ children, getToken }) {
     if (!token) return { data: [] };
     dispatch({ type: "SET_LOADING", loading: true });
     try {
-      const res = await apiFetch(`/retail-sales/today`, { token });
+      const res = await apiRequest(`/retail-sales/today`, { token });
       const rows = extractSalesArray(res);
       dispatch({
         type: "SET_SALES",
@@ -342,7 +341,7 @@ export function SaleProvider({ children, getToken }) {
     if (!token) return { sales: [] };
     dispatch({ type: "SET_LOADING", loading: true });
     try {
-      const res = await apiFetch(`/retail-sales/yesterday`, { token });
+      const res = await apiRequest(`/retail-sales/yesterday`, { token });
       const rows = extractSalesArray(res);
       dispatch({
         type: "SET_SALES",
@@ -366,7 +365,7 @@ export function SaleProvider({ children, getToken }) {
     if (!token) return { sales: [] };
     dispatch({ type: "SET_LOADING", loading: true });
     try {
-      const res = await apiFetch(`/retail-sales/last-7-days`, { token });
+      const res = await apiRequest(`/retail-sales/last-7-days`, { token });
       const rows = extractSalesArray(res);
       dispatch({
         type: "SET_SALES",
@@ -395,28 +394,76 @@ export function SaleProvider({ children, getToken }) {
     async (params = {}) => {
       const token = getAuthToken();
       if (!token) return { data: [] };
-      return apiFetch(`/retail-sales/search${qs(params)}`, { token });
+      return apiRequest(`/retail-sales/search${qs(params)}`, { token });
+    },
+    [getAuthToken]
+  );
+
+  // Every matching sale (pages until has_next is false), without replacing the shared `sales`
+  // list — for reports. opts.signal cancels the remaining pages.
+  const listSalesAll = useCallback(
+    async (params = {}, opts = {}) => {
+      const token = getAuthToken();
+      if (!token) return [];
+      const out = [];
+      for (let page = 1; ; page++) {
+        const res = await apiRequest(
+          `/retail-sales${qs({ order: "asc", ...params, page, per_page: 100 })}`,
+          { token, signal: opts.signal }
+        );
+        const rows = extractSalesArray(res);
+        out.push(...rows);
+        const pg = res?.pagination;
+        if (!rows.length || !(pg?.has_next ?? page < (pg?.pages || 0))) break;
+      }
+      return out;
     },
     [getAuthToken]
   );
 
+  // Every sale for one customer. The `customer` filter matches names that merely contain
+  // this one, so rows are narrowed to the customer id (walk-ins: the exact name).
+  const listCustomerSales = useCallback(
+    async (customer, params = {}, opts = {}) => {
+      if (!customer) return [];
+      const out = await listSalesAll({ ...params, customer: customer.name }, opts);
+      if (customer.id != null) return out.filter((s) => String(s.customer_id) === String(customer.id));
+      const name = String(customer.name || "").trim().toLowerCase();
+      return out.filter((s) => s.customer_id == null && String(s.customer_name || "").trim().toLowerCase() === name);
+    },
+    [listSalesAll]
+  );
+
   // ---------------- Sales: CRUD ----------------
+  // opts.idempotencyKey: pass the same key when re-submitting after a timeout
   const createSale = useCallback(
-    async (payload) => {
+    async (payload, opts = {}) => {
       const token = getAuthToken();
-      const res = await apiFetch(`/retail-sales`, { method: "POST", token, body: payload });
+      const idempotencyKey = opts.idempotencyKey || newIdempotencyKey();
+      const res = await sendOrQueue(
+        {
+          kind: "sale",
+          path: `/retail-sales`,
+          // keep the capture time so the server can date the sale correctly on replay
+          body: { ...payload, client_created_at: new Date().toISOString() },
+          idempotencyKey,
+          meta: { customer_name: payload?.customer_name, sale_type: payload?.sale_type },
+        },
+        () => apiWrite(`/retail-sales`, { method: "POST", token, body: payload, idempotencyKey })
+      );
+      if (res?._offline) return res;
       try {
         await listSales();
       } catch {}
       return res?.data;
     },
-    [getAuthToken, listSales]
+    [getAuthToken, listSales, sendOrQueue]
   );
 
   const getSale = useCallback(
     async (sale_id) => {
       const token = getAuthToken();
-      const res = await apiFetch(`/retail-sales/${sale_id}`, { token });
+      const res = await apiRequest(`/retail-sales/${sale_id}`, { token });
       dispatch({ type: "SET_SELECTED_SALE", sale: res?.data || null });
       return res?.data;
     },
@@ -426,7 +473,7 @@ export function SaleProvider({ children, getToken }) {
   const getSaleByReceipt = useCallback(
     async (receipt_number) => {
       const token = getAuthToken();
-      const res = await apiFetch(
+      const res = await apiRequest(
         `/retail-sales/by-receipt/${encodeURIComponent(receipt_number)}`,
         { token }
       );
@@ -438,7 +485,7 @@ export function SaleProvider({ children, getToken }) {
   const updateSale = useCallback(
     async (sale_id, patch) => {
       const token = getAuthToken();
-      const res = await apiFetch(`/retail-sales/${sale_id}`, {
+      const res = await apiWrite(`/retail-sales/${sale_id}`, {
         method: "PUT",
         token,
         body: patch,
@@ -457,7 +504,7 @@ export function SaleProvider({ children, getToken }) {
   const deleteSale = useCallback(
     async (sale_id) => {
       const token = getAuthToken();
-      await apiFetch(`/retail-sales/${sale_id}`, { method: "DELETE", token });
+      await apiWrite(`/retail-sales/${sale_id}`, { method: "DELETE", token });
       try {
         await listSales();
       } catch {}
@@ -469,7 +516,7 @@ export function SaleProvider({ children, getToken }) {
   const restoreSale = useCallback(
     async (sale_id) => {
       const token = getAuthToken();
-      const res = await apiFetch(`/retail-sales/${sale_id}/restore`, {
+      const res = await apiWrite(`/retail-sales/${sale_id}/restore`, {
         method: "POST",
         token,
       });
@@ -485,24 +532,92 @@ export function SaleProvider({ children, getToken }) {
   );
 
   const listItemsForSale = useCallback(
-    async (sale_id) => {
+    async (sale_id, opts = {}) => {
       const token = getAuthToken();
-      const res = await apiFetch(`/retail-sales/${sale_id}/items`, { token });
+      const res = await apiRequest(`/retail-sales/${sale_id}/items`, { token, signal: opts.signal });
       return res?.data || [];
     },
     [getAuthToken]
   );
 
   // ---------------- Payments ----------------
+  // Payments already recorded (or still queued) with this M-Pesa code
+  const findPaymentsByMpesaCode = useCallback(
+    async (code) => {
+      const c = normalizeMpesaCode(code);
+      if (!c) return [];
+      const queued = await queuedPaymentsWithCode(c);
+      if (isOffline()) return queued;
+      const token = getAuthToken();
+      const res = await apiRequest(`/customer-payments${qs({ mpesa_code: c })}`, { token });
+      const rows = Array.isArray(res?.data) ? res.data : Array.isArray(res) ? res : [];
+      return [...queued, ...rows.filter((p) => normalizeMpesaCode(p.mpesa_code) === c)];
+    },
+    [getAuthToken]
+  );
+
+  // The server enforces uniqueness too; this catches it before a sale is touched
+  // (and for payments queued offline, which the server has not seen yet).
+  const assertMpesaCodeUnused = useCallback(
+    async (code) => {
+      if (!code) return;
+      let dupes = [];
+      try {
+        dupes = await findPaymentsByMpesaCode(code);
+      } catch {
+        // lookup unavailable (offline, 403/404 for this role, server error): only a confirmed
+        // duplicate blocks, so fall back to the outbox and leave the rest to the server
+        dupes = await queuedPaymentsWithCode(normalizeMpesaCode(code)).catch(() => []);
+      }
+      if (dupes.length) {
+        const d = dupes[0];
+        const where = d.receipt_number || (d.sale_id ? `sale #${d.sale_id}` : "another sale");
+        throw new ApiError(`M-Pesa code ${normalizeMpesaCode(code)} is already recorded on ${where}`, {
+          status: 409,
+          code: "DUPLICATE_MPESA_CODE",
+          data: d,
+        });
+      }
+    },
+    [findPaymentsByMpesaCode]
+  );
+
+  // Every page of GET /customer-payments for a date range, optionally one method (reconciliation, cash-up)
+  const listPaymentsByMethod = useCallback(
+    async (params = {}) => {
+      const token = getAuthToken();
+      if (!token) return [];
+      const out = [];
+      for (let page = 1; ; page++) {
+        const res = await apiRequest(`/customer-payments${qs({ ...params, page, per_page: 100 })}`, { token });
+        const rows = Array.isArray(res?.data) ? res.data : Array.isArray(res) ? res : [];
+        out.push(...rows);
+        const pg = res?.pagination;
+        if (!rows.length || !(pg?.has_next ?? page < (pg?.pages || 0))) break;
+      }
+      return out;
+    },
+    [getAuthToken]
+  );
+
   const createPayment = useCallback(
-    async (sale_id, { amount, payment_method, date }) => {
+    async (sale_id, { amount, payment_method, date, mpesa_code }, opts = {}) => {
       const token = getAuthToken();
-      const body = { amount, payment_method, ...(date ? { date } : {}) };
-      const res = await apiFetch(`/retail-sales/${sale_id}/payments`, {
-        method: "POST",
-        token,
-        body,
-      });
+      const code = payment_method === "M-Pesa" ? normalizeMpesaCode(mpesa_code) : "";
+      await assertMpesaCodeUnused(code);
+      const body = { amount, payment_method, ...(date ? { date } : {}), ...(code ? { mpesa_code: code } : {}) };
+      const idempotencyKey = opts.idempotencyKey || newIdempotencyKey();
+      const res = await sendOrQueue(
+        { kind: "payment", path: `/retail-sales/${sale_id}/payments`, body, idempotencyKey, meta: { sale_id } },
+        () =>
+          apiWrite(`/retail-sales/${sale_id}/payments`, {
+            method: "POST",
+            token,
+            body,
+            idempotencyKey,
+          })
+      );
+      if (res?._offline) return res;
       try {
         await getSale(sale_id);
       } catch {}
@@ -511,18 +626,27 @@ export function SaleProvider({ children, getToken }) {
       } catch {}
       return res?.data;
     },
-    [getAuthToken, getSale, listSales]
+    [getAuthToken, getSale, listSales, sendOrQueue, assertMpesaCodeUnused]
   );
 
   const createCreditPayment = useCallback(
-    async (sale_id, { amount, payment_method, date }) => {
+    async (sale_id, { amount, payment_method, date, mpesa_code }, opts = {}) => {
       const token = getAuthToken();
-      const body = { amount, payment_method, ...(date ? { date } : {}) };
-      const res = await apiFetch(`/credit-sales/${sale_id}/payments`, {
-        method: "POST",
-        token,
-        body,
-      });
+      const code = payment_method === "M-Pesa" ? normalizeMpesaCode(mpesa_code) : "";
+      await assertMpesaCodeUnused(code);
+      const body = { amount, payment_method, ...(date ? { date } : {}), ...(code ? { mpesa_code: code } : {}) };
+      const idempotencyKey = opts.idempotencyKey || newIdempotencyKey();
+      const res = await sendOrQueue(
+        { kind: "payment", path: `/credit-sales/${sale_id}/payments`, body, idempotencyKey, meta: { sale_id } },
+        () =>
+          apiWrite(`/credit-sales/${sale_id}/payments`, {
+            method: "POST",
+            token,
+            body,
+            idempotencyKey,
+          })
+      );
+      if (res?._offline) return res;
       try {
         await getSale(sale_id);
       } catch {}
@@ -531,13 +655,13 @@ export function SaleProvider({ children, getToken }) {
       } catch {}
       return res; // { ok, message, email_sent, data }
     },
-    [getAuthToken, getSale, listSales]
+    [getAuthToken, getSale, listSales, sendOrQueue, assertMpesaCodeUnused]
   );
 
   const listPayments = useCallback(
-    async (sale_id) => {
+    async (sale_id, opts = {}) => {
       const token = getAuthToken();
-      const res = await apiFetch(`/retail-sales/${sale_id}/payments`, { token });
+      const res = await apiRequest(`/retail-sales/${sale_id}/payments`, { token, signal: opts.signal });
       return res?.data || [];
     },
     [getAuthToken]
@@ -546,7 +670,7 @@ export function SaleProvider({ children, getToken }) {
   const getPayment = useCallback(
     async (payment_id) => {
       const token = getAuthToken();
-      const res = await apiFetch(`/customer-payments/${payment_id}`, { token });
+      const res = await apiRequest(`/customer-payments/${payment_id}`, { token });
       return res?.data;
     },
     [getAuthToken]
@@ -555,7 +679,7 @@ export function SaleProvider({ children, getToken }) {
   const updatePayment = useCallback(
     async (payment_id, patch) => {
       const token = getAuthToken();
-      const res = await apiFetch(`/customer-payments/${payment_id}`, {
+      const res = await apiWrite(`/customer-payments/${payment_id}`, {
         method: "PUT",
         token,
         body: patch,
@@ -568,7 +692,7 @@ export function SaleProvider({ children, getToken }) {
   const deletePayment = useCallback(
     async (payment_id) => {
       const token = getAuthToken();
-      await apiFetch(`/customer-payments/${payment_id}`, { method: "DELETE", token });
+      await apiWrite(`/customer-payments/${payment_id}`, { method: "DELETE", token });
       return true;
     },
     [getAuthToken]
@@ -578,7 +702,7 @@ export function SaleProvider({ children, getToken }) {
     async ({ retail_sale_id, amount, balance }) => {
       const token = getAuthToken();
       const body = { retail_sale_id, amount, balance };
-      const res = await apiFetch(`/send-payment-email`, {
+      const res = await apiWrite(`/send-payment-email`, {
         method: "POST",
         token,
         body,
@@ -589,13 +713,16 @@ export function SaleProvider({ children, getToken }) {
   );
 
   // ---------------- Dispatch close ----------------
+  // records the collection (amount_paid) too, so it is keyed like createPayment
   const closeDispatch = useCallback(
-    async (sale_id, payload) => {
+    async (sale_id, payload, opts = {}) => {
       const token = getAuthToken();
-      const res = await apiFetch(`/retail-sales/${sale_id}/close-dispatch`, {
+      if (payload?.mpesa_code) await assertMpesaCodeUnused(payload.mpesa_code);
+      const res = await apiWrite(`/retail-sales/${sale_id}/close-dispatch`, {
         method: "POST",
         token,
         body: payload,
+        idempotencyKey: opts.idempotencyKey || newIdempotencyKey(),
       });
       try {
         await getSale(sale_id);
@@ -605,7 +732,90 @@ export function SaleProvider({ children, getToken }) {
       } catch {}
       return res?.data;
     },
-    [getAuthToken, getSale, listSales]
+    [getAuthToken, getSale, listSales, assertMpesaCodeUnused]
+  );
+
+  // ---------------- Day closing (cash-up) ----------------
+  // A day is locked while its closing is not reopened. The server rejects edits to a
+  // locked day too ("DAY_CLOSED"); the UI uses isDayClosed to hide the actions.
+  const listDayClosings = useCallback(
+    async (params = {}) => {
+      const token = getAuthToken();
+      if (!token) return [];
+      const res = await apiRequest(`/day-closings${qs(params)}`, { token });
+      const rows = Array.isArray(res?.data) ? res.data : [];
+      dispatch({
+        type: "SET_DAY_CLOSINGS",
+        rows,
+        range: params.date_from && params.date_to ? { date_from: params.date_from, date_to: params.date_to } : null,
+      });
+      return rows;
+    },
+    [getAuthToken]
+  );
+
+  const getDayClosing = useCallback(
+    async (date, opts = {}) => {
+      const token = getAuthToken();
+      try {
+        const res = await apiRequest(`/day-closings/${date}`, { token, signal: opts.signal });
+        const row = res?.data || null;
+        dispatch({ type: "SET_DAY_CLOSINGS", rows: row ? [row] : [], range: { date_from: date, date_to: date } });
+        return row;
+      } catch (e) {
+        if (e?.status === 404) {
+          dispatch({ type: "SET_DAY_CLOSINGS", rows: [], range: { date_from: date, date_to: date } });
+          return null;
+        }
+        throw e;
+      }
+    },
+    [getAuthToken]
+  );
+
+  // payload: { date, opening_float, expected_cash, counted_cash, variance, denominations,
+  //            totals: { sales, payments: {cash, mpesa}, expenses: {cash, mpesa} }, note }
+  const closeDay = useCallback(
+    async (payload) => {
+      const token = getAuthToken();
+      const res = await apiWrite(`/day-closings`, { method: "POST", token, body: payload });
+      const row = res?.data || null;
+      if (row) dispatch({ type: "SET_DAY_CLOSINGS", rows: [row] });
+      return row;
+    },
+    [getAuthToken]
+  );
+
+  // Admin only (server-enforced)
+  const reopenDay = useCallback(
+    async (date, reason) => {
+      const token = getAuthToken();
+      const res = await apiWrite(`/day-closings/${date}/reopen`, {
+        method: "POST",
+        token,
+        body: { reason },
+      });
+      const row = res?.data || null;
+      dispatch({ type: "SET_DAY_CLOSINGS", rows: row ? [row] : [], range: { date_from: date, date_to: date } });
+      return row;
+    },
+    [getAuthToken]
+  );
+
+  // Accepts "YYYY-MM-DD" or a timestamp (sale/expense date)
+  const isDayClosed = useCallback(
+    (value) => {
+      if (!value) return false;
+      const str = String(value);
+      let day = str;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+        const d = new Date(str);
+        day = Number.isNaN(d.getTime()) ? str.slice(0, 10) : ymdInNairobi(d);
+      }
+      const c = state.dayClosings[day];
+      return Boolean(c) && c.status !== "reopened";
+    },
+    [state.dayClosings]
   );
 
   // ---------------- Summary (normalized money totals) ----------------
@@ -614,7 +824,7 @@ export function SaleProvider({ children, getToken }) {
       const token = getAuthToken();
       if (!token) return [];
 
-      const res = await apiFetch(`/retail-sales/summary/by-date${qs(params)}`, { token });
+      const res = await apiRequest(`/retail-sales/summary/by-date${qs(params)}`, { token });
 
       // Accept common shapes
       const payload =
@@ -695,7 +905,7 @@ export function SaleProvider({ children, getToken }) {
       const token = getAuthToken();
       if (!token) return { totals: { cartons: 0, revenue: 0 }, by_size: [] };
 
-      const res = await apiFetch(`/retail-sales/summary/cartons${qs(params)}`, { token });
+      const res = await apiRequest(`/retail-sales/summary/cartons${qs(params)}`, { token });
 
       const payload = res?.data ?? res ?? {};
       const list = Array.isArray(payload.by_size)
@@ -767,7 +977,7 @@ export function SaleProvider({ children, getToken }) {
           date_to: params.date_to ?? null,
         };
 
-      const res = await apiFetch(`/retail-sales/summary/cogs${qs(params)}`, { token });
+      const res = await apiRequest(`/retail-sales/summary/cogs${qs(params)}`, { token });
 
       const payload = res?.data ?? res ?? {};
 
@@ -859,17 +1069,27 @@ export function SaleProvider({ children, getToken }) {
       if (!Number.isFinite(body.amount) || body.amount <= 0) {
         throw new Error("amount is required and must be > 0");
       }
-      const res = await apiFetch(`/cogs`, { method: "POST", token, body });
+      const res = await apiWrite(`/cogs`, { method: "POST", token, body });
       return res?.data;
     },
     [getAuthToken]
   );
 
+  const listCogsPurchases = useCallback(
+    async (params = {}) => {
+      const token = getAuthToken();
+      if (!token) return [];
+      const res = await apiRequest(`/cogs${qs(params)}`, { token });
+      return Array.isArray(res) ? res : res?.data || [];
+    },
+    [getAuthToken]
+  );
+
   // ---------------- Receipts, Printing & Exports ----------------
   const getReceipt = useCallback(
-    async (sale_id) => {
+    async (sale_id, opts = {}) => {
       const token = getAuthToken();
-      const res = await apiFetch(`/retail-sales/${sale_id}/receipt`, { token });
+      const res = await apiRequest(`/retail-sales/${sale_id}/receipt`, { token, signal: opts.signal });
       return res?.data;
     },
     [getAuthToken]
@@ -878,7 +1098,7 @@ export function SaleProvider({ children, getToken }) {
   const printSaleReceipt = useCallback(
     async (sale_id, payload = {}) => {
       const token = getAuthToken();
-      const res = await apiFetch(`/retail-sales/${sale_id}/print`, {
+      const res = await apiWrite(`/retail-sales/${sale_id}/print`, {
         method: "POST",
         token,
         body: payload,
@@ -891,7 +1111,7 @@ export function SaleProvider({ children, getToken }) {
   const exportSalesCSV = useCallback(
     async (params = {}) => {
       const token = getAuthToken();
-      const blob = await apiFetch(`/retail-sales/export.csv${qs(params)}`, {
+      const blob = await apiRequest(`/retail-sales/export.csv${qs(params)}`, {
         token,
         blob: true,
       });
@@ -904,7 +1124,7 @@ export function SaleProvider({ children, getToken }) {
   const exportSalesItemsPDF = useCallback(
     async (params = {}) => {
       const token = getAuthToken();
-      const blob = await apiFetch(`/retail-sales/export-items.pdf${qs(params)}`, {
+      const blob = await apiRequest(`/retail-sales/export-items.pdf${qs(params)}`, {
         token,
         blob: true,
       });
@@ -929,7 +1149,7 @@ export function SaleProvider({ children, getToken }) {
     async (params = {}) => {
       const token = getAuthToken();
       if (!token) return [];
-      const res = await apiFetch(`/expenses${qs(params)}`, { token });
+      const res = await apiRequest(`/expenses${qs(params)}`, { token });
       const data = res?.data || [];
       dispatch({ type: "SET_EXPENSES", data });
       return data;
@@ -940,28 +1160,33 @@ export function SaleProvider({ children, getToken }) {
   const getExpenseToday = useCallback(async () => {
     const token = getAuthToken();
     if (!token) return null;
-    const res = await apiFetch(`/expenses/today`, { token });
+    const res = await apiRequest(`/expenses/today`, { token });
     const data = res?.data || null;
     dispatch({ type: "SET_EXPENSE_TODAY", data });
     return data;
   }, [getAuthToken]);
 
   const createExpense = useCallback(
-    async (payload) => {
+    async (payload, opts = {}) => {
       const token = getAuthToken();
-      const res = await apiFetch(`/expenses`, { method: "POST", token, body: payload });
+      const idempotencyKey = opts.idempotencyKey || newIdempotencyKey();
+      const res = await sendOrQueue(
+        { kind: "expense", path: `/expenses`, body: payload, idempotencyKey },
+        () => apiWrite(`/expenses`, { method: "POST", token, body: payload, idempotencyKey })
+      );
+      if (res?._offline) return res;
       try {
         await listExpenses();
       } catch {}
       return res?.data;
     },
-    [getAuthToken, listExpenses]
+    [getAuthToken, listExpenses, sendOrQueue]
   );
 
   const getExpense = useCallback(
     async (expense_id) => {
       const token = getAuthToken();
-      const res = await apiFetch(`/expenses/${expense_id}`, { token });
+      const res = await apiRequest(`/expenses/${expense_id}`, { token });
       return res?.data;
     },
     [getAuthToken]
@@ -970,7 +1195,7 @@ export function SaleProvider({ children, getToken }) {
   const updateExpense = useCallback(
     async (expense_id, patch) => {
       const token = getAuthToken();
-      const res = await apiFetch(`/expenses/${expense_id}`, {
+      const res = await apiWrite(`/expenses/${expense_id}`, {
         method: "PUT",
         token,
         body: patch,
@@ -986,7 +1211,7 @@ export function SaleProvider({ children, getToken }) {
   const deleteExpense = useCallback(
     async (expense_id) => {
       const token = getAuthToken();
-      await apiFetch(`/expenses/${expense_id}`, { method: "DELETE", token });
+      await apiWrite(`/expenses/${expense_id}`, { method: "DELETE", token });
       try {
         await listExpenses();
       } catch {}
@@ -995,12 +1220,95 @@ export function SaleProvider({ children, getToken }) {
     [getAuthToken, listExpenses]
   );
 
+  // ---------------- Offline outbox: replay ----------------
+  // Replays pending entries oldest-first. A 4xx marks the entry as a conflict and moves on;
+  // network errors / 5xx stop the run so later entries keep their order.
+  const syncingRef = useRef(false);
+  const syncOutbox = useCallback(async () => {
+    const token = getAuthToken();
+    if (!token || syncingRef.current || isOffline()) return null;
+    syncingRef.current = true;
+    dispatch({ type: "SET_SYNCING", syncing: true });
+    let synced = 0;
+    let conflicts = 0;
+    try {
+      const rows = await listOutbox(userIdRef.current);
+      for (const entry of rows) {
+        if (entry.status !== "pending") continue;
+        try {
+          await apiWrite(entry.path, {
+            method: entry.method,
+            token,
+            body: entry.body,
+            idempotencyKey: entry.idempotency_key,
+          });
+          await removeOutboxEntry(entry.id);
+          synced += 1;
+        } catch (e) {
+          if (isNetworkError(e) || !e.status || e.status >= 500 || e.status === 401) {
+            await updateOutboxEntry(entry.id, { attempts: (entry.attempts || 0) + 1, error: e.message });
+            break;
+          }
+          await updateOutboxEntry(entry.id, {
+            status: "conflict",
+            attempts: (entry.attempts || 0) + 1,
+            error: e.message,
+          });
+          conflicts += 1;
+        }
+      }
+    } finally {
+      syncingRef.current = false;
+      dispatch({ type: "SET_SYNCING", syncing: false });
+      await refreshOutbox();
+    }
+    const result = { at: new Date().toISOString(), synced, conflicts };
+    dispatch({ type: "SET_LAST_SYNC", lastSync: result });
+    if (synced) {
+      await listSales().catch(() => {});
+      await listExpenses().catch(() => {});
+    }
+    return result;
+  }, [getAuthToken, refreshOutbox, listSales, listExpenses]);
+
+  // Put a conflicted entry back in the queue (e.g. after fixing stock) and try again
+  const retryOutboxEntry = useCallback(
+    async (id) => {
+      await updateOutboxEntry(id, { status: "pending", error: null });
+      await refreshOutbox();
+      return syncOutbox();
+    },
+    [refreshOutbox, syncOutbox]
+  );
+
   // ---------------- Boot ----------------
   useEffect(() => {
     if (getAuthToken()) fetchCustomers().catch(() => {});
+    refreshOutbox();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Replay queued writes whenever connectivity comes back
+  const syncOutboxRef = useRef(syncOutbox);
+  useEffect(() => {
+    syncOutboxRef.current = syncOutbox;
+  }, [syncOutbox]);
+  useEffect(() => {
+    const onOnline = () => syncOutboxRef.current().catch(() => {});
+    window.addEventListener("online", onOnline);
+    onOnline();
+    return () => window.removeEventListener("online", onOnline);
+  }, []);
+
+  // Another cashier signed in on this till: show & replay their entries instead
+  const outboxUserRef = useRef(userId);
+  useEffect(() => {
+    if (outboxUserRef.current === userId) return;
+    outboxUserRef.current = userId;
+    refreshOutbox();
+    syncOutboxRef.current().catch(() => {});
+  }, [userId, refreshOutbox]);
+
   const value = useMemo(
     () => ({
       ...state,
@@ -1017,6 +1325,8 @@ export function SaleProvider({ children, getToken }) {
       listLast7DaysSales,
       setDateFiltersToToday,
       searchSales,
+      listSalesAll,
+      listCustomerSales,
       // sales CRUD
       createSale,
       getSale,
@@ -1029,12 +1339,20 @@ export function SaleProvider({ children, getToken }) {
       createPayment,
       createCreditPayment,
       listPayments,
+      listPaymentsByMethod,
+      findPaymentsByMpesaCode,
       getPayment,
       updatePayment,
       deletePayment,
       sendPaymentEmail,
       // dispatch
       closeDispatch,
+      // day closing
+      listDayClosings,
+      getDayClosing,
+      closeDay,
+      reopenDay,
+      isDayClosed,
       // summaries (money)
       fetchSummaryByDate,
       fetchSummaryToday,
@@ -1050,6 +1368,7 @@ export function SaleProvider({ children, getToken }) {
       fetchCogsLast7Days,
       // COGS purchases
       createCogsPurchase,
+      listCogsPurchases,
       // receipts, printing & exports
       getReceipt,
       printSaleReceipt,
@@ -1064,6 +1383,11 @@ export function SaleProvider({ children, getToken }) {
       getExpense,
       updateExpense,
       deleteExpense,
+      // offline outbox
+      refreshOutbox,
+      syncOutbox,
+      retryOutboxEntry,
+      discardOutboxEntry,
     }),
     [
       state,
@@ -1078,6 +1402,8 @@ export function SaleProvider({ children, getToken }) {
       listLast7DaysSales,
       setDateFiltersToToday,
       searchSales,
+      listSalesAll,
+      listCustomerSales,
       createSale,
       getSale,
       getSaleByReceipt,
@@ -1088,11 +1414,18 @@ export function SaleProvider({ children, getToken }) {
       createPayment,
       createCreditPayment,
       listPayments,
+      listPaymentsByMethod,
+      findPaymentsByMpesaCode,
       getPayment,
       updatePayment,
       deletePayment,
       sendPaymentEmail,
       closeDispatch,
+      listDayClosings,
+      getDayClosing,
+      closeDay,
+      reopenDay,
+      isDayClosed,
       fetchSummaryByDate,
       fetchSummaryToday,
       fetchCartonsBySize,
@@ -1104,6 +1437,7 @@ export function SaleProvider({ children, getToken }) {
       fetchCogsYesterday,
       fetchCogsLast7Days,
       createCogsPurchase,
+      listCogsPurchases,
       getReceipt,
       printSaleReceipt,
       exportSalesCSV,
@@ -1116,6 +1450,10 @@ export function SaleProvider({ children, getToken }) {
       getExpense,
       updateExpense,
       deleteExpense,
+      refreshOutbox,
+      syncOutbox,
+      retryOutboxEntry,
+      discardOutboxEntry,
     ]
   );
 
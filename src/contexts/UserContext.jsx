@@ -3,20 +3,18 @@ import React, {
   createContext, useCallback, useContext, useEffect, useMemo, useReducer, useRef
 } from "react";
 
+import { apiRequest, qs, DEVICE_ID } from "../api.jsx";
+import { can as canUser, roleOf } from "../utils/permissions.jsx";
+
 /**
  * UserContext.jsx
  * Auth + Users + Device Approval client for your Flask routes.
  *
- * ✅ Adds stable device fingerprint:
- *   - Generates UUID once (localStorage key "bb.device_id")
- *   - Sends it on every request as "X-Device-Id"
+ * ✅ Stable device fingerprint ("X-Device-Id") is sent by the shared client in src/api.jsx
+ * ✅ Any authenticated 401 (from any context) fires "auth:unauthorized" → clearAuth()
  */
 
-// -------------------- API Helpers --------------------
-const API_BASE =
-  (typeof import.meta !== "undefined" && import.meta?.env?.VITE_API_URL) ||
-  "/api"; // dev container: Vite proxies /api -> http://backend:5000
-
+// -------------------- Config --------------------
 // Heartbeat (in ms) to notice revoked/deactivated sessions while idle
 const HEARTBEAT_MS = Number(
   (typeof import.meta !== "undefined" && import.meta?.env?.VITE_AUTH_HEARTBEAT_MS) || 30000
@@ -35,75 +33,6 @@ const REDIRECT_ON_LOGOUT = String(
 const TOKEN_KEY = "token";
 const USER_KEY = "auth_user";
 
-// ✅ New: stable device id
-const DEVICE_KEY = "bb.device_id";
-function getOrCreateDeviceId() {
-  try {
-    let id = localStorage.getItem(DEVICE_KEY);
-    if (!id) {
-      // Modern browsers: crypto.randomUUID()
-      id = typeof crypto !== "undefined" && crypto.randomUUID
-        ? crypto.randomUUID()
-        : `dev-${Math.random().toString(36).slice(2)}-${Date.now()}`;
-      localStorage.setItem(DEVICE_KEY, id);
-    }
-    return id;
-  } catch {
-    // If localStorage is unavailable, use ephemeral (will require re-approval per session)
-    return `ephemeral-${Math.random().toString(36).slice(2)}`;
-  }
-}
-const DEVICE_ID = getOrCreateDeviceId();
-
-const jsonHeaders = { "Content-Type": "application/json" };
-
-function qs(params = {}) {
-  const q = new URLSearchParams();
-  Object.entries(params).forEach(([k, v]) => {
-    if (v === undefined || v === null || v === "") return;
-    q.set(k, String(v));
-  });
-  const s = q.toString();
-  return s ? `?${s}` : "";
-}
-
-async function apiFetch(path, { method = "GET", token, body, headers, expectBlob = false } = {}) {
-  const url = API_BASE + path;
-
-  // ✅ Always send device header
-  const baseHeaders = {
-    ...(expectBlob ? {} : jsonHeaders),
-    ...(token ? { Authorization: `Bearer ${token}` } : {}),
-    "X-Device-Id": DEVICE_ID,
-    ...(headers || {}),
-  };
-
-  const opts = { method, headers: baseHeaders };
-  if (body !== undefined && body !== null && !expectBlob) {
-    opts.body = typeof body === "string" ? body : JSON.stringify(body);
-  }
-
-  const res = await fetch(url, opts);
-
-  // Build a rich error if not OK
-  if (!res.ok) {
-    let err = { status: res.status, statusText: res.statusText, message: `${res.status} ${res.statusText}` };
-    try {
-      const j = await res.json();
-      err.message = j?.error || err.message;
-      err.data = j;
-    } catch (_) {}
-    const e = new Error(err.message);
-    Object.assign(e, err);
-    throw e;
-  }
-
-  if (expectBlob) return res.blob();
-  const ct = res.headers.get("content-type") || "";
-  if (ct.includes("application/json")) return res.json();
-  return res.text();
-}
-
 // -------------------- State --------------------
 const initialState = {
   token: (typeof localStorage !== "undefined" && localStorage.getItem(TOKEN_KEY)) || "",
@@ -234,26 +163,16 @@ export function UserProvider({ children }) {
     [state.token]
   );
 
-  // Centralized 401 handler around apiFetch
-  const request = useCallback(async (path, opts = {}) => {
-    try {
-      return await apiFetch(path, opts);
-    } catch (e) {
-      if (e?.status === 401) {
-        clearAuth();
-        try { window.dispatchEvent(new CustomEvent("auth:unauthorized", { detail: e })); } catch {}
-      }
-      throw e;
-    }
-  }, [clearAuth]);
+  // All calls go through the shared client; 401s are handled by the listener below
+  const request = useCallback((path, opts = {}) => apiRequest(path, opts), []);
 
   // ------ auth routes ------
   const login = useCallback(async ({ email, password }) => {
     dispatch({ type: "SET_LOADING", loading: true });
     dispatch({ type: "SET_PENDING_APPROVAL", value: null });
     try {
-      // ✅ DEVICE HEADER is automatically added by apiFetch
-      const res = await request(`/login`, { method: "POST", body: { email, password } });
+      // ✅ DEVICE HEADER is automatically added by apiRequest
+      const res = await request(`/login`, { method: "POST", token: "", body: { email, password } });
       const token = res?.token || "";
       const user = res?.user || null;
       if (!token || !user) throw new Error("Invalid login response");
@@ -420,9 +339,14 @@ export function UserProvider({ children }) {
 
   // ------ derived helpers ------
   const isLoggedIn = !!state.token && !!state.user;
-  const isAdmin = (state.user?.role || "").toLowerCase() === "admin";
-  const isOverallAdmin = isAdmin && (state.user?.admin_level || "").toLowerCase() === "overall";
+  // role/capability checks live in utils/permissions.jsx — prefer can("…") over role names
+  const role = roleOf(state.user);
+  const isOverallAdmin = role === "overall_admin";
+  const isAdmin = isOverallAdmin || role === "admin";
+
+  const can = useCallback((capability) => canUser(state.user, capability), [state.user]);
 
+  // raw role name as the server sends it (an overall admin's role is still "admin")
   const hasRole = useCallback((...roles) => {
     const r = (state.user?.role || "").toLowerCase();
     return roles.map((x) => String(x).toLowerCase()).includes(r);
@@ -474,6 +398,8 @@ export function UserProvider({ children }) {
     isAuthenticated,     // alias for Home.jsx
     isAdmin,
     isOverallAdmin,
+    role,
+    can,
     hasRole,
     needsApproval,       // alias for Home.jsx
     clearNeedsApproval,
@@ -490,7 +416,7 @@ export function UserProvider({ children }) {
     login, logout, fetchCurrentUser, getToken,
     approveByCode, approveDevice, approvePending, getDeviceRequests, getDeviceSummary, rejectDeviceRequest,
     createUser, getUsers, getUser, updateUser, deleteUser, reactivateUser, resetPassword,
-    isLoggedIn, isAuthenticated, isAdmin, isOverallAdmin, hasRole, needsApproval, clearNeedsApproval,
+    isLoggedIn, isAuthenticated, isAdmin, isOverallAdmin, role, can, hasRole, needsApproval, clearNeedsApproval,
     persistAuth, clearAuth, request
   ]);
 
@@ -541,6 +467,13 @@ export function UserProvider({ children }) {
     };
   }, [state.token, fetchCurrentUser]);
 
+  // Session rejected by the server on any request (this or another context)
+  useEffect(() => {
+    const onUnauthorized = () => clearAuth();
+    window.addEventListener("auth:unauthorized", onUnauthorized);
+    return () => window.removeEventListener("auth:unauthorized", onUnauthorized);
+  }, [clearAuth]);
+
   // Cross-tab logout sync (when one tab clears token, others follow)
   useEffect(() => {
     const onStorage = (e) => {
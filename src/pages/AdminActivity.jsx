@@ -0,0 +1,242 @@
+// src/pages/AdminActivity.jsx
+import { Fragment, useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { RefreshCcw, ChevronDown, ChevronRight, Loader2 } from "lucide-react";
+import { toast } from "react-toastify";
+import { useUser } from "../contexts/UserContext.jsx";
+import {
+  ACTIONS,
+  ENTITY_TYPES,
+  diffChanges,
+  entityLabel,
+  formatAuditTime,
+  formatValue,
+  listAuditLogs,
+} from "../utils/audit.jsx";
+import { DiffTable } from "../components/HistoryPanel.jsx";
+import { todayNairobi, daysAgoNairobi } from "../utils/format.jsx";
+import { inputCls } from "../components/formStyles.jsx";
+
+/**
+ * AdminActivity.jsx — audit trail
+ * - Every create / edit / delete / restore with actor and Nairobi time
+ * - Filters: user, entity type, action, date range (Africa/Nairobi), record id
+ * - Row expands to the before/after diff (or the full record for creates/deletes)
+ */
+
+const PER_PAGE = 50;
+
+export default function AdminActivity() {
+  const { getUsers } = useUser();
+
+  const [users, setUsers] = useState([]);
+  const [filters, setFilters] = useState(() => ({
+    user_id: "",
+    entity_type: "",
+    action: "",
+    entity_id: "",
+    date_from: daysAgoNairobi(6),
+    date_to: todayNairobi(),
+  }));
+  const [rows, setRows] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [loading, setLoading] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+
+  async function load(page = 1, f = filters) {
+    setLoading(true);
+    try {
+      const res = await listAuditLogs({ ...f, page, per_page: PER_PAGE });
+      setRows(res.data);
+      setPagination(res.pagination);
+      setExpanded(null);
+    } catch (e) {
+      toast.error(e?.message || "Failed to load activity");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load(1);
+    getUsers({ all: true })
+      .then((res) => setUsers(Array.isArray(res) ? res : res?.data || []))
+      .catch(() => {});
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const set = (k) => (e) => setFilters((f) => ({ ...f, [k]: e.target.value }));
+
+  return (
+    <div className="p-4 md:p-6 lg:p-8 w-full max-w-7xl mx-auto">
+      <header className="mb-4 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl md:text-3xl font-semibold">Activity</h1>
+          <p className="text-sm text-white/60">Who changed what, and when (Africa/Nairobi).</p>
+        </div>
+        <button
+          className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5 disabled:opacity-50"
+          onClick={() => load(pagination.page || 1)}
+          disabled={loading}
+        >
+          {loading ? <Loader2 size={16} className="animate-spin" /> : <RefreshCcw size={16} />} Refresh
+        </button>
+      </header>
+
+      <div className="mb-4 rounded-2xl border border-white/10 p-3">
+        <div className="grid grid-cols-2 gap-3 md:grid-cols-7">
+          <select value={filters.user_id} onChange={set("user_id")} className={inputCls}>
+            <option value="">All users</option>
+            {users.map((u) => (
+              <option key={u.id} value={u.id}>
+                {u.name || u.username || u.email}
+              </option>
+            ))}
+          </select>
+          <select value={filters.entity_type} onChange={set("entity_type")} className={inputCls}>
+            <option value="">All records</option>
+            {ENTITY_TYPES.map((t) => (
+              <option key={t.value} value={t.value}>
+                {t.label}
+              </option>
+            ))}
+          </select>
+          <select value={filters.action} onChange={set("action")} className={inputCls}>
+            <option value="">All actions</option>
+            {Object.entries(ACTIONS).map(([k, v]) => (
+              <option key={k} value={k}>
+                {v.label}
+              </option>
+            ))}
+          </select>
+          <input
+            value={filters.entity_id}
+            onChange={set("entity_id")}
+            placeholder="Record #"
+            inputMode="numeric"
+            className={inputCls}
+          />
+          <input type="date" value={filters.date_from} onChange={set("date_from")} className={inputCls} />
+          <input type="date" value={filters.date_to} onChange={set("date_to")} className={inputCls} />
+          <button
+            className="rounded-xl bg-white text-gray-900 px-3 py-2 text-sm disabled:opacity-50"
+            onClick={() => load(1)}
+            disabled={loading}
+          >
+            Apply
+          </button>
+        </div>
+      </div>
+
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }}>
+        <div className="rounded-2xl border border-white/10 overflow-x-auto">
+          <table className="w-full min-w-[860px] text-sm">
+            <thead className="bg-white/5">
+              <tr>
+                <th className="px-3 py-2 text-left">When</th>
+                <th className="px-3 py-2 text-left">Who</th>
+                <th className="px-3 py-2 text-left">Action</th>
+                <th className="px-3 py-2 text-left">Record</th>
+                <th className="px-3 py-2 text-left">Changes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((log) => {
+                const action = ACTIONS[log.action] || { label: log.action, cls: "bg-white/10 text-white/70" };
+                const changes = diffChanges(log);
+                const isOpen = expanded === log.id;
+                return (
+                  <Fragment key={log.id}>
+                    <tr
+                      className="border-t border-white/10 cursor-pointer hover:bg-white/5 align-top"
+                      onClick={() => setExpanded(isOpen ? null : log.id)}
+                    >
+                      <td className="px-3 py-2 whitespace-nowrap">{formatAuditTime(log.created_at)}</td>
+                      <td className="px-3 py-2">{log.actor_name || (log.actor_id ? `User #${log.actor_id}` : "System")}</td>
+                      <td className="px-3 py-2">
+                        <span className={`inline-flex rounded-full px-2 py-0.5 text-xs ${action.cls}`}>{action.label}</span>
+                      </td>
+                      <td className="px-3 py-2">
+                        {entityLabel(log.entity_type)}{" "}
+                        <span className="font-mono text-white/80">{log.entity_label || `#${log.entity_id}`}</span>
+                      </td>
+                      <td className="px-3 py-2 text-white/70">
+                        <span className="inline-flex items-center gap-1">
+                          {isOpen ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                          {log.action === "update"
+                            ? changes.map((c) => c.field.replace(/_/g, " ")).join(", ") || "—"
+                            : "Details"}
+                        </span>
+                      </td>
+                    </tr>
+                    {isOpen && (
+                      <tr className="bg-black/20">
+                        <td colSpan={5} className="px-3 py-3">
+                          {log.action === "update" ? (
+                            changes.length ? (
+                              <DiffTable changes={changes} />
+                            ) : (
+                              <div className="text-white/60">No field changes recorded.</div>
+                            )
+                          ) : (
+                            <Snapshot record={log.action === "delete" ? log.before : log.after || log.before} />
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+              {rows.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-3 py-8 text-center text-white/60">
+                    {loading ? "Loading…" : "No activity for these filters"}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {pagination.pages > 1 && (
+          <div className="mt-3 flex items-center justify-between text-sm">
+            <span className="text-white/60">
+              Page {pagination.page} of {pagination.pages} · {pagination.total} changes
+            </span>
+            <div className="flex gap-2">
+              <button
+                className="rounded-xl border border-white/10 px-3 py-1.5 disabled:opacity-50"
+                disabled={loading || pagination.page <= 1}
+                onClick={() => load(pagination.page - 1)}
+              >
+                Prev
+              </button>
+              <button
+                className="rounded-xl border border-white/10 px-3 py-1.5 disabled:opacity-50"
+                disabled={loading || pagination.page >= pagination.pages}
+                onClick={() => load(pagination.page + 1)}
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </motion.div>
+    </div>
+  );
+}
+
+function Snapshot({ record }) {
+  const entries = Object.entries(record || {}).filter(([k]) => k !== "updated_at");
+  if (!entries.length) return <div className="text-white/60">No snapshot recorded.</div>;
+  return (
+    <dl className="grid grid-cols-1 gap-x-6 gap-y-1 text-xs sm:grid-cols-2 lg:grid-cols-3">
+      {entries.map(([k, v]) => (
+        <div key={k} className="flex justify-between gap-3 border-b border-white/5 py-1">
+          <dt className="text-white/60">{k.replace(/_/g, " ")}</dt>
+          <dd className="text-right break-all">{formatValue(v)}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
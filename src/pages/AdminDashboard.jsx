@@ -11,10 +11,29 @@ import {
   Package,
   Save,
   X,
+  AlertTriangle,
+  Tags,
+  ShieldCheck,
 } from "lucide-react";
 import { toast } from "react-toastify";           // minimal success/error toasts only
 import "react-toastify/dist/ReactToastify.css";   // styles (container lives in main.jsx)
+import { Link, useNavigate } from "react-router-dom";
 import { useSaleContext } from "../contexts/SaleContext.jsx";
+import { usePackaging } from "../contexts/PackagingContext.jsx";
+import StockBadge from "../components/StockBadge.jsx";
+import ExpenseCategoriesModal from "../components/ExpenseCategoriesModal.jsx";
+import ExpenseApprovalsModal from "../components/ExpenseApprovalsModal.jsx";
+import { lowStockRows } from "../utils/stockLevels.jsx";
+import {
+  BUDGET_STATUS,
+  isCogsExpense,
+  listExpenseCategories,
+  listMonthExpenses,
+  spendByCategory,
+} from "../utils/expenseCategories.jsx";
+import { isCountedExpense, uncountedTotals } from "../utils/expenseApproval.jsx";
+import { apiWrite } from "../api.jsx";
+import { addDays, addMonths, daysBetween, monthEnd } from "../utils/format.jsx";
 
 import {
   ResponsiveContainer,
@@ -28,6 +47,8 @@ import {
   PieChart,
   Pie,
   Cell,
+  BarChart,
+  Bar,
 } from "recharts";
 
 /**
@@ -35,10 +56,18 @@ import {
  * - Expenses = OpEx only (non-COGS)
  * - Net = Paid − (OpEx + COGS purchases)
  * - Net Profit (card) = (COGS Sales − COGS Cost) − OpEx
+ * - Low stock: sizes at/below their minimum level (live, not range-bound)
+ * - Expenses by category: range spend + the month of "To" against each category's monthly budget
+ * - Expenses pending approval (or rejected) are left out of every total above
+ * - Long ranges roll the chart & table up into weeks (> 31 days) or months (> 26 weeks);
+ *   clicking a period opens its sales in CashierSale
  */
 
-const API_BASE =
-  (typeof import.meta !== "undefined" && import.meta?.env?.VITE_API_URL) || "/api";
+const BUCKETS = {
+  day: { chart: "Daily", column: "Date" },
+  week: { chart: "Weekly", column: "Week of" },
+  month: { chart: "Monthly", column: "Month" },
+};
 
 const COLORS = {
   paid: "#22c55e",
@@ -58,12 +87,16 @@ export default function AdminDashboard() {
     fetchCartonsBySize,
     fetchCogsSummary,
   } = useSaleContext();
+  const { stockBalances, bottleSizes, fetchStockBalances } = usePackaging();
+  const navigate = useNavigate();
+  const lowStock = useMemo(() => lowStockRows(stockBalances, bottleSizes), [stockBalances, bottleSizes]);
 
   const [filters, setFilters] = useState(() => {
     const t = todayKE();
     return { date_from: t, date_to: t };
   });
 
+  const [loadedRange, setLoadedRange] = useState(filters); // what the data below is for
   const [loading, setLoading] = useState(false);
   const [salesSummary, setSalesSummary] = useState([]);
   const [expenses, setExpenses] = useState([]);
@@ -77,11 +110,18 @@ export default function AdminDashboard() {
   });
 
   const [showCogsModal, setShowCogsModal] = useState(false);
+  const [showCategories, setShowCategories] = useState(false);
+  const [showApprovals, setShowApprovals] = useState(false);
+  const [categories, setCategories] = useState([]);
+  const [monthExpenses, setMonthExpenses] = useState([]);
 
   // ---- Load (no loading/spinner toasts; just state) --------------------
   const load = async (range = filters) => {
     setLoading(true);
     try {
+      fetchStockBalances().catch(() => {});
+      listExpenseCategories().then(setCategories).catch(() => {});
+      listMonthExpenses(range.date_to).then(setMonthExpenses).catch(() => setMonthExpenses([]));
       const [sum, exp, car, cogs] = await Promise.all([
         fetchSummaryByDate({ date_from: range.date_from, date_to: range.date_to }),
         listExpenses({ date_from: range.date_from, date_to: range.date_to }),
@@ -93,6 +133,7 @@ export default function AdminDashboard() {
           : Promise.resolve({ totals: { sales: 0, cogs: 0 }, by_size: [] }),
       ]);
 
+      setLoadedRange(range);
       setSalesSummary(sum || []);
       setExpenses(exp || []);
       setCartonsSummary(car || { by_size: [], totals: { cartons: 0, revenue: 0 } });
@@ -125,6 +166,13 @@ export default function AdminDashboard() {
     const { start, end } = last7DaysKE();
     return applyRange({ date_from: start, date_to: end });
   };
+  const presets = [
+    { key: "week", label: "This Week", title: "Monday to today", range: thisWeekKE() },
+    { key: "month", label: "This Month", title: "1st of the month to today", range: thisMonthKE() },
+    { key: "last_month", label: "Last Month", title: "The whole of last month", range: lastMonthKE() },
+    { key: "quarter", label: "Quarter", title: "This quarter to date", range: thisQuarterKE() },
+    { key: "year", label: "Year", title: "This year to date", range: thisYearKE() },
+  ];
   const onApply = () => load();
   const onRefresh = () => load();
 
@@ -146,43 +194,44 @@ export default function AdminDashboard() {
   const pickCount = (r) => num(r?.count ?? r?.num_sales);
 
   /* ---------- Split expenses: OpEx vs COGS purchases ---------- */
-  const isCogsExp = (e) => String(e?.category || "").toLowerCase() === "cogs";
+  const countedExpenses = useMemo(() => (expenses || []).filter(isCountedExpense), [expenses]);
+  const pendingApproval = useMemo(() => uncountedTotals(expenses).pending, [expenses]);
 
   const opExTotal = useMemo(
-    () => (expenses || []).filter((e) => !isCogsExp(e)).reduce((a, e) => a + num(e.amount), 0),
-    [expenses]
+    () => countedExpenses.filter((e) => !isCogsExpense(e)).reduce((a, e) => a + num(e.amount), 0),
+    [countedExpenses]
   );
 
   const cogsPurchasesTotal = useMemo(
-    () => (expenses || []).filter(isCogsExp).reduce((a, e) => a + num(e.amount), 0),
-    [expenses]
+    () => countedExpenses.filter(isCogsExpense).reduce((a, e) => a + num(e.amount), 0),
+    [countedExpenses]
   );
 
   // group by day (YYYY-MM-DD) - OpEx only
   const opExByDate = useMemo(() => {
     const m = {};
-    for (const e of expenses || []) {
-      if (isCogsExp(e)) continue;
+    for (const e of countedExpenses) {
+      if (isCogsExpense(e)) continue;
       const raw = String(e.date || e.created_at || "");
       const iso = /^\d{4}-\d{2}-\d{2}/.exec(raw)?.[0] || ymdInKE(new Date(raw));
       if (!iso) continue;
       m[iso] = (m[iso] || 0) + num(e.amount);
     }
     return m;
-  }, [expenses]);
+  }, [countedExpenses]);
 
   // group by day (YYYY-MM-DD) - COGS purchases only
   const cogsByDate = useMemo(() => {
     const m = {};
-    for (const e of expenses || []) {
-      if (!isCogsExp(e)) continue;
+    for (const e of countedExpenses) {
+      if (!isCogsExpense(e)) continue;
       const raw = String(e.date || e.created_at || "");
       const iso = /^\d{4}-\d{2}-\d{2}/.exec(raw)?.[0] || ymdInKE(new Date(raw));
       if (!iso) continue;
       m[iso] = (m[iso] || 0) + num(e.amount);
     }
     return m;
-  }, [expenses]);
+  }, [countedExpenses]);
 
   /* ---------- Sales totals (folded) ---------- */
   const totalSales = useMemo(() => {
@@ -259,18 +308,35 @@ export default function AdminDashboard() {
     return Array.from(map.values()).sort((a, b) => a.date.localeCompare(b.date));
   }, [salesSummary, opExByDate, cogsByDate]);
 
+  /* ---------- Periods: days, or weeks / months for long ranges ---------- */
+  const bucket = bucketFor(loadedRange.date_from, loadedRange.date_to);
+  const periodRows = useMemo(() => bucketRows(dayRows, bucket, loadedRange), [dayRows, bucket, loadedRange]);
+
+  // that period's sales list in CashierSale
+  const openPeriod = (r) => {
+    if (!r?.date_from) return;
+    navigate(salesLink(r));
+  };
+
   /* ---------- Chart: show OpEx as “Expenses”; Net uses OpEx + COGS purchases ---------- */
   const chartDailyArea = useMemo(
     () =>
-      (dayRows || []).map((r) => ({
-        date: r.date?.slice(5) || r.date,
+      (periodRows || []).map((r) => ({
+        date: r.short,
         Paid: r.paid,
         Expenses: r.opEx,                          // show ONLY OpEx
         Net: r.paid - (r.opEx + r.cogsPurch),      // net uses both OpEx + COGS purchases
       })),
-    [dayRows]
+    [periodRows]
   );
 
+  /* ---------- Expenses by category (OpEx only) ---------- */
+  const byCategory = useMemo(
+    () => spendByCategory(countedExpenses, categories, monthExpenses.filter(isCountedExpense)),
+    [countedExpenses, categories, monthExpenses]
+  );
+  const budgetMonth = String(filters.date_to || "").slice(0, 7);
+
   /* ---------- Pie: show “Expenses” slice = OpEx only ---------- */
   const pieTotals = useMemo(
     () => [
@@ -282,20 +348,7 @@ export default function AdminDashboard() {
   );
 
   /* ---------- COGS purchase POST helper ---------- */
-  const getDefaultToken = () => {
-    try {
-      return (
-        (typeof localStorage !== "undefined" &&
-          (localStorage.getItem("token") || localStorage.getItem("access_token"))) ||
-        ""
-      );
-    } catch {
-      return "";
-    }
-  };
-
   const saveCogsPurchase = async (payload) => {
-    const token = getDefaultToken();
     const body = {
       amount: Number(payload.amount),
       ...(payload.description ? { description: payload.description } : {}),
@@ -312,22 +365,7 @@ export default function AdminDashboard() {
       throw new Error("Amount is required and must be > 0");
     }
 
-    const res = await fetch(API_BASE + "/cogs", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        ...(token ? { Authorization: `Bearer ${token}` } : {}),
-      },
-      body: JSON.stringify(body),
-    });
-    if (!res.ok) {
-      let msg = `${res.status} ${res.statusText}`;
-      try {
-        const j = await res.json();
-        if (j?.error) msg = j.error;
-      } catch {}
-      throw new Error(msg);
-    }
+    await apiWrite("/cogs", { method: "POST", body });
     await load(filters);
     toast.success("COGS recorded");        // success only (no spinner)
   };
@@ -385,6 +423,17 @@ export default function AdminDashboard() {
           >
             <CalendarDays size={16} /> Last 7 Days
           </ToolbarBtn>
+          {presets.map((p) => (
+            <ToolbarBtn
+              key={p.key}
+              onClick={() => applyRange({ date_from: p.range.start, date_to: p.range.end })}
+              title={`${p.title} (Africa/Nairobi)`}
+              active={filters.date_from === p.range.start && filters.date_to === p.range.end}
+              disabled={loading}
+            >
+              <CalendarDays size={16} /> {p.label}
+            </ToolbarBtn>
+          ))}
           <ToolbarBtn onClick={() => setShowCogsModal(true)} disabled={loading}>
             <Package size={16} /> Record COGS
           </ToolbarBtn>
@@ -422,16 +471,64 @@ export default function AdminDashboard() {
       <div className="mb-4">
         <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3">
           <KPI compact label="Sales Gross" value={fmt(totalSales.gross)} color={COLORS.gross} />
-          <KPI compact label="Sales Paid" value={fmt(totalSales.paid)} color={COLORS.paid} trend={trendFrom(dayRows, "paid")} />
+          <KPI compact label="Sales Paid" value={fmt(totalSales.paid)} color={COLORS.paid} trend={trendFrom(periodRows, "paid")} />
           <KPI compact label="Sales Balance" value={fmt(totalSales.balance)} color={COLORS.balance} />
-          <KPI compact label="Expenses" value={fmt(opExTotal)} color={COLORS.expenses} trend={trendFrom(dayRows, "opEx")} />
-          <KPI compact label="Net (Paid - Exp - COGS Purch.)" value={fmt(net)} color={COLORS.net} trend={trendNet(dayRows)} />
+          <KPI compact label="Expenses" value={fmt(opExTotal)} color={COLORS.expenses} trend={trendFrom(periodRows, "opEx")} />
+          <KPI compact label="Net (Paid - Exp - COGS Purch.)" value={fmt(net)} color={COLORS.net} trend={trendNet(periodRows)} />
           <KPI compact label="Total Cartons" value={Number(totalCartons || 0).toLocaleString()} color="#60a5fa" />
           <KPI compact label="COGS (Combined)" value={fmt(cogsTotals.cogs)} color={COLORS.cogs} />
           <KPI compact label="Net Profit" value={fmt(netProfit)} color="#10b981" />
         </div>
       </div>
 
+      {pendingApproval.count > 0 && (
+        <div className="mb-4 flex flex-wrap items-center justify-between gap-2 rounded-2xl border border-amber-400/30 bg-amber-500/10 px-3 py-2 text-sm text-amber-200">
+          <div className="inline-flex items-center gap-2">
+            <ShieldCheck size={16} />
+            {pendingApproval.count} expense{pendingApproval.count === 1 ? "" : "s"} ({fmt(pendingApproval.amount)}) waiting
+            for approval — not included in the figures above
+          </div>
+          <button
+            className="rounded-xl border border-white/10 px-2 py-1 text-xs hover:bg-white/5"
+            onClick={() => setShowApprovals(true)}
+          >
+            Review
+          </button>
+        </div>
+      )}
+
+      {/* Low stock */}
+      {lowStock.length > 0 && (
+        <motion.div
+          initial={{ opacity: 0, y: 8 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-6 rounded-2xl border border-amber-400/30 bg-amber-500/10 p-3 sm:p-4"
+        >
+          <div className="mb-2 flex items-center justify-between gap-2 text-sm">
+            <div className="inline-flex items-center gap-2 text-amber-200">
+              <AlertTriangle size={16} /> Low stock — {lowStock.length} size{lowStock.length === 1 ? "" : "s"} to reorder / pack
+            </div>
+            <Link to="/admin/packaging" className="text-xs text-white/70 underline-offset-2 hover:underline">
+              Packaging →
+            </Link>
+          </div>
+          <div className="grid gap-2 sm:grid-cols-2 lg:grid-cols-3">
+            {lowStock.map((r) => (
+              <div key={r.bottle_size_id} className="flex items-center justify-between rounded-xl bg-black/20 px-3 py-2 text-xs sm:text-sm">
+                <span>
+                  {r.label}
+                  <StockBadge cartons={r.cartons_on_hand} min={r.min_cartons} />
+                </span>
+                <span className="text-right">
+                  <span className="font-semibold">{r.cartons_on_hand.toLocaleString()}</span>
+                  <span className="text-white/60">{r.min_cartons > 0 ? ` / min ${r.min_cartons}` : ""}</span>
+                </span>
+              </div>
+            ))}
+          </div>
+        </motion.div>
+      )}
+
       {/* COGS by Size */}
       <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="mb-6">
         <div className="mb-2 text-sm text-white/80">COGS Breakdown (selected range)</div>
@@ -479,11 +576,19 @@ export default function AdminDashboard() {
           animate={{ opacity: 1, y: 0 }}
           className="rounded-2xl border border-white/10 bg-white/5 p-3 sm:p-4 xl:col-span-2"
         >
-          <div className="mb-2 text-sm text-white/80">Daily Paid vs Expenses vs Net</div>
+          <div className="mb-2 flex items-center justify-between gap-2 text-sm text-white/80">
+            <span>{BUCKETS[bucket].chart} Paid vs Expenses vs Net</span>
+            <span className="text-xs text-white/50">Click a {bucket} to open its sales</span>
+          </div>
           {chartDailyArea.length ? (
             <div className="h-56 sm:h-72 w-full">
               <ResponsiveContainer width="100%" height="100%">
-                <AreaChart data={chartDailyArea} margin={{ top: 8, right: 8, left: 0, bottom: 0 }}>
+                <AreaChart
+                  data={chartDailyArea}
+                  margin={{ top: 8, right: 8, left: 0, bottom: 0 }}
+                  onClick={(state) => openPeriod(periodRows[Number(state?.activeTooltipIndex)])}
+                  style={{ cursor: "pointer" }}
+                >
                   <defs>
                     <linearGradient id="paidGrad" x1="0" y1="0" x2="0" y2="1">
                       <stop offset="5%" stopColor={COLORS.paid} stopOpacity={0.8} />
@@ -540,14 +645,84 @@ export default function AdminDashboard() {
         </motion.div>
       </div>
 
-      {/* Daily table → mobile cards + desktop table */}
+      {/* Expenses by category */}
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="mb-6">
+        <div className="mb-2 flex items-center justify-between gap-2">
+          <div className="text-sm text-white/80">Expenses by Category (selected range · budgets for {budgetMonth})</div>
+          <button
+            className="inline-flex items-center gap-1 rounded-xl border border-white/10 px-2 py-1 text-xs hover:bg-white/5"
+            onClick={() => setShowCategories(true)}
+          >
+            <Tags size={14} /> Categories & budgets
+          </button>
+        </div>
+        {byCategory.length ? (
+          <div className="grid grid-cols-1 gap-4 xl:grid-cols-5">
+            <div className="rounded-2xl border border-white/10 bg-white/5 p-3 sm:p-4 xl:col-span-2">
+              <div className="w-full" style={{ height: Math.max(160, byCategory.length * 34) }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={byCategory} layout="vertical" margin={{ top: 4, right: 8, left: 8, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.08)" />
+                    <XAxis type="number" stroke={COLORS.axis} />
+                    <YAxis type="category" dataKey="name" width={110} stroke={COLORS.axis} tick={{ fontSize: 11 }} />
+                    <Tooltip content={<MoneyTooltip />} />
+                    <Bar dataKey="spent" name="Spent" fill={COLORS.expenses} radius={[0, 6, 6, 0]} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+            <div className="overflow-x-auto rounded-2xl border border-white/10 xl:col-span-3">
+              <table className="w-full text-xs sm:text-sm">
+                <thead className="bg-white/5">
+                  <tr>
+                    <th className="px-3 py-2 text-left">Category</th>
+                    <th className="px-3 py-2 text-right">Spent</th>
+                    <th className="px-3 py-2 text-right">Share</th>
+                    <th className="px-3 py-2 text-right">Month to date</th>
+                    <th className="px-3 py-2 text-right">Budget</th>
+                    <th className="px-3 py-2 text-left">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {byCategory.map((r) => (
+                    <tr key={r.key || "none"} className="border-t border-white/10">
+                      <td className="px-3 py-2">{r.name}</td>
+                      <td className="px-3 py-2 text-right">{fmt(r.spent)}</td>
+                      <td className="px-3 py-2 text-right">{(r.share * 100).toFixed(1)}%</td>
+                      <td className="px-3 py-2 text-right">{fmt(r.month_spent)}</td>
+                      <td className="px-3 py-2 text-right">{r.budget > 0 ? fmt(r.budget) : "—"}</td>
+                      <td className="px-3 py-2">
+                        {r.status ? (
+                          <span className={`rounded-full px-2 py-0.5 text-[11px] ${BUDGET_STATUS[r.status].cls}`}>
+                            {r.status === "over" ? `Over by ${fmt(r.month_spent - r.budget)}` : BUDGET_STATUS[r.status].label}
+                          </span>
+                        ) : (
+                          <span className="text-white/40">—</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ) : (
+          <div className="rounded-2xl border border-white/10 bg-white/5 p-6 text-center text-white/60">
+            {loading ? "Loading…" : "No expenses for this range"}
+          </div>
+        )}
+      </motion.div>
+
+      {/* Period table (days / weeks / months) → mobile cards + desktop table */}
       {/* Mobile cards */}
       <div className="grid gap-3 sm:hidden">
-        {dayRows.length ? (
-          dayRows.map((r) => (
-            <div key={r.date} className="rounded-2xl border border-white/10 bg-white/5 p-3">
+        {periodRows.length ? (
+          periodRows.map((r) => (
+            <div key={r.key} className="rounded-2xl border border-white/10 bg-white/5 p-3">
               <div className="flex items-center justify-between text-sm">
-                <div className="font-medium">{r.date}</div>
+                <Link to={salesLink(r)} className="font-medium underline-offset-2 hover:underline">
+                  {r.label}
+                </Link>
                 <div className="text-white/60"># {Number(r.count || 0).toLocaleString()}</div>
               </div>
               <div className="mt-2 grid grid-cols-2 gap-y-1 text-xs">
@@ -572,7 +747,7 @@ export default function AdminDashboard() {
           <table className="min-w-[720px] w-full text-sm">
             <thead className="bg-white/5">
               <tr>
-                <th className="px-3 py-2 text-left">Date</th>
+                <th className="px-3 py-2 text-left">{BUCKETS[bucket].column}</th>
                 <th className="px-3 py-2 text-right">Sales Gross</th>
                 <th className="px-3 py-2 text-right">Paid</th>
                 <th className="px-3 py-2 text-right">Balance</th>
@@ -582,9 +757,13 @@ export default function AdminDashboard() {
               </tr>
             </thead>
             <tbody>
-              {dayRows.map((r) => (
-                <tr key={r.date} className="border-t border-white/10">
-                  <td className="px-3 py-2">{r.date}</td>
+              {periodRows.map((r) => (
+                <tr key={r.key} className="border-t border-white/10">
+                  <td className="px-3 py-2">
+                    <Link to={salesLink(r)} className="underline-offset-2 hover:underline" title="Open this period's sales">
+                      {r.label}
+                    </Link>
+                  </td>
                   <td className="px-3 py-2 text-right">{fmt(r.gross)}</td>
                   <td className="px-3 py-2 text-right">{fmt(r.paid)}</td>
                   <td className="px-3 py-2 text-right">{fmt(r.balance)}</td>
@@ -593,7 +772,7 @@ export default function AdminDashboard() {
                   <td className="px-3 py-2 text-right">{Number(r.count || 0).toLocaleString()}</td>
                 </tr>
               ))}
-              {dayRows.length === 0 && (
+              {periodRows.length === 0 && (
                 <tr>
                   <td colSpan={7} className="px-3 py-8 text-center text-white/60">
                     {loading ? "Loading…" : "No data"}
@@ -618,6 +797,19 @@ export default function AdminDashboard() {
           }}
         />
       )}
+
+      {showCategories && (
+        <ExpenseCategoriesModal
+          onClose={() => setShowCategories(false)}
+          onChanged={() => listExpenseCategories().then(setCategories).catch(() => {})}
+        />
+      )}
+      {showApprovals && (
+        <ExpenseApprovalsModal
+          onClose={() => setShowApprovals(false)}
+          onChanged={() => load().catch(() => {})}
+        />
+      )}
       {/* No <ToastContainer /> here */}
     </div>
   );
@@ -825,6 +1017,14 @@ function CogsModal({ onClose, onSubmit }) {
           )}
         </div>
 
+        <div className="mt-3 rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-xs text-gray-300">
+          Buying from a supplier? Raise a{" "}
+          <Link to="/admin/purchasing" className="underline" onClick={onClose}>
+            purchase order
+          </Link>{" "}
+          instead — receiving the goods records the COGS and the supplier balance.
+        </div>
+
         <div className="mt-4 flex justify-end gap-2">
 
           <button
@@ -869,6 +1069,62 @@ function trendNet(dayRows) {
   return { delta, pct };
 }
 
+/* ---------------- Period buckets ---------------- */
+// ≤ 31 days daily, ≤ 26 weeks weekly (Mon–Sun), longer monthly
+function bucketFor(from, to) {
+  const days = daysBetween(from, to) + 1;
+  if (days <= 31) return "day";
+  if (days <= 182) return "week";
+  return "month";
+}
+
+const MONTH_FMT = new Intl.DateTimeFormat("en-KE", { month: "short", year: "numeric", timeZone: "UTC" });
+
+/** Day rows → period rows { key, label, short, date_from, date_to, gross, paid, balance, count, opEx, cogsPurch } */
+function bucketRows(dayRows, bucket, range) {
+  const map = new Map();
+  for (const r of dayRows || []) {
+    let key, from, to;
+    if (bucket === "week") {
+      from = weekStartKE(r.date);
+      to = addDays(from, 6);
+      key = from;
+    } else if (bucket === "month") {
+      key = r.date.slice(0, 7);
+      from = `${key}-01`;
+      to = monthEnd(from);
+    } else {
+      key = from = to = r.date;
+    }
+    // a partial first / last period only covers the selected range
+    if (range?.date_from && from < range.date_from) from = range.date_from;
+    if (range?.date_to && to > range.date_to) to = range.date_to;
+    if (!map.has(key)) {
+      const month = new Date(`${key.slice(0, 7)}-01T00:00:00Z`);
+      map.set(key, {
+        key,
+        label: bucket === "month" ? MONTH_FMT.format(month) : bucket === "week" ? `Week of ${key}` : key,
+        short: bucket === "month" ? MONTH_FMT.format(month) : key.slice(5),
+        date_from: from,
+        date_to: to,
+        gross: 0,
+        paid: 0,
+        balance: 0,
+        count: 0,
+        opEx: 0,
+        cogsPurch: 0,
+      });
+    }
+    const b = map.get(key);
+    for (const f of ["gross", "paid", "balance", "count", "opEx", "cogsPurch"]) b[f] += r[f] || 0;
+  }
+  return Array.from(map.values()).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+function salesLink(r) {
+  return `/cashier/sale?date_from=${r.date_from}&date_to=${r.date_to}`;
+}
+
 /* ---------------- Date helpers (Africa/Nairobi) ---------------- */
 const TZ_KE = "Africa/Nairobi";
 function ymdInKE(dateObj) {
@@ -888,6 +1144,24 @@ function daysAgoKE(n) { return ymdInKE(new Date(Date.now() - n * 86400000)); }
 function yesterdayKE() { return daysAgoKE(1); }
 function last7DaysKE() { return { start: daysAgoKE(6), end: todayKE() }; }
 
+// Monday of the week of a "YYYY-MM-DD" (calendar maths in utils/format.jsx)
+function weekStartKE(ymd) {
+  const dow = new Date(`${ymd}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+  return addDays(ymd, -((dow + 6) % 7));
+}
+function thisWeekKE() { const t = todayKE(); return { start: weekStartKE(t), end: t }; }
+function thisMonthKE() { const t = todayKE(); return { start: `${t.slice(0, 7)}-01`, end: t }; }
+function lastMonthKE() {
+  const first = `${todayKE().slice(0, 7)}-01`;
+  return { start: addMonths(first, -1), end: addDays(first, -1) };
+}
+function thisQuarterKE() {
+  const t = todayKE();
+  const m = Number(t.slice(5, 7));
+  return { start: addMonths(`${t.slice(0, 7)}-01`, -((m - 1) % 3)), end: t };
+}
+function thisYearKE() { const t = todayKE(); return { start: `${t.slice(0, 4)}-01-01`, end: t }; }
+
 /* ---------------- Number / Currency helpers ---------------- */
 function num(v) {
   if (v === null || v === undefined) return 0;
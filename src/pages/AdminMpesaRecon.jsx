@@ -0,0 +1,367 @@
+// src/pages/AdminMpesaRecon.jsx
+import { useEffect, useMemo, useRef, useState } from "react";
+import { motion } from "framer-motion";
+import { RefreshCcw, Download, Upload, Loader2, CheckCircle2, AlertTriangle } from "lucide-react";
+import { toast } from "react-toastify";
+import { useSaleContext } from "../contexts/SaleContext.jsx";
+import { parseCsv, toCsv, downloadCsv } from "../utils/csv.jsx";
+import { normalizeMpesaCode, parseMpesaStatement } from "../utils/mpesa.jsx";
+import { toNum, formatMoney, monthStartNairobi, todayNairobi, ymdOf } from "../utils/format.jsx";
+import Tile from "../components/Tile.jsx";
+
+/**
+ * AdminMpesaRecon.jsx — M-Pesa statement vs recorded payments
+ * - Recorded: M-Pesa customer payments in the date range (Africa/Nairobi)
+ * - Statement: CSV export from the M-Pesa portal (completed "Paid In" lines)
+ * - Matched on transaction code; flags amount mismatches and unmatched lines on both sides
+ */
+
+const STATUS = {
+  matched: { label: "Matched", cls: "border-emerald-400/30 bg-emerald-500/10 text-emerald-200" },
+  mismatch: { label: "Amount mismatch", cls: "border-amber-400/30 bg-amber-500/10 text-amber-200" },
+  statement_only: { label: "Not recorded", cls: "border-rose-400/30 bg-rose-500/10 text-rose-200" },
+  recorded_only: { label: "Not on statement", cls: "border-rose-400/30 bg-rose-500/10 text-rose-200" },
+};
+
+export default function AdminMpesaRecon() {
+  const { listPaymentsByMethod } = useSaleContext();
+  const fileRef = useRef(null);
+
+  const [dateFrom, setDateFrom] = useState(() => monthStartNairobi());
+  const [dateTo, setDateTo] = useState(() => todayNairobi());
+  const [loading, setLoading] = useState(false);
+  const [recorded, setRecorded] = useState([]);
+  const [statement, setStatement] = useState(null); // { name, lines, outOfRange }
+  const [view, setView] = useState("exceptions");
+
+  async function load() {
+    setLoading(true);
+    try {
+      const rows = await listPaymentsByMethod({ payment_method: "M-Pesa", date_from: dateFrom, date_to: dateTo });
+      setRecorded(rows.filter((p) => (p.payment_method || "") === "M-Pesa"));
+    } catch (e) {
+      toast.error(e?.message || "Failed to load M-Pesa payments");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [dateFrom, dateTo]);
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const lines = parseMpesaStatement(parseCsv(await file.text()));
+      if (!lines.length) throw new Error("No completed incoming payments found in this file");
+      setStatement({ name: file.name, lines });
+      toast.success(`Imported ${lines.length} statement lines`);
+    } catch (err) {
+      toast.error(err?.message || "Could not read the statement");
+    }
+  };
+
+  // statement lines outside the selected range are left out so they don't show up as "not recorded"
+  const stmtInRange = useMemo(() => {
+    if (!statement) return { lines: [], skipped: 0 };
+    const lines = statement.lines.filter((l) => {
+      const d = statementYmd(l.time);
+      return !d || (d >= dateFrom && d <= dateTo);
+    });
+    return { lines, skipped: statement.lines.length - lines.length };
+  }, [statement, dateFrom, dateTo]);
+
+  const rows = useMemo(() => {
+    if (!statement) return [];
+    const byCode = new Map();
+    for (const p of recorded) {
+      const c = normalizeMpesaCode(p.mpesa_code);
+      if (!c) continue;
+      if (!byCode.has(c)) byCode.set(c, []);
+      byCode.get(c).push(p);
+    }
+
+    const used = new Set();
+    const out = [];
+    for (const l of stmtInRange.lines) {
+      const pays = byCode.get(l.code) || [];
+      if (!pays.length) {
+        out.push({ key: `s-${l.line}`, status: "statement_only", code: l.code, stmt: l, pays: [] });
+        continue;
+      }
+      pays.forEach((p) => used.add(p.id));
+      const recAmt = pays.reduce((t, p) => t + toNum(p.amount), 0);
+      out.push({
+        key: `s-${l.line}`,
+        status: Math.abs(recAmt - l.amount) < 0.01 ? "matched" : "mismatch",
+        code: l.code,
+        stmt: l,
+        pays,
+      });
+    }
+    for (const p of recorded) {
+      if (used.has(p.id)) continue;
+      out.push({
+        key: `p-${p.id}`,
+        status: "recorded_only",
+        code: normalizeMpesaCode(p.mpesa_code),
+        stmt: null,
+        pays: [p],
+      });
+    }
+
+    // Unmatched on both sides with the same amount → likely a mistyped code
+    const loose = out.filter((r) => r.status === "statement_only");
+    for (const r of out) {
+      if (r.status !== "recorded_only") continue;
+      const amt = toNum(r.pays[0].amount);
+      r.hint = loose.find((s) => Math.abs(s.stmt.amount - amt) < 0.01)?.code || "";
+    }
+    return out;
+  }, [statement, stmtInRange, recorded]);
+
+  const counts = useMemo(() => {
+    const c = { matched: 0, mismatch: 0, statement_only: 0, recorded_only: 0 };
+    rows.forEach((r) => (c[r.status] += 1));
+    return c;
+  }, [rows]);
+
+  const totals = useMemo(
+    () => ({
+      statement: stmtInRange.lines.reduce((t, l) => t + l.amount, 0),
+      recorded: recorded.reduce((t, p) => t + toNum(p.amount), 0),
+    }),
+    [stmtInRange, recorded]
+  );
+
+  const visible = rows.filter((r) =>
+    view === "all" ? true : view === "exceptions" ? r.status !== "matched" : r.status === view
+  );
+
+  const exportCsv = () => {
+    const csv = toCsv(visible, [
+      { key: "status", label: "Status", value: (r) => STATUS[r.status].label },
+      { key: "code", label: "M-Pesa code" },
+      { key: "stmt_time", label: "Statement time", value: (r) => r.stmt?.time },
+      { key: "stmt_details", label: "Statement details", value: (r) => r.stmt?.details },
+      { key: "stmt_amount", label: "Statement amount", value: (r) => r.stmt?.amount?.toFixed(2) },
+      { key: "receipts", label: "Sale receipt(s)", value: (r) => r.pays.map(payReceipt).join(" ") },
+      { key: "pay_date", label: "Payment date(s)", value: (r) => r.pays.map(payDate).join(" ") },
+      {
+        key: "rec_amount",
+        label: "Recorded amount",
+        value: (r) => (r.pays.length ? r.pays.reduce((t, p) => t + toNum(p.amount), 0).toFixed(2) : ""),
+      },
+      { key: "hint", label: "Possible match" },
+    ]);
+    downloadCsv(`mpesa-recon-${dateFrom}_to_${dateTo}.csv`, csv);
+  };
+
+  return (
+    <div className="p-4 md:p-6 lg:p-8 w-full max-w-7xl mx-auto">
+      <header className="mb-4 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl md:text-3xl font-semibold">M-Pesa Reconciliation</h1>
+          <p className="text-sm text-white/60">
+            Match the M-Pesa statement against payments recorded in the app, by transaction code.
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <input ref={fileRef} type="file" accept=".csv,text/csv" className="hidden" onChange={onFile} />
+          <button
+            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-white text-gray-900 hover:opacity-90"
+            onClick={() => fileRef.current?.click()}
+          >
+            <Upload size={16} /> Import statement CSV
+          </button>
+          <button
+            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5 disabled:opacity-50"
+            onClick={load}
+            disabled={loading}
+          >
+            {loading ? <Loader2 size={16} className="animate-spin" /> : <RefreshCcw size={16} />} Refresh
+          </button>
+          <button
+            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5 disabled:opacity-50"
+            onClick={exportCsv}
+            disabled={!visible.length}
+          >
+            <Download size={16} /> Export CSV
+          </button>
+        </div>
+      </header>
+
+      <div className="mb-4 flex flex-wrap items-end gap-3 rounded-2xl border border-white/10 bg-white/5 p-3">
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">From</span>
+          <input
+            type="date"
+            value={dateFrom}
+            max={dateTo}
+            onChange={(e) => setDateFrom(e.target.value)}
+            className="rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm"
+          />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">To</span>
+          <input
+            type="date"
+            value={dateTo}
+            min={dateFrom}
+            onChange={(e) => setDateTo(e.target.value)}
+            className="rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm"
+          />
+        </label>
+        <div className="text-sm text-white/70">
+          {statement ? (
+            <>
+              Statement: <strong>{statement.name}</strong> · {stmtInRange.lines.length} lines in range
+              {stmtInRange.skipped > 0 && <span className="text-white/50"> ({stmtInRange.skipped} outside range ignored)</span>}
+            </>
+          ) : (
+            "No statement imported yet"
+          )}
+        </div>
+      </div>
+
+      <div className="mb-4 grid grid-cols-2 gap-3 md:grid-cols-4">
+        <Tile label="Statement total" value={formatMoney(totals.statement)}>
+          <div className="text-xs text-white/50">{stmtInRange.lines.length} lines</div>
+        </Tile>
+        <Tile label="Recorded total" value={formatMoney(totals.recorded)}>
+          <div className="text-xs text-white/50">{recorded.length} payments</div>
+        </Tile>
+        <Tile
+          label="Difference"
+          value={formatMoney(totals.statement - totals.recorded)}
+          tone={statement && Math.abs(totals.statement - totals.recorded) >= 0.01 ? "text-rose-300" : ""}
+        />
+        <Tile
+          label="Exceptions"
+          value={statement ? counts.mismatch + counts.statement_only + counts.recorded_only : "—"}
+          tone={counts.mismatch + counts.statement_only + counts.recorded_only ? "text-amber-300" : ""}
+        />
+      </div>
+
+      {statement && (
+        <div className="mb-3 flex flex-wrap gap-2">
+          <ViewBtn active={view === "exceptions"} onClick={() => setView("exceptions")}>
+            Exceptions ({counts.mismatch + counts.statement_only + counts.recorded_only})
+          </ViewBtn>
+          {Object.entries(STATUS).map(([k, v]) => (
+            <ViewBtn key={k} active={view === k} onClick={() => setView(k)}>
+              {v.label} ({counts[k]})
+            </ViewBtn>
+          ))}
+          <ViewBtn active={view === "all"} onClick={() => setView("all")}>
+            All ({rows.length})
+          </ViewBtn>
+        </div>
+      )}
+
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }}>
+        <div className="rounded-2xl border border-white/10 overflow-x-auto">
+          <table className="w-full min-w-[900px] text-sm">
+            <thead className="bg-white/5">
+              <tr>
+                <th className="px-3 py-2 text-left">Status</th>
+                <th className="px-3 py-2 text-left">Code</th>
+                <th className="px-3 py-2 text-left">Statement</th>
+                <th className="px-3 py-2 text-right">Statement Amt</th>
+                <th className="px-3 py-2 text-left">Recorded on</th>
+                <th className="px-3 py-2 text-right">Recorded Amt</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map((r) => (
+                <tr key={r.key} className="border-t border-white/10 align-top">
+                  <td className="px-3 py-2">
+                    <span className={`inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs ${STATUS[r.status].cls}`}>
+                      {r.status === "matched" ? <CheckCircle2 size={12} /> : <AlertTriangle size={12} />}
+                      {STATUS[r.status].label}
+                    </span>
+                  </td>
+                  <td className="px-3 py-2 font-mono">{r.code || <span className="text-white/50">no code</span>}</td>
+                  <td className="px-3 py-2">
+                    {r.stmt ? (
+                      <>
+                        <div>{r.stmt.time}</div>
+                        <div className="text-xs text-white/60">{r.stmt.details}</div>
+                      </>
+                    ) : (
+                      <span className="text-white/50">—</span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-right">{r.stmt ? formatMoney(r.stmt.amount) : "—"}</td>
+                  <td className="px-3 py-2">
+                    {r.pays.length ? (
+                      r.pays.map((p) => (
+                        <div key={p.id}>
+                          <span className="font-mono">{payReceipt(p)}</span>{" "}
+                          <span className="text-white/60">{payDate(p)}</span>
+                        </div>
+                      ))
+                    ) : (
+                      <span className="text-white/50">—</span>
+                    )}
+                    {r.hint && <div className="text-xs text-amber-200">Possible match: {r.hint}</div>}
+                  </td>
+                  <td className="px-3 py-2 text-right">
+                    {r.pays.length ? formatMoney(r.pays.reduce((t, p) => t + toNum(p.amount), 0)) : "—"}
+                  </td>
+                </tr>
+              ))}
+              {visible.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="px-3 py-8 text-center text-white/60">
+                    {!statement
+                      ? "Import an M-Pesa statement CSV to reconcile."
+                      : loading
+                      ? "Loading…"
+                      : "Nothing to show."}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
+
+function ViewBtn({ active, onClick, children }) {
+  return (
+    <button
+      onClick={onClick}
+      className={`rounded-2xl px-3 py-1.5 text-sm border ${
+        active ? "bg-white text-gray-900 border-white" : "border-white/10 hover:bg-white/5"
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
+
+/* ---------------- helpers ---------------- */
+
+function payReceipt(p) {
+  return p.receipt_number || (p.sale_id ? `#${p.sale_id}` : `pay-${p.id}`);
+}
+function payDate(p) {
+  return ymdOf(p.date || p.payment_date || p.created_at);
+}
+
+// Statement times come as "2025-03-04 14:22:10" or "04/03/2025 14:22" (day first)
+function statementYmd(t) {
+  const s = String(t || "").trim();
+  let m = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/);
+  if (m) return `${m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+  return "";
+}
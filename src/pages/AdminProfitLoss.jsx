@@ -0,0 +1,292 @@
+// src/pages/AdminProfitLoss.jsx
+import { useEffect, useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import { RefreshCcw, Loader2, Download, Printer, CalendarDays } from "lucide-react";
+import { toast } from "react-toastify";
+
+import { useSaleContext } from "../contexts/SaleContext.jsx";
+import { toCsv, downloadCsv } from "../utils/csv.jsx";
+import { printHtml } from "../utils/printHtml.jsx";
+import { listExpenseCategories, monthRange } from "../utils/expenseCategories.jsx";
+import {
+  PERIODS,
+  change,
+  comparisonRanges,
+  isCostLine,
+  loadStatement,
+  statementCsvColumns,
+  statementLines,
+  statementReportHtml,
+} from "../utils/profitLoss.jsx";
+import { formatMoney, addMonths, monthStartNairobi, todayNairobi } from "../utils/format.jsx";
+import TabBtn from "../components/TabBtn.jsx";
+import Tile from "../components/Tile.jsx";
+import { inputCls } from "../components/formStyles.jsx";
+
+/**
+ * AdminProfitLoss.jsx — profit & loss statement
+ * - Revenue and COGS per bottle size, gross margin, operating expenses per category, net profit
+ * - Side by side: this period, the previous period, the same period last month
+ * - CSV export and a printable A4 statement ("Save as PDF" in the print dialog)
+ */
+
+const BRAND = import.meta.env?.VITE_BRAND_NAME || "Blue Bash";
+
+export default function AdminProfitLoss() {
+  const { fetchCogsSummary } = useSaleContext();
+
+  const [range, setRange] = useState(() => ({ date_from: monthStartNairobi(), date_to: todayNairobi() }));
+  const [ranges, setRanges] = useState(() => comparisonRanges(range));
+  const [statements, setStatements] = useState([null, null, null]);
+  const [loading, setLoading] = useState(false);
+
+  async function load(r = range) {
+    if (!r.date_from || !r.date_to || r.date_from > r.date_to) {
+      toast.error("Pick a valid date range");
+      return;
+    }
+    setLoading(true);
+    try {
+      const categories = await listExpenseCategories().catch(() => []);
+      const next = comparisonRanges(r);
+      const loaded = await Promise.all(
+        PERIODS.map((p) => loadStatement(next[p.key], { fetchCogsSummary, categories }))
+      );
+      setRanges(next);
+      setStatements(loaded);
+    } catch (e) {
+      toast.error(e?.message || "Failed to load the P&L");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const applyRange = (r) => {
+    setRange(r);
+    return load(r);
+  };
+
+  const lines = useMemo(() => statementLines(statements), [statements]);
+  const [current, previous] = statements;
+  const ready = Boolean(current);
+
+  const exportCsv = () => {
+    downloadCsv(`profit-loss-${ranges.current.date_from}_${ranges.current.date_to}.csv`, toCsv(lines, statementCsvColumns(ranges)));
+  };
+
+  const printStatement = () => {
+    try {
+      const body = statementReportHtml(lines, ranges, { brand: BRAND, formatMoney });
+      printHtml(`P&L ${ranges.current.date_from} – ${ranges.current.date_to}`, body, { page: "a4" });
+    } catch (e) {
+      toast.error(e?.message || "Could not open the print window");
+    }
+  };
+
+  const thisMonth = { date_from: monthStartNairobi(), date_to: todayNairobi() };
+  const lastMonth = monthRange(addMonths(monthStartNairobi(), -1));
+  const isActive = (r) => range.date_from === r.date_from && range.date_to === r.date_to;
+
+  return (
+    <div className="p-4 md:p-6 lg:p-8 w-full max-w-7xl mx-auto">
+      <header className="mb-4 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl md:text-3xl font-semibold">Profit &amp; Loss</h1>
+          <p className="text-sm text-white/60">
+            Revenue, cost of sales and operating expenses, compared with the previous period and the same period last month.
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button
+            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5 disabled:opacity-50"
+            onClick={exportCsv}
+            disabled={!ready}
+          >
+            <Download size={16} /> CSV
+          </button>
+          <button
+            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5 disabled:opacity-50"
+            onClick={printStatement}
+            disabled={!ready}
+            title="Print or save as PDF"
+          >
+            <Printer size={16} /> PDF
+          </button>
+          <button
+            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5 disabled:opacity-50"
+            onClick={() => load()}
+            disabled={loading}
+            title="Refresh"
+          >
+            {loading ? <Loader2 size={16} className="animate-spin" /> : <RefreshCcw size={16} />}
+          </button>
+        </div>
+      </header>
+
+      <div className="mb-4 flex flex-wrap items-end gap-2">
+        <TabBtn active={isActive(thisMonth)} onClick={() => applyRange(thisMonth)}>
+          <CalendarDays size={16} /> This Month
+        </TabBtn>
+        <TabBtn active={isActive(lastMonth)} onClick={() => applyRange(lastMonth)}>
+          <CalendarDays size={16} /> Last Month
+        </TabBtn>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">From</span>
+          <input
+            type="date"
+            value={range.date_from}
+            onChange={(e) => setRange((r) => ({ ...r, date_from: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">To</span>
+          <input
+            type="date"
+            value={range.date_to}
+            onChange={(e) => setRange((r) => ({ ...r, date_to: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+        <button className="rounded-xl border border-white/10 px-3 py-2 text-sm disabled:opacity-50" onClick={() => load()} disabled={loading}>
+          Apply
+        </button>
+      </div>
+
+      <div className="mb-4 grid grid-cols-2 gap-3 sm:grid-cols-4">
+        <Tile label="Revenue" value={ready ? formatMoney(current.revenue) : "—"}>
+          <DeltaLine delta={ready && previous ? change(current.revenue, previous.revenue) : null} />
+        </Tile>
+        <Tile
+          label={`Gross profit${ready && current.gross_margin != null ? ` · ${current.gross_margin.toFixed(1)}%` : ""}`}
+          value={ready ? formatMoney(current.gross) : "—"}
+        >
+          <DeltaLine delta={ready && previous ? change(current.gross, previous.gross) : null} />
+        </Tile>
+        <Tile label="Operating expenses" value={ready ? formatMoney(current.opex_total) : "—"}>
+          <DeltaLine delta={ready && previous ? change(current.opex_total, previous.opex_total) : null} cost />
+        </Tile>
+        <Tile
+          label={`Net profit${ready && current.net_margin != null ? ` · ${current.net_margin.toFixed(1)}%` : ""}`}
+          value={ready ? formatMoney(current.net) : "—"}
+          tone={ready && current.net < 0 ? "text-rose-300" : ""}
+        >
+          <DeltaLine delta={ready && previous ? change(current.net, previous.net) : null} />
+        </Tile>
+      </div>
+
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }}>
+        <div className="rounded-2xl border border-white/10 overflow-x-auto">
+          <table className="w-full min-w-[860px] text-sm">
+            <thead className="bg-white/5">
+              <tr>
+                <th className="px-3 py-2 text-left"></th>
+                <th className="px-3 py-2 text-right">
+                  This period
+                  <div className="text-[10px] font-normal text-white/50">{rangeText(ranges.current)}</div>
+                </th>
+                <th className="px-3 py-2 text-right">
+                  Previous period
+                  <div className="text-[10px] font-normal text-white/50">{rangeText(ranges.previous)}</div>
+                </th>
+                <th className="px-3 py-2 text-right">Change</th>
+                <th className="px-3 py-2 text-right">
+                  Same period last month
+                  <div className="text-[10px] font-normal text-white/50">{rangeText(ranges.last_month)}</div>
+                </th>
+                <th className="px-3 py-2 text-right">Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ready ? (
+                lines.map((l) =>
+                  l.kind === "section" ? (
+                    <tr key={l.key} className="border-t border-white/10 bg-white/[0.03]">
+                      <td colSpan={6} className="px-3 py-2 text-xs uppercase tracking-wide text-white/60">
+                        {l.label}
+                      </td>
+                    </tr>
+                  ) : (
+                    <tr
+                      key={l.key}
+                      className={`border-t border-white/10 ${l.kind === "total" ? "font-semibold bg-white/5" : ""} ${
+                        l.kind === "subtotal" ? "font-medium" : ""
+                      }`}
+                    >
+                      <td className={`px-3 py-2 ${l.kind === "line" ? "pl-6 text-white/80" : ""} ${l.kind === "ratio" ? "text-white/60" : ""}`}>
+                        {l.label}
+                      </td>
+                      <td className="px-3 py-2 text-right">{lineValue(l, l.values[0])}</td>
+                      <td className="px-3 py-2 text-right text-white/70">{lineValue(l, l.values[1])}</td>
+                      <td className="px-3 py-2 text-right">
+                        <Delta line={l} base={l.values[1]} />
+                      </td>
+                      <td className="px-3 py-2 text-right text-white/70">{lineValue(l, l.values[2])}</td>
+                      <td className="px-3 py-2 text-right">
+                        <Delta line={l} base={l.values[2]} />
+                      </td>
+                    </tr>
+                  )
+                )
+              ) : (
+                <tr>
+                  <td colSpan={6} className="px-3 py-8 text-center text-gray-400">
+                    {loading ? "Loading…" : "No data"}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+        <p className="mt-2 text-xs text-white/50">
+          COGS is the cost of cartons sold. Operating expenses are approved expenses excluding COGS purchases; expenses
+          waiting for approval are not included.
+        </p>
+      </motion.div>
+    </div>
+  );
+}
+
+/* ---------------- Helpers ---------------- */
+
+function lineValue(line, v) {
+  if (v == null) return "—";
+  return line.kind === "ratio" ? `${v.toFixed(1)}%` : formatMoney(v);
+}
+
+/** Change vs a comparison column; green when it's good news (costs going down count as good) */
+function Delta({ line, base }) {
+  const ratio = line.kind === "ratio";
+  const { diff, pct } = change(line.values[0], base, { ratio });
+  if (diff == null || Math.abs(diff) < 0.005) return <span className="text-white/40">—</span>;
+  const good = isCostLine(line.key) ? diff < 0 : diff > 0;
+  return (
+    <span className={good ? "text-emerald-300" : "text-rose-300"}>
+      {ratio
+        ? `${diff > 0 ? "+" : ""}${diff.toFixed(1)} pp`
+        : `${diff > 0 ? "+" : "−"}${formatMoney(Math.abs(diff))}${pct == null ? "" : ` (${pct > 0 ? "+" : ""}${pct.toFixed(1)}%)`}`}
+    </span>
+  );
+}
+
+// change vs the previous period under a Tile; for costs (`cost`) a fall is good
+function DeltaLine({ delta, cost = false }) {
+  if (!delta || delta.pct == null || Math.abs(delta.diff) < 0.005) return null;
+  const good = cost ? delta.diff < 0 : delta.diff > 0;
+  return (
+    <div className={`text-xs ${good ? "text-emerald-300" : "text-rose-300"}`}>
+      {delta.pct > 0 ? "+" : ""}
+      {delta.pct.toFixed(1)}% vs previous period
+    </div>
+  );
+}
+
+function rangeText(r) {
+  if (!r) return "";
+  return r.date_from === r.date_to ? r.date_from : `${r.date_from} → ${r.date_to}`;
+}
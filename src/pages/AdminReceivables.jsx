@@ -0,0 +1,301 @@
+// src/pages/AdminReceivables.jsx
+import { Fragment, useEffect, useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import { RefreshCcw, Download, ChevronDown, ChevronRight, Clock, Loader2 } from "lucide-react";
+import { toast } from "react-toastify";
+import { useSaleContext } from "../contexts/SaleContext.jsx";
+import { toCsv, downloadCsv } from "../utils/csv.jsx";
+import { toNum, formatMoney, todayNairobi, ymdOf, daysBetween } from "../utils/format.jsx";
+import { getDue, getGross, getPaid } from "../utils/saleMoney.jsx";
+import Tile from "../components/Tile.jsx";
+
+/**
+ * AdminReceivables.jsx — accounts-receivable aging
+ * - Outstanding sales (balance > 0) grouped by customer
+ * - Buckets by age in Nairobi calendar days: 0–7, 8–30, 31–60, 60+
+ * - Drill-down: the customer's open sales, with their payments on demand
+ * - CSV export (summary per customer, or detail per sale)
+ */
+
+const BUCKETS = [
+  { key: "b0_7", label: "0–7 days", min: 0, max: 7 },
+  { key: "b8_30", label: "8–30 days", min: 8, max: 30 },
+  { key: "b31_60", label: "31–60 days", min: 31, max: 60 },
+  { key: "b60", label: "60+ days", min: 61, max: Infinity },
+];
+
+export default function AdminReceivables() {
+  const { listSalesAll, listPayments } = useSaleContext();
+
+  const [saleType, setSaleType] = useState("credit");
+  const [loading, setLoading] = useState(false);
+  const [sales, setSales] = useState([]);
+  const [expanded, setExpanded] = useState(null);
+  const [paymentsBySale, setPaymentsBySale] = useState({});
+
+  const asOf = todayNairobi();
+
+  async function load(type = saleType) {
+    setLoading(true);
+    try {
+      const rows = await listSalesAll(type ? { sale_type: type } : {});
+      setSales(rows.filter((s) => !s.is_deleted && getDue(s) > 0));
+      setPaymentsBySale({});
+    } catch (e) {
+      toast.error(e?.message || "Failed to load receivables");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const customers = useMemo(() => {
+    const map = new Map();
+    for (const s of sales) {
+      const key = s.customer_id != null ? `id:${s.customer_id}` : `name:${s.customer_name || "—"}`;
+      // a sale dated after "as of" counts as current, not 60+
+      const age = Math.max(0, daysBetween(ymdOf(s.date), asOf));
+      const bucket = BUCKETS.find((b) => age >= b.min && age <= b.max)?.key || "b60";
+      const due = getDue(s);
+      const c =
+        map.get(key) ||
+        { key, name: s.customer_name || "Walk-in", sales: [], total: 0, oldest: 0, b0_7: 0, b8_30: 0, b31_60: 0, b60: 0 };
+      c.sales.push({ ...s, _age: age, _bucket: bucket, _due: due });
+      c[bucket] += due;
+      c.total += due;
+      c.oldest = Math.max(c.oldest, age);
+      map.set(key, c);
+    }
+    return [...map.values()].sort((a, b) => b.total - a.total);
+  }, [sales, asOf]);
+
+  const totals = useMemo(
+    () =>
+      customers.reduce(
+        (t, c) => {
+          for (const b of BUCKETS) t[b.key] += c[b.key];
+          t.total += c.total;
+          return t;
+        },
+        { b0_7: 0, b8_30: 0, b31_60: 0, b60: 0, total: 0 }
+      ),
+    [customers]
+  );
+
+  const toggle = async (c) => {
+    const next = expanded === c.key ? null : c.key;
+    setExpanded(next);
+    if (!next) return;
+    const missing = c.sales.filter((s) => !paymentsBySale[s.id] && getPaid(s) > 0);
+    if (!missing.length) return;
+    const pairs = await Promise.all(
+      missing.map(async (s) => [s.id, await listPayments(s.id).catch(() => [])])
+    );
+    setPaymentsBySale((m) => ({ ...m, ...Object.fromEntries(pairs) }));
+  };
+
+  const exportSummary = () => {
+    const csv = toCsv(customers, [
+      { key: "name", label: "Customer" },
+      { key: "count", label: "Open sales", value: (c) => c.sales.length },
+      ...BUCKETS.map((b) => ({ key: b.key, label: b.label, value: (c) => c[b.key].toFixed(2) })),
+      { key: "total", label: "Total due", value: (c) => c.total.toFixed(2) },
+      { key: "oldest", label: "Oldest (days)" },
+    ]);
+    downloadCsv(`receivables-aging-${asOf}.csv`, csv);
+  };
+
+  const exportDetail = () => {
+    const lines = customers.flatMap((c) => c.sales.map((s) => ({ ...s, _customer: c.name })));
+    const csv = toCsv(lines, [
+      { key: "_customer", label: "Customer" },
+      { key: "receipt_number", label: "Receipt" },
+      { key: "date", label: "Date", value: (s) => ymdOf(s.date) },
+      { key: "sale_type", label: "Type" },
+      { key: "_age", label: "Age (days)" },
+      { key: "_bucket", label: "Bucket", value: (s) => BUCKETS.find((b) => b.key === s._bucket)?.label },
+      { key: "gross", label: "Gross", value: (s) => getGross(s).toFixed(2) },
+      { key: "paid", label: "Paid", value: (s) => getPaid(s).toFixed(2) },
+      { key: "_due", label: "Balance", value: (s) => s._due.toFixed(2) },
+    ]);
+    downloadCsv(`receivables-detail-${asOf}.csv`, csv);
+  };
+
+  return (
+    <div className="p-4 md:p-6 lg:p-8 w-full max-w-7xl mx-auto">
+      <header className="mb-4 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl md:text-3xl font-semibold">Receivables Aging</h1>
+          <p className="text-sm text-white/60">
+            Outstanding balances by customer as of <strong>{asOf}</strong> (Africa/Nairobi).
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <select
+            value={saleType}
+            onChange={(e) => {
+              setSaleType(e.target.value);
+              load(e.target.value);
+            }}
+            className="rounded-2xl bg-black/20 border border-white/10 px-3 py-2 text-sm"
+            title="Which sales to include"
+          >
+            <option value="credit">Credit sales</option>
+            <option value="dispatch">Dispatch sales</option>
+            <option value="">All sale types</option>
+          </select>
+          <button
+            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5 disabled:opacity-50"
+            onClick={() => load()}
+            disabled={loading}
+          >
+            {loading ? <Loader2 size={16} className="animate-spin" /> : <RefreshCcw size={16} />} Refresh
+          </button>
+          <button
+            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5 disabled:opacity-50"
+            onClick={exportSummary}
+            disabled={!customers.length}
+          >
+            <Download size={16} /> Summary CSV
+          </button>
+          <button
+            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-white text-gray-900 hover:opacity-90 disabled:opacity-50"
+            onClick={exportDetail}
+            disabled={!customers.length}
+          >
+            <Download size={16} /> Detail CSV
+          </button>
+        </div>
+      </header>
+
+      {/* Bucket totals */}
+      <div className="mb-4 grid grid-cols-2 gap-3 md:grid-cols-5">
+        {BUCKETS.map((b) => (
+          <Tile key={b.key} label={b.label} value={formatMoney(totals[b.key])} tone={b.key === "b60" ? "text-rose-300" : b.key === "b31_60" ? "text-amber-300" : ""} />
+        ))}
+        <Tile label="Total outstanding" value={formatMoney(totals.total)} strong />
+      </div>
+
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }}>
+        <div className="rounded-2xl border border-white/10 overflow-x-auto">
+          <table className="w-full min-w-[860px] text-sm">
+            <thead className="bg-white/5">
+              <tr>
+                <th className="px-3 py-2 text-left">Customer</th>
+                <th className="px-3 py-2 text-right">Open</th>
+                {BUCKETS.map((b) => (
+                  <th key={b.key} className="px-3 py-2 text-right">{b.label}</th>
+                ))}
+                <th className="px-3 py-2 text-right">Total</th>
+                <th className="px-3 py-2 text-right">Oldest</th>
+              </tr>
+            </thead>
+            <tbody>
+              {customers.map((c) => (
+                <Fragment key={c.key}>
+                  <tr className="border-t border-white/10 cursor-pointer hover:bg-white/5" onClick={() => toggle(c)}>
+                    <td className="px-3 py-2">
+                      <span className="inline-flex items-center gap-1">
+                        {expanded === c.key ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                        {c.name}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2 text-right">{c.sales.length}</td>
+                    {BUCKETS.map((b) => (
+                      <td key={b.key} className="px-3 py-2 text-right">{c[b.key] ? formatMoney(c[b.key]) : "—"}</td>
+                    ))}
+                    <td className="px-3 py-2 text-right font-semibold">{formatMoney(c.total)}</td>
+                    <td className="px-3 py-2 text-right">
+                      <span className="inline-flex items-center gap-1 text-white/70">
+                        <Clock size={12} /> {c.oldest}d
+                      </span>
+                    </td>
+                  </tr>
+                  {expanded === c.key && (
+                    <tr className="bg-black/20">
+                      <td colSpan={8} className="px-3 py-3">
+                        <SalesDrill sales={c.sales} paymentsBySale={paymentsBySale} />
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+              {customers.length === 0 && (
+                <tr>
+                  <td colSpan={8} className="px-3 py-8 text-center text-white/60">
+                    {loading ? "Loading…" : "Nothing outstanding 🎉"}
+                  </td>
+                </tr>
+              )}
+              {customers.length > 0 && (
+                <tr className="border-t border-white/20 bg-white/5 font-semibold">
+                  <td className="px-3 py-2">Totals</td>
+                  <td className="px-3 py-2 text-right">{sales.length}</td>
+                  {BUCKETS.map((b) => (
+                    <td key={b.key} className="px-3 py-2 text-right">{formatMoney(totals[b.key])}</td>
+                  ))}
+                  <td className="px-3 py-2 text-right">{formatMoney(totals.total)}</td>
+                  <td className="px-3 py-2" />
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
+
+function SalesDrill({ sales, paymentsBySale }) {
+  return (
+    <table className="w-full text-xs sm:text-sm">
+      <thead className="text-white/60">
+        <tr>
+          <th className="px-2 py-1 text-left">Date</th>
+          <th className="px-2 py-1 text-left">Receipt</th>
+          <th className="px-2 py-1 text-left">Type</th>
+          <th className="px-2 py-1 text-right">Age</th>
+          <th className="px-2 py-1 text-right">Gross</th>
+          <th className="px-2 py-1 text-right">Paid</th>
+          <th className="px-2 py-1 text-right">Balance</th>
+          <th className="px-2 py-1 text-left">Payments</th>
+        </tr>
+      </thead>
+      <tbody>
+        {[...sales]
+          .sort((a, b) => b._age - a._age)
+          .map((s) => {
+            const pays = paymentsBySale[s.id] || [];
+            return (
+              <tr key={s.id} className="border-t border-white/10 align-top">
+                <td className="px-2 py-1">{ymdOf(s.date)}</td>
+                <td className="px-2 py-1 font-mono">{s.receipt_number}</td>
+                <td className="px-2 py-1 capitalize">{s.sale_type}</td>
+                <td className="px-2 py-1 text-right">{s._age}d</td>
+                <td className="px-2 py-1 text-right">{formatMoney(getGross(s))}</td>
+                <td className="px-2 py-1 text-right">{formatMoney(getPaid(s))}</td>
+                <td className="px-2 py-1 text-right font-medium">{formatMoney(s._due)}</td>
+                <td className="px-2 py-1 text-white/70">
+                  {pays.length
+                    ? pays.map((p) => (
+                        <div key={p.id}>
+                          {ymdOf(p.date || p.payment_date || p.created_at)} • {p.payment_method}
+                          {p.mpesa_code ? ` ${p.mpesa_code}` : ""} •{" "}
+                          {formatMoney(toNum(p.amount))}
+                        </div>
+                      ))
+                    : getPaid(s) > 0
+                    ? "…"
+                    : "None"}
+                </td>
+              </tr>
+            );
+          })}
+      </tbody>
+    </table>
+  );
+}
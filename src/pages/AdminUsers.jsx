@@ -141,7 +141,7 @@ function Modal({ open, onClose, title, children }) {
 export default function AdminUsers() {
   const {
     // auth/roles
-    isOverallAdmin,
+    can,
     // users
     users, getUsers, createUser, updateUser, deleteUser, reactivateUser, resetPassword,
     // devices
@@ -149,6 +149,7 @@ export default function AdminUsers() {
     deviceSummary, getDeviceSummary,
   } = useUser();
 
+  const canManage = can("users.manage");
   const [tab, setTab] = useState("users"); // users | requests | summary
   const [loading, setLoading] = useState(false);
   const [q, setQ] = useState("");
@@ -175,7 +176,7 @@ export default function AdminUsers() {
         setLoading(true);
         setErr(""); setMsg("");
         await getUsers({ all: true });
-        if (isOverallAdmin) {
+        if (canManage) {
           await Promise.all([getDeviceRequests(), getDeviceSummary()]);
         }
       } catch (e) {
@@ -185,7 +186,7 @@ export default function AdminUsers() {
       }
     })();
     return () => { ignore = true; };
-  }, [getUsers, getDeviceRequests, getDeviceSummary, isOverallAdmin]);
+  }, [getUsers, getDeviceRequests, getDeviceSummary, canManage]);
 
   const filteredUsers = useMemo(() => {
     const term = q.trim().toLowerCase();
@@ -195,7 +196,7 @@ export default function AdminUsers() {
     );
   }, [users, q]);
 
-  if (!isOverallAdmin) {
+  if (!canManage) {
     return (
       <div className="mx-auto max-w-md rounded-xl border border-red-500/30 bg-red-500/10 p-6 text-center">
         <h3 className="text-lg font-semibold text-red-200">Overall admin only</h3>
@@ -12,12 +12,16 @@ import {
   Phone,
   Mail,
   User2,
+  FileText,
 } from "lucide-react";
 import Swal from "sweetalert2";
 import { toast, ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 
 import { useSaleContext } from "../contexts/SaleContext.jsx";
+import { useUser } from "../contexts/UserContext.jsx";
+import CustomerDrawer from "../components/CustomerDrawer.jsx";
+import { formatMoney } from "../utils/format.jsx";
 
 /**
  * CashierCustomers.jsx
@@ -25,6 +29,7 @@ import { useSaleContext } from "../contexts/SaleContext.jsx";
  * - Client-side search by name/phone/email
  * - Create / Edit / Delete with modals & toasts
  * - NEW: "Owes" column showing outstanding balance
+ * - Detail drawer: sales, payments, running ledger & printable statement of account
  */
 
 export default function CashierCustomers() {
@@ -37,10 +42,13 @@ export default function CashierCustomers() {
     loading,
     error,
   } = useSaleContext();
+  const { can } = useUser();
+  const canManage = can("customer.manage");
 
   const [query, setQuery] = useState("");
   const [showModal, setShowModal] = useState(false);
   const [editing, setEditing] = useState(null);
+  const [viewing, setViewing] = useState(null);
 
   // initial load
   useEffect(() => {
@@ -87,15 +95,17 @@ export default function CashierCustomers() {
           >
             <RefreshCcw size={16} /> Refresh
           </button>
-          <button
-            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-white text-gray-900 hover:opacity-90"
-            onClick={() => {
-              setEditing(null);
-              setShowModal(true);
-            }}
-          >
-            <Plus size={16} /> New Customer
-          </button>
+          {canManage && (
+            <button
+              className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-white text-gray-900 hover:opacity-90"
+              onClick={() => {
+                setEditing(null);
+                setShowModal(true);
+              }}
+            >
+              <Plus size={16} /> New Customer
+            </button>
+          )}
         </div>
       </header>
 
@@ -144,7 +154,11 @@ export default function CashierCustomers() {
                 );
                 return (
                   <tr key={c.id} className="border-t border-white/10">
-                    <td className="px-3 py-2">{c.name || "-"}</td>
+                    <td className="px-3 py-2">
+                      <button className="hover:underline text-left" onClick={() => setViewing(c)}>
+                        {c.name || "-"}
+                      </button>
+                    </td>
                     <td className="px-3 py-2">{c.phone || c.phone_number || "-"}</td>
                     <td className="px-3 py-2">{c.email || "-"}</td>
                     <td className="px-3 py-2">{c.notes || "-"}</td>
@@ -163,40 +177,51 @@ export default function CashierCustomers() {
                       <div className="inline-flex items-center gap-2">
                         <button
                           className="icon-btn"
-                          title="Edit"
-                          onClick={() => {
-                            setEditing(c);
-                            setShowModal(true);
-                          }}
+                          title="Statement & ledger"
+                          onClick={() => setViewing(c)}
                         >
-                          <Edit2 size={16} />
-                        </button>
-                        <button
-                          className="icon-btn text-rose-300"
-                          title="Delete"
-                          onClick={() =>
-                            Swal.fire({
-                              title: "Delete customer?",
-                              text: c.name || "This customer will be removed.",
-                              icon: "warning",
-                              showCancelButton: true,
-                              confirmButtonColor: "#ef4444",
-                              confirmButtonText: "Delete",
-                            }).then((r) => {
-                              if (!r.isConfirmed) return;
-                              toast
-                                .promise(deleteCustomer(c.id), {
-                                  pending: "Deleting…",
-                                  success: "Customer deleted",
-                                  error: "Delete failed",
-                                })
-                                .then(() => fetchCustomers())
-                                .catch(() => {});
-                            })
-                          }
-                        >
-                          <Trash2 size={16} />
+                          <FileText size={16} />
                         </button>
+                        {canManage && (
+                          <>
+                          <button
+                            className="icon-btn"
+                            title="Edit"
+                            onClick={() => {
+                              setEditing(c);
+                              setShowModal(true);
+                            }}
+                          >
+                            <Edit2 size={16} />
+                          </button>
+                          <button
+                            className="icon-btn text-rose-300"
+                            title="Delete"
+                            onClick={() =>
+                              Swal.fire({
+                                title: "Delete customer?",
+                                text: c.name || "This customer will be removed.",
+                                icon: "warning",
+                                showCancelButton: true,
+                                confirmButtonColor: "#ef4444",
+                                confirmButtonText: "Delete",
+                              }).then((r) => {
+                                if (!r.isConfirmed) return;
+                                toast
+                                  .promise(deleteCustomer(c.id), {
+                                    pending: "Deleting…",
+                                    success: "Customer deleted",
+                                    error: "Delete failed",
+                                  })
+                                  .then(() => fetchCustomers())
+                                  .catch(() => {});
+                              })
+                            }
+                          >
+                            <Trash2 size={16} />
+                          </button>
+                          </>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -241,6 +266,8 @@ export default function CashierCustomers() {
         />
       )}
 
+      {viewing && <CustomerDrawer customer={viewing} onClose={() => setViewing(null)} />}
+
       <ToastContainer position="top-right" theme="dark" autoClose={2500} />
     </div>
   );
@@ -351,12 +378,3 @@ style.innerHTML = `.icon-btn{display:inline-flex;align-items:center;gap:.25rem;b
 if (typeof document !== "undefined") document.head.appendChild(style);
 
 /* Money formatter used in the "Owes" column */
-function formatMoney(v) {
-  if (v === null || v === undefined || Number.isNaN(Number(v))) return "-";
-  return new Intl.NumberFormat(undefined, {
-    style: "currency",
-    currency: "KES",
-    currencyDisplay: "narrowSymbol",
-    minimumFractionDigits: 0,
-  }).format(Number(v));
-}
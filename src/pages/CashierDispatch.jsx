@@ -0,0 +1,1075 @@
+// src/pages/CashierDispatch.jsx
+import { useEffect, useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import {
+  Plus,
+  RefreshCcw,
+  Truck,
+  ClipboardList,
+  PackageCheck,
+  Edit2,
+  Loader2,
+  Download,
+  Users,
+  BarChart3,
+  Printer,
+  Lock,
+} from "lucide-react";
+import { toast } from "react-toastify";
+
+import { useSaleContext } from "../contexts/SaleContext.jsx";
+import { useUser } from "../contexts/UserContext.jsx";
+import MpesaCodeField from "../components/MpesaCodeField.jsx";
+import { isValidMpesaCode, normalizeMpesaCode } from "../utils/mpesa.jsx";
+import { toCsv, downloadCsv } from "../utils/csv.jsx";
+import { printHtml } from "../utils/printHtml.jsx";
+import { deliveryNoteModel, deliveryNotesHtml, loadSheetHtml } from "../utils/deliveryNote.jsx";
+import {
+  FLEET_KINDS,
+  TRIP_STATUS,
+  buildLoadSheet,
+  closeTrip,
+  driverPerformance,
+  fleetLabel,
+  getTrip,
+  listFleet,
+  listTrips,
+  saveFleet,
+  saveTrip,
+  tripCloseSummary,
+  tripTitle,
+} from "../utils/delivery.jsx";
+import { toNum, formatMoney, todayNairobi, daysAgoNairobi } from "../utils/format.jsx";
+import { getGross, getPaid } from "../utils/saleMoney.jsx";
+import Modal from "../components/Modal.jsx";
+import TabBtn from "../components/TabBtn.jsx";
+import Tile from "../components/Tile.jsx";
+import { inputCls } from "../components/formStyles.jsx";
+
+/**
+ * CashierDispatch.jsx — dispatch sales on the road
+ * - Trips: driver + vehicle + route per Nairobi day, carrying dispatch sales
+ * - Load sheet: cartons per size loaded on a trip (printable, with a delivery note per sale)
+ * - Close trip: returns & collections for every sale on the trip in one go
+ * - Fleet (dispatch.manage): drivers, vehicles, routes
+ * - Performance (reports.view): cartons delivered, returns rate, cash collected per driver
+ */
+
+export default function CashierDispatch() {
+  const { can } = useUser();
+  const [tab, setTab] = useState("trips");
+
+  return (
+    <div className="p-4 md:p-6 lg:p-8 w-full max-w-7xl mx-auto">
+      <header className="mb-4 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl md:text-3xl font-semibold">Dispatch</h1>
+          <p className="text-sm text-white/60">Trips, load sheets and driver collections (Africa/Nairobi).</p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <TabBtn active={tab === "trips"} onClick={() => setTab("trips")}>
+            <Truck size={16} /> Trips
+          </TabBtn>
+          {can("dispatch.manage") && (
+            <TabBtn active={tab === "fleet"} onClick={() => setTab("fleet")}>
+              <Users size={16} /> Drivers & Vehicles
+            </TabBtn>
+          )}
+          {can("reports.view") && (
+            <TabBtn active={tab === "performance"} onClick={() => setTab("performance")}>
+              <BarChart3 size={16} /> Driver Performance
+            </TabBtn>
+          )}
+        </div>
+      </header>
+
+      {tab === "trips" && <TripsTab />}
+      {tab === "fleet" && <FleetTab />}
+      {tab === "performance" && <PerformanceTab />}
+    </div>
+  );
+}
+
+const BRAND = import.meta.env?.VITE_BRAND_NAME || "Blue Bash";
+
+/* ---------------- Trips ---------------- */
+
+function TripsTab() {
+  const { listSalesAll, listItemsForSale, listDayClosings, isDayClosed } = useSaleContext();
+  const { can } = useUser();
+
+  const [date, setDate] = useState(todayNairobi());
+  const [trips, setTrips] = useState([]);
+  const [unassigned, setUnassigned] = useState([]);
+  const [fleet, setFleet] = useState({ driver: [], vehicle: [], route: [] });
+  const [loading, setLoading] = useState(false);
+
+  const [editing, setEditing] = useState(null); // {} for new, trip for edit
+  const [loadSheet, setLoadSheet] = useState(null); // { trip, closed? }
+  const [closing, setClosing] = useState(null);
+
+  async function load(d = date) {
+    setLoading(true);
+    try {
+      const [t, sales] = await Promise.all([
+        listTrips({ date_from: d, date_to: d }),
+        listSalesAll({ sale_type: "dispatch", date_from: d, date_to: d }),
+      ]);
+      setTrips(t);
+      setUnassigned(sales.filter((s) => !s.is_deleted && !s.trip_id && s.dispatch_status !== "closed"));
+    } catch (e) {
+      toast.error(e?.message || "Failed to load trips");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Closed days are locked for trips the same way they are for sales
+  useEffect(() => {
+    listDayClosings({ date_from: date, date_to: date }).catch(() => {});
+  }, [date, listDayClosings]);
+  const dayClosed = isDayClosed(date);
+
+  useEffect(() => {
+    load(date);
+    Promise.all(Object.keys(FLEET_KINDS).map((k) => listFleet(k)))
+      .then(([driver, vehicle, route]) => setFleet({ driver, vehicle, route }))
+      .catch(() => {});
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const open = trips.filter((t) => t.status !== "closed");
+  const totals = useMemo(
+    () => ({
+      trips: trips.length,
+      open: open.length,
+      cartons: trips.reduce((a, t) => a + toNum(t.cartons_loaded ?? t.summary?.cartons_loaded), 0),
+      collected: trips.reduce((a, t) => a + toNum(t.summary?.cash_collected) + toNum(t.summary?.mpesa_collected), 0),
+    }),
+    [trips, open.length]
+  );
+
+  return (
+    <>
+      <div className="mb-4 flex flex-wrap items-end gap-2">
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Date</span>
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => {
+              setDate(e.target.value);
+              load(e.target.value);
+            }}
+            className={inputCls}
+          />
+        </label>
+        <button
+          className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5 disabled:opacity-50"
+          onClick={() => load()}
+          disabled={loading}
+        >
+          {loading ? <Loader2 size={16} className="animate-spin" /> : <RefreshCcw size={16} />} Refresh
+        </button>
+        {can("sale.dispatch") && (
+          <button
+            className="ml-auto inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-white text-gray-900 hover:opacity-90 disabled:opacity-50"
+            onClick={() => setEditing({})}
+            disabled={dayClosed}
+            title={dayClosed ? "This day is closed — ask an admin to reopen it" : undefined}
+          >
+            <Plus size={16} /> New Trip
+          </button>
+        )}
+      </div>
+
+      <div className="mb-4 grid grid-cols-2 gap-3 sm:grid-cols-4">
+        <Tile label="Trips" value={totals.trips} />
+        <Tile label="On the road" value={totals.open} />
+        <Tile label="Cartons loaded" value={totals.cartons} />
+        <Tile label="Collected (closed trips)" value={formatMoney(totals.collected)} />
+      </div>
+
+      {dayClosed && (
+        <div className="mb-4 flex items-center gap-2 rounded-2xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white/70">
+          <Lock size={14} /> This day is closed — trips can’t be created, edited or closed until an admin reopens it.
+        </div>
+      )}
+
+      {unassigned.length > 0 && (
+        <div className="mb-4 rounded-2xl border border-amber-400/30 bg-amber-500/10 px-3 py-2 text-sm text-amber-200">
+          {unassigned.length} dispatch sale{unassigned.length === 1 ? "" : "s"} on this day{" "}
+          {unassigned.length === 1 ? "has" : "have"} no trip yet — add {unassigned.length === 1 ? "it" : "them"} to a
+          trip so the driver’s load sheet is complete.
+        </div>
+      )}
+
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }}>
+        <div className="rounded-2xl border border-white/10 overflow-x-auto">
+          <table className="w-full min-w-[860px] text-sm">
+            <thead className="bg-white/5">
+              <tr>
+                <th className="px-3 py-2 text-left">Driver</th>
+                <th className="px-3 py-2 text-left">Vehicle</th>
+                <th className="px-3 py-2 text-left">Route</th>
+                <th className="px-3 py-2 text-right">Sales</th>
+                <th className="px-3 py-2 text-right">Cartons</th>
+                <th className="px-3 py-2 text-left">Status</th>
+                <th className="px-3 py-2 text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {trips.map((t) => {
+                const st = TRIP_STATUS[t.status] || TRIP_STATUS.open;
+                const isOpen = t.status !== "closed";
+                return (
+                  <tr key={t.id} className="border-t border-white/10">
+                    <td className="px-3 py-2">{t.driver_name || "—"}</td>
+                    <td className="px-3 py-2">{t.vehicle_registration || "—"}</td>
+                    <td className="px-3 py-2">{t.route_name || "—"}</td>
+                    <td className="px-3 py-2 text-right">{t.sales_count ?? (t.sale_ids || []).length}</td>
+                    <td className="px-3 py-2 text-right">
+                      {toNum(t.cartons_loaded ?? t.summary?.cartons_loaded)}
+                      {!isOpen && t.summary && (
+                        <div className="text-xs text-white/60">{toNum(t.summary.cartons_returned)} returned</div>
+                      )}
+                    </td>
+                    <td className="px-3 py-2">
+                      <span className={`inline-flex rounded-full px-2 py-0.5 text-xs ${st.cls}`}>{st.label}</span>
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      <div className="inline-flex items-center gap-2">
+                        <button className="icon-btn" title="Load sheet" onClick={() => setLoadSheet({ trip: t })}>
+                          <ClipboardList size={16} />
+                        </button>
+                        {isOpen && can("sale.dispatch") && dayClosed && (
+                          <span className="icon-btn text-white/50" title="Day closed — ask an admin to reopen it">
+                            <Lock size={16} />
+                          </span>
+                        )}
+                        {isOpen && can("sale.dispatch") && !dayClosed && (
+                          <>
+                            <button className="icon-btn" title="Edit trip / assign sales" onClick={() => setEditing(t)}>
+                              <Edit2 size={16} />
+                            </button>
+                            <button
+                              className="icon-btn text-amber-300"
+                              title="Close trip (returns & collections)"
+                              onClick={() => setClosing(t)}
+                            >
+                              <PackageCheck size={16} />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+              {trips.length === 0 && (
+                <tr>
+                  <td colSpan={7} className="px-3 py-8 text-center text-white/60">
+                    {loading ? "Loading…" : "No trips on this day"}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </motion.div>
+
+      {editing && !dayClosed && (
+        <TripModal
+          trip={editing}
+          date={date}
+          fleet={fleet}
+          unassigned={unassigned}
+          onClose={() => setEditing(null)}
+          onSaved={() => {
+            setEditing(null);
+            load();
+          }}
+        />
+      )}
+
+      {loadSheet && (
+        <LoadSheetModal
+          trip={loadSheet.trip}
+          closed={loadSheet.closed}
+          listItemsForSale={listItemsForSale}
+          onClose={() => setLoadSheet(null)}
+        />
+      )}
+
+      {closing && !dayClosed && (
+        <CloseTripModal
+          trip={closing}
+          listItemsForSale={listItemsForSale}
+          onClose={() => setClosing(null)}
+          onClosed={(payload) => {
+            // reprint the delivery notes with the returns just recorded
+            setLoadSheet({ trip: closing, closed: payload });
+            setClosing(null);
+            load();
+          }}
+        />
+      )}
+    </>
+  );
+}
+
+function TripModal({ trip, date, fleet, unassigned, onClose, onSaved }) {
+  const isEdit = !!trip.id;
+  const [form, setForm] = useState(() => ({
+    driver_id: trip.driver_id ? String(trip.driver_id) : "",
+    vehicle_id: trip.vehicle_id ? String(trip.vehicle_id) : "",
+    route_id: trip.route_id ? String(trip.route_id) : "",
+    notes: trip.notes || "",
+  }));
+  const [assigned, setAssigned] = useState([]); // sales already on this trip
+  const [selected, setSelected] = useState(() => new Set((trip.sale_ids || []).map(Number)));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!isEdit) return;
+    getTrip(trip.id)
+      .then((t) => {
+        const sales = t?.sales || [];
+        setAssigned(sales);
+        setSelected(new Set(sales.map((s) => Number(s.id))));
+      })
+      .catch((e) => toast.error(e?.message || "Failed to load trip"));
+  }, [isEdit, trip.id]);
+
+  const activeOnly = (kind) => (fleet[kind] || []).filter((r) => r.is_active !== false || String(r.id) === form[`${kind}_id`]);
+  const candidates = [...assigned, ...unassigned.filter((s) => !assigned.some((a) => a.id === s.id))];
+  const toggle = (id) =>
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const vehicle = (fleet.vehicle || []).find((v) => String(v.id) === form.vehicle_id);
+  const canSave = form.driver_id && form.vehicle_id && !saving;
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await saveTrip({
+        ...(isEdit ? { id: trip.id } : { date }),
+        driver_id: Number(form.driver_id),
+        vehicle_id: Number(form.vehicle_id),
+        route_id: form.route_id ? Number(form.route_id) : null,
+        notes: form.notes.trim() || undefined,
+        sale_ids: [...selected],
+      });
+      toast.success(isEdit ? "Trip updated" : "Trip created");
+      onSaved();
+    } catch (e) {
+      toast.error(e?.message || "Failed to save trip");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal title={isEdit ? `Trip — ${tripTitle(trip)}` : `New Trip — ${date}`} onClose={onClose}>
+      <div className="grid gap-3">
+        <div className="grid grid-cols-1 gap-3 sm:grid-cols-3">
+          {["driver", "vehicle", "route"].map((kind) => (
+            <label key={kind} className="grid gap-1">
+              <span className="text-xs text-white/60">
+                {FLEET_KINDS[kind].label}
+                {kind === "route" ? " (optional)" : ""}
+              </span>
+              <select
+                value={form[`${kind}_id`]}
+                onChange={(e) => setForm((f) => ({ ...f, [`${kind}_id`]: e.target.value }))}
+                className={inputCls}
+              >
+                <option value="">Select…</option>
+                {activeOnly(kind).map((r) => (
+                  <option key={r.id} value={r.id}>
+                    {fleetLabel(kind, r)}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+        {vehicle?.capacity_cartons > 0 && (
+          <div className="text-xs text-white/60">Vehicle capacity: {vehicle.capacity_cartons} cartons</div>
+        )}
+
+        <div>
+          <div className="mb-1 text-xs text-white/60">Dispatch sales on this trip</div>
+          <div className="max-h-64 overflow-y-auto rounded-2xl border border-white/10">
+            {candidates.length === 0 ? (
+              <div className="px-3 py-4 text-center text-sm text-white/60">
+                No unassigned dispatch sales on {date}. Record them on the Sale page first.
+              </div>
+            ) : (
+              candidates.map((s) => (
+                <label key={s.id} className="flex items-center gap-3 border-t border-white/5 px-3 py-2 text-sm first:border-t-0">
+                  <input type="checkbox" checked={selected.has(Number(s.id))} onChange={() => toggle(Number(s.id))} />
+                  <span className="font-mono">{s.receipt_number}</span>
+                  <span className="flex-1 truncate">{s.customer_name || "—"}</span>
+                  <span>{formatMoney(getGross(s))}</span>
+                </label>
+              ))
+            )}
+          </div>
+        </div>
+
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Notes (optional)</span>
+          <textarea
+            rows={2}
+            value={form.notes}
+            onChange={(e) => setForm((f) => ({ ...f, notes: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+      </div>
+
+      <div className="mt-4 flex justify-end">
+        <button
+          disabled={!canSave}
+          className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
+          onClick={save}
+        >
+          <Truck size={16} /> {saving ? "Saving…" : isEdit ? "Save trip" : "Create trip"}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+/* Trip + its sales with their items (listItemsForSale) */
+function useTripWithItems(tripId, listItemsForSale) {
+  const [state, setState] = useState({ loading: true, trip: null, sales: [], err: "" });
+  useEffect(() => {
+    const ctrl = new AbortController();
+    const { signal } = ctrl;
+    (async () => {
+      try {
+        const trip = await getTrip(tripId, { signal });
+        const sales = await Promise.all(
+          (trip?.sales || []).map(async (sale) => ({ sale, items: await listItemsForSale(sale.id, { signal }) }))
+        );
+        if (!signal.aborted) setState({ loading: false, trip, sales, err: "" });
+      } catch (e) {
+        if (!signal.aborted) setState({ loading: false, trip: null, sales: [], err: e?.message || "Failed to load trip" });
+      }
+    })();
+    return () => ctrl.abort();
+  }, [tripId, listItemsForSale]);
+  return state;
+}
+
+/**
+ * closed: the trip close payload just submitted → delivery notes print with those returns
+ */
+function LoadSheetModal({ trip, closed = null, listItemsForSale, onClose }) {
+  const { loading, trip: full, sales, err } = useTripWithItems(trip.id, listItemsForSale);
+  const sheet = useMemo(() => buildLoadSheet(sales), [sales]);
+  const t = full || trip;
+
+  const print = (html, title, page) => {
+    try {
+      printHtml(title, html, { page });
+    } catch (e) {
+      toast.error(e.message);
+    }
+  };
+  const printLoadSheet = (page) =>
+    print(loadSheetHtml(t, sheet, sales, { brand: BRAND, page }), `Load sheet — ${tripTitle(t)}`, page);
+  const printNotes = (page) => {
+    const notes = sales.map(({ sale, items }) => {
+      const line = closed?.sales?.find((l) => l.sale_id === sale.id);
+      const returns = line
+        ? Object.fromEntries((line.returns || []).map((r) => [r.bottle_size_id, r.quantity_returned]))
+        : null;
+      return deliveryNoteModel(sale, items, { returns, payment: line, trip: t });
+    });
+    print(deliveryNotesHtml(notes, { brand: BRAND, page }), `Delivery notes — ${tripTitle(t)}`, page);
+  };
+
+  return (
+    <Modal title={`Load Sheet — ${tripTitle(full || trip)}`} onClose={onClose}>
+      {loading ? (
+        <div className="flex items-center gap-2 text-sm text-white/60">
+          <Loader2 size={14} className="animate-spin" /> Loading…
+        </div>
+      ) : err ? (
+        <div className="text-sm text-rose-300">{err}</div>
+      ) : (
+        <div className="grid gap-3">
+          <div className="text-sm text-white/70">
+            {(full || trip).date} · {sales.length} sale{sales.length === 1 ? "" : "s"}
+          </div>
+          <div className="rounded-2xl border border-white/10 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-white/5">
+                <tr>
+                  <th className="px-3 py-2 text-left">Bottle Size</th>
+                  <th className="px-3 py-2 text-right">Cartons</th>
+                  <th className="px-3 py-2 text-right">Value</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sheet.rows.map((r) => (
+                  <tr key={r.bottle_size_id} className="border-t border-white/10">
+                    <td className="px-3 py-2">{r.label}</td>
+                    <td className="px-3 py-2 text-right">{r.quantity}</td>
+                    <td className="px-3 py-2 text-right">{formatMoney(r.value)}</td>
+                  </tr>
+                ))}
+                <tr className="border-t border-white/10 font-semibold">
+                  <td className="px-3 py-2">Total</td>
+                  <td className="px-3 py-2 text-right">{sheet.totalCartons}</td>
+                  <td className="px-3 py-2 text-right">{formatMoney(sheet.totalValue)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          {closed && (
+            <div className="rounded-xl border border-emerald-400/30 bg-emerald-500/10 px-3 py-2 text-sm text-emerald-200">
+              Trip closed — print the delivery notes again with the returns for signing.
+            </div>
+          )}
+
+          <div className="grid gap-1 text-sm">
+            {sales.map(({ sale, items }) => (
+              <div key={sale.id} className="flex flex-wrap justify-between gap-2 border-b border-white/5 py-1">
+                <span>
+                  <span className="font-mono">{sale.receipt_number}</span> · {sale.customer_name || "—"}
+                </span>
+                <span className="text-white/70">
+                  {items.map((it) => `${it.bottle_size_label} × ${toNum(it.quantity)}`).join(", ")}
+                </span>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap justify-end gap-2">
+            {!closed && (
+              <>
+                <button className={printBtnCls} onClick={() => printLoadSheet("thermal")}>
+                  <Printer size={16} /> Load sheet 80mm
+                </button>
+                <button className={printBtnCls} onClick={() => printLoadSheet("a4")}>
+                  <Printer size={16} /> Load sheet A4
+                </button>
+              </>
+            )}
+            <button className={printBtnCls} onClick={() => printNotes("thermal")} disabled={!sales.length}>
+              <Printer size={16} /> Delivery notes 80mm
+            </button>
+            <button className={printBtnCls} onClick={() => printNotes("a4")} disabled={!sales.length}>
+              <Printer size={16} /> Delivery notes A4
+            </button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
+
+function CloseTripModal({ trip, listItemsForSale, onClose, onClosed }) {
+  const { assertMpesaCodeUnused, isDayClosed } = useSaleContext();
+  const { loading, trip: full, sales, err } = useTripWithItems(trip.id, listItemsForSale);
+  const [lines, setLines] = useState({}); // sale_id → { returns, amount_paid, payment_method, mpesa_code }
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const lineOf = (id) => lines[id] || { returns: {}, amount_paid: "", payment_method: "Cash", mpesa_code: "" };
+  const patchLine = (id, patch) => setLines((l) => ({ ...l, [id]: { ...lineOf(id), ...patch } }));
+
+  const computed = useMemo(
+    () =>
+      sales.map(({ sale, items }) => {
+        const line = lineOf(sale.id);
+        const newTotal = items.reduce(
+          (a, it) => a + Math.max(0, toNum(it.quantity) - toNum(line.returns[it.bottle_size_id])) * toNum(it.unit_price),
+          0
+        );
+        const remaining = Math.max(0, newTotal - getPaid(sale));
+        const paid = toNum(line.amount_paid);
+        const codeOk = line.amount_paid === "" || line.payment_method !== "M-Pesa" || isValidMpesaCode(line.mpesa_code);
+        return { sale, items, line, newTotal, remaining, ok: paid >= 0 && paid <= remaining && codeOk };
+      }),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [sales, lines]
+  );
+  const summary = useMemo(() => tripCloseSummary(computed.map((c) => ({ items: c.items, ...c.line }))), [computed]);
+
+  const codes = computed
+    .filter((c) => c.line.amount_paid !== "" && c.line.payment_method === "M-Pesa")
+    .map((c) => normalizeMpesaCode(c.line.mpesa_code));
+  const repeatedCode = codes.find((c, i) => c && codes.indexOf(c) !== i);
+  const canSubmit = !loading && !err && !saving && sales.length > 0 && computed.every((c) => c.ok) && !repeatedCode;
+
+  const submit = async () => {
+    setSaving(true);
+    try {
+      if (isDayClosed(trip.date)) throw new Error("This day is closed — ask an admin to reopen it");
+      for (const code of codes) await assertMpesaCodeUnused(code);
+      const payload = {
+        sales: computed.map(({ sale, items, line }) => ({
+          sale_id: sale.id,
+          returns: items
+            .filter((it) => toNum(line.returns[it.bottle_size_id]) > 0)
+            .map((it) => ({ bottle_size_id: it.bottle_size_id, quantity_returned: toNum(line.returns[it.bottle_size_id]) })),
+          ...(line.amount_paid !== ""
+            ? {
+                amount_paid: toNum(line.amount_paid),
+                payment_method: line.payment_method,
+                ...(line.payment_method === "M-Pesa" ? { mpesa_code: normalizeMpesaCode(line.mpesa_code) } : {}),
+              }
+            : {}),
+        })),
+        summary,
+        note: note.trim() || undefined,
+      };
+      await closeTrip(trip.id, payload);
+      toast.success("Trip closed");
+      onClosed(payload);
+    } catch (e) {
+      toast.error(e?.message || "Failed to close trip");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal title={`Close Trip — ${tripTitle(full || trip)}`} onClose={onClose}>
+      {loading ? (
+        <div className="flex items-center gap-2 text-sm text-white/60">
+          <Loader2 size={14} className="animate-spin" /> Loading…
+        </div>
+      ) : err ? (
+        <div className="text-sm text-rose-300">{err}</div>
+      ) : (
+        <div className="grid max-h-[70vh] gap-3 overflow-y-auto pr-1">
+          <div className="text-sm text-white/70">
+            Enter cartons returned and money collected for each sale. Every sale on the trip is closed together.
+          </div>
+
+          {computed.map(({ sale, items, line, newTotal, remaining, ok }) => (
+            <div key={sale.id} className={`rounded-2xl border p-3 ${ok ? "border-white/10" : "border-rose-400/40"}`}>
+              <div className="mb-2 flex flex-wrap items-center justify-between gap-2 text-sm">
+                <span>
+                  <span className="font-mono">{sale.receipt_number}</span> · {sale.customer_name || "—"}
+                </span>
+                <span className="text-white/70">
+                  New total {formatMoney(newTotal)} · Remaining {formatMoney(remaining)}
+                </span>
+              </div>
+              <div className="grid grid-cols-1 gap-2 sm:grid-cols-2">
+                {items.map((it) => (
+                  <label key={it.bottle_size_id} className="flex items-center justify-between gap-2 text-sm">
+                    <span>
+                      {it.bottle_size_label} <span className="text-white/50">(sent {toNum(it.quantity)})</span>
+                    </span>
+                    <input
+                      type="number"
+                      min={0}
+                      max={toNum(it.quantity)}
+                      value={line.returns[it.bottle_size_id] ?? 0}
+                      onChange={(e) => {
+                        const n = Math.min(toNum(it.quantity), Math.max(0, Math.floor(toNum(e.target.value))));
+                        patchLine(sale.id, { returns: { ...line.returns, [it.bottle_size_id]: n } });
+                      }}
+                      className="w-20 rounded-xl bg-black/20 border border-white/10 px-2 py-1 text-sm text-right"
+                      title="Cartons returned"
+                    />
+                  </label>
+                ))}
+              </div>
+              <div className="mt-2 grid grid-cols-1 gap-2 sm:grid-cols-3">
+                <input
+                  type="number"
+                  min={0}
+                  max={remaining}
+                  placeholder="Collected (optional)"
+                  value={line.amount_paid}
+                  onChange={(e) =>
+                    patchLine(sale.id, { amount_paid: e.target.value === "" ? "" : String(Math.max(0, toNum(e.target.value))) })
+                  }
+                  className={inputCls}
+                />
+                <select
+                  value={line.payment_method}
+                  onChange={(e) => patchLine(sale.id, { payment_method: e.target.value })}
+                  className={inputCls}
+                >
+                  <option value="Cash">Cash</option>
+                  <option value="M-Pesa">M-Pesa</option>
+                </select>
+                <div className="self-center text-xs text-white/50">
+                  {toNum(line.amount_paid) > remaining ? "Amount exceeds remaining" : "Leave empty if nothing collected"}
+                </div>
+              </div>
+              {line.amount_paid !== "" && line.payment_method === "M-Pesa" && (
+                <MpesaCodeField
+                  className="mt-2"
+                  value={line.mpesa_code}
+                  onChange={(v) => patchLine(sale.id, { mpesa_code: v })}
+                />
+              )}
+            </div>
+          ))}
+
+          <div className="grid grid-cols-2 gap-3 sm:grid-cols-4">
+            <Tile label="Loaded" value={summary.cartons_loaded} />
+            <Tile label="Returned" value={summary.cartons_returned} />
+            <Tile label="Cash collected" value={formatMoney(summary.cash_collected)} />
+            <Tile label="M-Pesa collected" value={formatMoney(summary.mpesa_collected)} />
+          </div>
+
+          {repeatedCode && (
+            <div className="text-sm text-rose-300">M-Pesa code {repeatedCode} is entered on more than one sale.</div>
+          )}
+
+          <label className="grid gap-1">
+            <span className="text-xs text-white/60">Note (optional)</span>
+            <textarea rows={2} value={note} onChange={(e) => setNote(e.target.value)} className={inputCls} />
+          </label>
+        </div>
+      )}
+
+      <div className="mt-4 flex justify-end">
+        <button
+          disabled={!canSubmit}
+          className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
+          onClick={submit}
+        >
+          <PackageCheck size={16} /> {saving ? "Closing…" : "Close trip"}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+/* ---------------- Fleet: drivers, vehicles, routes ---------------- */
+
+const FLEET_FIELDS = {
+  driver: [
+    { key: "name", label: "Name", required: true },
+    { key: "phone", label: "Phone" },
+    { key: "license_no", label: "Licence No." },
+  ],
+  vehicle: [
+    { key: "registration", label: "Registration", required: true },
+    { key: "description", label: "Description (make / model)" },
+    { key: "capacity_cartons", label: "Capacity (cartons)", type: "number" },
+  ],
+  route: [
+    { key: "name", label: "Name", required: true },
+    { key: "description", label: "Areas / stops" },
+  ],
+};
+
+function FleetTab() {
+  const [rows, setRows] = useState({ driver: [], vehicle: [], route: [] });
+  const [loading, setLoading] = useState(false);
+  const [editing, setEditing] = useState(null); // { kind, record }
+
+  async function load() {
+    setLoading(true);
+    try {
+      const kinds = Object.keys(FLEET_KINDS);
+      const res = await Promise.all(kinds.map((k) => listFleet(k, { include_inactive: true })));
+      setRows(Object.fromEntries(kinds.map((k, i) => [k, res[i]])));
+    } catch (e) {
+      toast.error(e?.message || "Failed to load drivers & vehicles");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const toggleActive = async (kind, r) => {
+    try {
+      await saveFleet(kind, { id: r.id, is_active: r.is_active === false });
+      load();
+    } catch (e) {
+      toast.error(e?.message || "Update failed");
+    }
+  };
+
+  return (
+    <div className="grid gap-4 lg:grid-cols-3">
+      {Object.entries(FLEET_KINDS).map(([kind, meta]) => (
+        <div key={kind} className="rounded-2xl border border-white/10 p-3">
+          <div className="mb-2 flex items-center justify-between">
+            <div className="font-semibold">{meta.plural}</div>
+            <button
+              className="inline-flex items-center gap-1 rounded-xl border border-white/10 px-2 py-1 text-sm hover:bg-white/5"
+              onClick={() => setEditing({ kind, record: {} })}
+            >
+              <Plus size={14} /> Add
+            </button>
+          </div>
+          <div className="grid gap-1">
+            {rows[kind].map((r) => (
+              <div
+                key={r.id}
+                className={`flex items-center justify-between gap-2 border-t border-white/5 py-1.5 text-sm ${
+                  r.is_active === false ? "text-white/40" : ""
+                }`}
+              >
+                <div className="min-w-0">
+                  <div className="truncate">{fleetLabel(kind, r)}</div>
+                  <div className="text-xs text-white/50">
+                    {kind === "driver" && (r.phone || "")}
+                    {kind === "vehicle" && (r.capacity_cartons ? `${r.capacity_cartons} cartons` : "")}
+                    {kind === "route" && (r.description || "")}
+                  </div>
+                </div>
+                <div className="inline-flex shrink-0 items-center gap-2">
+                  <button
+                    className="rounded-lg border border-white/10 px-2 py-0.5 text-xs"
+                    onClick={() => toggleActive(kind, r)}
+                    title={r.is_active === false ? "Make available for trips" : "Hide from new trips"}
+                  >
+                    {r.is_active === false ? "Activate" : "Deactivate"}
+                  </button>
+                  <button className="icon-btn" title="Edit" onClick={() => setEditing({ kind, record: r })}>
+                    <Edit2 size={14} />
+                  </button>
+                </div>
+              </div>
+            ))}
+            {rows[kind].length === 0 && (
+              <div className="py-4 text-center text-sm text-white/60">{loading ? "Loading…" : `No ${meta.plural.toLowerCase()} yet`}</div>
+            )}
+          </div>
+        </div>
+      ))}
+
+      {editing && (
+        <FleetModal
+          kind={editing.kind}
+          record={editing.record}
+          onClose={() => setEditing(null)}
+          onSaved={() => {
+            setEditing(null);
+            load();
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+function FleetModal({ kind, record, onClose, onSaved }) {
+  const fields = FLEET_FIELDS[kind];
+  const [form, setForm] = useState(() => Object.fromEntries(fields.map((f) => [f.key, record[f.key] ?? ""])));
+  const [saving, setSaving] = useState(false);
+  const canSave = !saving && fields.every((f) => !f.required || String(form[f.key]).trim());
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const body = Object.fromEntries(
+        fields.map((f) => [f.key, f.type === "number" ? (form[f.key] === "" ? null : toNum(form[f.key])) : String(form[f.key]).trim()])
+      );
+      await saveFleet(kind, { ...(record.id ? { id: record.id } : {}), ...body });
+      toast.success(`${FLEET_KINDS[kind].label} saved`);
+      onSaved();
+    } catch (e) {
+      toast.error(e?.message || "Save failed");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal title={`${record.id ? "Edit" : "New"} ${FLEET_KINDS[kind].label}`} onClose={onClose}>
+      <div className="grid gap-3">
+        {fields.map((f) => (
+          <label key={f.key} className="grid gap-1">
+            <span className="text-xs text-white/60">
+              {f.label}
+              {f.required ? "" : " (optional)"}
+            </span>
+            <input
+              type={f.type || "text"}
+              min={f.type === "number" ? 0 : undefined}
+              value={form[f.key]}
+              onChange={(e) => setForm((s) => ({ ...s, [f.key]: e.target.value }))}
+              className={inputCls}
+            />
+          </label>
+        ))}
+      </div>
+      <div className="mt-4 flex justify-end">
+        <button
+          disabled={!canSave}
+          className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
+          onClick={save}
+        >
+          {saving ? "Saving…" : "Save"}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+/* ---------------- Driver performance ---------------- */
+
+function PerformanceTab() {
+  const [range, setRange] = useState(() => ({ date_from: daysAgoNairobi(29), date_to: todayNairobi() }));
+  const [trips, setTrips] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  async function load(r = range) {
+    setLoading(true);
+    try {
+      setTrips(await listTrips({ ...r, status: "closed" }));
+    } catch (e) {
+      toast.error(e?.message || "Failed to load trips");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const rows = useMemo(() => driverPerformance(trips), [trips]);
+  const totals = useMemo(
+    () =>
+      rows.reduce(
+        (a, r) => ({
+          delivered: a.delivered + r.delivered,
+          loaded: a.loaded + r.loaded,
+          returned: a.returned + r.returned,
+          collected: a.collected + r.collected,
+        }),
+        { delivered: 0, loaded: 0, returned: 0, collected: 0 }
+      ),
+    [rows]
+  );
+
+  const exportCsv = () => {
+    const csv = toCsv(rows, [
+      { key: "driver_name", label: "Driver" },
+      { key: "trips", label: "Trips" },
+      { key: "loaded", label: "Cartons loaded" },
+      { key: "delivered", label: "Cartons delivered" },
+      { key: "returned", label: "Cartons returned" },
+      { key: "returns_rate", label: "Returns %", value: (r) => (r.returns_rate * 100).toFixed(1) },
+      { key: "cash", label: "Cash collected" },
+      { key: "mpesa", label: "M-Pesa collected" },
+      { key: "collected", label: "Total collected" },
+      { key: "sales_value", label: "Delivered value" },
+    ]);
+    downloadCsv(`driver-performance-${range.date_from}_${range.date_to}.csv`, csv);
+  };
+
+  return (
+    <>
+      <div className="mb-4 flex flex-wrap items-end gap-2">
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">From</span>
+          <input
+            type="date"
+            value={range.date_from}
+            onChange={(e) => setRange((r) => ({ ...r, date_from: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">To</span>
+          <input
+            type="date"
+            value={range.date_to}
+            onChange={(e) => setRange((r) => ({ ...r, date_to: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+        <button
+          className="rounded-xl bg-white text-gray-900 px-3 py-2 text-sm disabled:opacity-50"
+          onClick={() => load()}
+          disabled={loading}
+        >
+          Apply
+        </button>
+        <button
+          className="ml-auto inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5 disabled:opacity-50"
+          onClick={exportCsv}
+          disabled={!rows.length}
+        >
+          <Download size={16} /> CSV
+        </button>
+      </div>
+
+      <div className="mb-4 grid grid-cols-2 gap-3 sm:grid-cols-4">
+        <Tile label="Closed trips" value={trips.length} />
+        <Tile label="Cartons delivered" value={totals.delivered} />
+        <Tile label="Returns rate" value={formatPct(totals.loaded ? totals.returned / totals.loaded : 0)} />
+        <Tile label="Collected" value={formatMoney(totals.collected)} />
+      </div>
+
+      <div className="rounded-2xl border border-white/10 overflow-x-auto">
+        <table className="w-full min-w-[860px] text-sm">
+          <thead className="bg-white/5">
+            <tr>
+              <th className="px-3 py-2 text-left">Driver</th>
+              <th className="px-3 py-2 text-right">Trips</th>
+              <th className="px-3 py-2 text-right">Loaded</th>
+              <th className="px-3 py-2 text-right">Delivered</th>
+              <th className="px-3 py-2 text-right">Returns</th>
+              <th className="px-3 py-2 text-right">Cash</th>
+              <th className="px-3 py-2 text-right">M-Pesa</th>
+              <th className="px-3 py-2 text-right">Collected</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.driver_id ?? "none"} className="border-t border-white/10">
+                <td className="px-3 py-2">{r.driver_name}</td>
+                <td className="px-3 py-2 text-right">{r.trips}</td>
+                <td className="px-3 py-2 text-right">{r.loaded}</td>
+                <td className="px-3 py-2 text-right">{r.delivered}</td>
+                <td className={`px-3 py-2 text-right ${r.returns_rate > 0.1 ? "text-amber-300" : ""}`}>
+                  {r.returned} ({formatPct(r.returns_rate)})
+                </td>
+                <td className="px-3 py-2 text-right">{formatMoney(r.cash)}</td>
+                <td className="px-3 py-2 text-right">{formatMoney(r.mpesa)}</td>
+                <td className="px-3 py-2 text-right font-medium">{formatMoney(r.collected)}</td>
+              </tr>
+            ))}
+            {rows.length === 0 && (
+              <tr>
+                <td colSpan={8} className="px-3 py-8 text-center text-white/60">
+                  {loading ? "Loading…" : "No closed trips in this range"}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+}
+
+/* ---------------- UI bits & helpers ---------------- */
+
+const printBtnCls =
+  "inline-flex items-center gap-2 rounded-xl border border-white/10 px-3 py-2 text-sm hover:bg-white/5 disabled:opacity-50";
+
+function formatPct(v) {
+  return `${(toNum(v) * 100).toFixed(1)}%`;
+}
@@ -1,9 +1,48 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { motion } from "framer-motion";
-import { Plus, Edit2, Trash2, RefreshCcw, Save, X, Search, Package } from "lucide-react";
+import { Plus, Edit2, Trash2, RefreshCcw, Save, X, Search, Package, Lock, Tags, Repeat, Camera, Paperclip, ShieldCheck, Bell } from "lucide-react";
 import Swal from "sweetalert2";
 import { toast } from "react-toastify";
+import { Link } from "react-router-dom";
 import { useUser } from "../contexts/UserContext.jsx";
+import { useSaleContext } from "../contexts/SaleContext.jsx";
+import OutboxBanner from "../components/OutboxBanner.jsx";
+import CloseDayModal from "../components/CloseDayModal.jsx";
+import ExpenseCategoriesModal from "../components/ExpenseCategoriesModal.jsx";
+import RecurringExpensesModal from "../components/RecurringExpensesModal.jsx";
+import RecurringExpensesPanel from "../components/RecurringExpensesPanel.jsx";
+import ReceiptViewer from "../components/ReceiptViewer.jsx";
+import ExpenseApprovalsModal from "../components/ExpenseApprovalsModal.jsx";
+import { apiRequest, apiWrite } from "../api.jsx";
+import { splitByMethod } from "../utils/cashup.jsx";
+import { useLockedSubmit } from "../utils/lockedSubmit.jsx";
+import {
+  BUDGET_STATUS,
+  budgetCheck,
+  categoryName,
+  listExpenseCategories,
+  listMonthExpenses,
+} from "../utils/expenseCategories.jsx";
+import { listRecurringExpenses, skipRecurringOccurrence } from "../utils/recurringExpenses.jsx";
+import {
+  deleteExpenseReceipt,
+  hasReceipt,
+  isAndroidApp,
+  preparePhoto,
+  releasePhoto,
+  uploadExpenseReceipt,
+} from "../utils/expenseReceipts.jsx";
+import {
+  EXPENSE_STATUS,
+  expenseStatus,
+  getApprovalSettings,
+  isCountedExpense,
+  listNotifications,
+  listPendingExpenses,
+  markNotificationRead,
+  needsApproval,
+  uncountedTotals,
+} from "../utils/expenseApproval.jsx";
 
 /** Small utils */
 const todayStr = () => {
@@ -52,9 +91,6 @@ const fmtMoney = (v) =>
         minimumFractionDigits: 0,
       }).format(Number(v));
 
-const API_BASE =
-  (typeof import.meta !== "undefined" && import.meta?.env?.VITE_API_URL) || "/api";
-
 /** Responsive helpers */
 function useIsSmall() {
   const [small, setSmall] = useState(() =>
@@ -89,6 +125,7 @@ export default function CashierExpenses() {
 
   // ---- token handling ----
   const userCtx = useUser?.() || {};
+  const can = (cap) => (typeof userCtx.can === "function" ? userCtx.can(cap) : false);
   const getDefaultToken = () => {
     try {
       return (
@@ -105,6 +142,9 @@ export default function CashierExpenses() {
     userCtx.token ||
     getDefaultToken();
 
+  // new expenses go through SaleContext so they can be queued while offline
+  const { createExpense, listDayClosings, isDayClosed, outbox } = useSaleContext();
+
   // ---- state ----
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -112,15 +152,30 @@ export default function CashierExpenses() {
 
   const [filters, setFilters] = useState({
     q: "",
+    category: "",
+    missing_receipt: false,
     date_from: todayStr(),
     date_to: todayStr(),
     include_deleted: false,
   });
+  const [categories, setCategories] = useState([]);
+  const [recurring, setRecurring] = useState([]);
 
   // modals
   const [showModal, setShowModal] = useState(false);
   const [editing, setEditing] = useState(null);
   const [showCogsModal, setShowCogsModal] = useState(false);
+  const [showCloseDay, setShowCloseDay] = useState(false);
+  const [showCategories, setShowCategories] = useState(false);
+  const [showRecurring, setShowRecurring] = useState(false);
+  const [viewing, setViewing] = useState(null); // { receipts, start, title }
+  const [showApprovals, setShowApprovals] = useState(false);
+
+  // approvals: the limit for the "needs approval" notice, queue size for approvers,
+  // and approve/reject notices for the cashier who entered the expense
+  const [approvalThreshold, setApprovalThreshold] = useState(0);
+  const [pendingQueue, setPendingQueue] = useState(0);
+  const [notices, setNotices] = useState([]);
 
   // --- Quick range active detection (like AdminDashboard) ---
   const t = todayStr();
@@ -130,29 +185,6 @@ export default function CashierExpenses() {
   const isYesterdayActive = filters.date_from === y && filters.date_to === y;
   const isLast7Active = filters.date_from === l7s && filters.date_to === l7e;
 
-  // ---- API helper ----
-  async function api(path, { method = "GET", body } = {}) {
-    const res = await fetch(API_BASE + path, {
-      method,
-      headers: {
-        ...(method !== "GET" ? { "Content-Type": "application/json" } : {}),
-        ...(token ? { Authorization: `Bearer ${token}` } : {}),
-      },
-      ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
-    });
-    if (!res.ok) {
-      let msg = `${res.status} ${res.statusText}`;
-      try {
-        const j = await res.json();
-        if (j?.error) msg = j.error;
-      } catch {}
-      const e = new Error(msg);
-      e.status = res.status;
-      throw e;
-    }
-    return res.json();
-  }
-
   // ---- loaders ----
   const list = async (rangeOverride) => {
     if (!token) return;
@@ -171,7 +203,7 @@ export default function CashierExpenses() {
         date_to: dt,
         include_deleted: incDel,
       });
-      const expRes = await api(`/expenses?${qs.toString()}`);
+      const expRes = await apiRequest(`/expenses?${qs.toString()}`, { token });
       const expData = Array.isArray(expRes?.data) ? expRes.data : [];
       setRows(expData);
     } catch (e) {
@@ -203,19 +235,103 @@ export default function CashierExpenses() {
     await list(next);
   };
 
+  const loadCategories = () =>
+    listExpenseCategories()
+      .then(setCategories)
+      .catch(() => {});
+
+  const loadRecurring = () =>
+    listRecurringExpenses()
+      .then(setRecurring)
+      .catch(() => {});
+
+  const loadApprovals = () => {
+    getApprovalSettings()
+      .then((s) => setApprovalThreshold(s.threshold))
+      .catch(() => {});
+    listNotifications({ unread: true })
+      .then(setNotices)
+      .catch(() => {});
+    if (can("expense.approve")) {
+      listPendingExpenses()
+        .then((xs) => setPendingQueue(xs.length))
+        .catch(() => {});
+    }
+  };
+
+  const dismissNotice = async (n) => {
+    setNotices((xs) => xs.filter((x) => x.id !== n.id));
+    try {
+      await markNotificationRead(n.id);
+    } catch {
+      // shows again next visit
+    }
+  };
+
   useEffect(() => {
     loadToday().catch(() => {});
+    loadCategories();
+    loadRecurring();
+    loadApprovals();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [token]);
 
+  // closed days are read-only (rows in range + today for "New Expense")
+  useEffect(() => {
+    const from = filters.date_from && filters.date_from < t ? filters.date_from : t;
+    const to = filters.date_to && filters.date_to > t ? filters.date_to : t;
+    listDayClosings({ date_from: from, date_to: to }).catch(() => {});
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters.date_from, filters.date_to, listDayClosings]);
+
   // ---- actions ----
-  const saveExpense = async (payload, id) => {
+  // opts.idempotencyKey: ExpenseModal keeps it across a timeout so "Save" again is de-duplicated
+  const saveExpense = async (payload, id, photos = [], opts = {}) => {
+    const day = payload?.date || t;
+    if (isDayClosed(day)) {
+      const msg = `${day} is closed — ask an admin to reopen it`;
+      toast.error(msg, { position: toastPos, autoClose: 2500 });
+      throw new Error(msg);
+    }
     try {
-      await api(id ? `/expenses/${id}` : "/expenses", {
-        method: id ? "PUT" : "POST",
-        body: payload,
-      });
+      let expenseId = id;
+      let saved;
+      if (!id) {
+        const res = await createExpense(payload, opts);
+        if (res?._offline) {
+          toast.info(
+            photos.length
+              ? "Offline — expense saved, attach the receipt photo once back online"
+              : "Offline — expense saved, will sync when back online",
+            { position: toastPos, autoClose: 2500 }
+          );
+          return;
+        }
+        expenseId = res?.id;
+        saved = res;
+      } else {
+        const res = await apiWrite(`/expenses/${id}`, { method: "PUT", token, body: payload });
+        saved = res?.data;
+      }
+      if (photos.length && expenseId) {
+        try {
+          for (const photo of photos) await uploadExpenseReceipt(expenseId, photo);
+        } catch (e) {
+          toast.error(`Expense saved, but the receipt upload failed: ${e.message || "network error"}`, {
+            position: toastPos,
+            autoClose: 3000,
+          });
+        }
+      }
       await list();
+      if (expenseStatus(saved) === "pending") {
+        toast.info("Saved — waiting for admin approval before it counts in totals", {
+          position: toastPos,
+          autoClose: 3000,
+        });
+        if (can("expense.approve")) loadApprovals();
+        return;
+      }
       toast.success(id ? "Expense updated" : "Expense created", {
         position: toastPos,
         autoClose: 2000,
@@ -226,6 +342,51 @@ export default function CashierExpenses() {
     }
   };
 
+  // recurring drafts confirmed offline wait in the outbox; keep them hidden until they sync
+  // (a rejected one — status "conflict" — shows again)
+  const queuedDrafts = useMemo(
+    () =>
+      new Set(
+        (outbox || [])
+          .filter((e) => e.kind === "expense" && e.status !== "conflict" && e.body?.recurring_expense_id != null)
+          .map((e) => `${e.body.recurring_expense_id}:${e.body.occurrence_date}`)
+      ),
+    [outbox]
+  );
+  // once a queued draft syncs, its template's last_occurrence has moved on the server
+  const queuedCount = queuedDrafts.size;
+  const prevQueued = useRef(queuedCount);
+  useEffect(() => {
+    if (queuedCount < prevQueued.current) loadRecurring();
+    prevQueued.current = queuedCount;
+  }, [queuedCount]);
+
+  // recurring drafts: book on the due date unless that day is already closed
+  const confirmRecurring = async (draft, { amount, payment_method }) => {
+    const tpl = draft.template;
+    await saveExpense({
+      date: isDayClosed(draft.occurrence_date) ? t : draft.occurrence_date,
+      description: tpl.description,
+      category: tpl.category,
+      payment_method,
+      amount,
+      recurring_expense_id: tpl.id,
+      occurrence_date: draft.occurrence_date,
+    });
+    loadRecurring();
+  };
+
+  const skipRecurring = async (draft) => {
+    try {
+      await skipRecurringOccurrence(draft.template.id, draft.occurrence_date);
+      toast.info(`${draft.template.description} skipped for ${draft.occurrence_date}`, { position: toastPos, autoClose: 1800 });
+      loadRecurring();
+    } catch (e) {
+      toast.error(e.message || "Failed to skip", { position: toastPos, autoClose: 2500 });
+      throw e;
+    }
+  };
+
   const removeExpense = async (row) => {
     const res = await swal.fire({
       icon: "warning",
@@ -239,7 +400,7 @@ export default function CashierExpenses() {
     });
     if (!res.isConfirmed) return;
     try {
-      await api(`/expenses/${row.id}`, { method: "DELETE" });
+      await apiWrite(`/expenses/${row.id}`, { method: "DELETE", token });
       await list();
       toast.success("Expense deleted", { position: toastPos, autoClose: 1800 });
     } catch (e) {
@@ -265,7 +426,7 @@ export default function CashierExpenses() {
       throw new Error("Amount is required and must be > 0");
     }
     try {
-      await api("/cogs", { method: "POST", body });
+      await apiWrite("/cogs", { method: "POST", token, body });
       await list();
       toast.success("COGS recorded", { position: toastPos, autoClose: 1800 });
     } catch (e) {
@@ -277,24 +438,19 @@ export default function CashierExpenses() {
   // ---- client-side search (description) ----
   const shownRows = useMemo(() => {
     const q = String(filters.q || "").toLowerCase();
-    if (!q) return rows;
-    return rows.filter((r) => String(r.description || "").toLowerCase().includes(q));
-  }, [rows, filters.q]);
-
-  // ---- totals for shown ----
-  const totalsByMethod = useMemo(() => {
-    return shownRows.reduce(
-      (acc, r) => {
-        const pm = (r.payment_method || "Cash").trim();
-        const amt = Number(r.amount || 0);
-        if (pm === "M-Pesa") acc.mpesa += amt;
-        else acc.cash += amt;
-        acc.total += amt;
-        return acc;
-      },
-      { cash: 0, mpesa: 0, total: 0 }
+    return rows.filter(
+      (r) =>
+        (!q || String(r.description || "").toLowerCase().includes(q)) &&
+        (!filters.category || (r.category || "") === filters.category) &&
+        (!filters.missing_receipt || !hasReceipt(r))
     );
-  }, [shownRows]);
+  }, [rows, filters.q, filters.category, filters.missing_receipt]);
+
+  const missingReceipts = useMemo(() => rows.filter((r) => !r.deleted_at && !hasReceipt(r)).length, [rows]);
+
+  // ---- totals for shown (pending / rejected are kept out and shown on their own) ----
+  const totalsByMethod = useMemo(() => splitByMethod(shownRows.filter(isCountedExpense)), [shownRows]);
+  const uncounted = useMemo(() => uncountedTotals(shownRows), [shownRows]);
 
   const countShown = shownRows.length;
 
@@ -334,32 +490,113 @@ export default function CashierExpenses() {
             <RefreshCcw size={16} /> Last 7 Days
           </QuickBtn>
 
-          <button
-            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5"
-            onClick={() => setShowCogsModal(true)}
-            title="Record COGS Purchase"
-          >
-            <Package size={16} /> COGS Purchase
-          </button>
+          {can("expense.create") && (
+            <button
+              className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5"
+              onClick={() => setShowCogsModal(true)}
+              title="Record COGS Purchase"
+            >
+              <Package size={16} /> COGS Purchase
+            </button>
+          )}
 
-          <button
-            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-white text-gray-900 hover:opacity-90"
-            onClick={() => {
-              setEditing(null);
-              setShowModal(true);
-            }}
-          >
-            <Plus size={16} /> New Expense
-          </button>
+          {can("expense.categories") && (
+            <button
+              className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5"
+              onClick={() => setShowCategories(true)}
+              title="Expense categories & monthly budgets"
+            >
+              <Tags size={16} /> Categories
+            </button>
+          )}
+
+          {can("expense.recurring") && (
+            <button
+              className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5"
+              onClick={() => setShowRecurring(true)}
+              title="Rent, salaries, bills that repeat"
+            >
+              <Repeat size={16} /> Recurring
+            </button>
+          )}
+
+          {can("expense.approve") && (
+            <button
+              className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5"
+              onClick={() => setShowApprovals(true)}
+              title="Expenses waiting for approval"
+            >
+              <ShieldCheck size={16} /> Approvals{pendingQueue ? ` (${pendingQueue})` : ""}
+            </button>
+          )}
+
+          {can("day.close") && (
+            <QuickBtn
+              onClick={() => setShowCloseDay(true)}
+              active={isDayClosed(t)}
+              title={isDayClosed(t) ? "Today is closed — view the cash-up" : "Count cash and close today's till"}
+            >
+              <Lock size={16} /> {isDayClosed(t) ? "Day Closed" : "Close Day"}
+            </QuickBtn>
+          )}
+
+          {can("expense.create") && (
+            <button
+              className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-white text-gray-900 hover:opacity-90"
+              onClick={() => {
+                setEditing(null);
+                setShowModal(true);
+              }}
+            >
+              <Plus size={16} /> New Expense
+            </button>
+          )}
         </div>
       </header>
 
+      <OutboxBanner kinds={["expense"]} />
+
+      {notices.length > 0 && (
+        <div className="mb-4 grid gap-2">
+          {notices.map((n) => {
+            const rejected = n.type === "expense_rejected";
+            return (
+              <div
+                key={n.id}
+                className={`flex items-start justify-between gap-3 rounded-xl border px-3 py-2 text-sm ${
+                  rejected ? "border-rose-500/30 bg-rose-500/10 text-rose-200" : "border-emerald-500/30 bg-emerald-500/10 text-emerald-200"
+                }`}
+              >
+                <div className="inline-flex items-start gap-2">
+                  <Bell size={16} className="mt-0.5 shrink-0" />
+                  <span>
+                    {n.description || "Expense"} ({fmtMoney(n.amount)}) was {rejected ? "rejected" : "approved"}
+                    {n.decided_by_name ? ` by ${n.decided_by_name}` : ""}
+                    {rejected && n.reason ? ` — ${n.reason}` : ""}.
+                  </span>
+                </div>
+                <button className="icon-btn" title="Dismiss" onClick={() => dismissNotice(n)}>
+                  <X size={14} />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
       {/* Stats (shown set) — Net Sales removed */}
       <div className="mb-4 grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3">
         <Stat label="Cash (Shown)" value={fmtMoney(totalsByMethod.cash)} />
         <Stat label="M-Pesa (Shown)" value={fmtMoney(totalsByMethod.mpesa)} />
         <Stat label="Total (Shown)" value={fmtMoney(totalsByMethod.total)} />
         <Stat label="Count (Shown)" value={countShown} />
+        {can("expense.review") && <Stat label="Missing Receipts" value={missingReceipts} />}
+        {uncounted.pending.count > 0 && (
+          <Stat label={`Pending Approval (${uncounted.pending.count})`} value={fmtMoney(uncounted.pending.amount)} />
+        )}
+        {uncounted.rejected.count > 0 && (
+          <Stat label={`Rejected (${uncounted.rejected.count})`} value={fmtMoney(uncounted.rejected.amount)} />
+        )}
       </div>
 
       {/* Filters */}
@@ -374,6 +611,19 @@ export default function CashierExpenses() {
             placeholder="Search description (client-side)"
             className="rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm w/full sm:w-auto"
           />
+          <select
+            value={filters.category}
+            onChange={(e) => setFilters((f) => ({ ...f, category: e.target.value }))}
+            className="rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm"
+          >
+            <option value="">All categories</option>
+            {categories.map((c) => (
+              <option key={c.key} value={c.key}>
+                {c.name}
+              </option>
+            ))}
+            <option value="cogs">COGS</option>
+          </select>
           <input
             type="date"
             value={filters.date_from}
@@ -394,6 +644,16 @@ export default function CashierExpenses() {
             />
             <span>Include deleted</span>
           </label>
+          {can("expense.review") && (
+            <label className="inline-flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={!!filters.missing_receipt}
+                onChange={(e) => setFilters((f) => ({ ...f, missing_receipt: e.target.checked }))}
+              />
+              <span>Missing receipt</span>
+            </label>
+          )}
           <button
             className="rounded-xl border border-white/10 px-3 py-2 text-sm"
             onClick={() => list().catch(() => {})}
@@ -409,6 +669,16 @@ export default function CashierExpenses() {
         </div>
       )}
 
+      <RecurringExpensesPanel
+        templates={recurring}
+        categories={categories}
+        queued={queuedDrafts}
+        today={t}
+        canConfirm={can("expense.create")}
+        onConfirm={confirmRecurring}
+        onSkip={skipRecurring}
+      />
+
       {/* Mobile cards (<= md) */}
       <div className="md:hidden grid gap-3">
         {shownRows.map((r) => (
@@ -416,29 +686,44 @@ export default function CashierExpenses() {
             <div className="flex justify-between items-start gap-3">
               <div>
                 <div className="text-sm text-gray-400">{shortDate(r.date)}</div>
-                <div className="font-medium mt-0.5">{r.description || "-"}</div>
-                <div className="text-xs text-gray-400 mt-1">Method: {r.payment_method || "-"}</div>
+                <div className="font-medium mt-0.5">
+                  {r.description || "-"}
+                  <RecurringMark row={r} />
+                  <StatusMark row={r} />
+                </div>
+                <div className="text-xs text-gray-400 mt-1">
+                  {categoryName(categories, r.category)} · Method: {r.payment_method || "-"}
+                </div>
+                <ReceiptThumbs row={r} onOpen={setViewing} />
               </div>
               <div className="text-right">
                 <div className="text-base font-semibold">{fmtMoney(r.amount)}</div>
                 <div className="mt-2 inline-flex gap-2">
-                  <button
-                    className="icon-btn"
-                    title="Edit"
-                    onClick={() => {
-                      setEditing(r);
-                      setShowModal(true);
-                    }}
-                  >
-                    <Edit2 size={16} />
-                  </button>
-                  <button
-                    className="icon-btn text-rose-300"
-                    title="Delete"
-                    onClick={() => removeExpense(r).catch(() => {})}
-                  >
-                    <Trash2 size={16} />
-                  </button>
+                  {!can("expense.edit") ? null : isDayClosed(r.date) ? (
+                    <span className="icon-btn text-white/50" title="Day closed — ask an admin to reopen it">
+                      <Lock size={16} />
+                    </span>
+                  ) : (
+                    <>
+                      <button
+                        className="icon-btn"
+                        title="Edit"
+                        onClick={() => {
+                          setEditing(r);
+                          setShowModal(true);
+                        }}
+                      >
+                        <Edit2 size={16} />
+                      </button>
+                      <button
+                        className="icon-btn text-rose-300"
+                        title="Delete"
+                        onClick={() => removeExpense(r).catch(() => {})}
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </>
+                  )}
                 </div>
               </div>
             </div>
@@ -460,7 +745,9 @@ export default function CashierExpenses() {
                 <tr>
                   <th className="px-3 py-2 text-left">Date</th>
                   <th className="px-3 py-2 text-left">Description</th>
+                  <th className="px-3 py-2 text-left">Category</th>
                   <th className="px-3 py-2 text-left">Method</th>
+                  <th className="px-3 py-2 text-left">Receipt</th>
                   <th className="px-3 py-2 text-right">Amount</th>
                   <th className="px-3 py-2 text-right">Actions</th>
                 </tr>
@@ -469,35 +756,49 @@ export default function CashierExpenses() {
                 {shownRows.map((r) => (
                   <tr key={r.id} className="border-t border-white/10">
                     <td className="px-3 py-2">{shortDate(r.date)}</td>
-                    <td className="px-3 py-2">{r.description}</td>
+                    <td className="px-3 py-2">
+                      {r.description}
+                      <RecurringMark row={r} />
+                      <StatusMark row={r} />
+                    </td>
+                    <td className="px-3 py-2">{categoryName(categories, r.category)}</td>
                     <td className="px-3 py-2">{r.payment_method || "-"}</td>
+                    <td className="px-3 py-2">
+                      <ReceiptThumbs row={r} onOpen={setViewing} />
+                    </td>
                     <td className="px-3 py-2 text-right">{fmtMoney(r.amount)}</td>
                     <td className="px-3 py-2 text-right">
-                      <div className="inline-flex items-center gap-2">
-                        <button
-                          className="icon-btn"
-                          title="Edit"
-                          onClick={() => {
-                            setEditing(r);
-                            setShowModal(true);
-                          }}
-                        >
-                          <Edit2 size={16} />
-                        </button>
-                        <button
-                          className="icon-btn text-rose-300"
-                          title="Delete"
-                          onClick={() => removeExpense(r).catch(() => {})}
-                        >
-                          <Trash2 size={16} />
-                        </button>
-                      </div>
+                      {!can("expense.edit") ? null : isDayClosed(r.date) ? (
+                        <span className="icon-btn text-white/50" title="Day closed — ask an admin to reopen it">
+                          <Lock size={16} />
+                        </span>
+                      ) : (
+                        <div className="inline-flex items-center gap-2">
+                          <button
+                            className="icon-btn"
+                            title="Edit"
+                            onClick={() => {
+                              setEditing(r);
+                              setShowModal(true);
+                            }}
+                          >
+                            <Edit2 size={16} />
+                          </button>
+                          <button
+                            className="icon-btn text-rose-300"
+                            title="Delete"
+                            onClick={() => removeExpense(r).catch(() => {})}
+                          >
+                            <Trash2 size={16} />
+                          </button>
+                        </div>
+                      )}
                     </td>
                   </tr>
                 ))}
                 {shownRows.length === 0 && (
                   <tr>
-                    <td colSpan={5} className="px-3 py-8 text-center text-gray-400">
+                    <td colSpan={7} className="px-3 py-8 text-center text-gray-400">
                       {loading ? "Loading…" : "No expenses"}
                     </td>
                   </tr>
@@ -511,14 +812,47 @@ export default function CashierExpenses() {
       {showModal && (
         <ExpenseModal
           editing={editing}
+          categories={categories.filter((c) => c.is_active !== false)}
+          approvalThreshold={approvalThreshold}
+          canApprove={can("expense.approve")}
           onClose={() => setShowModal(false)}
-          onSubmit={async (payload) => {
-            await saveExpense(payload, editing?.id);
+          onSubmit={async (payload, photos, opts) => {
+            await saveExpense(payload, editing?.id, photos, opts);
             setShowModal(false);
           }}
+          onReceiptRemoved={() => list().catch(() => {})}
+        />
+      )}
+
+      {viewing && <ReceiptViewer {...viewing} onClose={() => setViewing(null)} />}
+
+      {showApprovals && (
+        <ExpenseApprovalsModal
+          onClose={() => {
+            setShowApprovals(false);
+            loadApprovals();
+          }}
+          onChanged={() => list().catch(() => {})}
+        />
+      )}
+
+      {showRecurring && (
+        <RecurringExpensesModal
+          categories={categories.filter((c) => c.is_active !== false)}
+          today={t}
+          onClose={() => setShowRecurring(false)}
+          onChanged={loadRecurring}
         />
       )}
 
+      {showCategories && (
+        <ExpenseCategoriesModal onClose={() => setShowCategories(false)} onChanged={loadCategories} />
+      )}
+
+      {showCloseDay && (
+        <CloseDayModal onClose={() => setShowCloseDay(false)} onChanged={() => list().catch(() => {})} />
+      )}
+
       {showCogsModal && (
         <CogsModal
           onClose={() => setShowCogsModal(false)}
@@ -553,6 +887,55 @@ function QuickBtn({ children, onClick, title, active = false, disabled = false }
   );
 }
 
+/** Receipt photo thumbnails; a muted marker when none is attached */
+function ReceiptThumbs({ row, onOpen }) {
+  const receipts = Array.isArray(row?.receipts) ? row.receipts : [];
+  if (!receipts.length) return <span className="text-xs text-white/40">No receipt</span>;
+  return (
+    <div className="mt-1 flex gap-1">
+      {receipts.map((rc, i) => (
+        <button
+          key={rc.id ?? i}
+          className="h-9 w-9 overflow-hidden rounded-md border border-white/10"
+          title="View receipt"
+          onClick={() => onOpen({ receipts, start: i, title: row.description || "Receipt" })}
+        >
+          <img src={rc.thumbnail_url || rc.url} alt="Receipt" className="h-full w-full object-cover" loading="lazy" />
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/** Generated from a recurring template */
+function RecurringMark({ row }) {
+  if (!row?.recurring_expense_id) return null;
+  return (
+    <span
+      className="ml-2 inline-flex items-center gap-1 rounded-full bg-sky-500/20 px-2 py-0.5 align-middle text-[11px] text-sky-300"
+      title={`Recurring expense${row.occurrence_date ? ` due ${String(row.occurrence_date).slice(0, 10)}` : ""}`}
+    >
+      <Repeat size={10} /> Recurring
+    </span>
+  );
+}
+
+/** Pending / rejected badge; approved expenses stay unmarked */
+function StatusMark({ row }) {
+  const status = expenseStatus(row);
+  if (status === "approved") return null;
+  return (
+    <>
+      <span className={`ml-2 inline-flex rounded-full px-2 py-0.5 align-middle text-[11px] ${EXPENSE_STATUS[status].cls}`}>
+        {EXPENSE_STATUS[status].label}
+      </span>
+      {status === "rejected" && row.rejection_reason && (
+        <div className="mt-0.5 text-xs text-rose-300/80">Reason: {row.rejection_reason}</div>
+      )}
+    </>
+  );
+}
+
 function Stat({ label, value }) {
   return (
     <div className="rounded-2xl border border-white/10 p-3 sm:p-4">
@@ -562,18 +945,81 @@ function Stat({ label, value }) {
   );
 }
 
-function ExpenseModal({ editing, onClose, onSubmit }) {
+function ExpenseModal({
+  editing,
+  categories = [],
+  approvalThreshold = 0,
+  canApprove = false,
+  onClose,
+  onSubmit,
+  onReceiptRemoved,
+}) {
   const [form, setForm] = useState(() => ({
     date: editing?.date ? String(editing.date).slice(0, 10) : todayStr(),
     description: editing?.description || "",
+    category: editing?.category || "",
     payment_method: editing?.payment_method || "Cash",
     amount: editing?.amount ?? "",
   }));
 
+  // month-to-date spend for the budget warning (best effort — offline just skips it)
+  const month = String(form.date).slice(0, 7);
+  const [monthExpenses, setMonthExpenses] = useState([]);
+  useEffect(() => {
+    const ctrl = new AbortController();
+    listMonthExpenses(`${month}-01`, { signal: ctrl.signal })
+      .then((rows) => !ctrl.signal.aborted && setMonthExpenses(rows))
+      .catch(() => !ctrl.signal.aborted && setMonthExpenses([]));
+    return () => ctrl.abort();
+  }, [month]);
+  const budget = budgetCheck(form.category, form.amount, categories, monthExpenses, editing?.id);
+  const approval = needsApproval(form.amount, approvalThreshold, canApprove);
+  const wasRejected = expenseStatus(editing) === "rejected";
+
+  // receipt photos: new ones are compressed on pick and uploaded after the expense saves
+  const [photos, setPhotos] = useState([]);
+  const [existing, setExisting] = useState(() => (Array.isArray(editing?.receipts) ? editing.receipts : []));
+  const [preparing, setPreparing] = useState(false);
+  // saveExpense already reports errors; the lock keeps the key for a retry after a timeout
+  const { submitting: saving, submit } = useLockedSubmit((payload, opts) => onSubmit(payload, photos, opts));
+  const android = isAndroidApp();
+
+  const photosRef = useRef(photos);
+  photosRef.current = photos;
+  useEffect(() => () => photosRef.current.forEach(releasePhoto), []);
+
+  const addPhotos = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (!files.length) return;
+    setPreparing(true);
+    try {
+      const ready = [];
+      for (const f of files) ready.push(await preparePhoto(f));
+      setPhotos((p) => [...p, ...ready]);
+    } catch (e) {
+      toast.error(e.message || "Could not read the photo");
+    } finally {
+      setPreparing(false);
+    }
+  };
+
+  const removeExisting = async (rc) => {
+    try {
+      await deleteExpenseReceipt(editing.id, rc.id);
+      setExisting((xs) => xs.filter((x) => x.id !== rc.id));
+      onReceiptRemoved?.();
+    } catch (e) {
+      toast.error(e.message || "Failed to remove the receipt");
+    }
+  };
+
   const canSave =
     String(form.description).trim().length > 0 &&
     String(form.amount).trim().length > 0 &&
-    ["Cash", "M-Pesa"].includes(form.payment_method);
+    Boolean(form.category) &&
+    ["Cash", "M-Pesa"].includes(form.payment_method) &&
+    !preparing &&
+    !saving;
 
   return (
     <div className="fixed inset-0 z-50 grid place-items-center bg-black/60 p-3">
@@ -610,6 +1056,24 @@ function ExpenseModal({ editing, onClose, onSubmit }) {
             />
           </label>
 
+          <label className="grid gap-1">
+            <span className="text-xs text-gray-400">Category</span>
+            <select
+              value={form.category}
+              onChange={(e) => setForm((s) => ({ ...s, category: e.target.value }))}
+              className="rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm"
+            >
+              <option value="" disabled>
+                Select category
+              </option>
+              {categories.map((c) => (
+                <option key={c.key} value={c.key}>
+                  {c.name}
+                </option>
+              ))}
+            </select>
+          </label>
+
           <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
             <label className="grid gap-1">
               <span className="text-xs text-gray-400">Payment Method</span>
@@ -634,6 +1098,77 @@ function ExpenseModal({ editing, onClose, onSubmit }) {
               />
             </label>
           </div>
+
+          {budget && budget.status !== "ok" && (
+            <div
+              className={`rounded-xl px-3 py-2 text-xs ${
+                budget.status === "over" ? "bg-rose-500/10 text-rose-200" : "bg-amber-500/10 text-amber-200"
+              }`}
+            >
+              {BUDGET_STATUS[budget.status].label}: {fmtMoney(budget.after)} of {fmtMoney(budget.budget)} for{" "}
+              {categoryName(categories, form.category)} in {month}
+              {budget.status === "over" ? ` — ${fmtMoney(budget.after - budget.budget)} over` : ""}.
+            </div>
+          )}
+
+          {wasRejected && (
+            <div className="rounded-xl bg-rose-500/10 px-3 py-2 text-xs text-rose-200">
+              Rejected{editing.rejection_reason ? `: ${editing.rejection_reason}` : ""}. Saving sends it for approval again.
+            </div>
+          )}
+
+          {approval && (
+            <div className="rounded-xl bg-amber-500/10 px-3 py-2 text-xs text-amber-200">
+              Above {fmtMoney(approvalThreshold)} — this expense needs an admin&apos;s approval before it counts in totals.
+            </div>
+          )}
+
+          <div className="grid gap-2">
+            <span className="text-xs text-gray-400">Receipt photo</span>
+            <div className="flex flex-wrap items-center gap-2">
+              {existing.map((rc) => (
+                <div key={rc.id} className="relative h-16 w-16 overflow-hidden rounded-lg border border-white/10">
+                  <img src={rc.thumbnail_url || rc.url} alt="Receipt" className="h-full w-full object-cover" />
+                  <button
+                    className="absolute right-0.5 top-0.5 rounded-full bg-black/70 p-0.5"
+                    title="Remove receipt"
+                    onClick={() => removeExisting(rc)}
+                  >
+                    <X size={12} />
+                  </button>
+                </div>
+              ))}
+              {photos.map((ph, i) => (
+                <div key={ph.preview} className="relative h-16 w-16 overflow-hidden rounded-lg border border-sky-400/40">
+                  <img src={ph.preview} alt="New receipt" className="h-full w-full object-cover" />
+                  <button
+                    className="absolute right-0.5 top-0.5 rounded-full bg-black/70 p-0.5"
+                    title="Remove"
+                    onClick={() => {
+                      releasePhoto(ph);
+                      setPhotos((p) => p.filter((_, j) => j !== i));
+                    }}
+                  >
+                    <X size={12} />
+                  </button>
+                </div>
+              ))}
+              <label className="inline-flex cursor-pointer items-center gap-2 rounded-xl border border-white/10 px-3 py-2 text-sm hover:bg-white/5">
+                {android ? <Camera size={16} /> : <Paperclip size={16} />}
+                {preparing ? "Processing…" : android ? "Take photo" : "Attach photo"}
+                <input
+                  type="file"
+                  accept="image/*"
+                  {...(android ? { capture: "environment" } : { multiple: true })}
+                  className="hidden"
+                  onChange={(e) => {
+                    addPhotos(e.target.files);
+                    e.target.value = "";
+                  }}
+                />
+              </label>
+            </div>
+          </div>
         </div>
 
         <div className="mt-4 flex justify-end gap-2">
@@ -642,15 +1177,16 @@ function ExpenseModal({ editing, onClose, onSubmit }) {
             disabled={!canSave}
             className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
             onClick={() =>
-              onSubmit({
+              submit({
                 date: form.date,
                 description: String(form.description).trim(),
+                category: form.category,
                 payment_method: form.payment_method,
                 amount: Number(form.amount),
               })
             }
           >
-            <Save size={16} /> Save
+            <Save size={16} /> {saving ? "Saving…" : "Save"}
           </button>
         </div>
       </motion.div>
@@ -660,6 +1196,7 @@ function ExpenseModal({ editing, onClose, onSubmit }) {
 
 /** ---------------- COGS Modal ---------------- */
 function CogsModal({ onClose, onSubmit }) {
+  const { can } = useUser();
   const [form, setForm] = useState(() => ({
     date: todayStr(),
     description: "",
@@ -778,6 +1315,18 @@ function CogsModal({ onClose, onSubmit }) {
           )}
         </div>
 
+        {can("purchasing.manage") ? (
+          <div className="mt-3 rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-xs text-gray-300">
+            Buying from a supplier? Raise a{" "}
+            <Link to="/admin/purchasing" className="underline" onClick={onClose}>
+              purchase order
+            </Link>{" "}
+            instead — receiving the goods records the COGS and the supplier balance.
+          </div>
+        ) : (
+          <div className="mt-3 text-xs text-gray-400">Supplier deliveries on a purchase order are recorded by an admin when received.</div>
+        )}
+
         <div className="mt-4 flex justify-end gap-2">
           <button className="rounded-xl border border-white/10 px-3 py-2" onClick={onClose}>
             Cancel
@@ -15,61 +15,45 @@ import {
   CalendarDays,
   PackageCheck,
   Printer,
+  CloudOff,
+  Lock,
+  History,
+  Truck,
+  FileText,
+  AlertTriangle,
 } from "lucide-react";
 import Swal from "sweetalert2";
 import { toast } from "react-toastify"; // ⬅️ no ToastContainer import
+import { useSearchParams } from "react-router-dom";
 
 import { useSaleContext } from "../contexts/SaleContext.jsx";
 import { usePackaging } from "../contexts/PackagingContext.jsx";
+import { useUser } from "../contexts/UserContext.jsx";
+import OutboxBanner from "../components/OutboxBanner.jsx";
+import CloseDayModal from "../components/CloseDayModal.jsx";
+import DevicePrinterPicker from "../components/DevicePrinterPicker.jsx";
+import HistoryPanel from "../components/HistoryPanel.jsx";
+import MpesaCodeField from "../components/MpesaCodeField.jsx";
+import DeliveryNoteModal from "../components/DeliveryNoteModal.jsx";
+import { checkSaleStock } from "../utils/stockLevels.jsx";
+import { fifoAllocate, formatBatches, listBatches } from "../utils/batches.jsx";
+import { useLockedSubmit } from "../utils/lockedSubmit.jsx";
+import { isValidMpesaCode, normalizeMpesaCode } from "../utils/mpesa.jsx";
+import { buildReceipt } from "../utils/escpos.jsx";
+import { listTrips, tripTitle } from "../utils/delivery.jsx";
+import { getSavedPrinter, printBytes, printerSupport } from "../utils/receiptPrinter.jsx";
+import { toNum, formatMoney as formatAmount, todayNairobi, ymdOf } from "../utils/format.jsx";
+import { getDue, getGross, getPaid } from "../utils/saleMoney.jsx";
+import Modal from "../components/Modal.jsx";
 
 const PER_PAGE = 50;
+const BRAND = import.meta.env?.VITE_BRAND_NAME || "Blue Bash";
+const PRINT_TARGET_KEY = "bb.print_target"; // "device" | "server"
 
 /* ---------------- helpers (money, totals, datetime) ---------------- */
 
-const GROSS_KEYS = ["total_amount", "gross_total", "subtotal", "amount", "total", "amount_total"];
-const PAID_KEYS = ["paid_amount", "amount_paid", "paid", "payments_total"];
-const DUE_KEYS = ["balance_due", "due", "outstanding", "remaining"];
-
-function pickNum(obj, keys, d = 0) {
-  for (const k of keys) {
-    if (obj && obj[k] !== undefined && obj[k] !== null) {
-      const n = Number(obj[k]);
-      if (Number.isFinite(n)) return n;
-    }
-  }
-  return d;
-}
-function getGross(s) {
-  return pickNum(s, GROSS_KEYS, 0);
-}
-function getPaid(s) {
-  return pickNum(s, PAID_KEYS, 0);
-}
-function getDue(s) {
-  const v = pickNum(s, DUE_KEYS, NaN);
-  return Number.isFinite(v) ? v : Math.max(0, getGross(s) - getPaid(s));
-}
-
-function formatMoney(v) {
-  if (v === null || v === undefined || Number.isNaN(Number(v))) return "";
-  return new Intl.NumberFormat(undefined, {
-    style: "currency",
-    currency: "KES",
-    currencyDisplay: "narrowSymbol",
-    minimumFractionDigits: 0,
-  }).format(Number(v));
-}
-
-// Parse "KES 12,000" / "KSh 12,000" / raw numbers safely
-function toNum(v) {
-  if (typeof v === "number") return Number.isFinite(v) ? v : 0;
-  if (typeof v === "string") {
-    const n = Number(v.replace(/kes|ksh/gi, "").replace(/[,\s]/g, ""));
-    return Number.isFinite(n) ? n : 0;
-  }
-  const n = Number(v);
-  return Number.isFinite(n) ? n : 0;
-}
+// missing amounts print blank on this page
+const formatMoney = (v) => formatAmount(v, "");
 
 // TZ-aware formatting (Africa/Nairobi)
 function formatDateTime(input) {
@@ -120,18 +104,6 @@ function formatInNairobi(dateObj) {
   )}`;
 }
 
-function todayNairobi() {
-  const parts = new Intl.DateTimeFormat("en-CA", {
-    timeZone: "Africa/Nairobi",
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-  }).formatToParts(new Date());
-  const y = parts.find((p) => p.type === "year")?.value ?? "";
-  const m = parts.find((p) => p.type === "month")?.value ?? "";
-  const d = parts.find((p) => p.type === "day")?.value ?? "";
-  return `${y}-${m}-${d}`;
-}
 function daysAgoNairobi(n) {
   const now = new Date();
   const dt = new Date(now.getTime() - n * 24 * 60 * 60 * 1000);
@@ -152,32 +124,8 @@ function yesterdayNairobi() {
 function last7DaysNairobi() {
   return { start: daysAgoNairobi(6), end: todayNairobi() };
 }
-
-/* ---------------- API fallback helpers ---------------- */
-
-const API_BASE =
-  (typeof import.meta !== "undefined" && import.meta?.env?.VITE_API_URL) || "/api";
-
-function getDefaultToken() {
-  try {
-    return (
-      (typeof localStorage !== "undefined" &&
-        (localStorage.getItem("token") || localStorage.getItem("access_token"))) ||
-      ""
-    );
-  } catch {
-    return "";
-  }
-}
-
-async function apiGet(path, token) {
-  const res = await fetch(API_BASE + path, {
-    headers: {
-      ...(token ? { Authorization: `Bearer ${token}` } : {}),
-    },
-  });
-  if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
-  return res.json();
+function isYmd(v) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(v || ""));
 }
 
 /* ---------------- Quick Button ---------------- */
@@ -227,19 +175,39 @@ export default function CashierSale() {
     listItemsForSale,
     closeDispatch,
 
-    // optional
+    // offline outbox
+    outbox,
+    discardOutboxEntry,
+
+    // day closing
+    listDayClosings,
+    getDayClosing,
+    isDayClosed,
+
+    // range totals
     listExpenses,
     listCogsPurchases,
-    listCogs,
-    fetchCogsSummary,
   } = useSaleContext();
 
-  const { bottleSizes, sizeOptions, fetchBottleSizes, fetchBottleSizeOptions } = usePackaging();
+  const {
+    bottleSizes,
+    sizeOptions,
+    stockBalances,
+    fetchBottleSizes,
+    fetchBottleSizeOptions,
+    fetchStockBalances,
+  } = usePackaging();
+  const { can } = useUser();
+  const [searchParams] = useSearchParams();
 
   const [showSaleModal, setShowSaleModal] = useState(false);
   const [showPayModal, setShowPayModal] = useState(null);
   const [showDispatchModal, setShowDispatchModal] = useState(null);
   const [showPrinterModal, setShowPrinterModal] = useState(null);
+  const [showCloseDay, setShowCloseDay] = useState(false);
+  const [showHistory, setShowHistory] = useState(null);
+  const [showDeliveryNote, setShowDeliveryNote] = useState(null); // { sale, closed? }
+  const [openTrips, setOpenTrips] = useState([]);
 
   const [draftFilters, setDraftFilters] = useState(filters);
   const [outstandingOnly, setOutstandingOnly] = useState(false);
@@ -249,17 +217,59 @@ export default function CashierSale() {
 
   useEffect(() => setDraftFilters(filters), [filters]);
 
-  // ▶ Default to TODAY on first load + load sizes + customers + totals
+  // Which days in view (and today) are closed → their rows are read-only
+  useEffect(() => {
+    const today = todayNairobi();
+    const from = filters?.date_from && filters.date_from < today ? filters.date_from : today;
+    const to = filters?.date_to && filters.date_to > today ? filters.date_to : today;
+    listDayClosings({ date_from: from, date_to: to }).catch(() => {});
+  }, [filters?.date_from, filters?.date_to, listDayClosings]);
+
+  const todayClosed = isDayClosed(todayNairobi());
+
+  // Today's trips still on the road — a new dispatch sale can go straight onto one
+  useEffect(() => {
+    if (!showSaleModal || !can("sale.dispatch")) return;
+    const today = todayNairobi();
+    listTrips({ date_from: today, date_to: today, status: "open" })
+      .then(setOpenTrips)
+      .catch(() => setOpenTrips([]));
+  }, [showSaleModal, can]);
+
+  // Fresh balances for the new-sale stock check, open batches for the FIFO preview
+  const [openBatches, setOpenBatches] = useState([]);
+  useEffect(() => {
+    if (!showSaleModal) return;
+    fetchStockBalances().catch(() => {});
+    listBatches({ status: "open" })
+      .then(setOpenBatches)
+      .catch(() => setOpenBatches([]));
+  }, [showSaleModal, fetchStockBalances]);
+
+  // ▶ Default to TODAY on first load (or ?date_from=&date_to= from a dashboard drill-down)
+  //   + load sizes + customers + totals
   useEffect(() => {
     (async () => {
       try {
-        setDateFiltersToToday();
-        await listTodaySales();
-        const t = todayNairobi();
-        await Promise.all([
-          loadExpensesTotals({ date_from: t, date_to: t }),
-          loadCogsPurchasesTotals({ date_from: t, date_to: t }),
-        ]);
+        const from = searchParams.get("date_from");
+        const to = searchParams.get("date_to") || from;
+        if (isYmd(from) && isYmd(to)) {
+          const range = { date_from: from, date_to: to };
+          setFilters(range);
+          await Promise.all([
+            listSales({ page: 1, per_page: PER_PAGE, ...range }),
+            loadExpensesTotals(range),
+            loadCogsPurchasesTotals(range),
+          ]);
+        } else {
+          setDateFiltersToToday();
+          await listTodaySales();
+          const t = todayNairobi();
+          await Promise.all([
+            loadExpensesTotals({ date_from: t, date_to: t }),
+            loadCogsPurchasesTotals({ date_from: t, date_to: t }),
+          ]);
+        }
       } catch {}
       fetchCustomers().catch(() => {});
       Promise.all([fetchBottleSizes(), fetchBottleSizeOptions()]).catch(() => {});
@@ -335,17 +345,99 @@ export default function CashierSale() {
     return arr;
   }, [sales, outstandingOnly]);
 
+  // Offline outbox → "pending sync" rows ahead of server rows (only those queued inside the
+  // date filter); queued payments annotate their sale
+  const rowsWithPending = useMemo(() => {
+    const inRange = (day) =>
+      (!filters?.date_from || day >= filters.date_from) && (!filters?.date_to || day <= filters.date_to);
+    const entries = outbox || [];
+    const pendingPaid = new Map();
+    for (const e of entries) {
+      if (e.kind !== "payment") continue;
+      const sid = String(e.meta?.sale_id);
+      pendingPaid.set(sid, (pendingPaid.get(sid) || 0) + toNum(e.body?.amount));
+    }
+    const priceOf = (sizeId) =>
+      toNum((bottleSizes || []).find((b) => Number(b.id) === Number(sizeId))?.selling_price);
+    const pendingRows = entries
+      .filter((e) => e.kind === "sale" && inRange(ymdOf(e.body?.date || e.created_at)))
+      .map((e) => {
+        const b = e.body || {};
+        const gross = (b.items || []).reduce((a, it) => a + toNum(it.quantity) * priceOf(it.bottle_size_id), 0);
+        return {
+          id: `outbox-${e.id}`,
+          _outbox: e,
+          date: e.created_at,
+          receipt_number: "—",
+          customer_name:
+            b.customer_name ||
+            customers.find((c) => String(c.id) === String(b.customer_id))?.name ||
+            "",
+          sale_type: b.sale_type,
+          total_amount: gross,
+          paid_amount: 0,
+          balance_due: (b.sale_type || "normal") === "normal" ? 0 : gross,
+        };
+      });
+    const withPayments = pendingPaid.size
+      ? displayedSales.map((x) =>
+          pendingPaid.has(String(x.id)) ? { ...x, _pendingPaid: pendingPaid.get(String(x.id)) } : x
+        )
+      : displayedSales;
+    return [...pendingRows, ...withPayments];
+  }, [outbox, displayedSales, bottleSizes, customers, filters?.date_from, filters?.date_to]);
+
+  const discardPending = (s) =>
+    Swal.fire({
+      title: "Discard this offline sale?",
+      text: s._outbox?.error || "It has not reached the server yet and will be lost.",
+      icon: "warning",
+      showCancelButton: true,
+      confirmButtonText: "Discard",
+      cancelButtonText: "Cancel",
+      confirmButtonColor: "#ef4444",
+    }).then((r) => {
+      if (r.isConfirmed) discardOutboxEntry(s._outbox.id).catch(() => {});
+    });
+
+  // row actions the role isn't granted stay null so the lists hide their buttons
+  const onDelete = can("sale.delete")
+    ? (s) =>
+        Swal.fire({
+          title: "Delete this sale?",
+          text: "Stock will be returned to inventory.",
+          icon: "warning",
+          showCancelButton: true,
+          confirmButtonText: "Yes, delete",
+          cancelButtonText: "Cancel",
+          confirmButtonColor: "#ef4444",
+        }).then((r) => {
+          if (r.isConfirmed) {
+            toast.promise(deleteSale(s.id).then(refresh), {
+              pending: "Deleting…",
+              success: "Sale deleted",
+              error: "Delete failed",
+            });
+          }
+        })
+    : null;
+  const onRestore = can("sale.delete")
+    ? (s) =>
+        toast.promise(restoreSale(s.id).then(refresh), {
+          pending: "Restoring…",
+          success: "Sale restored",
+          error: "Restore failed",
+        })
+    : null;
+
   const totals = useMemo(() => {
     let gross = 0,
       paid = 0,
       due = 0;
     for (const s of displayedSales) {
-      const g = getGross(s),
-        p = getPaid(s);
-      gross += g;
-      paid += p;
-      const d = pickNum(s, DUE_KEYS, NaN);
-      due += Number.isFinite(d) ? d : Math.max(0, g - p);
+      gross += getGross(s);
+      paid += getPaid(s);
+      due += getDue(s);
     }
     return { gross, paid, due };
   }, [displayedSales]);
@@ -362,24 +454,8 @@ export default function CashierSale() {
       date_from: range?.date_from ?? filters?.date_from ?? "",
       date_to: range?.date_to ?? filters?.date_to ?? "",
     };
-
-    if (typeof listExpenses === "function") {
-      try {
-        const res = await listExpenses(params);
-        const arr = Array.isArray(res) ? res : Array.isArray(res?.data) ? res.data : [];
-        setExpensesTotal((arr || []).reduce((a, e) => a + toNum(e?.amount), 0));
-        return;
-      } catch {}
-    }
-
     try {
-      const token = getDefaultToken();
-      const qs = new URLSearchParams({
-        date_from: params.date_from || "",
-        date_to: params.date_to || "",
-      });
-      const res = await apiGet(`/expenses?${qs.toString()}`, token);
-      const arr = Array.isArray(res) ? res : Array.isArray(res?.data) ? res.data : [];
+      const arr = await listExpenses(params);
       setExpensesTotal((arr || []).reduce((a, e) => a + toNum(e?.amount), 0));
     } catch {
       setExpensesTotal(0);
@@ -391,47 +467,8 @@ export default function CashierSale() {
       date_from: range?.date_from ?? filters?.date_from ?? "",
       date_to: range?.date_to ?? filters?.date_to ?? "",
     };
-
-    if (typeof listCogsPurchases === "function") {
-      try {
-        const res = await listCogsPurchases(params);
-        const arr = Array.isArray(res) ? res : Array.isArray(res?.data) ? res.data : [];
-        setCogsPurchasesTotal((arr || []).reduce((a, r) => a + toNum(r?.amount), 0));
-        return;
-      } catch {}
-    }
-
-    if (typeof listCogs === "function") {
-      try {
-        const res = await listCogs(params);
-        const arr = Array.isArray(res) ? res : Array.isArray(res?.data) ? res.data : [];
-        setCogsPurchasesTotal((arr || []).reduce((a, r) => a + toNum(r?.amount), 0));
-        return;
-      } catch {}
-    }
-
-    if (typeof fetchCogsSummary === "function") {
-      try {
-        const s = await fetchCogsSummary(params);
-        const t = s?.totals || {};
-        const guess =
-          toNum(t.purchases) ||
-          toNum(t.purchases_total) ||
-          toNum(s?.purchases_total) ||
-          0;
-        setCogsPurchasesTotal(guess);
-        return;
-      } catch {}
-    }
-
     try {
-      const token = getDefaultToken();
-      const qs = new URLSearchParams({
-        date_from: params.date_from || "",
-        date_to: params.date_to || "",
-      });
-      const res = await apiGet(`/cogs?${qs.toString()}`, token);
-      const arr = Array.isArray(res) ? res : Array.isArray(res?.data) ? res.data : [];
+      const arr = await listCogsPurchases(params);
       setCogsPurchasesTotal((arr || []).reduce((a, r) => a + toNum(r?.amount), 0));
     } catch {
       setCogsPurchasesTotal(0);
@@ -497,12 +534,26 @@ export default function CashierSale() {
             <CalendarDays size={16} /> Last 7 Days
           </QuickBtn>
 
-          <button
-            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-white text-gray-900 hover:opacity-90"
-            onClick={() => setShowSaleModal(true)}
-          >
-            <Plus size={16} /> New Sale
-          </button>
+          {can("day.close") && (
+            <QuickBtn
+              onClick={() => setShowCloseDay(true)}
+              active={todayClosed}
+              title={todayClosed ? "Today is closed — view the cash-up" : "Count cash and close today's till"}
+            >
+              <Lock size={16} /> {todayClosed ? "Day Closed" : "Close Day"}
+            </QuickBtn>
+          )}
+
+          {can("sale.create") && (
+            <button
+              className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-white text-gray-900 hover:opacity-90 disabled:opacity-50"
+              onClick={() => setShowSaleModal(true)}
+              disabled={todayClosed}
+              title={todayClosed ? "Today is closed — ask an admin to reopen it" : undefined}
+            >
+              <Plus size={16} /> New Sale
+            </button>
+          )}
         </div>
       </header>
 
@@ -523,6 +574,8 @@ export default function CashierSale() {
         />
       </div>
 
+      <OutboxBanner />
+
       <FiltersBar
         draft={draftFilters}
         setDraft={setDraftFilters}
@@ -534,121 +587,96 @@ export default function CashierSale() {
       {/* 📱 Mobile cards */}
       <div className="md:hidden">
         <SalesCards
-          sales={displayedSales}
+          sales={rowsWithPending}
           loading={loading}
-          onPay={(s) => setShowPayModal(s)}
-          onDelete={(s) =>
-            Swal.fire({
-              title: "Delete this sale?",
-              text: "Stock will be returned to inventory.",
-              icon: "warning",
-              showCancelButton: true,
-              confirmButtonText: "Yes, delete",
-              cancelButtonText: "Cancel",
-              confirmButtonColor: "#ef4444",
-            }).then((r) => {
-              if (r.isConfirmed) {
-                toast.promise(deleteSale(s.id).then(refresh), {
-                  pending: "Deleting…",
-                  success: "Sale deleted",
-                  error: "Delete failed",
-                });
-              }
-            })
-          }
-          onRestore={(s) =>
-            toast.promise(restoreSale(s.id).then(refresh), {
-              pending: "Restoring…",
-              success: "Sale restored",
-              error: "Restore failed",
-            })
-          }
-          onCloseDispatch={(s) => setShowDispatchModal(s)}
+          onPay={can("sale.pay") ? (s) => setShowPayModal(s) : null}
+          onDelete={onDelete}
+          onRestore={onRestore}
+          onCloseDispatch={can("sale.dispatch") ? (s) => setShowDispatchModal(s) : null}
           onPrint={(s) => setShowPrinterModal(s)}
+          onDeliveryNote={(s) => setShowDeliveryNote({ sale: s })}
+          onDiscardPending={discardPending}
+          isLocked={(s) => isDayClosed(s.date)}
+          onHistory={can("audit.view") ? (s) => setShowHistory(s) : null}
         />
       </div>
 
       {/* 🖥️ Desktop table */}
       <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="hidden md:block">
         <SalesTable
-          sales={displayedSales}
+          sales={rowsWithPending}
           loading={loading}
           pagination={pagination}
           onPage={(p) => listSales({ page: p, per_page: PER_PAGE, ...filters }).catch(() => {})}
-          onPay={(s) => setShowPayModal(s)}
-          onDelete={(s) =>
-            Swal.fire({
-              title: "Delete this sale?",
-              text: "Stock will be returned to inventory.",
-              icon: "warning",
-              showCancelButton: true,
-              confirmButtonText: "Yes, delete",
-              cancelButtonText: "Cancel",
-              confirmButtonColor: "#ef4444",
-            }).then((r) => {
-              if (r.isConfirmed) {
-                toast.promise(deleteSale(s.id).then(refresh), {
-                  pending: "Deleting…",
-                  success: "Sale deleted",
-                  error: "Delete failed",
-                });
-              }
-            })
-          }
-          onRestore={(s) =>
-            toast.promise(restoreSale(s.id).then(refresh), {
-              pending: "Restoring…",
-              success: "Sale restored",
-              error: "Restore failed",
-            })
-          }
-          onCloseDispatch={(s) => setShowDispatchModal(s)}
+          onPay={can("sale.pay") ? (s) => setShowPayModal(s) : null}
+          onDelete={onDelete}
+          onRestore={onRestore}
+          onCloseDispatch={can("sale.dispatch") ? (s) => setShowDispatchModal(s) : null}
           onPrint={(s) => setShowPrinterModal(s)}
+          onDeliveryNote={(s) => setShowDeliveryNote({ sale: s })}
+          onDiscardPending={discardPending}
+          isLocked={(s) => isDayClosed(s.date)}
+          onHistory={can("audit.view") ? (s) => setShowHistory(s) : null}
         />
       </motion.div>
 
       {showSaleModal && (
         <SaleModal
           onClose={() => setShowSaleModal(false)}
-          onSubmit={async (payload) => {
-            try {
-              await toast.promise(createSale(payload), {
-                pending: "Creating sale…",
-                success: "Sale created",
-                error: {
-                  render({ data }) {
-                    return data?.message || data?.toString?.() || "Failed";
-                  },
+          onSubmit={async (payload, opts) => {
+            // errors propagate so SaleModal can keep the idempotency key for a retry
+            await toast.promise(createSale(payload, opts), {
+              pending: "Creating sale…",
+              success: {
+                render({ data }) {
+                  return data?._offline ? "Offline — sale saved, will sync when back online" : "Sale created";
                 },
-              });
-              setShowSaleModal(false);
-              refresh();
-            } catch {}
+              },
+              error: {
+                render({ data }) {
+                  return data?.message || data?.toString?.() || "Failed";
+                },
+              },
+            });
+            setShowSaleModal(false);
+            refresh();
           }}
           customers={customers}
           bottleSizes={bottleSizes}
           sizeOptions={sizeOptions}
+          stockBalances={stockBalances}
+          batches={openBatches}
+          trips={openTrips}
         />
       )}
 
       {showPayModal && (
         <PaymentModal
           sale={showPayModal}
+          isDayClosed={isDayClosed}
+          getDayClosing={getDayClosing}
           onClose={() => setShowPayModal(null)}
-          onSubmit={async ({ amount, payment_method, date }) => {
+          onSubmit={async (payment, opts) => {
             const fn =
               (showPayModal.sale_type || "").toLowerCase() === "credit"
                 ? createCreditPayment
                 : createPayment;
-            try {
-              await toast.promise(fn(showPayModal.id, { amount, payment_method, date }), {
-                pending: "Recording payment…",
-                success: "Payment recorded",
-                error: "Payment failed",
-              });
-              setShowPayModal(null);
-              refresh();
-            } catch {}
+            // errors propagate so PaymentModal can keep the idempotency key for a retry
+            await toast.promise(fn(showPayModal.id, payment, opts), {
+              pending: "Recording payment…",
+              success: {
+                render({ data }) {
+                  return data?._offline ? "Offline — payment saved, will sync when back online" : "Payment recorded";
+                },
+              },
+              error: {
+                render({ data }) {
+                  return data?.code === "DUPLICATE_MPESA_CODE" ? data.message : "Payment failed";
+                },
+              },
+            });
+            setShowPayModal(null);
+            refresh();
           }}
         />
       )}
@@ -658,20 +686,45 @@ export default function CashierSale() {
           sale={showDispatchModal}
           listItemsForSale={listItemsForSale}
           onClose={() => setShowDispatchModal(null)}
-          onSubmit={async (payload) => {
-            try {
-              await toast.promise(closeDispatch(showDispatchModal.id, payload), {
-                pending: "Closing dispatch…",
-                success: "Dispatch closed",
-                error: "Failed to close dispatch",
-              });
-              setShowDispatchModal(null);
-              refresh();
-            } catch {}
+          onSubmit={async (payload, opts) => {
+            // errors propagate so DispatchCloseModal can keep the idempotency key for a retry
+            await toast.promise(closeDispatch(showDispatchModal.id, payload, opts), {
+              pending: "Closing dispatch…",
+              success: "Dispatch closed",
+              error: {
+                render({ data }) {
+                  return data?.code === "DUPLICATE_MPESA_CODE" ? data.message : "Failed to close dispatch";
+                },
+              },
+            });
+            // offer the delivery note again, now with the returns filled in
+            setShowDeliveryNote({ sale: showDispatchModal, closed: payload });
+            setShowDispatchModal(null);
+            refresh();
           }}
         />
       )}
 
+      {showDeliveryNote && (
+        <DeliveryNoteModal
+          sale={showDeliveryNote.sale}
+          closed={showDeliveryNote.closed}
+          listItemsForSale={listItemsForSale}
+          onClose={() => setShowDeliveryNote(null)}
+        />
+      )}
+
+      {showHistory && (
+        <Modal onClose={() => setShowHistory(null)} title={`History — ${showHistory.receipt_number}`}>
+          <div className="text-sm text-white/60">Changes to this sale and its payments.</div>
+          <HistoryPanel entityType="sale" entityId={showHistory.id} includeChildren defaultOpen />
+        </Modal>
+      )}
+
+      {showCloseDay && (
+        <CloseDayModal onClose={() => setShowCloseDay(false)} onChanged={() => refresh()} />
+      )}
+
       {showPrinterModal && (
         <PrinterModal
           sale={showPrinterModal}
@@ -803,6 +856,10 @@ function SalesCards({
   onRestore,
   onCloseDispatch,
   onPrint,
+  onDeliveryNote,
+  onDiscardPending,
+  isLocked = () => false,
+  onHistory = null,
 }) {
   return (
     <div className="grid gap-3">
@@ -813,15 +870,23 @@ function SalesCards({
               <div className="text-xs text-white/60">{formatDateTime(s.date)}</div>
               <div className="mt-0.5 font-mono text-sm">{s.receipt_number}</div>
               <div className="mt-1 text-sm truncate">{s.customer_name || "—"}</div>
-              <div className="mt-1 text-xs capitalize text-white/60">{s.sale_type}</div>
+              <div className="mt-1 text-xs text-white/60">
+                <span className="capitalize">{s.sale_type}</span>
+                {s.driver_name ? ` · ${s.driver_name}` : ""}
+              </div>
             </div>
             <div className="text-right">
               <div className="font-semibold">{formatMoney(getGross(s))}</div>
               <div className="text-xs text-white/60">
                 Paid {formatMoney(getPaid(s))} • Bal {formatMoney(getDue(s))}
               </div>
+              {s._pendingPaid > 0 && (
+                <div className="text-[11px] text-amber-300">+{formatMoney(s._pendingPaid)} pending sync</div>
+              )}
               <div className="mt-1">
-                {s.is_deleted ? (
+                {s._outbox ? (
+                  <OutboxBadge entry={s._outbox} className="text-[11px]" />
+                ) : s.is_deleted ? (
                   <span className="inline-flex rounded-full bg-rose-500/20 text-rose-300 px-2 py-0.5 text-[11px]">
                     Deleted
                   </span>
@@ -833,40 +898,68 @@ function SalesCards({
               </div>
             </div>
           </div>
-          <div className="mt-3 inline-flex flex-wrap gap-2">
-            {!s.is_deleted && (
-              <button className="icon-btn" title="Print receipt" onClick={() => onPrint(s)}>
-                <Printer size={16} />
-              </button>
-            )}
-            {!s.is_deleted && (
-              <button className="icon-btn" title="Record payment" onClick={() => onPay(s)}>
-                <Banknote size={16} />
-              </button>
-            )}
-            {!s.is_deleted && (s.sale_type || "").toLowerCase() === "dispatch" && (
-              <button
-                className="icon-btn text-amber-300"
-                title="Close dispatch"
-                onClick={() => onCloseDispatch(s)}
-              >
-                <PackageCheck size={16} />
-              </button>
-            )}
-            {!s.is_deleted ? (
-              <button className="icon-btn text-rose-300" title="Delete" onClick={() => onDelete(s)}>
+          {s._outbox ? (
+            <div className="mt-3 inline-flex flex-wrap gap-2">
+              <button className="icon-btn text-rose-300" title="Discard offline sale" onClick={() => onDiscardPending(s)}>
                 <Trash2 size={16} />
               </button>
-            ) : (
-              <button
-                className="icon-btn text-emerald-300"
-                title="Restore"
-                onClick={() => onRestore(s)}
-              >
-                <RotateCcw size={16} />
-              </button>
-            )}
-          </div>
+            </div>
+          ) : (
+            <div className="mt-3 inline-flex flex-wrap gap-2">
+              {!s.is_deleted && (
+                <button className="icon-btn" title="Print receipt" onClick={() => onPrint(s)}>
+                  <Printer size={16} />
+                </button>
+              )}
+              {!s.is_deleted && (s.sale_type || "").toLowerCase() === "dispatch" && (
+                <button className="icon-btn" title="Delivery note" onClick={() => onDeliveryNote(s)}>
+                  <FileText size={16} />
+                </button>
+              )}
+              {onHistory && (
+                <button className="icon-btn" title="History" onClick={() => onHistory(s)}>
+                  <History size={16} />
+                </button>
+              )}
+              {onPay && !s.is_deleted && (
+                <button className="icon-btn" title="Record payment" onClick={() => onPay(s)}>
+                  <Banknote size={16} />
+                </button>
+              )}
+              {isLocked(s) ? (
+                <span className="icon-btn text-white/50" title="Day closed — ask an admin to reopen it">
+                  <Lock size={16} />
+                </span>
+              ) : (
+                <>
+                  {onCloseDispatch && !s.is_deleted && (s.sale_type || "").toLowerCase() === "dispatch" && (
+                    <button
+                      className="icon-btn text-amber-300"
+                      title="Close dispatch"
+                      onClick={() => onCloseDispatch(s)}
+                    >
+                      <PackageCheck size={16} />
+                    </button>
+                  )}
+                  {!s.is_deleted
+                    ? onDelete && (
+                        <button className="icon-btn text-rose-300" title="Delete" onClick={() => onDelete(s)}>
+                          <Trash2 size={16} />
+                        </button>
+                      )
+                    : onRestore && (
+                        <button
+                          className="icon-btn text-emerald-300"
+                          title="Restore"
+                          onClick={() => onRestore(s)}
+                        >
+                          <RotateCcw size={16} />
+                        </button>
+                      )}
+                </>
+              )}
+            </div>
+          )}
         </div>
       ))}
       {sales.length === 0 && (
@@ -889,6 +982,10 @@ function SalesTable({
   onRestore,
   onCloseDispatch,
   onPrint,
+  onDeliveryNote,
+  onDiscardPending,
+  isLocked = () => false,
+  onHistory = null,
 }) {
   return (
     <div className="rounded-2xl border border-white/10 overflow-hidden">
@@ -913,12 +1010,26 @@ function SalesTable({
                 <td className="px-3 py-2 align-top">{formatDateTime(s.date)}</td>
                 <td className="px-3 py-2 align-top font-mono">{s.receipt_number}</td>
                 <td className="px-3 py-2 align-top">{s.customer_name || ""}</td>
-                <td className="px-3 py-2 align-top capitalize">{s.sale_type}</td>
+                <td className="px-3 py-2 align-top">
+                  <span className="capitalize">{s.sale_type}</span>
+                  {s.driver_name && (
+                    <div className="text-xs text-white/60">
+                      {[s.driver_name, s.vehicle_registration].filter(Boolean).join(" · ")}
+                    </div>
+                  )}
+                </td>
                 <td className="px-3 py-2 align-top text-right">{formatMoney(getGross(s))}</td>
-                <td className="px-3 py-2 align-top text-right">{formatMoney(getPaid(s))}</td>
+                <td className="px-3 py-2 align-top text-right">
+                  {formatMoney(getPaid(s))}
+                  {s._pendingPaid > 0 && (
+                    <div className="text-xs text-amber-300">+{formatMoney(s._pendingPaid)} pending</div>
+                  )}
+                </td>
                 <td className="px-3 py-2 align-top text-right">{formatMoney(getDue(s))}</td>
                 <td className="px-3 py-2 align-top">
-                  {s.is_deleted ? (
+                  {s._outbox ? (
+                    <OutboxBadge entry={s._outbox} className="text-xs" />
+                  ) : s.is_deleted ? (
                     <span className="inline-flex rounded-full bg-rose-500/20 text-rose-300 px-2 py-0.5 text-xs">
                       Deleted
                     </span>
@@ -929,36 +1040,66 @@ function SalesTable({
                   )}
                 </td>
                 <td className="px-3 py-2 align-top text-right">
-                  <div className="inline-flex items-center gap-2">
-                    {!s.is_deleted && (
-                      <button className="icon-btn" title="Print to receipt printer" onClick={() => onPrint(s)}>
-                        <Printer size={16} />
-                      </button>
-                    )}
-                    {!s.is_deleted && (
-                      <button className="icon-btn" title="Record payment" onClick={() => onPay(s)}>
-                        <Banknote size={16} />
-                      </button>
-                    )}
-                    {!s.is_deleted && (s.sale_type || "").toLowerCase() === "dispatch" && (
-                      <button
-                        className="icon-btn text-amber-300"
-                        title="Close dispatch (enter returns & optional payment)"
-                        onClick={() => onCloseDispatch(s)}
-                      >
-                        <PackageCheck size={16} />
-                      </button>
-                    )}
-                    {!s.is_deleted ? (
-                      <button className="icon-btn text-rose-300" title="Delete" onClick={() => onDelete(s)}>
-                        <Trash2 size={16} />
-                      </button>
-                    ) : (
-                      <button className="icon-btn text-emerald-300" title="Restore" onClick={() => onRestore(s)}>
-                        <RotateCcw size={16} />
-                      </button>
-                    )}
-                  </div>
+                  {s._outbox ? (
+                    <button
+                      className="icon-btn text-rose-300"
+                      title="Discard offline sale"
+                      onClick={() => onDiscardPending(s)}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  ) : (
+                    <div className="inline-flex items-center gap-2">
+                      {!s.is_deleted && (
+                        <button className="icon-btn" title="Print to receipt printer" onClick={() => onPrint(s)}>
+                          <Printer size={16} />
+                        </button>
+                      )}
+                      {!s.is_deleted && (s.sale_type || "").toLowerCase() === "dispatch" && (
+                        <button className="icon-btn" title="Delivery note / load sheet" onClick={() => onDeliveryNote(s)}>
+                          <FileText size={16} />
+                        </button>
+                      )}
+                      {onHistory && (
+                        <button className="icon-btn" title="History (who changed what)" onClick={() => onHistory(s)}>
+                          <History size={16} />
+                        </button>
+                      )}
+                      {onPay && !s.is_deleted && (
+                        <button className="icon-btn" title="Record payment" onClick={() => onPay(s)}>
+                          <Banknote size={16} />
+                        </button>
+                      )}
+                      {isLocked(s) ? (
+                        <span className="icon-btn text-white/50" title="Day closed — ask an admin to reopen it">
+                          <Lock size={16} />
+                        </span>
+                      ) : (
+                        <>
+                          {onCloseDispatch && !s.is_deleted && (s.sale_type || "").toLowerCase() === "dispatch" && (
+                            <button
+                              className="icon-btn text-amber-300"
+                              title="Close dispatch (enter returns & optional payment)"
+                              onClick={() => onCloseDispatch(s)}
+                            >
+                              <PackageCheck size={16} />
+                            </button>
+                          )}
+                          {!s.is_deleted
+                            ? onDelete && (
+                                <button className="icon-btn text-rose-300" title="Delete" onClick={() => onDelete(s)}>
+                                  <Trash2 size={16} />
+                                </button>
+                              )
+                            : onRestore && (
+                                <button className="icon-btn text-emerald-300" title="Restore" onClick={() => onRestore(s)}>
+                                  <RotateCcw size={16} />
+                                </button>
+                              )}
+                        </>
+                      )}
+                    </div>
+                  )}
                 </td>
               </tr>
             ))}
@@ -996,11 +1137,37 @@ function SalesTable({
   );
 }
 
+/* Offline outbox status pill */
+function OutboxBadge({ entry, className = "" }) {
+  const conflict = entry.status === "conflict";
+  return (
+    <span
+      className={`inline-flex items-center gap-1 rounded-full px-2 py-0.5 ${className} ${
+        conflict ? "bg-rose-500/20 text-rose-300" : "bg-amber-500/20 text-amber-300"
+      }`}
+      title={conflict ? entry.error || "Rejected by server" : "Saved on this device; will sync when online"}
+    >
+      <CloudOff size={12} /> {conflict ? "Sync conflict" : "Pending sync"}
+    </span>
+  );
+}
+
 /* ---------------- Modals ---------------- */
 
-function SaleModal({ onClose, onSubmit, customers, bottleSizes, sizeOptions }) {
+function SaleModal({
+  onClose,
+  onSubmit,
+  customers,
+  bottleSizes,
+  sizeOptions,
+  stockBalances = [],
+  batches = [],
+  trips = [],
+}) {
+  const { submitting, submit } = useLockedSubmit(onSubmit);
   const [form, setForm] = useState(() => ({
     sale_type: "normal",
+    trip_id: "",
     customer_id: "",
     customer_name: "",
     notes: "",
@@ -1033,10 +1200,17 @@ function SaleModal({ onClose, onSubmit, customers, bottleSizes, sizeOptions }) {
     return { rows, total, totalCartons };
   }, [form.items, bottleSizes, sizeOptions]);
 
+  // Sizes this sale would take below zero block saving; ending at/below the minimum only warns
+  const stockCheck = useMemo(
+    () => checkSaleStock(parsed.rows, stockBalances, bottleSizes),
+    [parsed.rows, stockBalances, bottleSizes]
+  );
+
   const canSave =
     form.sale_type &&
     parsed.rows.length > 0 &&
-    parsed.rows.every((it) => it.bottle_size_id && it.quantity > 0);
+    parsed.rows.every((it) => it.bottle_size_id && it.quantity > 0) &&
+    stockCheck.blocks.length === 0;
 
   const addRow = () =>
     setForm((s) => ({
@@ -1075,6 +1249,26 @@ function SaleModal({ onClose, onSubmit, customers, bottleSizes, sizeOptions }) {
           </select>
         </div>
 
+        {form.sale_type === "dispatch" && trips.length > 0 && (
+          <div className="grid gap-1">
+            <label className="text-xs text-white/60 flex items-center gap-2">
+              <Truck size={14} /> Trip (optional)
+            </label>
+            <select
+              value={form.trip_id}
+              onChange={(e) => setForm((s) => ({ ...s, trip_id: e.target.value }))}
+              className="rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm"
+            >
+              <option value="">Assign later on the Dispatch page</option>
+              {trips.map((t) => (
+                <option key={t.id} value={t.id}>
+                  {tripTitle(t)}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
         <div className="grid gap-1">
           <label className="text-xs text-white/60 flex items-center gap-2">
             <User2 size={14} /> Customer (optional)
@@ -1124,6 +1318,8 @@ function SaleModal({ onClose, onSubmit, customers, bottleSizes, sizeOptions }) {
             const qty = Math.max(0, Math.floor(Number(row.quantity) || 0));
             const unit = row.bottle_size_id ? getCartonPrice(row.bottle_size_id) : 0;
             const line = qty * unit;
+            // which batches these cartons will ship from (server allocates FIFO on save)
+            const lots = row.bottle_size_id && qty > 0 ? fifoAllocate(batches, row.bottle_size_id, qty, todayNairobi()).lines : [];
 
             return (
               <div key={idx} className="grid grid-cols-1 gap-2 sm:grid-cols-12 items-start">
@@ -1177,6 +1373,10 @@ function SaleModal({ onClose, onSubmit, customers, bottleSizes, sizeOptions }) {
                   )}
                 </div>
 
+                {lots.length > 0 && (
+                  <div className="sm:col-span-12 -mt-1 text-[11px] text-white/50">Batch {formatBatches(lots)}</div>
+                )}
+
                 {/* Remove row */}
                 <button
                   className="sm:col-span-12 icon-btn text-rose-300 justify-self-end"
@@ -1204,6 +1404,31 @@ function SaleModal({ onClose, onSubmit, customers, bottleSizes, sizeOptions }) {
           </div>
         </div>
 
+        {stockCheck.blocks.length > 0 && (
+          <div className="rounded-xl border border-rose-400/30 bg-rose-500/10 px-3 py-2 text-sm text-rose-200">
+            <div className="mb-1 inline-flex items-center gap-2 font-medium">
+              <AlertTriangle size={14} /> Not enough stock
+            </div>
+            {stockCheck.blocks.map((b) => (
+              <div key={b.bottle_size_id} className="text-xs">
+                {b.label}: {b.on_hand} on hand, selling {b.quantity} → short by {-b.after}
+              </div>
+            ))}
+          </div>
+        )}
+        {stockCheck.warnings.length > 0 && (
+          <div className="rounded-xl border border-amber-400/30 bg-amber-500/10 px-3 py-2 text-sm text-amber-200">
+            <div className="mb-1 inline-flex items-center gap-2 font-medium">
+              <AlertTriangle size={14} /> Low stock after this sale
+            </div>
+            {stockCheck.warnings.map((w) => (
+              <div key={w.bottle_size_id} className="text-xs">
+                {w.label}: {w.after} left (minimum {w.min_cartons})
+              </div>
+            ))}
+          </div>
+        )}
+
         <div className="grid gap-1">
           <label className="text-xs text-white/60">Notes (optional)</label>
           <textarea
@@ -1218,11 +1443,12 @@ function SaleModal({ onClose, onSubmit, customers, bottleSizes, sizeOptions }) {
       {/* ⬇️ removed bottom Close; header Close remains */}
       <div className="mt-4 flex justify-end gap-2">
         <button
-          disabled={!canSave}
+          disabled={!canSave || submitting}
           className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
           onClick={() =>
-            onSubmit({
+            submit({
               sale_type: form.sale_type,
+              trip_id: form.sale_type === "dispatch" && form.trip_id ? Number(form.trip_id) : undefined,
               customer_id: form.customer_id ? Number(form.customer_id) : undefined,
               customer_name: form.customer_name?.trim() || undefined,
               notes: form.notes?.trim() || undefined,
@@ -1230,14 +1456,15 @@ function SaleModal({ onClose, onSubmit, customers, bottleSizes, sizeOptions }) {
             })
           }
         >
-          <Save size={16} /> Save
+          <Save size={16} /> {submitting ? "Saving…" : "Save"}
         </button>
       </div>
     </Modal>
   );
 }
 
-function PaymentModal({ sale, onClose, onSubmit }) {
+function PaymentModal({ sale, isDayClosed = () => false, getDayClosing, onClose, onSubmit }) {
+  const { submitting, submit } = useLockedSubmit(onSubmit);
   const gross = getGross(sale);
   const paid = getPaid(sale);
   const balance = Math.max(0, gross - paid);
@@ -1245,20 +1472,39 @@ function PaymentModal({ sale, onClose, onSubmit }) {
   const [form, setForm] = useState(() => ({
     amount: "",
     payment_method: "Cash",
+    mpesa_code: "",
     date: todayNairobi(),
   }));
 
+  // Only the filter range's closings are loaded: look the picked date up before allowing Save.
+  // A failed lookup (e.g. offline) falls back to what is loaded; the server still refuses closed days.
+  const [checkingDay, setCheckingDay] = useState(false);
+  useEffect(() => {
+    if (!getDayClosing || !/^\d{4}-\d{2}-\d{2}$/.test(form.date)) return;
+    const ctrl = new AbortController();
+    setCheckingDay(true);
+    getDayClosing(form.date, { signal: ctrl.signal })
+      .catch(() => {})
+      .finally(() => !ctrl.signal.aborted && setCheckingDay(false));
+    return () => ctrl.abort();
+  }, [form.date, getDayClosing]);
+
   const amt = Number(form.amount || 0);
   const newPaid = paid + (Number.isFinite(amt) ? amt : 0);
   const newBalance = Math.max(0, gross - newPaid);
 
   // ⬇️ Only Cash & M-Pesa
   const allowedMethods = ["Cash", "M-Pesa"];
+  const isMpesa = form.payment_method === "M-Pesa";
+  const codeOk = !isMpesa || isValidMpesaCode(form.mpesa_code);
   const canSave =
     String(form.amount).length > 0 &&
     amt >= 0 &&
     amt <= balance &&
-    allowedMethods.includes(form.payment_method);
+    allowedMethods.includes(form.payment_method) &&
+    codeOk &&
+    !checkingDay &&
+    !isDayClosed(form.date);
 
   return (
     <Modal onClose={onClose} title={`Record Payment — ${sale.receipt_number}`}>
@@ -1316,9 +1562,20 @@ function PaymentModal({ sale, onClose, onSubmit }) {
                 onChange={(e) => setForm((s) => ({ ...s, date: e.target.value }))}
                 className="rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm"
               />
+              {isDayClosed(form.date) && (
+                <span className="text-xs text-rose-300">This day is closed — pick another date</span>
+              )}
             </label>
           </div>
 
+          {isMpesa && (
+            <MpesaCodeField
+              className="mt-3"
+              value={form.mpesa_code}
+              onChange={(v) => setForm((s) => ({ ...s, mpesa_code: v }))}
+            />
+          )}
+
           <div className="mt-3 grid grid-cols-1 gap-3 sm:grid-cols-2">
             <SummaryTile label="New Paid" value={formatMoney(newPaid)} />
             <SummaryTile label="New Balance" value={formatMoney(newBalance)} />
@@ -1329,17 +1586,18 @@ function PaymentModal({ sale, onClose, onSubmit }) {
       {/* ⬇️ removed bottom Close; header Close remains */}
       <div className="mt-4 flex justify-end gap-2">
         <button
-          disabled={!canSave}
+          disabled={!canSave || submitting}
           className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
           onClick={() =>
-            onSubmit({
+            submit({
               amount: Number(form.amount),
               payment_method: form.payment_method,
               date: form.date,
+              ...(isMpesa ? { mpesa_code: normalizeMpesaCode(form.mpesa_code) } : {}),
             })
           }
         >
-          <Save size={16} /> Save
+          <Save size={16} /> {submitting ? "Saving…" : "Save"}
         </button>
       </div>
     </Modal>
@@ -1347,32 +1605,32 @@ function PaymentModal({ sale, onClose, onSubmit }) {
 }
 
 function DispatchCloseModal({ sale, listItemsForSale, onClose, onSubmit }) {
+  const { submitting, submit } = useLockedSubmit(onSubmit);
   const [rows, setRows] = useState([]);
   const [returns, setReturns] = useState({});
   const [amountPaid, setAmountPaid] = useState("");
   const [paymentMethod, setPaymentMethod] = useState("Cash");
+  const [mpesaCode, setMpesaCode] = useState("");
   const [loading, setLoading] = useState(true);
   const [err, setErr] = useState(""); // ⬅️ inline error instead of toast
 
   useEffect(() => {
-    let mounted = true;
+    const ctrl = new AbortController();
     (async () => {
       try {
-        const items = await listItemsForSale(sale.id);
-        if (!mounted) return;
+        const items = await listItemsForSale(sale.id, { signal: ctrl.signal });
+        if (ctrl.signal.aborted) return;
         setRows(items || []);
         const init = {};
         (items || []).forEach((it) => (init[it.bottle_size_id] = 0));
         setReturns(init);
       } catch {
-        if (mounted) setErr("Failed to load dispatch items.");
+        if (!ctrl.signal.aborted) setErr("Failed to load dispatch items.");
       } finally {
-        if (mounted) setLoading(false);
+        if (!ctrl.signal.aborted) setLoading(false);
       }
     })();
-    return () => {
-      mounted = false;
-    };
+    return () => ctrl.abort();
   }, [sale?.id, listItemsForSale]);
 
   const getReturn = (sid) => Number(returns[sid] || 0);
@@ -1411,7 +1669,8 @@ function DispatchCloseModal({ sale, listItemsForSale, onClose, onSubmit }) {
     !loading &&
     computed.details.every((d) => d.ret >= 0 && d.ret <= d.sent) &&
     (amountPaid === "" || Number(amountPaid) <= remaining) &&
-    ["Cash", "M-Pesa"].includes(paymentMethod);
+    ["Cash", "M-Pesa"].includes(paymentMethod) &&
+    (amountPaid === "" || paymentMethod !== "M-Pesa" || isValidMpesaCode(mpesaCode));
 
   return (
     <Modal onClose={onClose} title={`Close Dispatch — ${sale?.receipt_number || ""}`}>
@@ -1516,13 +1775,16 @@ function DispatchCloseModal({ sale, listItemsForSale, onClose, onSubmit }) {
               </div>
             </div>
           </div>
+          {amountPaid !== "" && paymentMethod === "M-Pesa" && (
+            <MpesaCodeField className="mt-3" value={mpesaCode} onChange={setMpesaCode} />
+          )}
         </div>
       </div>
 
       {/* ⬇️ removed bottom Close; header Close remains */}
       <div className="mt-4 flex justify-end gap-2">
         <button
-          disabled={!canSubmit}
+          disabled={!canSubmit || submitting}
           className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
           onClick={() => {
             const returnsArr = computed.details
@@ -1534,13 +1796,17 @@ function DispatchCloseModal({ sale, listItemsForSale, onClose, onSubmit }) {
             const payload = {
               returns: returnsArr,
               ...(String(amountPaid).length
-                ? { amount_paid: Number(amountPaid), payment_method: paymentMethod }
+                ? {
+                    amount_paid: Number(amountPaid),
+                    payment_method: paymentMethod,
+                    ...(paymentMethod === "M-Pesa" ? { mpesa_code: normalizeMpesaCode(mpesaCode) } : {}),
+                  }
                 : {}),
             };
-            onSubmit(payload);
+            submit(payload);
           }}
         >
-          <PackageCheck size={16} /> Close Dispatch
+          <PackageCheck size={16} /> {submitting ? "Closing…" : "Close Dispatch"}
         </button>
       </div>
     </Modal>
@@ -1554,29 +1820,82 @@ function PrinterModal({ sale, getReceipt, onClose, onSubmit }) {
   const [copyLabel, setCopyLabel] = useState("");
   const [isReprint, setIsReprint] = useState(false);
 
+  // "device" prints ESC/POS straight to a local printer; "server" asks the backend to print
+  const support = printerSupport();
+  const canPrintLocally = support.bluetooth || support.serial || support.usb;
+  const [target, setTarget] = useState(() => {
+    try {
+      return localStorage.getItem(PRINT_TARGET_KEY) || (canPrintLocally ? "device" : "server");
+    } catch {
+      return "server";
+    }
+  });
+  const [printer, setPrinter] = useState(() => getSavedPrinter());
+  const [printing, setPrinting] = useState(false);
+
+  const chooseTarget = (t) => {
+    setTarget(t);
+    try {
+      localStorage.setItem(PRINT_TARGET_KEY, t);
+    } catch {
+      /* private mode */
+    }
+  };
+
   const [loading, setLoading] = useState(true);
   const [receiptData, setReceiptData] = useState(null);
   const [err, setErr] = useState(""); // ⬅️ inline error instead of toast
 
   useEffect(() => {
-    let mounted = true;
+    const ctrl = new AbortController();
     (async () => {
       try {
-        const data = await getReceipt(sale.id);
-        if (!mounted) return;
+        const data = await getReceipt(sale.id, { signal: ctrl.signal });
+        if (ctrl.signal.aborted) return;
         setReceiptData(data || null);
+        // Pre-fill the ref with the M-Pesa codes already recorded on this sale
+        const codes = (data?.payments || []).map((p) => p.mpesa_code).filter(Boolean);
+        if (codes.length) setPaymentRef((r) => r || codes.join(", "));
       } catch {
-        if (mounted) setErr("Failed to load receipt details.");
+        if (!ctrl.signal.aborted) setErr("Failed to load receipt details.");
       } finally {
-        if (mounted) setLoading(false);
+        if (!ctrl.signal.aborted) setLoading(false);
       }
     })();
-    return () => {
-      mounted = false;
-    };
+    return () => ctrl.abort();
   }, [sale?.id, getReceipt]);
 
-  const canSend = Number(copies) >= 1 && !loading && !err;
+  const canSend =
+    Number(copies) >= 1 && !loading && !err && !printing && (target === "server" || Boolean(printer));
+
+  const send = async () => {
+    const opts = {
+      copies: Number(copies),
+      ...(paymentRef.trim() ? { payment_ref: paymentRef.trim() } : {}),
+      ...(copyLabel.trim() ? { copy_label: copyLabel.trim() } : {}),
+      is_reprint: Boolean(isReprint),
+    };
+    if (target === "server") return onSubmit(opts);
+
+    setPrinting(true);
+    try {
+      const bytes = buildReceipt(receiptData, { ...opts, columns: printer.columns || 32, brand: BRAND });
+      await toast.promise(printBytes(bytes, printer), {
+        pending: "Printing…",
+        success: opts.copies > 1 ? `Printed ${opts.copies} copies` : "Receipt printed",
+        error: {
+          render({ data }) {
+            return data?.message || "Print failed";
+          },
+        },
+      });
+      onClose();
+    } catch {
+      // toast above already explains; keep the modal open to retry or switch printer
+    } finally {
+      setPrinting(false);
+    }
+  };
 
   const s = receiptData?.sale || {};
   const items = receiptData?.items || [];
@@ -1633,7 +1952,12 @@ function PrinterModal({ sale, getReceipt, onClose, onSubmit }) {
               ) : (
                 items.map((it, i) => (
                   <tr key={i} className="border-t border-white/10">
-                    <td className="px-3 py-2">{it.bottle_size_label}</td>
+                    <td className="px-3 py-2">
+                      {it.bottle_size_label}
+                      {formatBatches(it.batches) && (
+                        <div className="text-[11px] text-white/50">Batch {formatBatches(it.batches)}</div>
+                      )}
+                    </td>
                     <td className="px-3 py-2 text-right">{it.quantity_cartons}</td>
                     <td className="px-3 py-2 text-right">{formatMoney(it.unit_price_carton)}</td>
                     <td className="px-3 py-2 text-right">
@@ -1667,6 +1991,18 @@ function PrinterModal({ sale, getReceipt, onClose, onSubmit }) {
           </div>
         </div>
 
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-xs text-white/60">Print on</span>
+          <QuickBtn active={target === "device"} onClick={() => chooseTarget("device")} title="Printer paired with this device">
+            This device
+          </QuickBtn>
+          <QuickBtn active={target === "server"} onClick={() => chooseTarget("server")} title="Printer attached to the server">
+            Server printer
+          </QuickBtn>
+        </div>
+
+        {target === "device" && <DevicePrinterPicker printer={printer} onChange={setPrinter} />}
+
         <div className="grid grid-cols-1 gap-3 sm:grid-cols-3">
           <label className="grid gap-1">
             <span className="text-xs text-white/60">Copies</span>
@@ -1717,38 +2053,15 @@ function PrinterModal({ sale, getReceipt, onClose, onSubmit }) {
         <button
           disabled={!canSend}
           className="inline-flex items-center gap-2 rounded-2xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
-          onClick={() =>
-            onSubmit({
-              copies: Number(copies),
-              ...(paymentRef.trim() ? { payment_ref: paymentRef.trim() } : {}),
-              ...(copyLabel.trim() ? { copy_label: copyLabel.trim() } : {}),
-              is_reprint: Boolean(isReprint),
-            })
-          }
+          onClick={send}
         >
-          <Printer size={16} /> Send
+          <Printer size={16} /> {printing ? "Printing…" : "Send"}
         </button>
       </div>
     </Modal>
   );
 }
 
-function Modal({ title, children, onClose }) {
-  return (
-    <div className="fixed inset-0 z-50 grid place-items-center bg-black/60 p-3">
-      <div className="w-full max-w-3xl rounded-2xl border border-white/10 bg-[#0b0f17] p-4 shadow-2xl">
-        <div className="mb-3 flex items-center justify-between">
-          <div className="text-lg font-semibold">{title}</div>
-          <button className="rounded-xl border border-white/10 px-3 py-1 text-sm" onClick={onClose}>
-            Close
-          </button>
-        </div>
-        {children}
-      </div>
-    </div>
-  );
-}
-
 function SummaryTile({ label, value }) {
   return (
     <div className="rounded-2xl border border-white/10 bg-white/5 p-3">
@@ -3,17 +3,25 @@ import React, { useEffect, useMemo, useState } from "react";
 import { motion } from "framer-motion";
 import { PackageSearch, RefreshCcw, Loader2 } from "lucide-react";
 import { usePackaging } from "../contexts/PackagingContext.jsx";
+import StockLedger from "../components/StockLedger.jsx";
+import StockBadge from "../components/StockBadge.jsx";
+import { lowStockRows, minCartonsOf } from "../utils/stockLevels.jsx";
+import { formatMoney } from "../utils/format.jsx";
 
 /**
  * CashierStock — responsive, read-only stock view
  * - Mobile: compact cards
  * - ≥sm screens: full table with horizontal scroll if needed
  * - Removed "Total stock value" KPI per request
+ * - Low-stock badges against each size's minimum level (set in Packaging → Bottle Sizes)
+ * - Movements view: opening → in / out → closing per size for a date range
  */
 
 export default function CashierStock() {
-  const { loading, error, stockBalances, fetchStockBalances } = usePackaging();
+  const { loading, error, stockBalances, bottleSizes, fetchStockBalances } = usePackaging();
   const [refreshing, setRefreshing] = useState(false);
+  const [view, setView] = useState("balances");
+  const [ledgerKey, setLedgerKey] = useState(0);
 
   useEffect(() => {
     fetchStockBalances().catch(() => {});
@@ -22,6 +30,7 @@ export default function CashierStock() {
   async function refresh() {
     try {
       setRefreshing(true);
+      if (view === "movements") setLedgerKey((k) => k + 1);
       await fetchStockBalances();
     } finally {
       setRefreshing(false);
@@ -36,15 +45,23 @@ export default function CashierStock() {
     return new Date(Math.max(...ts));
   }, [stockBalances]);
 
+  const low = useMemo(() => lowStockRows(stockBalances, bottleSizes), [stockBalances, bottleSizes]);
+
   return (
     <div className="p-4 md:p-6 lg:p-8 max-w-7xl mx-auto">
       {/* Header */}
       <header className="mb-4 sm:mb-6 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
         <div>
           <h1 className="text-xl sm:text-2xl md:text-3xl font-semibold">Stock</h1>
-          <p className="text-xs sm:text-sm text-gray-400">View live bottle stock balances (read-only).</p>
+          <p className="text-xs sm:text-sm text-gray-400">View live bottle stock balances and how they moved (read-only).</p>
         </div>
         <div className="flex flex-nowrap gap-2">
+          <ViewButton active={view === "balances"} onClick={() => setView("balances")}>
+            Balances
+          </ViewButton>
+          <ViewButton active={view === "movements"} onClick={() => setView("movements")}>
+            Movements
+          </ViewButton>
           <button
             className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5 disabled:opacity-50 text-sm whitespace-nowrap"
             onClick={refresh}
@@ -65,7 +82,7 @@ export default function CashierStock() {
 
       <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }}>
         {/* Stats (no total value) */}
-        <div className="mb-4 grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div className="mb-4 grid grid-cols-1 sm:grid-cols-3 gap-3">
           <div className="rounded-2xl border border-white/10 p-3 sm:p-4">
             <div className="text-[11px] sm:text-xs text-gray-400">SKU count</div>
             <div className="text-lg sm:text-xl font-semibold mt-1">
@@ -80,19 +97,37 @@ export default function CashierStock() {
             </div>
             <div className="text-[11px] sm:text-xs text-gray-400 mt-0.5">From records</div>
           </div>
+          <div
+            className={
+              "rounded-2xl border p-3 sm:p-4 " +
+              (low.length ? "border-amber-400/30 bg-amber-500/10" : "border-white/10")
+            }
+          >
+            <div className="text-[11px] sm:text-xs text-gray-400">Low / out of stock</div>
+            <div className="text-lg sm:text-xl font-semibold mt-1">{low.length}</div>
+            <div className="text-[11px] sm:text-xs text-gray-400 mt-0.5 truncate">
+              {low.length ? low.map((r) => r.label).join(", ") : "All sizes above minimum"}
+            </div>
+          </div>
         </div>
 
-        {/* Mobile cards */}
-        <StockCards className="sm:hidden" balances={stockBalances} loading={loading || refreshing} />
-
-        {/* Desktop table */}
-        <StockTable className="hidden sm:block" balances={stockBalances} loading={loading || refreshing} />
+        {view === "movements" ? (
+          <StockLedger balances={stockBalances} refreshKey={ledgerKey} />
+        ) : (
+          <>
+            {/* Mobile cards */}
+            <StockCards className="sm:hidden" balances={stockBalances} bottleSizes={bottleSizes} loading={loading || refreshing} />
+
+            {/* Desktop table */}
+            <StockTable className="hidden sm:block" balances={stockBalances} bottleSizes={bottleSizes} loading={loading || refreshing} />
+          </>
+        )}
       </motion.div>
     </div>
   );
 }
 
-function StockCards({ className = "", balances, loading }) {
+function StockCards({ className = "", balances, bottleSizes = [], loading }) {
   return (
     <div className={className}>
       {balances.length === 0 ? (
@@ -105,13 +140,17 @@ function StockCards({ className = "", balances, loading }) {
             <div key={r.bottle_size_id} className="rounded-2xl border border-white/10 bg-white/5 p-3">
               <div className="flex items-start justify-between gap-3">
                 <div>
-                  <div className="text-sm font-medium">{r.label}</div>
+                  <div className="text-sm font-medium">
+                    {r.label}
+                    <StockBadge cartons={r.cartons_on_hand} min={minCartonsOf(r, bottleSizes)} />
+                  </div>
                   <div className="text-xs text-white/60">Units/carton: {r.units_per_carton || "-"}</div>
                 </div>
                 <div className="text-xs text-white/60">{formatDateTime(r.updated_at)}</div>
               </div>
               <div className="mt-2 grid grid-cols-2 gap-y-1 text-xs">
                 <CellRow label="Cartons" value={r.cartons_on_hand} />
+                <CellRow label="Min level" value={minCartonsOf(r, bottleSizes) || "-"} />
                 <CellRow label="Bottles" value={r.bottles_on_hand} />
                 <CellRow label="Carton Price" value={formatMoney(r.carton_price)} />
               </div>
@@ -123,18 +162,19 @@ function StockCards({ className = "", balances, loading }) {
   );
 }
 
-function StockTable({ className = "", balances, loading }) {
+function StockTable({ className = "", balances, bottleSizes = [], loading }) {
   return (
     <div className={`${className} rounded-2xl border border-white/10 overflow-x-auto`}>
       <div className="p-3 flex items-center gap-2 text-sm text-gray-300">
         <PackageSearch size={16} /> Live Stock Balances
       </div>
-      <table className="w-full text-sm min-w-[720px]">
+      <table className="w-full text-sm min-w-[800px]">
         <thead className="bg-white/5">
           <tr>
             <th className="px-3 py-2 text-left">Label</th>
             <th className="px-3 py-2 text-right">Units/carton</th>
             <th className="px-3 py-2 text-right">Cartons</th>
+            <th className="px-3 py-2 text-right">Min</th>
             <th className="px-3 py-2 text-right">Bottles</th>
             <th className="px-3 py-2 text-right">Carton Price</th>
             <th className="px-3 py-2 text-right">Updated</th>
@@ -143,9 +183,13 @@ function StockTable({ className = "", balances, loading }) {
         <tbody>
           {balances.map((r) => (
             <tr key={r.bottle_size_id} className="border-t border-white/10">
-              <td className="px-3 py-2">{r.label}</td>
+              <td className="px-3 py-2">
+                {r.label}
+                <StockBadge cartons={r.cartons_on_hand} min={minCartonsOf(r, bottleSizes)} />
+              </td>
               <td className="px-3 py-2 text-right">{r.units_per_carton || "-"}</td>
               <td className="px-3 py-2 text-right">{r.cartons_on_hand}</td>
+              <td className="px-3 py-2 text-right">{minCartonsOf(r, bottleSizes) || "-"}</td>
               <td className="px-3 py-2 text-right">{r.bottles_on_hand}</td>
               <td className="px-3 py-2 text-right">{formatMoney(r.carton_price)}</td>
               <td className="px-3 py-2 text-right">{formatDateTime(r.updated_at)}</td>
@@ -154,7 +198,7 @@ function StockTable({ className = "", balances, loading }) {
 
           {balances.length === 0 && (
             <tr>
-              <td colSpan={6} className="px-3 py-8 text-center text-gray-400">
+              <td colSpan={7} className="px-3 py-8 text-center text-gray-400">
                 {loading ? "Loading…" : "No stock records"}
               </td>
             </tr>
@@ -165,6 +209,20 @@ function StockTable({ className = "", balances, loading }) {
   );
 }
 
+function ViewButton({ active, onClick, children }) {
+  return (
+    <button
+      onClick={onClick}
+      className={
+        "rounded-2xl px-3 py-2 text-sm whitespace-nowrap " +
+        (active ? "bg-white text-gray-900" : "border border-white/10 hover:bg-white/5")
+      }
+    >
+      {children}
+    </button>
+  );
+}
+
 /* ---------- tiny cell helper ---------- */
 function CellRow({ label, value }) {
   return (
@@ -187,13 +245,3 @@ function formatDateTime(iso) {
     return iso;
   }
 }
-
-function formatMoney(v) {
-  if (v === null || v === undefined || Number.isNaN(Number(v))) return "-";
-  return new Intl.NumberFormat(undefined, {
-    style: "currency",
-    currency: "KES",
-    currencyDisplay: "narrowSymbol",
-    minimumFractionDigits: 0,
-  }).format(Number(v));
-}
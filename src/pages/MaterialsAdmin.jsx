@@ -0,0 +1,670 @@
+// src/pages/MaterialsAdmin.jsx
+import { useEffect, useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import { Plus, RefreshCcw, Edit2, Loader2, Boxes, ShoppingCart, ListTree, Trash2, Download } from "lucide-react";
+import { toast } from "react-toastify";
+
+import { usePackaging } from "../contexts/PackagingContext.jsx";
+import { toCsv, downloadCsv } from "../utils/csv.jsx";
+import { STOCK_STATUS, stockStatus } from "../utils/stockLevels.jsx";
+import {
+  MATERIAL_UNITS,
+  createMaterialPurchase,
+  listBillOfMaterials,
+  listMaterialPurchases,
+  listMaterials,
+  packableCartons,
+  saveBillOfMaterials,
+  saveMaterial,
+} from "../utils/materials.jsx";
+import { toNum, formatMoney, todayNairobi, daysAgoNairobi } from "../utils/format.jsx";
+import Modal from "../components/Modal.jsx";
+import TabBtn from "../components/TabBtn.jsx";
+import Tile from "../components/Tile.jsx";
+import { inputCls } from "../components/formStyles.jsx";
+
+/**
+ * MaterialsAdmin.jsx — raw materials behind every carton
+ * - On hand: materials with their balances + how many cartons of each size can still be packed
+ * - Purchases: materials bought (adds to on hand)
+ * - Bill of materials: what one carton of each bottle size consumes (deducted per packaging entry)
+ */
+
+export default function MaterialsAdmin() {
+  const { bottleSizes, fetchBottleSizes } = usePackaging();
+  const [tab, setTab] = useState("onhand");
+  const [materials, setMaterials] = useState([]);
+  const [bom, setBom] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  async function load() {
+    setLoading(true);
+    try {
+      const [m, b] = await Promise.all([listMaterials({ include_inactive: true }), listBillOfMaterials()]);
+      setMaterials(m);
+      setBom(b);
+    } catch (e) {
+      toast.error(e?.message || "Failed to load materials");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    fetchBottleSizes().catch(() => {});
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  return (
+    <div className="p-4 md:p-6 lg:p-8 w-full max-w-7xl mx-auto">
+      <header className="mb-4 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl md:text-3xl font-semibold">Materials</h1>
+          <p className="text-sm text-white/60">Preforms, caps, labels, shrink wrap — bought, consumed by packaging, on hand.</p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <TabBtn active={tab === "onhand"} onClick={() => setTab("onhand")}>
+            <Boxes size={16} /> On hand
+          </TabBtn>
+          <TabBtn active={tab === "purchases"} onClick={() => setTab("purchases")}>
+            <ShoppingCart size={16} /> Purchases
+          </TabBtn>
+          <TabBtn active={tab === "bom"} onClick={() => setTab("bom")}>
+            <ListTree size={16} /> Bill of materials
+          </TabBtn>
+          <button
+            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5 disabled:opacity-50"
+            onClick={load}
+            disabled={loading}
+            title="Refresh"
+          >
+            {loading ? <Loader2 size={16} className="animate-spin" /> : <RefreshCcw size={16} />}
+          </button>
+        </div>
+      </header>
+
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }}>
+        {tab === "onhand" && (
+          <OnHandTab materials={materials} bom={bom} sizes={bottleSizes} loading={loading} onChanged={load} />
+        )}
+        {tab === "purchases" && <PurchasesTab materials={materials} onChanged={load} />}
+        {tab === "bom" && <BomTab materials={materials} bom={bom} sizes={bottleSizes} loading={loading} onChanged={load} />}
+      </motion.div>
+    </div>
+  );
+}
+
+/* ---------------- On hand ---------------- */
+
+function OnHandTab({ materials, bom, sizes, loading, onChanged }) {
+  const [editing, setEditing] = useState(null); // {} for new
+  const active = useMemo(() => materials.filter((m) => m.is_active !== false), [materials]);
+  const packable = useMemo(() => packableCartons(bom, active, sizes), [bom, active, sizes]);
+
+  const toggleActive = async (m) => {
+    try {
+      await saveMaterial({ id: m.id, is_active: m.is_active === false });
+      onChanged();
+    } catch (e) {
+      toast.error(e?.message || "Update failed");
+    }
+  };
+
+  return (
+    <div className="grid gap-4 xl:grid-cols-3">
+      <div className="rounded-2xl border border-white/10 overflow-x-auto xl:col-span-2">
+        <div className="p-3 flex items-center justify-between">
+          <div className="text-sm text-gray-300">Materials on hand</div>
+          <button
+            className="inline-flex items-center gap-1 rounded-xl bg-white text-gray-900 px-3 py-1.5 text-sm"
+            onClick={() => setEditing({})}
+          >
+            <Plus size={14} /> New material
+          </button>
+        </div>
+        <table className="w-full min-w-[640px] text-sm">
+          <thead className="bg-white/5">
+            <tr>
+              <th className="px-3 py-2 text-left">Material</th>
+              <th className="px-3 py-2 text-right">On hand</th>
+              <th className="px-3 py-2 text-right">Min level</th>
+              <th className="px-3 py-2 text-right">Last cost</th>
+              <th className="px-3 py-2 text-right">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {materials.map((m) => {
+              const status = stockStatus(m.on_hand, m.min_level);
+              return (
+                <tr key={m.id} className={`border-t border-white/10 ${m.is_active === false ? "text-white/40" : ""}`}>
+                  <td className="px-3 py-2">
+                    {m.name}
+                    {m.is_active !== false && status !== "ok" && (
+                      <span className={`ml-2 rounded-full px-2 py-0.5 text-[11px] ${STOCK_STATUS[status].cls}`}>
+                        {STOCK_STATUS[status].label}
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-right">
+                    {formatQty(m.on_hand)} <span className="text-white/50">{m.unit}</span>
+                  </td>
+                  <td className="px-3 py-2 text-right">{toNum(m.min_level) > 0 ? formatQty(m.min_level) : "-"}</td>
+                  <td className="px-3 py-2 text-right">{m.last_unit_cost != null ? formatMoney(m.last_unit_cost) : "-"}</td>
+                  <td className="px-3 py-2 text-right">
+                    <div className="inline-flex items-center gap-2">
+                      <button className="rounded-lg border border-white/10 px-2 py-0.5 text-xs" onClick={() => toggleActive(m)}>
+                        {m.is_active === false ? "Activate" : "Deactivate"}
+                      </button>
+                      <button className="icon-btn" title="Edit" onClick={() => setEditing(m)}>
+                        <Edit2 size={14} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+            {materials.length === 0 && (
+              <tr>
+                <td colSpan={5} className="px-3 py-8 text-center text-gray-400">
+                  {loading ? "Loading…" : "No materials yet"}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="rounded-2xl border border-white/10 p-3">
+        <div className="mb-2 text-sm text-gray-300">Cartons we can still pack</div>
+        <div className="grid gap-1">
+          {packable.map((p) => (
+            <div key={p.bottle_size_id} className="flex items-center justify-between gap-2 border-t border-white/5 py-1.5 text-sm">
+              <div className="min-w-0">
+                <div className="truncate">{p.label}</div>
+                <div className="text-xs text-white/50">
+                  {p.has_bom ? (p.limiting ? `Limited by ${p.limiting}` : "") : "No bill of materials"}
+                </div>
+              </div>
+              <div className={`text-lg font-semibold ${p.has_bom && p.cartons === 0 ? "text-rose-300" : ""}`}>
+                {p.has_bom ? p.cartons.toLocaleString() : "—"}
+              </div>
+            </div>
+          ))}
+          {packable.length === 0 && <div className="py-4 text-center text-sm text-white/60">No bottle sizes</div>}
+        </div>
+        <p className="mt-2 text-[11px] text-white/50">Each size on its own — packing one size uses shared materials for the others.</p>
+      </div>
+
+      {editing && (
+        <MaterialModal
+          record={editing}
+          onClose={() => setEditing(null)}
+          onSaved={() => {
+            setEditing(null);
+            onChanged();
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+function MaterialModal({ record, onClose, onSaved }) {
+  const [form, setForm] = useState(() => ({
+    name: record.name || "",
+    unit: record.unit || "pcs",
+    min_level: record.min_level ?? "",
+  }));
+  const [saving, setSaving] = useState(false);
+  const canSave = !saving && form.name.trim() && form.unit;
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await saveMaterial({
+        ...(record.id ? { id: record.id } : {}),
+        name: form.name.trim(),
+        unit: form.unit,
+        min_level: form.min_level === "" ? null : toNum(form.min_level),
+      });
+      toast.success("Material saved");
+      onSaved();
+    } catch (e) {
+      toast.error(e?.message || "Save failed");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal title={record.id ? "Edit Material" : "New Material"} onClose={onClose}>
+      <div className="grid gap-3">
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Name</span>
+          <input
+            value={form.name}
+            onChange={(e) => setForm((s) => ({ ...s, name: e.target.value }))}
+            className={inputCls}
+            placeholder="e.g. 500ml preform"
+          />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Unit</span>
+          <select value={form.unit} onChange={(e) => setForm((s) => ({ ...s, unit: e.target.value }))} className={inputCls}>
+            {MATERIAL_UNITS.map((u) => (
+              <option key={u} value={u}>
+                {u}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Min level (optional)</span>
+          <input
+            type="number"
+            min={0}
+            value={form.min_level}
+            onChange={(e) => setForm((s) => ({ ...s, min_level: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+        {record.id && <p className="text-xs text-white/50">On hand changes only through purchases and packaging entries.</p>}
+      </div>
+      <div className="mt-4 flex justify-end">
+        <button
+          disabled={!canSave}
+          className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
+          onClick={save}
+        >
+          {saving ? "Saving…" : "Save"}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+/* ---------------- Purchases ---------------- */
+
+function PurchasesTab({ materials, onChanged }) {
+  const [range, setRange] = useState(() => ({ date_from: daysAgoNairobi(29), date_to: todayNairobi() }));
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [adding, setAdding] = useState(false);
+
+  async function load(r = range) {
+    setLoading(true);
+    try {
+      setRows(await listMaterialPurchases(r));
+    } catch (e) {
+      toast.error(e?.message || "Failed to load purchases");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const total = rows.reduce((a, p) => a + toNum(p.quantity) * toNum(p.unit_cost), 0);
+
+  const exportCsv = () => {
+    const csv = toCsv(rows, [
+      { key: "date", label: "Date" },
+      { key: "material_name", label: "Material" },
+      { key: "quantity", label: "Quantity" },
+      { key: "unit", label: "Unit" },
+      { key: "unit_cost", label: "Unit cost" },
+      { key: "total", label: "Total", value: (p) => toNum(p.quantity) * toNum(p.unit_cost) },
+      { key: "supplier", label: "Supplier" },
+      { key: "note", label: "Note" },
+    ]);
+    downloadCsv(`material-purchases-${range.date_from}_${range.date_to}.csv`, csv);
+  };
+
+  return (
+    <>
+      <div className="mb-4 flex flex-wrap items-end gap-2">
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">From</span>
+          <input
+            type="date"
+            value={range.date_from}
+            onChange={(e) => setRange((r) => ({ ...r, date_from: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">To</span>
+          <input
+            type="date"
+            value={range.date_to}
+            onChange={(e) => setRange((r) => ({ ...r, date_to: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+        <button className="rounded-xl border border-white/10 px-3 py-2 text-sm disabled:opacity-50" onClick={() => load()} disabled={loading}>
+          Apply
+        </button>
+        <div className="ml-auto flex gap-2">
+          <button
+            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5 disabled:opacity-50"
+            onClick={exportCsv}
+            disabled={!rows.length}
+          >
+            <Download size={16} /> CSV
+          </button>
+          <button className="inline-flex items-center gap-2 rounded-2xl bg-white text-gray-900 px-3 py-2" onClick={() => setAdding(true)}>
+            <Plus size={16} /> New purchase
+          </button>
+        </div>
+      </div>
+
+      <div className="mb-4 grid grid-cols-2 gap-3 sm:grid-cols-4">
+        <Tile label="Purchases" value={rows.length} />
+        <Tile label="Spent" value={formatMoney(total)} />
+      </div>
+
+      <div className="rounded-2xl border border-white/10 overflow-x-auto">
+        <table className="w-full min-w-[720px] text-sm">
+          <thead className="bg-white/5">
+            <tr>
+              <th className="px-3 py-2 text-left">Date</th>
+              <th className="px-3 py-2 text-left">Material</th>
+              <th className="px-3 py-2 text-right">Quantity</th>
+              <th className="px-3 py-2 text-right">Unit cost</th>
+              <th className="px-3 py-2 text-right">Total</th>
+              <th className="px-3 py-2 text-left">Supplier</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((p) => (
+              <tr key={p.id} className="border-t border-white/10">
+                <td className="px-3 py-2">{p.date}</td>
+                <td className="px-3 py-2">
+                  {p.material_name}
+                  {p.note && <div className="text-xs text-white/50">{p.note}</div>}
+                </td>
+                <td className="px-3 py-2 text-right">
+                  {formatQty(p.quantity)} <span className="text-white/50">{p.unit}</span>
+                </td>
+                <td className="px-3 py-2 text-right">{formatMoney(p.unit_cost)}</td>
+                <td className="px-3 py-2 text-right">{formatMoney(toNum(p.quantity) * toNum(p.unit_cost))}</td>
+                <td className="px-3 py-2">{p.supplier || "-"}</td>
+              </tr>
+            ))}
+            {rows.length === 0 && (
+              <tr>
+                <td colSpan={6} className="px-3 py-8 text-center text-gray-400">
+                  {loading ? "Loading…" : "No purchases in this range"}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {adding && (
+        <PurchaseModal
+          materials={materials.filter((m) => m.is_active !== false)}
+          onClose={() => setAdding(false)}
+          onSaved={() => {
+            setAdding(false);
+            load();
+            onChanged();
+          }}
+        />
+      )}
+    </>
+  );
+}
+
+function PurchaseModal({ materials, onClose, onSaved }) {
+  const [form, setForm] = useState(() => ({
+    material_id: "",
+    quantity: "",
+    unit_cost: "",
+    supplier: "",
+    date: todayNairobi(),
+    note: "",
+  }));
+  const [saving, setSaving] = useState(false);
+  const material = materials.find((m) => String(m.id) === String(form.material_id));
+  const canSave = !saving && form.material_id && toNum(form.quantity) > 0 && String(form.unit_cost).length > 0 && form.date;
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await createMaterialPurchase({
+        material_id: Number(form.material_id),
+        quantity: toNum(form.quantity),
+        unit_cost: toNum(form.unit_cost),
+        supplier: form.supplier.trim() || undefined,
+        date: form.date,
+        note: form.note.trim() || undefined,
+      });
+      toast.success("Purchase recorded");
+      onSaved();
+    } catch (e) {
+      toast.error(e?.message || "Save failed");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal title="New Material Purchase" onClose={onClose}>
+      <div className="grid gap-3 sm:grid-cols-2">
+        <label className="grid gap-1 sm:col-span-2">
+          <span className="text-xs text-white/60">Material</span>
+          <select
+            value={form.material_id}
+            onChange={(e) => setForm((s) => ({ ...s, material_id: e.target.value }))}
+            className={inputCls}
+          >
+            <option value="">Select material…</option>
+            {materials.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.name} ({m.unit})
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Quantity{material ? ` (${material.unit})` : ""}</span>
+          <input
+            type="number"
+            min={0}
+            value={form.quantity}
+            onChange={(e) => setForm((s) => ({ ...s, quantity: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Unit cost (KES)</span>
+          <input
+            type="number"
+            min={0}
+            step="0.01"
+            value={form.unit_cost}
+            onChange={(e) => setForm((s) => ({ ...s, unit_cost: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Supplier (optional)</span>
+          <input value={form.supplier} onChange={(e) => setForm((s) => ({ ...s, supplier: e.target.value }))} className={inputCls} />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Date</span>
+          <input
+            type="date"
+            value={form.date}
+            max={todayNairobi()}
+            onChange={(e) => setForm((s) => ({ ...s, date: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+        <label className="grid gap-1 sm:col-span-2">
+          <span className="text-xs text-white/60">Note (optional)</span>
+          <input value={form.note} onChange={(e) => setForm((s) => ({ ...s, note: e.target.value }))} className={inputCls} />
+        </label>
+      </div>
+      <div className="mt-4 flex items-center justify-between">
+        <div className="text-sm text-white/70">Total: {formatMoney(toNum(form.quantity) * toNum(form.unit_cost))}</div>
+        <button
+          disabled={!canSave}
+          className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
+          onClick={save}
+        >
+          {saving ? "Saving…" : "Save"}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+/* ---------------- Bill of materials ---------------- */
+
+function BomTab({ materials, bom, sizes, loading, onChanged }) {
+  const [editing, setEditing] = useState(null); // bottle size
+  const byId = (id) => materials.find((m) => String(m.id) === String(id));
+
+  return (
+    <div className="grid gap-3 md:grid-cols-2 xl:grid-cols-3">
+      {sizes.map((s) => {
+        const lines = bom.filter((l) => String(l.bottle_size_id) === String(s.id));
+        return (
+          <div key={s.id} className="rounded-2xl border border-white/10 p-3">
+            <div className="mb-2 flex items-center justify-between">
+              <div className="font-semibold">{s.label}</div>
+              <button className="icon-btn" title="Edit bill of materials" onClick={() => setEditing(s)}>
+                <Edit2 size={14} />
+              </button>
+            </div>
+            {lines.length ? (
+              <div className="grid gap-1 text-sm">
+                {lines.map((l) => (
+                  <div key={l.material_id} className="flex justify-between border-t border-white/5 py-1">
+                    <span>{byId(l.material_id)?.name || `Material #${l.material_id}`}</span>
+                    <span className="text-white/70">
+                      {formatQty(l.qty_per_carton)} {byId(l.material_id)?.unit || ""} / carton
+                    </span>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="text-sm text-white/50">No materials set — packaging this size deducts nothing.</div>
+            )}
+          </div>
+        );
+      })}
+      {sizes.length === 0 && (
+        <div className="rounded-2xl border border-white/10 p-6 text-center text-white/60">{loading ? "Loading…" : "No bottle sizes"}</div>
+      )}
+
+      {editing && (
+        <BomModal
+          size={editing}
+          materials={materials.filter((m) => m.is_active !== false)}
+          lines={bom.filter((l) => String(l.bottle_size_id) === String(editing.id))}
+          onClose={() => setEditing(null)}
+          onSaved={() => {
+            setEditing(null);
+            onChanged();
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+function BomModal({ size, materials, lines, onClose, onSaved }) {
+  const [rows, setRows] = useState(() =>
+    lines.length
+      ? lines.map((l) => ({ material_id: String(l.material_id), qty_per_carton: String(l.qty_per_carton) }))
+      : [{ material_id: "", qty_per_carton: "" }]
+  );
+  const [saving, setSaving] = useState(false);
+  const filled = rows.filter((r) => r.material_id && toNum(r.qty_per_carton) > 0);
+  const dup = new Set(filled.map((r) => r.material_id)).size !== filled.length;
+
+  const setRow = (i, patch) => setRows((rs) => rs.map((r, idx) => (idx === i ? { ...r, ...patch } : r)));
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await saveBillOfMaterials(size.id, filled);
+      toast.success("Bill of materials saved");
+      onSaved();
+    } catch (e) {
+      toast.error(e?.message || "Save failed");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal title={`Bill of materials — ${size.label}`} onClose={onClose}>
+      <p className="mb-3 text-xs text-white/60">What one carton uses. Each packaging entry deducts cartons × these quantities.</p>
+      <div className="grid gap-2">
+        {rows.map((r, i) => (
+          <div key={i} className="grid grid-cols-12 gap-2">
+            <select
+              value={r.material_id}
+              onChange={(e) => setRow(i, { material_id: e.target.value })}
+              className={`${inputCls} col-span-7`}
+            >
+              <option value="">Material…</option>
+              {materials.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.name} ({m.unit})
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min={0}
+              step="any"
+              placeholder="Per carton"
+              value={r.qty_per_carton}
+              onChange={(e) => setRow(i, { qty_per_carton: e.target.value })}
+              className={`${inputCls} col-span-4 text-right`}
+            />
+            <button
+              className="icon-btn col-span-1 justify-self-end text-rose-300"
+              title="Remove"
+              onClick={() => setRows((rs) => rs.filter((_, idx) => idx !== i))}
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+        ))}
+        <button
+          className="justify-self-start rounded-xl border border-white/10 px-3 py-2 text-sm"
+          onClick={() => setRows((rs) => [...rs, { material_id: "", qty_per_carton: "" }])}
+        >
+          Add material
+        </button>
+        {dup && <div className="text-xs text-rose-300">Each material can appear once.</div>}
+      </div>
+      <div className="mt-4 flex justify-end">
+        <button
+          disabled={saving || dup}
+          className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
+          onClick={save}
+        >
+          {saving ? "Saving…" : "Save"}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+/* ---------------- UI bits & helpers ---------------- */
+
+function formatQty(v) {
+  return new Intl.NumberFormat("en-KE", { maximumFractionDigits: 3 }).format(toNum(v));
+}
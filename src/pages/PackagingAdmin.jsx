@@ -3,17 +3,31 @@ import React, { useEffect, useMemo, useState } from "react";
 import { motion } from "framer-motion";
 import {
   Plus, Edit2, Trash2, RotateCcw, PackageSearch,
-  Filter, RefreshCcw, Save, X, Loader2
+  Filter, RefreshCcw, Save, X, Loader2, ClipboardCheck, Search, Download
 } from "lucide-react";
 import { toast, ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 import Swal from "sweetalert2";
 import { usePackaging } from "../contexts/PackagingContext.jsx";
+import { useUser } from "../contexts/UserContext.jsx";
+import HistoryPanel from "../components/HistoryPanel.jsx";
+import StockLedger from "../components/StockLedger.jsx";
+import { ADJUSTMENT_REASONS, listStockMovements } from "../utils/stockLedger.jsx";
+import StockBadge from "../components/StockBadge.jsx";
+import { minCartonsOf } from "../utils/stockLevels.jsx";
+import { listBillOfMaterials, listMaterials, materialsForPackaging } from "../utils/materials.jsx";
+import { EXPIRY_BADGE, batchRecipients, expiryStatus, listBatches, suggestBatchCode } from "../utils/batches.jsx";
+import { dayQualityStatus, getQualityLimits, listQualityTests } from "../utils/quality.jsx";
+import { toCsv, downloadCsv } from "../utils/csv.jsx";
+import { daysAgoNairobi, formatMoney } from "../utils/format.jsx";
 
 /**
  * PackagingAdmin — mobile-first, responsive UI
  * - Collapsible filters on mobile; always visible ≥sm
  * - Cards on mobile; tables on ≥sm (Entries/Sizes/Stock)
+ * - Movements: per-size ledger explaining how each balance was reached
+ * - Stock Take (stock.adjust): counted vs system cartons → reasoned adjustments
+ * - Batches: lot codes per entry, what is left of each, and who received a batch (recalls)
  * - Responsive Toasts + SweetAlert2 (narrower on phones)
  */
 
@@ -33,8 +47,9 @@ export default function PackagingAdmin() {
     createBottleSize, updateBottleSize, deleteBottleSize,
 
     // stock
-    stockBalances, fetchStockBalances, setFilters,
+    stockBalances, fetchStockBalances, createStockAdjustments, setFilters,
   } = usePackaging();
+  const { can } = useUser();
 
   const [tab, setTab] = useState("entries");
 
@@ -47,13 +62,16 @@ export default function PackagingAdmin() {
 
   const [notice, setNotice] = useState("");
   const [refreshing, setRefreshing] = useState(false);
+  const [ledgerKey, setLedgerKey] = useState(0);
 
   // First load
   useEffect(() => { listPackaging({ page: 1 }).catch(() => {}); }, []); // eslint-disable-line
 
   // Tab-aware fetches
   useEffect(() => {
-    if (tab === "stock") fetchStockBalances().catch(() => {});
+    if (tab === "stock" || tab === "movements" || tab === "stocktake") {
+      Promise.all([fetchStockBalances(), fetchBottleSizes()]).catch(() => {});
+    }
     if (tab === "sizes") Promise.all([fetchBottleSizes(), fetchBottleSizeOptions()]).catch(() => {});
   }, [tab]); // eslint-disable-line
 
@@ -81,6 +99,9 @@ export default function PackagingAdmin() {
           fetchStockBalances(),
           { pending: "Refreshing stock…", success: "Stock updated", error: "Failed to refresh stock" }
         );
+      } else if (tab === "movements" || tab === "stocktake" || tab === "batches") {
+        setLedgerKey((k) => k + 1);
+        await fetchStockBalances();
       }
     } finally {
       setRefreshing(false);
@@ -91,6 +112,7 @@ export default function PackagingAdmin() {
     () => entries.reduce((acc, e) => acc + (e.cartons || 0), 0),
     [entries]
   );
+  const existingCodes = useMemo(() => entries.map((e) => e.batch_code).filter(Boolean), [entries]);
   const totalBottles = useMemo(
     () => entries.reduce((acc, e) => acc + (e.bottles || 0), 0),
     [entries]
@@ -133,6 +155,11 @@ export default function PackagingAdmin() {
           <TabButton active={tab === "entries"} onClick={() => setTab("entries")}>Entries</TabButton>
           <TabButton active={tab === "sizes"} onClick={() => setTab("sizes")}>Bottle Sizes</TabButton>
           <TabButton active={tab === "stock"} onClick={() => setTab("stock")}>Stock</TabButton>
+          <TabButton active={tab === "movements"} onClick={() => setTab("movements")}>Movements</TabButton>
+          <TabButton active={tab === "batches"} onClick={() => setTab("batches")}>Batches</TabButton>
+          {can("stock.adjust") && (
+            <TabButton active={tab === "stocktake"} onClick={() => setTab("stocktake")}>Stock Take</TabButton>
+          )}
         </div>
       </nav>
 
@@ -204,9 +231,42 @@ export default function PackagingAdmin() {
       {tab === "stock" && (
         <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }}>
           {/* Mobile cards */}
-          <StockCards className="sm:hidden" balances={stockBalances} loading={loading} />
+          <StockCards className="sm:hidden" balances={stockBalances} bottleSizes={bottleSizes} loading={loading} />
           {/* Desktop table */}
-          <StockTable className="hidden sm:block" balances={stockBalances} loading={loading} />
+          <StockTable className="hidden sm:block" balances={stockBalances} bottleSizes={bottleSizes} loading={loading} />
+        </motion.div>
+      )}
+
+      {/* MOVEMENTS TAB */}
+      {tab === "movements" && (
+        <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }}>
+          <StockLedger balances={stockBalances} refreshKey={ledgerKey} />
+        </motion.div>
+      )}
+
+      {/* BATCHES TAB */}
+      {tab === "batches" && (
+        <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }}>
+          <BatchesPanel sizeOptions={sizeOptions} refreshKey={ledgerKey} />
+        </motion.div>
+      )}
+
+      {/* STOCK TAKE TAB */}
+      {tab === "stocktake" && can("stock.adjust") && (
+        <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }}>
+          <StockTakePanel
+            balances={stockBalances}
+            refreshKey={ledgerKey}
+            refreshBalances={fetchStockBalances}
+            onPost={async (payload) => {
+              await toast.promise(createStockAdjustments(payload), {
+                pending: "Posting adjustments…",
+                success: "Stock adjusted",
+                error: { render({ data }) { return data?.message || "Adjustment failed"; } },
+              });
+              setLedgerKey((k) => k + 1);
+            }}
+          />
         </motion.div>
       )}
 
@@ -214,6 +274,7 @@ export default function PackagingAdmin() {
       {showEntryModal && (
         <EntryModal
           sizeOptions={sizeOptions}
+          existingCodes={existingCodes}
           editing={editingEntry}
           onClose={() => setShowEntryModal(false)}
           onSubmit={async (payload) => {
@@ -223,12 +284,14 @@ export default function PackagingAdmin() {
                 {
                   pending: editingEntry ? "Updating entry…" : "Creating entry…",
                   success: editingEntry ? "Entry updated" : "Entry created",
-                  error: { render({ data }) { return data?.response?.data?.error || "Save failed"; } },
+                  error: { render({ data }) { return data?.message || "Save failed"; } },
                 }
               );
               setNotice("");
-            } finally {
               setShowEntryModal(false);
+            } catch (e) {
+              // nothing was posted: keep the form open so Save can be retried
+              if (e?.code !== "MATERIALS_UNAVAILABLE") setShowEntryModal(false);
             }
           }}
         />
@@ -245,7 +308,7 @@ export default function PackagingAdmin() {
                 {
                   pending: editingSize ? "Updating size…" : "Creating size…",
                   success: editingSize ? "Size updated" : "Size created",
-                  error: { render({ data }) { return data?.response?.data?.error || "Save failed"; } },
+                  error: { render({ data }) { return data?.message || "Save failed"; } },
                 }
               );
               setNotice("");
@@ -408,6 +471,8 @@ function EntriesCards({ className = "", entries, loading, onEdit, onDelete, onRe
                 </div>
               </div>
               <div className="mt-2 grid grid-cols-2 gap-y-1 text-xs">
+                <CellRow label="Batch" value={e.batch_code || "-"} />
+                <CellRow label="Best before" value={e.best_before ? formatDate(e.best_before) : "-"} />
                 <CellRow label="Cartons" value={e.cartons} />
                 <CellRow label="Bottles" value={e.bottles} />
                 <CellRow label="Added by" value={e.added_by_name || "-"} />
@@ -436,6 +501,7 @@ function EntriesTable({ className = "", entries, loading, pagination, onPage, on
           <tr>
             <th className="px-3 py-2 text-left">Date</th>
             <th className="px-3 py-2 text-left">Size</th>
+            <th className="px-3 py-2 text-left">Batch</th>
             <th className="px-3 py-2 text-right">Cartons</th>
             <th className="px-3 py-2 text-right">Bottles</th>
             <th className="px-3 py-2 text-left">Added by</th>
@@ -448,6 +514,9 @@ function EntriesTable({ className = "", entries, loading, pagination, onPage, on
             <tr key={e.id} className="border-t border-white/10">
               <td className="px-3 py-2 align-top">{formatDate(e.date)}</td>
               <td className="px-3 py-2 align-top">{e.bottle_size_label}</td>
+              <td className="px-3 py-2 align-top">
+                <BatchCell entry={e} />
+              </td>
               <td className="px-3 py-2 text-right align-top">{e.cartons}</td>
               <td className="px-3 py-2 text-right align-top">{e.bottles}</td>
               <td className="px-3 py-2 align-top">{e.added_by_name || "-"}</td>
@@ -481,7 +550,7 @@ function EntriesTable({ className = "", entries, loading, pagination, onPage, on
 
           {entries.length === 0 && (
             <tr>
-              <td colSpan={7} className="px-3 py-8 text-center text-gray-400">
+              <td colSpan={8} className="px-3 py-8 text-center text-gray-400">
                 {loading ? "Loading…" : "No entries"}
               </td>
             </tr>
@@ -542,6 +611,7 @@ function SizesCards({ className = "", sizes, loading, onEdit, onDelete }) {
               <div className="mt-2 grid grid-cols-2 gap-y-1 text-xs">
                 <CellRow label="Carton Price" value={formatMoney(s.selling_price)} />
                 <CellRow label="Cost / Carton" value={formatMoney(s.cost_price_carton)} />
+                <CellRow label="Min level" value={Number(s.min_cartons) > 0 ? `${s.min_cartons} cartons` : "-"} />
               </div>
             </div>
           ))}
@@ -561,6 +631,7 @@ function SizesTable({ className = "", sizes, loading, onEdit, onDelete }) {
             <th className="px-3 py-2 text-right">Units/carton</th>
             <th className="px-3 py-2 text-right">Carton Price</th>
             <th className="px-3 py-2 text-right">Cost/carton</th>
+            <th className="px-3 py-2 text-right">Min cartons</th>
             <th className="px-3 py-2 text-right">Actions</th>
           </tr>
         </thead>
@@ -571,6 +642,7 @@ function SizesTable({ className = "", sizes, loading, onEdit, onDelete }) {
               <td className="px-3 py-2 text-right">{s.units_per_carton || "-"}</td>
               <td className="px-3 py-2 text-right">{formatMoney(s.selling_price)}</td>
               <td className="px-3 py-2 text-right">{formatMoney(s.cost_price_carton)}</td>
+              <td className="px-3 py-2 text-right">{Number(s.min_cartons) > 0 ? s.min_cartons : "-"}</td>
               <td className="px-3 py-2 text-right">
                 <div className="inline-flex items-center gap-2">
                   <button className="icon-btn" title="Edit" onClick={() => onEdit(s)}>
@@ -586,7 +658,7 @@ function SizesTable({ className = "", sizes, loading, onEdit, onDelete }) {
 
           {sizes.length === 0 && (
             <tr>
-              <td colSpan={5} className="px-3 py-8 text-center text-gray-400">
+              <td colSpan={6} className="px-3 py-8 text-center text-gray-400">
                 {loading ? "Loading…" : "No bottle sizes"}
               </td>
             </tr>
@@ -598,7 +670,7 @@ function SizesTable({ className = "", sizes, loading, onEdit, onDelete }) {
 }
 
 /* ---------- Stock: Cards + Table ---------- */
-function StockCards({ className = "", balances, loading }) {
+function StockCards({ className = "", balances, bottleSizes = [], loading }) {
   const totalValue = useMemo(
     () => balances.reduce((acc, r) => acc + (Number(r.cartons_on_hand || 0) * Number(r.carton_price || 0)), 0),
     [balances]
@@ -621,13 +693,17 @@ function StockCards({ className = "", balances, loading }) {
             <div key={r.bottle_size_id} className="rounded-2xl border border-white/10 bg-white/5 p-3">
               <div className="flex items-start justify-between gap-3">
                 <div>
-                  <div className="text-sm font-medium">{r.label}</div>
+                  <div className="text-sm font-medium">
+                    {r.label}
+                    <StockBadge cartons={r.cartons_on_hand} min={minCartonsOf(r, bottleSizes)} />
+                  </div>
                   <div className="text-xs text-white/60">Units/carton: {r.units_per_carton || "-"}</div>
                 </div>
                 <div className="text-xs text-white/60">{formatDateTime(r.updated_at)}</div>
               </div>
               <div className="mt-2 grid grid-cols-2 gap-y-1 text-xs">
                 <CellRow label="Cartons" value={r.cartons_on_hand} />
+                <CellRow label="Min level" value={minCartonsOf(r, bottleSizes) || "-"} />
                 <CellRow label="Bottles" value={r.bottles_on_hand} />
                 <CellRow label="Carton Price" value={formatMoney(r.carton_price)} />
               </div>
@@ -639,7 +715,7 @@ function StockCards({ className = "", balances, loading }) {
   );
 }
 
-function StockTable({ className = "", balances, loading }) {
+function StockTable({ className = "", balances, bottleSizes = [], loading }) {
   const totalValue = useMemo(
     () => balances.reduce((acc, r) => acc + (Number(r.cartons_on_hand || 0) * Number(r.carton_price || 0)), 0),
     [balances]
@@ -659,6 +735,7 @@ function StockTable({ className = "", balances, loading }) {
             <th className="px-3 py-2 text-left">Label</th>
             <th className="px-3 py-2 text-right">Units/carton</th>
             <th className="px-3 py-2 text-right">Cartons</th>
+            <th className="px-3 py-2 text-right">Min</th>
             <th className="px-3 py-2 text-right">Bottles</th>
             <th className="px-3 py-2 text-right">Carton Price</th>
             <th className="px-3 py-2 text-right">Updated</th>
@@ -667,9 +744,13 @@ function StockTable({ className = "", balances, loading }) {
         <tbody>
           {balances.map((r) => (
             <tr key={r.bottle_size_id} className="border-t border-white/10">
-              <td className="px-3 py-2">{r.label}</td>
+              <td className="px-3 py-2">
+                {r.label}
+                <StockBadge cartons={r.cartons_on_hand} min={minCartonsOf(r, bottleSizes)} />
+              </td>
               <td className="px-3 py-2 text-right">{r.units_per_carton || "-"}</td>
               <td className="px-3 py-2 text-right">{r.cartons_on_hand}</td>
+              <td className="px-3 py-2 text-right">{minCartonsOf(r, bottleSizes) || "-"}</td>
               <td className="px-3 py-2 text-right">{r.bottles_on_hand}</td>
               <td className="px-3 py-2 text-right">{formatMoney(r.carton_price)}</td>
               <td className="px-3 py-2 text-right">{formatDateTime(r.updated_at)}</td>
@@ -678,7 +759,7 @@ function StockTable({ className = "", balances, loading }) {
 
           {balances.length === 0 && (
             <tr>
-              <td colSpan={6} className="px-3 py-8 text-center text-gray-400">
+              <td colSpan={7} className="px-3 py-8 text-center text-gray-400">
                 {loading ? "Loading…" : "No stock records"}
               </td>
             </tr>
@@ -689,15 +770,480 @@ function StockTable({ className = "", balances, loading }) {
   );
 }
 
+/* ---------- Batches: lot codes & recall lookup ---------- */
+function BatchCell({ entry }) {
+  if (!entry.batch_code) return <span className="text-white/40">-</span>;
+  const exp = expiryStatus(entry.best_before, today());
+  return (
+    <div>
+      <div className="font-mono text-xs">{entry.batch_code}</div>
+      {entry.best_before && (
+        <div className="text-[11px] text-white/60">
+          BB {formatDate(entry.best_before)}
+          {exp && <span className={`ml-1 rounded-full px-1.5 py-0.5 ${EXPIRY_BADGE[exp].cls}`}>{EXPIRY_BADGE[exp].label}</span>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function BatchesPanel({ sizeOptions, refreshKey }) {
+  const [status, setStatus] = useState("open");
+  const [sizeId, setSizeId] = useState("");
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const [code, setCode] = useState("");
+  const [lookup, setLookup] = useState(null); // { code, rows }
+  const [looking, setLooking] = useState(false);
+
+  useEffect(() => {
+    const ctrl = new AbortController();
+    setLoading(true);
+    listBatches({ status, ...(sizeId ? { bottle_size_id: sizeId } : {}) }, { signal: ctrl.signal })
+      .then((rows) => !ctrl.signal.aborted && setBatches(rows))
+      .catch((e) => !ctrl.signal.aborted && toast.error(e?.message || "Failed to load batches"))
+      .finally(() => !ctrl.signal.aborted && setLoading(false));
+    return () => ctrl.abort();
+  }, [status, sizeId, refreshKey]);
+
+  async function find(c = code) {
+    const q = String(c || "").trim().toUpperCase();
+    if (!q) return;
+    setCode(q);
+    setLooking(true);
+    try {
+      setLookup({ code: q, rows: await batchRecipients(q) });
+    } catch (e) {
+      setLookup(null);
+      toast.error(e?.status === 404 ? `No batch ${q}` : e?.message || "Lookup failed");
+    } finally {
+      setLooking(false);
+    }
+  }
+
+  const exportRecall = () => {
+    const csv = toCsv(lookup.rows, [
+      { key: "customer_name", label: "Customer" },
+      { key: "customer_phone", label: "Phone" },
+      { key: "receipt_number", label: "Receipt" },
+      { key: "date", label: "Date" },
+      { key: "sale_type", label: "Type" },
+      { key: "driver_name", label: "Driver" },
+      { key: "vehicle_registration", label: "Vehicle" },
+      { key: "quantity", label: "Cartons" },
+      { key: "returned", label: "Returned" },
+    ]);
+    downloadCsv(`batch-${lookup.code}-recipients.csv`, csv);
+  };
+
+  const inputCls = "rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm";
+  const lookupTotal = (lookup?.rows || []).reduce((a, r) => a + Number(r.quantity || 0) - Number(r.returned || 0), 0);
+
+  return (
+    <div className="grid gap-4">
+      <div className="rounded-2xl border border-white/10">
+        <form
+          className="p-3 flex flex-wrap items-end gap-2 border-b border-white/10"
+          onSubmit={(e) => { e.preventDefault(); find(); }}
+        >
+          <div className="mr-auto text-sm text-gray-300">Which customers received batch…</div>
+          <input
+            className={`${inputCls} font-mono`}
+            value={code}
+            onChange={(e) => setCode(e.target.value.toUpperCase())}
+            placeholder="Batch code"
+          />
+          <button
+            type="submit"
+            disabled={!code.trim() || looking}
+            className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 text-sm disabled:opacity-50"
+          >
+            {looking ? <Loader2 size={16} className="animate-spin" /> : <Search size={16} />} Find
+          </button>
+        </form>
+
+        {lookup && (
+          <div className="overflow-x-auto">
+            <div className="px-3 py-2 flex items-center justify-between text-sm">
+              <span>
+                <span className="font-mono">{lookup.code}</span> — {lookup.rows.length} sale{lookup.rows.length === 1 ? "" : "s"},{" "}
+                {lookupTotal} carton{lookupTotal === 1 ? "" : "s"} with customers
+              </span>
+              <button
+                className="inline-flex items-center gap-2 rounded-xl border border-white/10 px-3 py-1.5 text-sm hover:bg-white/5 disabled:opacity-50"
+                onClick={exportRecall}
+                disabled={!lookup.rows.length}
+              >
+                <Download size={14} /> Recall list
+              </button>
+            </div>
+            <table className="w-full text-sm min-w-[760px]">
+              <thead className="bg-white/5">
+                <tr>
+                  <th className="px-3 py-2 text-left">Customer</th>
+                  <th className="px-3 py-2 text-left">Phone</th>
+                  <th className="px-3 py-2 text-left">Receipt</th>
+                  <th className="px-3 py-2 text-left">Date</th>
+                  <th className="px-3 py-2 text-left">Via</th>
+                  <th className="px-3 py-2 text-right">Cartons</th>
+                </tr>
+              </thead>
+              <tbody>
+                {lookup.rows.map((r, i) => (
+                  <tr key={`${r.sale_id}-${i}`} className="border-t border-white/10">
+                    <td className="px-3 py-2">{r.customer_name || "Walk-in"}</td>
+                    <td className="px-3 py-2">{r.customer_phone || "-"}</td>
+                    <td className="px-3 py-2">{r.receipt_number}</td>
+                    <td className="px-3 py-2">{formatDateTime(r.date)}</td>
+                    <td className="px-3 py-2">
+                      {r.sale_type === "dispatch"
+                        ? [r.driver_name, r.vehicle_registration].filter(Boolean).join(" · ") || "Dispatch"
+                        : r.sale_type || "-"}
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      {r.quantity}
+                      {Number(r.returned) > 0 && <span className="text-white/50"> (−{r.returned} returned)</span>}
+                    </td>
+                  </tr>
+                ))}
+                {lookup.rows.length === 0 && (
+                  <tr>
+                    <td colSpan={6} className="px-3 py-6 text-center text-gray-400">No sales drew from this batch</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="rounded-2xl border border-white/10 overflow-x-auto">
+        <div className="p-3 flex flex-wrap items-center gap-2">
+          <div className="mr-auto text-sm text-gray-300">Batches</div>
+          <select className={inputCls} value={sizeId} onChange={(e) => setSizeId(e.target.value)}>
+            <option value="">All sizes</option>
+            {sizeOptions.map((o) => (
+              <option key={o.id} value={o.id}>{o.label}</option>
+            ))}
+          </select>
+          <select className={inputCls} value={status} onChange={(e) => setStatus(e.target.value)}>
+            <option value="open">With cartons left</option>
+            <option value="all">All batches</option>
+          </select>
+        </div>
+        <table className="w-full text-sm min-w-[720px]">
+          <thead className="bg-white/5">
+            <tr>
+              <th className="px-3 py-2 text-left">Batch</th>
+              <th className="px-3 py-2 text-left">Size</th>
+              <th className="px-3 py-2 text-left">Produced</th>
+              <th className="px-3 py-2 text-left">Best before</th>
+              <th className="px-3 py-2 text-right">Packed</th>
+              <th className="px-3 py-2 text-right">Left</th>
+            </tr>
+          </thead>
+          <tbody>
+            {batches.map((b) => {
+              const exp = expiryStatus(b.best_before, today());
+              return (
+                <tr key={b.batch_code} className="border-t border-white/10">
+                  <td className="px-3 py-2">
+                    <button className="font-mono text-xs underline-offset-2 hover:underline" onClick={() => find(b.batch_code)}>
+                      {b.batch_code}
+                    </button>
+                  </td>
+                  <td className="px-3 py-2">{b.bottle_size_label}</td>
+                  <td className="px-3 py-2">{formatDate(b.production_date)}</td>
+                  <td className="px-3 py-2">
+                    {b.best_before ? formatDate(b.best_before) : "-"}
+                    {exp && <span className={`ml-2 rounded-full px-2 py-0.5 text-[11px] ${EXPIRY_BADGE[exp].cls}`}>{EXPIRY_BADGE[exp].label}</span>}
+                  </td>
+                  <td className="px-3 py-2 text-right">{b.cartons_packed}</td>
+                  <td className="px-3 py-2 text-right font-medium">{b.cartons_remaining}</td>
+                </tr>
+              );
+            })}
+            {batches.length === 0 && (
+              <tr>
+                <td colSpan={6} className="px-3 py-8 text-center text-gray-400">{loading ? "Loading…" : "No batches"}</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- Stock take: counted vs system → adjustments ---------- */
+function stockTakeLines(balances, counts) {
+  return balances.map((b) => {
+    const c = counts[b.bottle_size_id] || {};
+    const system = Number(b.cartons_on_hand || 0);
+    const entered = String(c.counted ?? "").length > 0;
+    const counted = entered ? Number(c.counted) : null;
+    return {
+      ...b,
+      system,
+      counted,
+      variance: entered ? counted - system : 0,
+      reason: c.reason || "count_correction",
+      note: c.note || "",
+    };
+  });
+}
+
+const variances = (lines) => lines.filter((l) => l.counted !== null && l.variance !== 0);
+
+function StockTakePanel({ balances, refreshKey, refreshBalances, onPost }) {
+  const [note, setNote] = useState("");
+  const [counts, setCounts] = useState({}); // { [bottle_size_id]: { counted, reason, note } }
+  const [posting, setPosting] = useState(false);
+  const [recent, setRecent] = useState([]);
+
+  useEffect(() => {
+    const ctrl = new AbortController();
+    listStockMovements({ type: "adjustment", date_from: daysAgoNairobi(30), order: "desc" }, { signal: ctrl.signal })
+      .then((rows) => !ctrl.signal.aborted && setRecent(rows))
+      .catch(() => !ctrl.signal.aborted && setRecent([]));
+    return () => ctrl.abort();
+  }, [refreshKey]);
+
+  const lines = useMemo(() => stockTakeLines(balances, counts), [balances, counts]);
+  const changed = variances(lines);
+  const invalid = lines.some((l) => l.counted !== null && (!Number.isInteger(l.counted) || l.counted < 0));
+  const netVariance = changed.reduce((a, l) => a + l.variance, 0);
+
+  const setLine = (id, patch) => setCounts((s) => ({ ...s, [id]: { ...s[id], ...patch } }));
+
+  async function post() {
+    if (!changed.length) return toast.info("No variances to post");
+    setPosting(true);
+    try {
+      // sales or packaging since the screen loaded move the System figure: post against the latest balances
+      let fresh;
+      try {
+        fresh = variances(stockTakeLines(await refreshBalances(), counts));
+      } catch (e) {
+        return toast.error(e?.message || "Failed to load stock balances");
+      }
+      if (!fresh.length) return toast.info("No variances to post — the latest balances match the count");
+      const moved = fresh.some((l) => l.system !== lines.find((x) => x.bottle_size_id === l.bottle_size_id)?.system);
+      const net = fresh.reduce((a, l) => a + l.variance, 0);
+      const ok = await confirmDanger({
+        title: "Post stock adjustments?",
+        text:
+          (moved ? "System balances changed since the count started; variances use the latest figures. " : "") +
+          `${fresh.length} size${fresh.length === 1 ? "" : "s"}, net ${net > 0 ? "+" : ""}${net} cartons. Balances change immediately.`,
+      });
+      if (!ok) return;
+      // always today: the System column is today's balance, so a backdated count would be wrong
+      await onPost({
+        date: today(),
+        source: "stock_take",
+        note: note.trim() || undefined,
+        lines: fresh.map((l) => ({
+          bottle_size_id: l.bottle_size_id,
+          cartons: l.variance,
+          reason: l.reason,
+          note: l.note.trim() || undefined,
+          system_cartons: l.system,
+          counted_cartons: l.counted,
+        })),
+      });
+      setCounts({});
+      setNote("");
+    } catch {
+      // toast already shown; keep the counts so they can be posted again
+    } finally {
+      setPosting(false);
+    }
+  }
+
+  const inputCls = "rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm";
+
+  return (
+    <div className="grid gap-4">
+      <div className="rounded-2xl border border-white/10 overflow-x-auto">
+        <div className="p-3 flex flex-wrap items-end gap-2 border-b border-white/10">
+          <div className="mr-auto flex items-center gap-2 text-sm text-gray-300">
+            <ClipboardCheck size={16} /> Count cartons on hand today, then post the variances
+          </div>
+          <label className="grid gap-1 text-xs text-gray-400">
+            Note
+            <input className={inputCls} value={note} onChange={(e) => setNote(e.target.value)} placeholder="e.g. Month-end count" />
+          </label>
+        </div>
+        <table className="w-full text-sm min-w-[760px]">
+          <thead className="bg-white/5">
+            <tr>
+              <th className="px-3 py-2 text-left">Label</th>
+              <th className="px-3 py-2 text-right">System</th>
+              <th className="px-3 py-2 text-right">Counted</th>
+              <th className="px-3 py-2 text-right">Variance</th>
+              <th className="px-3 py-2 text-left">Reason</th>
+              <th className="px-3 py-2 text-left">Line note</th>
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map((l) => (
+              <tr key={l.bottle_size_id} className="border-t border-white/10">
+                <td className="px-3 py-2">{l.label}</td>
+                <td className="px-3 py-2 text-right">{l.system}</td>
+                <td className="px-3 py-2 text-right">
+                  <input
+                    type="number"
+                    min={0}
+                    step={1}
+                    className={`${inputCls} w-24 text-right`}
+                    value={counts[l.bottle_size_id]?.counted ?? ""}
+                    onChange={(e) => setLine(l.bottle_size_id, { counted: e.target.value })}
+                  />
+                </td>
+                <td
+                  className={
+                    "px-3 py-2 text-right font-medium " +
+                    (l.variance < 0 ? "text-rose-300" : l.variance > 0 ? "text-emerald-300" : "text-white/50")
+                  }
+                >
+                  {l.counted === null ? "—" : l.variance > 0 ? `+${l.variance}` : l.variance}
+                </td>
+                <td className="px-3 py-2">
+                  <select
+                    className={inputCls}
+                    value={l.reason}
+                    disabled={!l.variance}
+                    onChange={(e) => setLine(l.bottle_size_id, { reason: e.target.value })}
+                  >
+                    {Object.entries(ADJUSTMENT_REASONS).map(([k, v]) => (
+                      <option key={k} value={k}>{v}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="px-3 py-2">
+                  <input
+                    className={`${inputCls} w-full`}
+                    value={counts[l.bottle_size_id]?.note ?? ""}
+                    disabled={!l.variance}
+                    onChange={(e) => setLine(l.bottle_size_id, { note: e.target.value })}
+                  />
+                </td>
+              </tr>
+            ))}
+            {balances.length === 0 && (
+              <tr>
+                <td colSpan={6} className="px-3 py-8 text-center text-gray-400">No stock records</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+        <div className="p-3 flex flex-wrap items-center justify-end gap-3 border-t border-white/10">
+          {invalid && <span className="text-xs text-rose-300">Counts must be whole cartons, 0 or more.</span>}
+          <span className="text-sm text-gray-400">
+            {changed.length} variance{changed.length === 1 ? "" : "s"} · net {netVariance > 0 ? "+" : ""}{netVariance}
+          </span>
+          <button
+            disabled={!changed.length || invalid || posting}
+            className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 text-sm disabled:opacity-50"
+            onClick={post}
+          >
+            {posting ? <Loader2 size={16} className="animate-spin" /> : <Save size={16} />} Post adjustments
+          </button>
+        </div>
+      </div>
+
+      <div className="rounded-2xl border border-white/10 overflow-x-auto">
+        <div className="p-3 text-sm text-gray-300">Adjustments — last 30 days</div>
+        <table className="w-full text-sm min-w-[720px]">
+          <thead className="bg-white/5">
+            <tr>
+              <th className="px-3 py-2 text-left">When</th>
+              <th className="px-3 py-2 text-left">Label</th>
+              <th className="px-3 py-2 text-right">Cartons</th>
+              <th className="px-3 py-2 text-left">Reason</th>
+              <th className="px-3 py-2 text-left">Note</th>
+              <th className="px-3 py-2 text-left">By</th>
+            </tr>
+          </thead>
+          <tbody>
+            {recent.map((m) => (
+              <tr key={m.id} className="border-t border-white/10">
+                <td className="px-3 py-2">{formatDateTime(m.occurred_at || m.date)}</td>
+                <td className="px-3 py-2">{m.bottle_size_label}</td>
+                <td className={"px-3 py-2 text-right " + (Number(m.cartons) < 0 ? "text-rose-300" : "text-emerald-300")}>
+                  {Number(m.cartons) > 0 ? `+${m.cartons}` : m.cartons}
+                </td>
+                <td className="px-3 py-2">{ADJUSTMENT_REASONS[m.reason] || m.reason || "-"}</td>
+                <td className="px-3 py-2 text-white/70">{m.note || "-"}</td>
+                <td className="px-3 py-2 text-white/70">{m.user_name || "-"}</td>
+              </tr>
+            ))}
+            {recent.length === 0 && (
+              <tr>
+                <td colSpan={6} className="px-3 py-6 text-center text-gray-400">No adjustments</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
 /* ---------- Modals ---------- */
-function EntryModal({ sizeOptions, editing, onClose, onSubmit }) {
+function EntryModal({ sizeOptions, existingCodes = [], editing, onClose, onSubmit }) {
   const [form, setForm] = useState(() => ({
     bottle_size_id: editing?.bottle_size_id || "",
     cartons: editing?.cartons ?? "",
     date: editing?.date ? editing.date.slice(0, 10) : today(),
+    batch_code: editing?.batch_code || "",
+    production_date: editing?.production_date ? editing.production_date.slice(0, 10) : "",
+    best_before: editing?.best_before ? editing.best_before.slice(0, 10) : "",
   }));
-
-  const canSave = form.bottle_size_id && String(form.cartons).length > 0;
+  // keep suggesting a code until the user types their own
+  const [codeTouched, setCodeTouched] = useState(Boolean(editing?.batch_code));
+  const productionDate = form.production_date || form.date;
+  const sizeLabel = sizeOptions.find((o) => String(o.id) === String(form.bottle_size_id))?.label;
+  const suggested = useMemo(
+    () => (form.bottle_size_id ? suggestBatchCode(sizeLabel, productionDate, existingCodes) : ""),
+    [form.bottle_size_id, sizeLabel, productionDate, existingCodes]
+  );
+  const batchCode = codeTouched ? form.batch_code : suggested;
+  const badDates = Boolean(form.best_before) && form.best_before <= productionDate;
+
+  // Water quality for the production day: a failed latest after-treatment / final-product test blocks new entries.
+  // New entries can't be saved until the check has loaded; a failed lookup blocks too (with a retry).
+  const [quality, setQuality] = useState(null);
+  const [qualityErr, setQualityErr] = useState("");
+  const [qualityTry, setQualityTry] = useState(0);
+  useEffect(() => {
+    const ctrl = new AbortController();
+    const { signal } = ctrl;
+    setQuality(null);
+    setQualityErr("");
+    Promise.all([listQualityTests({ date_from: productionDate, date_to: productionDate }, { signal }), getQualityLimits({ signal })])
+      .then(([tests, limits]) => !signal.aborted && setQuality(dayQualityStatus(tests, productionDate, limits)))
+      .catch((e) => !signal.aborted && setQualityErr(e?.message || "Failed to load water tests"));
+    return () => ctrl.abort();
+  }, [productionDate, qualityTry]);
+  const qualityBlocked = !editing && (!quality || quality.status === "failed");
+
+  const canSave = form.bottle_size_id && String(form.cartons).length > 0 && !badDates && !qualityBlocked;
+
+  // Bill of materials → what this entry will deduct from materials on hand
+  const [bom, setBom] = useState(null);
+  useEffect(() => {
+    const ctrl = new AbortController();
+    Promise.all([listBillOfMaterials({ signal: ctrl.signal }), listMaterials({}, { signal: ctrl.signal })])
+      .then(([b, materials]) => !ctrl.signal.aborted && setBom({ lines: b, materials }))
+      .catch(() => !ctrl.signal.aborted && setBom(null));
+    return () => ctrl.abort();
+  }, []);
+  const uses = useMemo(
+    () => (bom && form.bottle_size_id ? materialsForPackaging(bom.lines, bom.materials, form.bottle_size_id, form.cartons) : []),
+    [bom, form.bottle_size_id, form.cartons]
+  );
 
   return (
     <Modal onClose={onClose} title={editing ? "Edit Entry" : "New Entry"}>
@@ -734,6 +1280,76 @@ function EntryModal({ sizeOptions, editing, onClose, onSubmit }) {
             className="rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm"
           />
         </div>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <div className="grid gap-1">
+            <label className="text-xs text-gray-400">Batch / lot code</label>
+            <input
+              type="text"
+              value={batchCode}
+              onChange={(e) => { setCodeTouched(true); setForm((s) => ({ ...s, batch_code: e.target.value.toUpperCase() })); }}
+              className="rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm font-mono"
+            />
+          </div>
+          <div className="grid gap-1">
+            <label className="text-xs text-gray-400">Production date</label>
+            <input
+              type="date"
+              value={productionDate}
+              onChange={(e) => setForm((s) => ({ ...s, production_date: e.target.value }))}
+              className="rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm"
+            />
+          </div>
+          <div className="grid gap-1">
+            <label className="text-xs text-gray-400">Best before (optional)</label>
+            <input
+              type="date"
+              value={form.best_before}
+              min={productionDate}
+              onChange={(e) => setForm((s) => ({ ...s, best_before: e.target.value }))}
+              className="rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm"
+            />
+          </div>
+        </div>
+        {badDates && <div className="text-xs text-rose-300">Best-before must be after the production date.</div>}
+        {quality?.status === "failed" && (
+          <div className="rounded-xl border border-rose-500/30 bg-rose-500/10 px-3 py-2 text-xs text-rose-200">
+            Water test for {productionDate} failed ({quality.failed.join(", ")}).{" "}
+            {editing ? "This batch should be held." : "Packaging is blocked until a passing re-test is logged under Quality."}
+          </div>
+        )}
+        {!editing && !quality && !qualityErr && (
+          <div className="text-xs text-gray-400">Checking water tests for {productionDate}…</div>
+        )}
+        {qualityErr && (
+          <div className="flex items-center justify-between gap-2 rounded-xl border border-rose-500/30 bg-rose-500/10 px-3 py-2 text-xs text-rose-200">
+            <span>
+              Couldn&apos;t check the water tests for {productionDate} ({qualityErr}).
+              {editing ? "" : " Saving is blocked until the check loads."}
+            </span>
+            <button type="button" className="rounded-lg border border-white/10 px-2 py-1" onClick={() => setQualityTry((n) => n + 1)}>
+              Retry
+            </button>
+          </div>
+        )}
+        {quality?.status === "untested" && (
+          <div className="rounded-xl border border-amber-500/30 bg-amber-500/10 px-3 py-2 text-xs text-amber-200">
+            No after-treatment or final-product water test logged for {productionDate} yet.
+          </div>
+        )}
+        {uses.length > 0 && Number(form.cartons) > 0 && (
+          <div className="rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-xs">
+            <div className="mb-1 text-gray-400">Materials deducted{editing ? " (replaces the original deduction)" : ""}</div>
+            {uses.map((u) => (
+              <div key={u.material_id} className={`flex justify-between ${u.short > 0 ? "text-amber-300" : ""}`}>
+                <span>{u.name}</span>
+                <span>
+                  {u.quantity.toLocaleString()} {u.unit}
+                  {u.short > 0 ? ` — only ${u.on_hand.toLocaleString()} on hand` : ""}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
       </div>
 
       <div className="mt-4 flex justify-end gap-2">
@@ -747,11 +1363,15 @@ function EntryModal({ sizeOptions, editing, onClose, onSubmit }) {
             bottle_size_id: Number(form.bottle_size_id),
             cartons: Number(form.cartons),
             date: form.date,
+            batch_code: batchCode.trim() || undefined,
+            production_date: productionDate,
+            best_before: form.best_before || undefined,
           })}
         >
           <Save size={16} /> Save
         </button>
       </div>
+      {editing && <HistoryPanel entityType="packaging" entityId={editing.id} />}
     </Modal>
   );
 }
@@ -761,6 +1381,7 @@ function SizeModal({ editing, onClose, onSubmit }) {
     label: editing?.label || "",
     selling_price: editing?.selling_price ?? "",
     cost_price_carton: editing?.cost_price_carton ?? "",
+    min_cartons: editing?.min_cartons ?? "",
   }));
 
   const canSave = form.label && String(form.selling_price).length > 0;
@@ -797,6 +1418,18 @@ function SizeModal({ editing, onClose, onSubmit }) {
             className="rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm"
           />
         </div>
+        <div className="grid gap-1">
+          <label className="text-xs text-gray-400">Minimum stock (cartons, optional)</label>
+          <input
+            type="number"
+            min={0}
+            step={1}
+            value={form.min_cartons}
+            onChange={(e) => setForm((s) => ({ ...s, min_cartons: e.target.value }))}
+            className="rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-sm"
+          />
+          <span className="text-[11px] text-gray-500">Flagged as low stock at or below this level.</span>
+        </div>
       </div>
 
       <div className="mt-4 flex justify-end gap-2">
@@ -810,11 +1443,13 @@ function SizeModal({ editing, onClose, onSubmit }) {
             label: String(form.label).trim(),
             selling_price: Number(form.selling_price),
             cost_price_carton: String(form.cost_price_carton).length ? Number(form.cost_price_carton) : undefined,
+            min_cartons: String(form.min_cartons).length ? Math.max(0, Math.floor(Number(form.min_cartons))) : null,
           })}
         >
           <Save size={16} /> Save
         </button>
       </div>
+      {editing && <HistoryPanel entityType="bottle_size" entityId={editing.id} />}
     </Modal>
   );
 }
@@ -854,7 +1489,7 @@ async function handleDeleteEntry(e, deletePackaging) {
   await toast.promise(deletePackaging(e.id), {
     pending: "Deleting entry…",
     success: "Entry deleted",
-    error: { render({ data }) { return data?.response?.data?.error || "Delete failed"; } },
+    error: { render({ data }) { return data?.message || "Delete failed"; } },
   });
 }
 async function handleRestoreEntry(e, restorePackaging) {
@@ -870,7 +1505,7 @@ async function handleDeleteSize(s, deleteBottleSize) {
   await toast.promise(deleteBottleSize(s.id), {
     pending: "Deleting size…",
     success: "Size deleted",
-    error: { render({ data }) { return data?.response?.data?.error || "Delete failed"; } },
+    error: { render({ data }) { return data?.message || "Delete failed"; } },
   });
 }
 
@@ -883,15 +1518,6 @@ function formatDateTime(iso) {
   if (!iso) return "-";
   try { return new Date(iso).toLocaleString(); } catch { return iso; }
 }
-function formatMoney(v) {
-  if (v === null || v === undefined || Number.isNaN(Number(v))) return "-";
-  return new Intl.NumberFormat(undefined, {
-    style: "currency",
-    currency: "KES",
-    currencyDisplay: "narrowSymbol",
-    minimumFractionDigits: 0,
-  }).format(Number(v));
-}
 function today() {
   const d = new Date();
   const m = String(d.getMonth() + 1).padStart(2, "0");
@@ -899,6 +1525,7 @@ function today() {
   return `${d.getFullYear()}-${m}-${day}`;
 }
 
+
 /* ---- Responsive SweetAlert helper (extra small on phones) ---- */
 async function confirmDanger({ title = "Are you sure?", text = "This cannot be undone." } = {}) {
   const res = await Swal.fire({
@@ -938,4 +1565,3 @@ style.innerHTML = `
 .no-scrollbar{-ms-overflow-style:none;scrollbar-width:none}
 `;
 if (typeof document !== "undefined") document.head.appendChild(style);
-
@@ -0,0 +1,1064 @@
+// src/pages/PurchasingAdmin.jsx
+import { useEffect, useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import {
+  Plus,
+  RefreshCcw,
+  Edit2,
+  Loader2,
+  ClipboardList,
+  Building2,
+  Wallet,
+  PackageCheck,
+  Ban,
+  Trash2,
+  Download,
+} from "lucide-react";
+import { toast } from "react-toastify";
+import Swal from "sweetalert2";
+
+import { usePackaging } from "../contexts/PackagingContext.jsx";
+import { toCsv, downloadCsv } from "../utils/csv.jsx";
+import { listMaterials } from "../utils/materials.jsx";
+import {
+  PAYMENT_METHODS,
+  PO_STATUS,
+  cancelPurchaseOrder,
+  createSupplierPayment,
+  lineRemaining,
+  listPurchaseOrders,
+  listSupplierPayments,
+  listSuppliers,
+  poStatus,
+  poTotals,
+  receivePurchaseOrder,
+  savePurchaseOrder,
+  saveSupplier,
+  supplierBalance,
+} from "../utils/purchasing.jsx";
+import { toNum, formatMoney, todayNairobi, daysAgoNairobi } from "../utils/format.jsx";
+import Modal from "../components/Modal.jsx";
+import TabBtn from "../components/TabBtn.jsx";
+import Tile from "../components/Tile.jsx";
+import { inputCls } from "../components/formStyles.jsx";
+
+/**
+ * PurchasingAdmin.jsx — buying from suppliers
+ * - Orders: purchase orders with bottle-size / material lines; receiving goods records the COGS
+ * - Suppliers: contacts, terms and what we owe each one
+ * - Payments: money paid to suppliers (reduces their balance)
+ */
+
+export default function PurchasingAdmin() {
+  const { bottleSizes, fetchBottleSizes } = usePackaging();
+  const [tab, setTab] = useState("orders");
+  const [suppliers, setSuppliers] = useState([]);
+  const [materials, setMaterials] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  async function load() {
+    setLoading(true);
+    try {
+      const [s, m] = await Promise.all([listSuppliers({ include_inactive: true }), listMaterials()]);
+      setSuppliers(s);
+      setMaterials(m);
+      setRefreshKey((k) => k + 1);
+    } catch (e) {
+      toast.error(e?.message || "Failed to load suppliers");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    fetchBottleSizes().catch(() => {});
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const activeSuppliers = useMemo(() => suppliers.filter((s) => s.is_active !== false), [suppliers]);
+
+  return (
+    <div className="p-4 md:p-6 lg:p-8 w-full max-w-7xl mx-auto">
+      <header className="mb-4 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl md:text-3xl font-semibold">Purchasing</h1>
+          <p className="text-sm text-white/60">Suppliers, purchase orders and goods received — the source of COGS.</p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <TabBtn active={tab === "orders"} onClick={() => setTab("orders")}>
+            <ClipboardList size={16} /> Orders
+          </TabBtn>
+          <TabBtn active={tab === "suppliers"} onClick={() => setTab("suppliers")}>
+            <Building2 size={16} /> Suppliers
+          </TabBtn>
+          <TabBtn active={tab === "payments"} onClick={() => setTab("payments")}>
+            <Wallet size={16} /> Payments
+          </TabBtn>
+          <button
+            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5 disabled:opacity-50"
+            onClick={load}
+            disabled={loading}
+            title="Refresh"
+          >
+            {loading ? <Loader2 size={16} className="animate-spin" /> : <RefreshCcw size={16} />}
+          </button>
+        </div>
+      </header>
+
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }}>
+        {tab === "orders" && (
+          <OrdersTab
+            suppliers={suppliers}
+            activeSuppliers={activeSuppliers}
+            sizes={bottleSizes}
+            materials={materials}
+            refreshKey={refreshKey}
+            onChanged={load}
+          />
+        )}
+        {tab === "suppliers" && <SuppliersTab suppliers={suppliers} loading={loading} onChanged={load} />}
+        {tab === "payments" && <PaymentsTab suppliers={activeSuppliers} refreshKey={refreshKey} onChanged={load} />}
+      </motion.div>
+    </div>
+  );
+}
+
+/* ---------------- Orders ---------------- */
+
+function OrdersTab({ suppliers, activeSuppliers, sizes, materials, refreshKey, onChanged }) {
+  const [filters, setFilters] = useState({ status: "", supplier_id: "" });
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [editing, setEditing] = useState(null); // {} for new
+  const [receiving, setReceiving] = useState(null);
+
+  async function load(f = filters) {
+    setLoading(true);
+    try {
+      const params = { ...(f.status && f.status !== "partial" ? { status: f.status } : {}), ...(f.supplier_id ? { supplier_id: f.supplier_id } : {}) };
+      setRows(await listPurchaseOrders(params));
+    } catch (e) {
+      toast.error(e?.message || "Failed to load purchase orders");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [refreshKey]);
+
+  const shown = useMemo(() => (filters.status ? rows.filter((po) => poStatus(po) === filters.status) : rows), [rows, filters.status]);
+  const openValue = shown
+    .filter((po) => ["open", "partial"].includes(poStatus(po)))
+    .reduce((a, po) => a + poTotals(po).outstanding, 0);
+  const receivedValue = shown.reduce((a, po) => a + poTotals(po).received, 0);
+
+  const supplierName = (id) => suppliers.find((s) => String(s.id) === String(id))?.name || `Supplier #${id}`;
+
+  const cancel = async (po) => {
+    const res = await Swal.fire({
+      title: `Cancel ${po.po_number || `PO #${po.id}`}?`,
+      input: "text",
+      inputLabel: "Reason (optional)",
+      showCancelButton: true,
+      confirmButtonText: "Cancel order",
+      cancelButtonText: "Keep",
+    });
+    if (!res.isConfirmed) return;
+    try {
+      await cancelPurchaseOrder(po.id, String(res.value || "").trim());
+      toast.success("Purchase order cancelled");
+      load();
+    } catch (e) {
+      toast.error(e?.message || "Cancel failed");
+    }
+  };
+
+  return (
+    <>
+      <div className="mb-4 flex flex-wrap items-end gap-2">
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Status</span>
+          <select
+            value={filters.status}
+            onChange={(e) => setFilters((f) => ({ ...f, status: e.target.value }))}
+            className={inputCls}
+          >
+            <option value="">All</option>
+            {Object.entries(PO_STATUS).map(([k, v]) => (
+              <option key={k} value={k}>
+                {v.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Supplier</span>
+          <select
+            value={filters.supplier_id}
+            onChange={(e) => setFilters((f) => ({ ...f, supplier_id: e.target.value }))}
+            className={inputCls}
+          >
+            <option value="">All suppliers</option>
+            {suppliers.map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button className="rounded-xl border border-white/10 px-3 py-2 text-sm disabled:opacity-50" onClick={() => load()} disabled={loading}>
+          Apply
+        </button>
+        <button
+          className="ml-auto inline-flex items-center gap-2 rounded-2xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
+          onClick={() => setEditing({})}
+          disabled={!activeSuppliers.length}
+          title={activeSuppliers.length ? "" : "Add a supplier first"}
+        >
+          <Plus size={16} /> New order
+        </button>
+      </div>
+
+      <div className="mb-4 grid grid-cols-2 gap-3 sm:grid-cols-4">
+        <Tile label="Orders" value={shown.length} />
+        <Tile label="Still to receive" value={formatMoney(openValue)} />
+        <Tile label="Received (COGS)" value={formatMoney(receivedValue)} />
+      </div>
+
+      <div className="rounded-2xl border border-white/10 overflow-x-auto">
+        <table className="w-full min-w-[860px] text-sm">
+          <thead className="bg-white/5">
+            <tr>
+              <th className="px-3 py-2 text-left">Order</th>
+              <th className="px-3 py-2 text-left">Supplier</th>
+              <th className="px-3 py-2 text-left">Items</th>
+              <th className="px-3 py-2 text-right">Ordered</th>
+              <th className="px-3 py-2 text-right">Received</th>
+              <th className="px-3 py-2 text-left">Status</th>
+              <th className="px-3 py-2 text-right">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map((po) => {
+              const status = poStatus(po);
+              const totals = poTotals(po);
+              const untouched = status === "open";
+              return (
+                <tr key={po.id} className="border-t border-white/10 align-top">
+                  <td className="px-3 py-2">
+                    <div className="font-mono">{po.po_number || `#${po.id}`}</div>
+                    <div className="text-xs text-white/50">
+                      {po.date}
+                      {po.expected_date ? ` · due ${po.expected_date}` : ""}
+                    </div>
+                  </td>
+                  <td className="px-3 py-2">{po.supplier_name || supplierName(po.supplier_id)}</td>
+                  <td className="px-3 py-2">
+                    {(po.lines || []).map((l) => (
+                      <div key={l.id} className="text-xs">
+                        {l.label} — {formatQty(l.quantity_received)}/{formatQty(l.quantity)} @ {formatMoney(l.unit_cost)}
+                      </div>
+                    ))}
+                    {po.note && <div className="text-xs text-white/50">{po.note}</div>}
+                  </td>
+                  <td className="px-3 py-2 text-right">{formatMoney(totals.ordered)}</td>
+                  <td className="px-3 py-2 text-right">{formatMoney(totals.received)}</td>
+                  <td className="px-3 py-2">
+                    <span className={`rounded-full px-2 py-0.5 text-[11px] ${PO_STATUS[status].cls}`}>{PO_STATUS[status].label}</span>
+                  </td>
+                  <td className="px-3 py-2 text-right">
+                    <div className="inline-flex items-center gap-2">
+                      {(status === "open" || status === "partial") && (
+                        <button className="icon-btn" title="Receive goods" onClick={() => setReceiving(po)}>
+                          <PackageCheck size={14} />
+                        </button>
+                      )}
+                      {untouched && (
+                        <>
+                          <button className="icon-btn" title="Edit" onClick={() => setEditing(po)}>
+                            <Edit2 size={14} />
+                          </button>
+                          <button className="icon-btn text-rose-300" title="Cancel order" onClick={() => cancel(po)}>
+                            <Ban size={14} />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+            {shown.length === 0 && (
+              <tr>
+                <td colSpan={7} className="px-3 py-8 text-center text-gray-400">
+                  {loading ? "Loading…" : "No purchase orders"}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {editing && (
+        <OrderModal
+          record={editing}
+          suppliers={activeSuppliers}
+          sizes={sizes}
+          materials={materials.filter((m) => m.is_active !== false)}
+          onClose={() => setEditing(null)}
+          onSaved={() => {
+            setEditing(null);
+            load();
+          }}
+        />
+      )}
+      {receiving && (
+        <ReceiveModal
+          po={receiving}
+          onClose={() => setReceiving(null)}
+          onSaved={() => {
+            setReceiving(null);
+            onChanged(); // balances + materials on hand moved
+          }}
+        />
+      )}
+    </>
+  );
+}
+
+function OrderModal({ record, suppliers, sizes, materials, onClose, onSaved }) {
+  const [form, setForm] = useState(() => ({
+    supplier_id: record.supplier_id ?? "",
+    date: record.date || todayNairobi(),
+    expected_date: record.expected_date || "",
+    note: record.note || "",
+  }));
+  const [lines, setLines] = useState(() =>
+    record.lines?.length
+      ? record.lines.map((l) => ({
+          item_type: l.item_type || (l.material_id ? "material" : "bottle_size"),
+          bottle_size_id: l.bottle_size_id ?? "",
+          material_id: l.material_id ?? "",
+          quantity: l.quantity ?? "",
+          unit_cost: l.unit_cost ?? "",
+        }))
+      : [{ item_type: "material", bottle_size_id: "", material_id: "", quantity: "", unit_cost: "" }]
+  );
+  const [saving, setSaving] = useState(false);
+
+  const setLine = (i, patch) => setLines((ls) => ls.map((l, j) => (j === i ? { ...l, ...patch } : l)));
+  const itemOf = (l) => (l.item_type === "material" ? l.material_id : l.bottle_size_id);
+  const complete = lines.filter((l) => itemOf(l) && toNum(l.quantity) > 0);
+  const total = complete.reduce((a, l) => a + toNum(l.quantity) * toNum(l.unit_cost), 0);
+  const canSave = !saving && form.supplier_id && form.date && complete.length > 0 && complete.length === lines.length;
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await savePurchaseOrder({
+        ...(record.id ? { id: record.id } : {}),
+        supplier_id: Number(form.supplier_id),
+        date: form.date,
+        expected_date: form.expected_date || undefined,
+        note: form.note.trim() || undefined,
+        lines,
+      });
+      toast.success("Purchase order saved");
+      onSaved();
+    } catch (e) {
+      toast.error(e?.message || "Save failed");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal title={record.id ? `Edit ${record.po_number || "Purchase Order"}` : "New Purchase Order"} onClose={onClose}>
+      <div className="grid gap-3 sm:grid-cols-3">
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Supplier</span>
+          <select
+            value={form.supplier_id}
+            onChange={(e) => setForm((s) => ({ ...s, supplier_id: e.target.value }))}
+            className={inputCls}
+          >
+            <option value="">Select supplier…</option>
+            {suppliers.map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Order date</span>
+          <input type="date" value={form.date} onChange={(e) => setForm((s) => ({ ...s, date: e.target.value }))} className={inputCls} />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Expected (optional)</span>
+          <input
+            type="date"
+            value={form.expected_date}
+            min={form.date}
+            onChange={(e) => setForm((s) => ({ ...s, expected_date: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+      </div>
+
+      <div className="mt-3 grid gap-2">
+        <div className="grid grid-cols-12 gap-2 text-xs text-white/60">
+          <span className="col-span-3">Type</span>
+          <span className="col-span-4">Item</span>
+          <span className="col-span-2">Qty</span>
+          <span className="col-span-2">Unit cost</span>
+        </div>
+        {lines.map((l, i) => (
+          <div key={i} className="grid grid-cols-12 items-center gap-2">
+            <select
+              value={l.item_type}
+              onChange={(e) => setLine(i, { item_type: e.target.value, bottle_size_id: "", material_id: "" })}
+              className={`${inputCls} col-span-3`}
+            >
+              <option value="material">Material</option>
+              <option value="bottle_size">Bottle size (cartons)</option>
+            </select>
+            {l.item_type === "material" ? (
+              <select value={l.material_id} onChange={(e) => setLine(i, { material_id: e.target.value })} className={`${inputCls} col-span-4`}>
+                <option value="">Select material…</option>
+                {materials.map((m) => (
+                  <option key={m.id} value={m.id}>
+                    {m.name} ({m.unit})
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <select
+                value={l.bottle_size_id}
+                onChange={(e) => {
+                  const size = sizes.find((s) => String(s.id) === e.target.value);
+                  setLine(i, { bottle_size_id: e.target.value, unit_cost: l.unit_cost || (size?.cost_price_carton ?? "") });
+                }}
+                className={`${inputCls} col-span-4`}
+              >
+                <option value="">Select size…</option>
+                {sizes.map((s) => (
+                  <option key={s.id} value={s.id}>
+                    {s.label}
+                  </option>
+                ))}
+              </select>
+            )}
+            <input
+              type="number"
+              min={0}
+              value={l.quantity}
+              onChange={(e) => setLine(i, { quantity: e.target.value })}
+              className={`${inputCls} col-span-2`}
+            />
+            <input
+              type="number"
+              min={0}
+              step="0.01"
+              value={l.unit_cost}
+              onChange={(e) => setLine(i, { unit_cost: e.target.value })}
+              className={`${inputCls} col-span-2`}
+            />
+            <button
+              className="icon-btn col-span-1 justify-self-end text-rose-300 disabled:opacity-40"
+              title="Remove line"
+              onClick={() => setLines((ls) => ls.filter((_, j) => j !== i))}
+              disabled={lines.length === 1}
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+        ))}
+        <button
+          className="justify-self-start rounded-xl border border-white/10 px-3 py-2 text-sm"
+          onClick={() => setLines((ls) => [...ls, { item_type: "material", bottle_size_id: "", material_id: "", quantity: "", unit_cost: "" }])}
+        >
+          Add line
+        </button>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Note (optional)</span>
+          <input value={form.note} onChange={(e) => setForm((s) => ({ ...s, note: e.target.value }))} className={inputCls} />
+        </label>
+      </div>
+
+      <div className="mt-4 flex items-center justify-between">
+        <div className="text-sm text-white/70">Total: {formatMoney(total)}</div>
+        <button
+          disabled={!canSave}
+          className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
+          onClick={save}
+        >
+          {saving ? "Saving…" : "Save"}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+function ReceiveModal({ po, onClose, onSaved }) {
+  const open = (po.lines || []).filter((l) => lineRemaining(l) > 0);
+  const [qty, setQty] = useState(() => Object.fromEntries(open.map((l) => [l.id, lineRemaining(l)])));
+  const [date, setDate] = useState(todayNairobi());
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const over = open.some((l) => toNum(qty[l.id]) > lineRemaining(l));
+  const value = open.reduce((a, l) => a + toNum(qty[l.id]) * toNum(l.unit_cost), 0);
+  const canSave = !saving && !over && value > 0 && date;
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await receivePurchaseOrder(po.id, {
+        date,
+        note: note.trim(),
+        lines: open.map((l) => ({ line_id: l.id, quantity: qty[l.id] })),
+      });
+      toast.success(`Goods received — ${formatMoney(value)} added to COGS`);
+      onSaved();
+    } catch (e) {
+      toast.error(e?.message || "Receive failed");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal title={`Receive ${po.po_number || `PO #${po.id}`}`} onClose={onClose}>
+      <div className="mb-3 text-sm text-white/70">{po.supplier_name}</div>
+      <div className="rounded-2xl border border-white/10 overflow-x-auto">
+        <table className="w-full min-w-[520px] text-sm">
+          <thead className="bg-white/5">
+            <tr>
+              <th className="px-3 py-2 text-left">Item</th>
+              <th className="px-3 py-2 text-right">Ordered</th>
+              <th className="px-3 py-2 text-right">Still due</th>
+              <th className="px-3 py-2 text-right">Received now</th>
+            </tr>
+          </thead>
+          <tbody>
+            {open.map((l) => (
+              <tr key={l.id} className="border-t border-white/10">
+                <td className="px-3 py-2">{l.label}</td>
+                <td className="px-3 py-2 text-right">{formatQty(l.quantity)}</td>
+                <td className="px-3 py-2 text-right">{formatQty(lineRemaining(l))}</td>
+                <td className="px-3 py-2 text-right">
+                  <input
+                    type="number"
+                    min={0}
+                    max={lineRemaining(l)}
+                    value={qty[l.id]}
+                    onChange={(e) => setQty((q) => ({ ...q, [l.id]: e.target.value }))}
+                    className={`${inputCls} w-24 text-right ${toNum(qty[l.id]) > lineRemaining(l) ? "border-rose-500/60" : ""}`}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="mt-3 grid gap-3 sm:grid-cols-2">
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Date received</span>
+          <input type="date" value={date} max={todayNairobi()} onChange={(e) => setDate(e.target.value)} className={inputCls} />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Note (optional)</span>
+          <input value={note} onChange={(e) => setNote(e.target.value)} className={inputCls} placeholder="e.g. delivery note number" />
+        </label>
+      </div>
+      {over && <div className="mt-2 text-xs text-rose-300">Cannot receive more than is still due.</div>}
+      <div className="mt-4 flex items-center justify-between">
+        <div className="text-sm text-white/70">COGS: {formatMoney(value)}</div>
+        <button
+          disabled={!canSave}
+          className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
+          onClick={save}
+        >
+          {saving ? "Saving…" : "Confirm received"}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+/* ---------------- Suppliers ---------------- */
+
+function SuppliersTab({ suppliers, loading, onChanged }) {
+  const [editing, setEditing] = useState(null); // {} for new
+  const [paying, setPaying] = useState(null);
+
+  const owed = suppliers.reduce((a, s) => a + Math.max(0, supplierBalance(s)), 0);
+
+  const toggleActive = async (s) => {
+    try {
+      await saveSupplier({ id: s.id, is_active: s.is_active === false });
+      onChanged();
+    } catch (e) {
+      toast.error(e?.message || "Update failed");
+    }
+  };
+
+  return (
+    <>
+      <div className="mb-4 flex flex-wrap items-end gap-3">
+        <div className="grid flex-1 grid-cols-2 gap-3 sm:grid-cols-4">
+          <Tile label="Suppliers" value={suppliers.filter((s) => s.is_active !== false).length} />
+          <Tile label="We owe" value={formatMoney(owed)} />
+        </div>
+        <button className="inline-flex items-center gap-2 rounded-2xl bg-white text-gray-900 px-3 py-2" onClick={() => setEditing({})}>
+          <Plus size={16} /> New supplier
+        </button>
+      </div>
+
+      <div className="rounded-2xl border border-white/10 overflow-x-auto">
+        <table className="w-full min-w-[820px] text-sm">
+          <thead className="bg-white/5">
+            <tr>
+              <th className="px-3 py-2 text-left">Supplier</th>
+              <th className="px-3 py-2 text-left">Contact</th>
+              <th className="px-3 py-2 text-right">Terms</th>
+              <th className="px-3 py-2 text-right">Received</th>
+              <th className="px-3 py-2 text-right">Paid</th>
+              <th className="px-3 py-2 text-right">Balance</th>
+              <th className="px-3 py-2 text-right">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {suppliers.map((s) => {
+              const bal = supplierBalance(s);
+              return (
+                <tr key={s.id} className={`border-t border-white/10 ${s.is_active === false ? "text-white/40" : ""}`}>
+                  <td className="px-3 py-2">{s.name}</td>
+                  <td className="px-3 py-2">
+                    {s.contact_person || "-"}
+                    <div className="text-xs text-white/50">{[s.phone, s.email].filter(Boolean).join(" · ")}</div>
+                  </td>
+                  <td className="px-3 py-2 text-right">{toNum(s.terms_days) > 0 ? `${s.terms_days} days` : "On delivery"}</td>
+                  <td className="px-3 py-2 text-right">{formatMoney(s.received_total)}</td>
+                  <td className="px-3 py-2 text-right">{formatMoney(s.paid_total)}</td>
+                  <td className={`px-3 py-2 text-right font-semibold ${bal > 0 ? "text-amber-300" : ""}`}>{formatMoney(bal)}</td>
+                  <td className="px-3 py-2 text-right">
+                    <div className="inline-flex items-center gap-2">
+                      {s.is_active !== false && (
+                        <button className="rounded-lg border border-white/10 px-2 py-0.5 text-xs" onClick={() => setPaying(s)}>
+                          Pay
+                        </button>
+                      )}
+                      <button className="rounded-lg border border-white/10 px-2 py-0.5 text-xs" onClick={() => toggleActive(s)}>
+                        {s.is_active === false ? "Activate" : "Deactivate"}
+                      </button>
+                      <button className="icon-btn" title="Edit" onClick={() => setEditing(s)}>
+                        <Edit2 size={14} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+            {suppliers.length === 0 && (
+              <tr>
+                <td colSpan={7} className="px-3 py-8 text-center text-gray-400">
+                  {loading ? "Loading…" : "No suppliers yet"}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {editing && (
+        <SupplierModal
+          record={editing}
+          onClose={() => setEditing(null)}
+          onSaved={() => {
+            setEditing(null);
+            onChanged();
+          }}
+        />
+      )}
+      {paying && (
+        <PaymentModal
+          suppliers={[paying]}
+          initialSupplierId={paying.id}
+          onClose={() => setPaying(null)}
+          onSaved={() => {
+            setPaying(null);
+            onChanged();
+          }}
+        />
+      )}
+    </>
+  );
+}
+
+function SupplierModal({ record, onClose, onSaved }) {
+  const [form, setForm] = useState(() => ({
+    name: record.name || "",
+    contact_person: record.contact_person || "",
+    phone: record.phone || "",
+    email: record.email || "",
+    terms_days: record.terms_days ?? "",
+  }));
+  const [saving, setSaving] = useState(false);
+  const canSave = !saving && form.name.trim();
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await saveSupplier({
+        ...(record.id ? { id: record.id } : {}),
+        name: form.name.trim(),
+        contact_person: form.contact_person.trim() || null,
+        phone: form.phone.trim() || null,
+        email: form.email.trim() || null,
+        terms_days: form.terms_days === "" ? null : Math.max(0, Math.floor(toNum(form.terms_days))),
+      });
+      toast.success("Supplier saved");
+      onSaved();
+    } catch (e) {
+      toast.error(e?.message || "Save failed");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal title={record.id ? "Edit Supplier" : "New Supplier"} onClose={onClose}>
+      <div className="grid gap-3 sm:grid-cols-2">
+        <label className="grid gap-1 sm:col-span-2">
+          <span className="text-xs text-white/60">Name</span>
+          <input value={form.name} onChange={(e) => setForm((s) => ({ ...s, name: e.target.value }))} className={inputCls} />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Contact person (optional)</span>
+          <input
+            value={form.contact_person}
+            onChange={(e) => setForm((s) => ({ ...s, contact_person: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Phone (optional)</span>
+          <input value={form.phone} onChange={(e) => setForm((s) => ({ ...s, phone: e.target.value }))} className={inputCls} />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Email (optional)</span>
+          <input type="email" value={form.email} onChange={(e) => setForm((s) => ({ ...s, email: e.target.value }))} className={inputCls} />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Payment terms (days)</span>
+          <input
+            type="number"
+            min={0}
+            value={form.terms_days}
+            onChange={(e) => setForm((s) => ({ ...s, terms_days: e.target.value }))}
+            className={inputCls}
+            placeholder="On delivery"
+          />
+        </label>
+      </div>
+      <div className="mt-4 flex justify-end">
+        <button
+          disabled={!canSave}
+          className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
+          onClick={save}
+        >
+          {saving ? "Saving…" : "Save"}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+/* ---------------- Payments ---------------- */
+
+function PaymentsTab({ suppliers, refreshKey, onChanged }) {
+  const [range, setRange] = useState(() => ({ date_from: daysAgoNairobi(29), date_to: todayNairobi() }));
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [adding, setAdding] = useState(false);
+
+  async function load(r = range) {
+    setLoading(true);
+    try {
+      setRows(await listSupplierPayments(r));
+    } catch (e) {
+      toast.error(e?.message || "Failed to load payments");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [refreshKey]);
+
+  const total = rows.reduce((a, p) => a + toNum(p.amount), 0);
+
+  const exportCsv = () => {
+    const csv = toCsv(rows, [
+      { key: "date", label: "Date" },
+      { key: "supplier_name", label: "Supplier" },
+      { key: "amount", label: "Amount" },
+      { key: "payment_method", label: "Method" },
+      { key: "reference", label: "Reference" },
+      { key: "po_number", label: "Purchase order" },
+    ]);
+    downloadCsv(`supplier-payments-${range.date_from}_${range.date_to}.csv`, csv);
+  };
+
+  return (
+    <>
+      <div className="mb-4 flex flex-wrap items-end gap-2">
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">From</span>
+          <input
+            type="date"
+            value={range.date_from}
+            onChange={(e) => setRange((r) => ({ ...r, date_from: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">To</span>
+          <input
+            type="date"
+            value={range.date_to}
+            onChange={(e) => setRange((r) => ({ ...r, date_to: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+        <button className="rounded-xl border border-white/10 px-3 py-2 text-sm disabled:opacity-50" onClick={() => load()} disabled={loading}>
+          Apply
+        </button>
+        <div className="ml-auto flex gap-2">
+          <button
+            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5 disabled:opacity-50"
+            onClick={exportCsv}
+            disabled={!rows.length}
+          >
+            <Download size={16} /> CSV
+          </button>
+          <button
+            className="inline-flex items-center gap-2 rounded-2xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
+            onClick={() => setAdding(true)}
+            disabled={!suppliers.length}
+          >
+            <Plus size={16} /> New payment
+          </button>
+        </div>
+      </div>
+
+      <div className="mb-4 grid grid-cols-2 gap-3 sm:grid-cols-4">
+        <Tile label="Payments" value={rows.length} />
+        <Tile label="Paid" value={formatMoney(total)} />
+      </div>
+
+      <div className="rounded-2xl border border-white/10 overflow-x-auto">
+        <table className="w-full min-w-[640px] text-sm">
+          <thead className="bg-white/5">
+            <tr>
+              <th className="px-3 py-2 text-left">Date</th>
+              <th className="px-3 py-2 text-left">Supplier</th>
+              <th className="px-3 py-2 text-right">Amount</th>
+              <th className="px-3 py-2 text-left">Method</th>
+              <th className="px-3 py-2 text-left">Reference</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((p) => (
+              <tr key={p.id} className="border-t border-white/10">
+                <td className="px-3 py-2">{p.date}</td>
+                <td className="px-3 py-2">
+                  {p.supplier_name}
+                  {p.po_number && <div className="text-xs text-white/50">{p.po_number}</div>}
+                </td>
+                <td className="px-3 py-2 text-right">{formatMoney(p.amount)}</td>
+                <td className="px-3 py-2">{p.payment_method}</td>
+                <td className="px-3 py-2">{p.reference || "-"}</td>
+              </tr>
+            ))}
+            {rows.length === 0 && (
+              <tr>
+                <td colSpan={5} className="px-3 py-8 text-center text-gray-400">
+                  {loading ? "Loading…" : "No payments in this range"}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {adding && (
+        <PaymentModal
+          suppliers={suppliers}
+          onClose={() => setAdding(false)}
+          onSaved={() => {
+            setAdding(false);
+            onChanged();
+          }}
+        />
+      )}
+    </>
+  );
+}
+
+function PaymentModal({ suppliers, initialSupplierId = "", onClose, onSaved }) {
+  const [form, setForm] = useState(() => ({
+    supplier_id: initialSupplierId,
+    purchase_order_id: "",
+    amount: "",
+    payment_method: "M-Pesa",
+    date: todayNairobi(),
+    reference: "",
+  }));
+  const [orders, setOrders] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const supplier = suppliers.find((s) => String(s.id) === String(form.supplier_id));
+  const balance = supplier ? supplierBalance(supplier) : 0;
+  const canSave = !saving && form.supplier_id && toNum(form.amount) > 0 && form.date;
+
+  useEffect(() => {
+    if (!form.supplier_id) {
+      setOrders([]);
+      return;
+    }
+    const ctrl = new AbortController();
+    listPurchaseOrders({ supplier_id: form.supplier_id }, { signal: ctrl.signal })
+      .then((rows) => !ctrl.signal.aborted && setOrders(rows.filter((po) => poStatus(po) !== "cancelled")))
+      .catch(() => {});
+    return () => ctrl.abort();
+  }, [form.supplier_id]);
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await createSupplierPayment({
+        supplier_id: Number(form.supplier_id),
+        amount: toNum(form.amount),
+        payment_method: form.payment_method,
+        date: form.date,
+        reference: form.reference.trim() || undefined,
+        ...(form.purchase_order_id ? { purchase_order_id: Number(form.purchase_order_id) } : {}),
+      });
+      toast.success("Payment recorded");
+      onSaved();
+    } catch (e) {
+      toast.error(e?.message || "Save failed");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal title="Pay Supplier" onClose={onClose}>
+      <div className="grid gap-3 sm:grid-cols-2">
+        <label className="grid gap-1 sm:col-span-2">
+          <span className="text-xs text-white/60">Supplier</span>
+          <select
+            value={form.supplier_id}
+            onChange={(e) => setForm((s) => ({ ...s, supplier_id: e.target.value, purchase_order_id: "" }))}
+            className={inputCls}
+          >
+            <option value="">Select supplier…</option>
+            {suppliers.map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.name}
+              </option>
+            ))}
+          </select>
+          {supplier && <span className="text-xs text-white/60">Balance owed: {formatMoney(balance)}</span>}
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Amount (KES)</span>
+          <input
+            type="number"
+            min={0}
+            step="0.01"
+            value={form.amount}
+            onChange={(e) => setForm((s) => ({ ...s, amount: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Method</span>
+          <select
+            value={form.payment_method}
+            onChange={(e) => setForm((s) => ({ ...s, payment_method: e.target.value }))}
+            className={inputCls}
+          >
+            {PAYMENT_METHODS.map((m) => (
+              <option key={m} value={m}>
+                {m}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Date</span>
+          <input
+            type="date"
+            value={form.date}
+            max={todayNairobi()}
+            onChange={(e) => setForm((s) => ({ ...s, date: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Reference (optional)</span>
+          <input
+            value={form.reference}
+            onChange={(e) => setForm((s) => ({ ...s, reference: e.target.value }))}
+            className={inputCls}
+            placeholder="M-Pesa code, cheque no."
+          />
+        </label>
+        <label className="grid gap-1 sm:col-span-2">
+          <span className="text-xs text-white/60">Against order (optional)</span>
+          <select
+            value={form.purchase_order_id}
+            onChange={(e) => setForm((s) => ({ ...s, purchase_order_id: e.target.value }))}
+            className={inputCls}
+          >
+            <option value="">General payment</option>
+            {orders.map((po) => (
+              <option key={po.id} value={po.id}>
+                {po.po_number || `#${po.id}`} — {po.date} — {formatMoney(poTotals(po).ordered)}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {supplier && toNum(form.amount) > balance && balance >= 0 && (
+        <div className="mt-2 text-xs text-amber-300">More than the balance owed — the excess is held as a prepayment.</div>
+      )}
+      <div className="mt-4 flex justify-end">
+        <button
+          disabled={!canSave}
+          className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
+          onClick={save}
+        >
+          {saving ? "Saving…" : "Save"}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+/* ---------------- UI bits & helpers ---------------- */
+
+function formatQty(v) {
+  return new Intl.NumberFormat("en-KE", { maximumFractionDigits: 3 }).format(toNum(v));
+}
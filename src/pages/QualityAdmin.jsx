@@ -0,0 +1,527 @@
+// src/pages/QualityAdmin.jsx
+import { useEffect, useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import { Plus, RefreshCcw, Edit2, Loader2, FlaskConical, SlidersHorizontal, Printer, Download } from "lucide-react";
+import { toast } from "react-toastify";
+
+import { listBatches } from "../utils/batches.jsx";
+import { toCsv, downloadCsv } from "../utils/csv.jsx";
+import { printHtml } from "../utils/printHtml.jsx";
+import {
+  DEFAULT_LIMITS,
+  QUALITY_PARAMS,
+  SAMPLE_POINTS,
+  complianceReportHtml,
+  evaluateTest,
+  getQualityLimits,
+  limitText,
+  listQualityTests,
+  paramPasses,
+  saveQualityLimits,
+  saveQualityTest,
+} from "../utils/quality.jsx";
+import { toNum, todayNairobi, daysAgoNairobi } from "../utils/format.jsx";
+import Modal from "../components/Modal.jsx";
+import TabBtn from "../components/TabBtn.jsx";
+import Tile from "../components/Tile.jsx";
+import { inputCls } from "../components/formStyles.jsx";
+
+/**
+ * QualityAdmin.jsx — water quality tests per production run
+ * - Tests: pH, TDS, chlorine & microbiology logged against a day (and optionally a batch),
+ *   judged against the limits; printable compliance report for inspectors
+ * - Limits: the plant's pass/fail range per parameter
+ * A day whose latest test failed blocks packaging entries (see PackagingAdmin's EntryModal).
+ */
+
+const BRAND = import.meta.env?.VITE_BRAND_NAME || "Blue Bash";
+
+export default function QualityAdmin() {
+  const [tab, setTab] = useState("tests");
+  const [limits, setLimits] = useState(DEFAULT_LIMITS);
+  const [range, setRange] = useState(() => ({ date_from: daysAgoNairobi(29), date_to: todayNairobi() }));
+  const [tests, setTests] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  async function load(r = range) {
+    setLoading(true);
+    try {
+      const [t, l] = await Promise.all([listQualityTests(r), getQualityLimits()]);
+      setTests(t);
+      setLimits(l);
+    } catch (e) {
+      toast.error(e?.message || "Failed to load quality tests");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  return (
+    <div className="p-4 md:p-6 lg:p-8 w-full max-w-7xl mx-auto">
+      <header className="mb-4 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl md:text-3xl font-semibold">Water Quality</h1>
+          <p className="text-sm text-white/60">pH, TDS, chlorine and microbiology for every production run.</p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <TabBtn active={tab === "tests"} onClick={() => setTab("tests")}>
+            <FlaskConical size={16} /> Tests
+          </TabBtn>
+          <TabBtn active={tab === "limits"} onClick={() => setTab("limits")}>
+            <SlidersHorizontal size={16} /> Limits
+          </TabBtn>
+          <button
+            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5 disabled:opacity-50"
+            onClick={() => load()}
+            disabled={loading}
+            title="Refresh"
+          >
+            {loading ? <Loader2 size={16} className="animate-spin" /> : <RefreshCcw size={16} />}
+          </button>
+        </div>
+      </header>
+
+      <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }}>
+        {tab === "tests" && (
+          <TestsTab
+            tests={tests}
+            limits={limits}
+            range={range}
+            setRange={setRange}
+            loading={loading}
+            onApply={() => load()}
+            onChanged={() => load()}
+          />
+        )}
+        {tab === "limits" && <LimitsTab limits={limits} onSaved={setLimits} />}
+      </motion.div>
+    </div>
+  );
+}
+
+/* ---------------- Tests ---------------- */
+
+function TestsTab({ tests, limits, range, setRange, loading, onApply, onChanged }) {
+  const [editing, setEditing] = useState(null); // {} for new
+
+  const evaluated = useMemo(() => tests.map((t) => ({ t, ev: evaluateTest(t, limits) })), [tests, limits]);
+  const failed = evaluated.filter((x) => x.ev.pass === false).length;
+  const days = new Set(tests.map((t) => String(t.date).slice(0, 10))).size;
+
+  const printReport = () => {
+    const body = complianceReportHtml(tests, limits, { brand: BRAND, dateFrom: range.date_from, dateTo: range.date_to });
+    printHtml(`Water quality ${range.date_from} – ${range.date_to}`, body, { page: "a4" });
+  };
+
+  const exportCsv = () => {
+    const csv = toCsv(evaluated, [
+      { key: "date", label: "Date", value: ({ t }) => String(t.date).slice(0, 10) },
+      { key: "batch_code", label: "Batch", value: ({ t }) => t.batch_code || "" },
+      { key: "sample_point", label: "Sample", value: ({ t }) => t.sample_point || "" },
+      ...QUALITY_PARAMS.map((p) => ({
+        key: p.key,
+        label: p.unit ? `${p.label} (${p.unit})` : p.label,
+        value: ({ t }) => t.values?.[p.key] ?? "",
+      })),
+      { key: "result", label: "Result", value: ({ ev }) => (ev.pass === false ? "FAIL" : ev.pass ? "PASS" : "") },
+      { key: "tested_by", label: "Tested by", value: ({ t }) => t.tested_by || t.user_name || "" },
+      { key: "notes", label: "Notes", value: ({ t }) => t.notes || "" },
+    ]);
+    downloadCsv(`water-quality-${range.date_from}_${range.date_to}.csv`, csv);
+  };
+
+  return (
+    <>
+      <div className="mb-4 flex flex-wrap items-end gap-2">
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">From</span>
+          <input
+            type="date"
+            value={range.date_from}
+            onChange={(e) => setRange((r) => ({ ...r, date_from: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">To</span>
+          <input
+            type="date"
+            value={range.date_to}
+            onChange={(e) => setRange((r) => ({ ...r, date_to: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+        <button className="rounded-xl border border-white/10 px-3 py-2 text-sm disabled:opacity-50" onClick={onApply} disabled={loading}>
+          Apply
+        </button>
+        <div className="ml-auto flex flex-wrap gap-2">
+          <button
+            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5 disabled:opacity-50"
+            onClick={exportCsv}
+            disabled={!tests.length}
+          >
+            <Download size={16} /> CSV
+          </button>
+          <button
+            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 border border-white/10 hover:bg-white/5"
+            onClick={printReport}
+            title="Printable report for inspectors"
+          >
+            <Printer size={16} /> Compliance report
+          </button>
+          <button className="inline-flex items-center gap-2 rounded-2xl bg-white text-gray-900 px-3 py-2" onClick={() => setEditing({})}>
+            <Plus size={16} /> Log test
+          </button>
+        </div>
+      </div>
+
+      <div className="mb-4 grid grid-cols-2 gap-3 sm:grid-cols-4">
+        <Tile label="Tests" value={tests.length} />
+        <Tile label="Days tested" value={days} />
+        <Tile label="Failed" value={failed} tone={failed ? "text-rose-300" : ""} />
+      </div>
+
+      <div className="rounded-2xl border border-white/10 overflow-x-auto">
+        <table className="w-full min-w-[900px] text-sm">
+          <thead className="bg-white/5">
+            <tr>
+              <th className="px-3 py-2 text-left">Date</th>
+              <th className="px-3 py-2 text-left">Batch</th>
+              <th className="px-3 py-2 text-left">Sample</th>
+              {QUALITY_PARAMS.map((p) => (
+                <th key={p.key} className="px-3 py-2 text-right">
+                  {p.label}
+                  <div className="text-[10px] font-normal text-white/50">{limitText(p, limits)}</div>
+                </th>
+              ))}
+              <th className="px-3 py-2 text-left">Result</th>
+              <th className="px-3 py-2 text-right">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {evaluated.map(({ t, ev }) => (
+              <tr key={t.id} className="border-t border-white/10">
+                <td className="px-3 py-2">{String(t.date).slice(0, 10)}</td>
+                <td className="px-3 py-2">{t.batch_code || "-"}</td>
+                <td className="px-3 py-2">
+                  {t.sample_point || "-"}
+                  {(t.tested_by || t.user_name) && <div className="text-xs text-white/50">{t.tested_by || t.user_name}</div>}
+                </td>
+                {ev.results.map((r) => (
+                  <td key={r.key} className={`px-3 py-2 text-right ${r.pass === false ? "text-rose-300 font-semibold" : ""}`}>
+                    {r.value === undefined || r.value === null || r.value === "" ? "-" : r.value}
+                  </td>
+                ))}
+                <td className="px-3 py-2">
+                  <ResultBadge pass={ev.pass} />
+                  {t.notes && <div className="text-xs text-white/50">{t.notes}</div>}
+                </td>
+                <td className="px-3 py-2 text-right">
+                  <button className="icon-btn" title="Edit" onClick={() => setEditing(t)}>
+                    <Edit2 size={14} />
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {tests.length === 0 && (
+              <tr>
+                <td colSpan={QUALITY_PARAMS.length + 5} className="px-3 py-8 text-center text-gray-400">
+                  {loading ? "Loading…" : "No tests in this range"}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {editing && (
+        <TestModal
+          record={editing}
+          limits={limits}
+          onClose={() => setEditing(null)}
+          onSaved={() => {
+            setEditing(null);
+            onChanged();
+          }}
+        />
+      )}
+    </>
+  );
+}
+
+function TestModal({ record, limits, onClose, onSaved }) {
+  const [form, setForm] = useState(() => ({
+    date: record.date ? String(record.date).slice(0, 10) : todayNairobi(),
+    batch_code: record.batch_code || "",
+    sample_point: record.sample_point || SAMPLE_POINTS[SAMPLE_POINTS.length - 1],
+    values: Object.fromEntries(QUALITY_PARAMS.map((p) => [p.key, record.values?.[p.key] ?? ""])),
+    tested_by: record.tested_by || "",
+    notes: record.notes || "",
+  }));
+  const [batches, setBatches] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const ctrl = new AbortController();
+    listBatches({ status: "all" }, { signal: ctrl.signal })
+      .then((rows) => !ctrl.signal.aborted && setBatches(rows))
+      .catch(() => {});
+    return () => ctrl.abort();
+  }, []);
+
+  const dayBatches = batches.filter((b) => String(b.production_date).slice(0, 10) === form.date);
+  const ev = evaluateTest(form, limits);
+  const canSave = !saving && form.date && ev.pass !== null;
+
+  const setValue = (key, value) => setForm((s) => ({ ...s, values: { ...s.values, [key]: value } }));
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const values = {};
+      for (const p of QUALITY_PARAMS) {
+        const v = form.values[p.key];
+        if (v === "") continue;
+        values[p.key] = p.kind === "absent" ? v : toNum(v);
+      }
+      await saveQualityTest({
+        ...(record.id ? { id: record.id } : {}),
+        date: form.date,
+        batch_code: form.batch_code.trim() || null,
+        sample_point: form.sample_point,
+        values,
+        passed: ev.pass,
+        tested_by: form.tested_by.trim() || undefined,
+        notes: form.notes.trim() || undefined,
+      });
+      toast[ev.pass ? "success" : "warning"](ev.pass ? "Test saved — passed" : `Test saved — failed: ${ev.failed.join(", ")}`);
+      onSaved();
+    } catch (e) {
+      toast.error(e?.message || "Save failed");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal title={record.id ? "Edit Water Test" : "Log Water Test"} onClose={onClose}>
+      <div className="grid gap-3 sm:grid-cols-3">
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Production date</span>
+          <input
+            type="date"
+            value={form.date}
+            max={todayNairobi()}
+            onChange={(e) => setForm((s) => ({ ...s, date: e.target.value }))}
+            className={inputCls}
+          />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Batch (optional)</span>
+          <input
+            list="quality-day-batches"
+            value={form.batch_code}
+            onChange={(e) => setForm((s) => ({ ...s, batch_code: e.target.value }))}
+            className={inputCls}
+            placeholder="Whole day"
+          />
+          <datalist id="quality-day-batches">
+            {dayBatches.map((b) => (
+              <option key={b.batch_code} value={b.batch_code}>
+                {b.bottle_size_label}
+              </option>
+            ))}
+          </datalist>
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Sample point</span>
+          <select
+            value={form.sample_point}
+            onChange={(e) => setForm((s) => ({ ...s, sample_point: e.target.value }))}
+            className={inputCls}
+          >
+            {SAMPLE_POINTS.map((s) => (
+              <option key={s} value={s}>
+                {s}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="mt-3 grid gap-2 rounded-xl border border-white/10 p-3">
+        {QUALITY_PARAMS.map((p) => {
+          const pass = paramPasses(p, form.values[p.key], limits);
+          return (
+            <div key={p.key} className="grid grid-cols-[1fr_10rem_5rem] items-center gap-2 text-sm">
+              <div>
+                {p.label}
+                <span className="ml-2 text-xs text-white/50">
+                  {limitText(p, limits)} {p.unit}
+                </span>
+              </div>
+              {p.kind === "absent" ? (
+                <select value={form.values[p.key]} onChange={(e) => setValue(p.key, e.target.value)} className={inputCls}>
+                  <option value="">Not tested</option>
+                  <option value="absent">Absent</option>
+                  <option value="present">Present</option>
+                </select>
+              ) : (
+                <input
+                  type="number"
+                  step="0.01"
+                  min={0}
+                  value={form.values[p.key]}
+                  onChange={(e) => setValue(p.key, e.target.value)}
+                  className={inputCls}
+                  placeholder="Not tested"
+                />
+              )}
+              <div className="text-right">
+                <ResultBadge pass={pass} />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="mt-3 grid gap-3 sm:grid-cols-2">
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Tested by (optional)</span>
+          <input value={form.tested_by} onChange={(e) => setForm((s) => ({ ...s, tested_by: e.target.value }))} className={inputCls} />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs text-white/60">Notes (optional)</span>
+          <input value={form.notes} onChange={(e) => setForm((s) => ({ ...s, notes: e.target.value }))} className={inputCls} />
+        </label>
+      </div>
+
+      {ev.pass === false && (
+        <div className="mt-3 rounded-xl border border-rose-500/30 bg-rose-500/10 p-2 text-xs text-rose-200">
+          Failed: {ev.failed.join(", ")}. Packaging for {form.date} is blocked until a passing re-test is logged.
+        </div>
+      )}
+
+      <div className="mt-4 flex items-center justify-between">
+        <div className="text-sm text-white/70">
+          Result: <ResultBadge pass={ev.pass} />
+        </div>
+        <button
+          disabled={!canSave}
+          className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
+          onClick={save}
+        >
+          {saving ? "Saving…" : "Save"}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+/* ---------------- Limits ---------------- */
+
+function LimitsTab({ limits, onSaved }) {
+  const ranged = QUALITY_PARAMS.filter((p) => p.kind === "range");
+  const [form, setForm] = useState(() =>
+    Object.fromEntries(ranged.map((p) => [p.key, { min: limits[p.key]?.min ?? "", max: limits[p.key]?.max ?? "" }]))
+  );
+  const [saving, setSaving] = useState(false);
+
+  const setLimit = (key, side, value) => setForm((s) => ({ ...s, [key]: { ...s[key], [side]: value } }));
+  const invalid = ranged.some((p) => {
+    const { min, max } = form[p.key];
+    return min !== "" && max !== "" && toNum(min) > toNum(max);
+  });
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const body = {};
+      for (const p of ranged) {
+        const { min, max } = form[p.key];
+        body[p.key] = {
+          ...(min !== "" ? { min: toNum(min) } : {}),
+          ...(max !== "" ? { max: toNum(max) } : {}),
+        };
+      }
+      onSaved(await saveQualityLimits(body));
+      toast.success("Limits saved");
+    } catch (e) {
+      toast.error(e?.message || "Save failed");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="max-w-2xl rounded-2xl border border-white/10 p-4">
+      <div className="grid gap-2">
+        {ranged.map((p) => (
+          <div key={p.key} className="grid grid-cols-[1fr_8rem_8rem] items-end gap-2 text-sm">
+            <div className="pb-2">
+              {p.label} {p.unit && <span className="text-xs text-white/50">({p.unit})</span>}
+            </div>
+            <label className="grid gap-1">
+              <span className="text-xs text-white/60">Min</span>
+              <input
+                type="number"
+                step="0.01"
+                value={form[p.key].min}
+                onChange={(e) => setLimit(p.key, "min", e.target.value)}
+                className={inputCls}
+                placeholder="None"
+              />
+            </label>
+            <label className="grid gap-1">
+              <span className="text-xs text-white/60">Max</span>
+              <input
+                type="number"
+                step="0.01"
+                value={form[p.key].max}
+                onChange={(e) => setLimit(p.key, "max", e.target.value)}
+                className={inputCls}
+                placeholder="None"
+              />
+            </label>
+          </div>
+        ))}
+        {QUALITY_PARAMS.filter((p) => p.kind === "absent").map((p) => (
+          <div key={p.key} className="flex justify-between border-t border-white/5 pt-2 text-sm">
+            <span>{p.label}</span>
+            <span className="text-white/60">Must be absent</span>
+          </div>
+        ))}
+      </div>
+      {invalid && <div className="mt-2 text-xs text-rose-300">Min cannot be above max.</div>}
+      <div className="mt-4 flex justify-end">
+        <button
+          disabled={saving || invalid}
+          className="inline-flex items-center gap-2 rounded-xl bg-white text-gray-900 px-3 py-2 disabled:opacity-50"
+          onClick={save}
+        >
+          {saving ? "Saving…" : "Save limits"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/* ---------------- UI bits & helpers ---------------- */
+
+function ResultBadge({ pass }) {
+  if (pass === null) return <span className="text-xs text-white/40">—</span>;
+  return (
+    <span
+      className={`rounded-full px-2 py-0.5 text-[11px] ${
+        pass ? "bg-emerald-500/20 text-emerald-300" : "bg-rose-500/20 text-rose-300"
+      }`}
+    >
+      {pass ? "Pass" : "Fail"}
+    </span>
+  );
+}
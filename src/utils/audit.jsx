@@ -0,0 +1,94 @@
+// src/utils/audit.jsx — audit log API + before/after diffing (admin Activity page, history panels)
+import { apiRequest, qs } from "../api.jsx";
+
+export const ENTITY_TYPES = [
+  { value: "sale", label: "Sale" },
+  { value: "payment", label: "Payment" },
+  { value: "packaging", label: "Packaging entry" },
+  { value: "bottle_size", label: "Bottle size" },
+  { value: "stock_adjustment", label: "Stock adjustment" },
+  { value: "material", label: "Material" },
+  { value: "material_purchase", label: "Material purchase" },
+  { value: "supplier", label: "Supplier" },
+  { value: "purchase_order", label: "Purchase order" },
+  { value: "supplier_payment", label: "Supplier payment" },
+  { value: "quality_test", label: "Water quality test" },
+  { value: "expense", label: "Expense" },
+  { value: "expense_category", label: "Expense category" },
+  { value: "recurring_expense", label: "Recurring expense" },
+  { value: "customer", label: "Customer" },
+  { value: "day_closing", label: "Day closing" },
+  { value: "trip", label: "Dispatch trip" },
+  { value: "driver", label: "Driver" },
+  { value: "vehicle", label: "Vehicle" },
+];
+
+export const ACTIONS = {
+  create: { label: "Created", cls: "bg-emerald-500/20 text-emerald-300" },
+  update: { label: "Edited", cls: "bg-sky-500/20 text-sky-300" },
+  delete: { label: "Deleted", cls: "bg-rose-500/20 text-rose-300" },
+  restore: { label: "Restored", cls: "bg-amber-500/20 text-amber-300" },
+};
+
+// bookkeeping columns that change on every write and say nothing to a reader
+const IGNORED_FIELDS = new Set(["updated_at", "created_at", "id"]);
+
+export function entityLabel(type) {
+  return ENTITY_TYPES.find((t) => t.value === type)?.label || String(type || "").replace(/_/g, " ");
+}
+
+/**
+ * GET /audit-logs
+ * params: { user_id, entity_type, entity_id, include_children, action, date_from, date_to, page, per_page }
+ * → { data: [{ id, created_at, actor_id, actor_name, action, entity_type, entity_id, entity_label,
+ *              before, after, changes? }], pagination }
+ */
+export async function listAuditLogs(params = {}, opts = {}) {
+  const res = await apiRequest(`/audit-logs${qs(params)}`, { signal: opts.signal });
+  return {
+    data: Array.isArray(res?.data) ? res.data : [],
+    pagination: res?.pagination || { page: 1, pages: 1, total: 0 },
+  };
+}
+
+/**
+ * Field-level changes of one log row → [{ field, before, after }]
+ * Uses the server's `changes` ({ field: [before, after] }) when present, else diffs before/after.
+ */
+export function diffChanges(log) {
+  if (log?.changes && typeof log.changes === "object") {
+    return Object.entries(log.changes)
+      .filter(([field]) => !IGNORED_FIELDS.has(field))
+      .map(([field, pair]) => ({
+        field,
+        before: Array.isArray(pair) ? pair[0] : undefined,
+        after: Array.isArray(pair) ? pair[1] : pair,
+      }));
+  }
+  const before = log?.before || {};
+  const after = log?.after || {};
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return fields
+    .filter((f) => !IGNORED_FIELDS.has(f) && JSON.stringify(before[f]) !== JSON.stringify(after[f]))
+    .map((f) => ({ field: f, before: before[f], after: after[f] }));
+}
+
+export function formatValue(v) {
+  if (v === null || v === undefined || v === "") return "—";
+  if (typeof v === "boolean") return v ? "Yes" : "No";
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
+export function formatAuditTime(v) {
+  if (!v) return "";
+  // naive timestamps from the API are UTC
+  const s = String(v);
+  const d = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(s) ? s : `${s}Z`);
+  if (Number.isNaN(d.getTime())) return s;
+  return new Intl.DateTimeFormat("en-KE", {
+    timeZone: "Africa/Nairobi",
+    dateStyle: "medium",
+    timeStyle: "medium",
+  }).format(d);
+}
@@ -0,0 +1,95 @@
+// src/utils/batches.jsx — production batches / lots: codes, FIFO allocation onto sales, recall lookups
+import { apiRequest, qs } from "../api.jsx";
+
+/**
+ * Every packaging entry is one batch: { batch_code, production_date, best_before? }.
+ * Sales draw cartons from the oldest open batch of the size first (FIFO by production
+ * date, expired batches skipped); the server records the allocation on each sale item
+ * as `batches: [{ batch_code, quantity }]`, and returns put cartons back on their batch.
+ *
+ * Endpoints
+ * - /batches                       GET ?bottle_size_id&status=open|all&q
+ *   → [{ batch_code, bottle_size_id, bottle_size_label, production_date, best_before,
+ *        cartons_packed, cartons_remaining, packaging_entry_id }]
+ * - /batches/:code/recipients      GET
+ *   → [{ sale_id, receipt_number, date, customer_id, customer_name, customer_phone, sale_type,
+ *        trip_id, driver_name, vehicle_registration, quantity, returned }]
+ */
+
+const SOON_DAYS = 14;
+
+export async function listBatches(params = {}, opts = {}) {
+  const res = await apiRequest(`/batches${qs(params)}`, { signal: opts.signal });
+  return Array.isArray(res?.data) ? res.data : [];
+}
+
+export async function batchRecipients(code) {
+  const res = await apiRequest(`/batches/${encodeURIComponent(code)}/recipients`);
+  return Array.isArray(res?.data) ? res.data : [];
+}
+
+/**
+ * Suggested code for a new entry: YYMMDD-SIZE, with -2, -3… when the day already has one.
+ * e.g. ("500ml", "2026-10-19") → "261019-500ML"
+ */
+export function suggestBatchCode(sizeLabel, productionDate, existing = []) {
+  const day = String(productionDate || "").replace(/-/g, "").slice(2, 8);
+  const size = String(sizeLabel || "").toUpperCase().replace(/[^A-Z0-9]+/g, "").slice(0, 8) || "SIZE";
+  const base = `${day}-${size}`;
+  const taken = new Set((existing || []).map((c) => String(c).toUpperCase()));
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base}-${n}`)) n++;
+  return `${base}-${n}`;
+}
+
+/** "expired" | "soon" (within 14 days) | null for a batch's best-before on `today` ("YYYY-MM-DD") */
+export function expiryStatus(bestBefore, today) {
+  if (!bestBefore) return null;
+  const bb = String(bestBefore).slice(0, 10);
+  if (bb < today) return "expired";
+  const days = (Date.parse(bb) - Date.parse(today)) / 86400000;
+  return days <= SOON_DAYS ? "soon" : null;
+}
+
+export const EXPIRY_BADGE = {
+  expired: { label: "Expired", cls: "bg-rose-500/20 text-rose-300" },
+  soon: { label: "Best-before soon", cls: "bg-amber-500/20 text-amber-300" },
+};
+
+/**
+ * FIFO: which batches `quantity` cartons of a size come from (oldest production date first,
+ * expired batches skipped). Mirrors the server's allocation for previews.
+ * → { lines: [{ batch_code, quantity, best_before }], unallocated }
+ */
+export function fifoAllocate(batches, bottleSizeId, quantity, today) {
+  let left = Math.max(0, Math.floor(Number(quantity) || 0));
+  const open = (batches || [])
+    .filter(
+      (b) =>
+        String(b.bottle_size_id) === String(bottleSizeId) &&
+        Number(b.cartons_remaining) > 0 &&
+        expiryStatus(b.best_before, today) !== "expired"
+    )
+    .sort(
+      (a, b) =>
+        String(a.production_date).localeCompare(String(b.production_date)) ||
+        String(a.batch_code).localeCompare(String(b.batch_code))
+    );
+  const lines = [];
+  for (const b of open) {
+    if (!left) break;
+    const take = Math.min(left, Number(b.cartons_remaining));
+    lines.push({ batch_code: b.batch_code, quantity: take, best_before: b.best_before || null });
+    left -= take;
+  }
+  return { lines, unallocated: left };
+}
+
+/** "261019-500ML ×10, 261020-500ML ×5" for a sale item's `batches` */
+export function formatBatches(batches) {
+  return (batches || [])
+    .filter((b) => b?.batch_code)
+    .map((b) => `${b.batch_code} ×${Number(b.quantity) || 0}`)
+    .join(", ");
+}
@@ -0,0 +1,56 @@
+// src/utils/cashup.jsx — Cash / M-Pesa splits shared by the expenses page and Close Day
+import { toNum } from "./format.jsx";
+import { COGS_CATEGORY } from "./expenseCategories.jsx";
+import { expenseStatus, isCountedExpense } from "./expenseApproval.jsx";
+
+// Kenyan notes & coins, largest first
+export const CASH_DENOMINATIONS = [1000, 500, 200, 100, 50, 40, 20, 10, 5, 1];
+
+/** Anything that is not "M-Pesa" counts as cash (matches how expenses are entered) */
+export function splitByMethod(rows) {
+  return (rows || []).reduce(
+    (acc, r) => {
+      const pm = (r?.payment_method || "Cash").trim();
+      const amt = toNum(r?.amount);
+      if (pm === "M-Pesa") acc.mpesa += amt;
+      else acc.cash += amt;
+      acc.total += amt;
+      return acc;
+    },
+    { cash: 0, mpesa: 0, total: 0 }
+  );
+}
+
+/**
+ * The day's expenses as Close Day sees them: only "Cash" rows came out of the drawer.
+ * COGS rows (manual purchases & goods received on a PO, which may still be on credit) and
+ * Bank / Other payments are kept apart so they don't move expected cash; deleted rows are dropped.
+ * Only approved expenses count — pending cash expenses are totalled on their own line, rejected ones are left out.
+ */
+export function drawerExpenses(rows) {
+  return (rows || []).reduce(
+    (acc, r) => {
+      if (!r || r.deleted_at) return acc;
+      const amt = toNum(r.amount);
+      const pm = (r.payment_method || "Cash").trim();
+      if (!isCountedExpense(r)) {
+        if (expenseStatus(r) === "pending" && pm === "Cash" && (r.category || "") !== COGS_CATEGORY) {
+          acc.pendingCash += amt;
+          acc.pendingCount += 1;
+        }
+        return acc;
+      }
+      if ((r.category || "") === COGS_CATEGORY) acc.cogs += amt;
+      else if (pm === "Cash") acc.cash += amt;
+      else if (pm === "M-Pesa") acc.mpesa += amt;
+      else acc.other += amt;
+      return acc;
+    },
+    { cash: 0, mpesa: 0, other: 0, cogs: 0, pendingCash: 0, pendingCount: 0 }
+  );
+}
+
+/** { 1000: 3, 500: "2" } → 4000 */
+export function denominationsTotal(counts) {
+  return CASH_DENOMINATIONS.reduce((t, d) => t + d * Math.max(0, Math.floor(toNum(counts?.[d]))), 0);
+}
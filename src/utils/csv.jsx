@@ -0,0 +1,72 @@
+// src/utils/csv.jsx — tiny CSV helpers for client-side exports & imports
+
+function cell(v) {
+  if (v === null || v === undefined) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * toCsv(rows, columns)
+ * columns: [{ key, label, value?: (row) => any }]
+ */
+export function toCsv(rows, columns) {
+  const head = columns.map((c) => cell(c.label ?? c.key)).join(",");
+  const body = rows.map((r) =>
+    columns.map((c) => cell(typeof c.value === "function" ? c.value(r) : r?.[c.key])).join(",")
+  );
+  return [head, ...body].join("\r\n");
+}
+
+export function downloadCsv(filename, csv) {
+  // BOM so Excel opens UTF-8 (e.g. "—", "→") correctly
+  const blob = new Blob(["\uFEFF", csv], { type: "text/csv;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+/** Parse CSV text (quoted fields, CRLF) into an array of row arrays */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => String(c).trim() !== ""));
+}
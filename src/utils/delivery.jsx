@@ -0,0 +1,160 @@
+// src/utils/delivery.jsx — drivers, vehicles, delivery routes & trips (dispatch sales out on the road)
+import { apiRequest, apiWrite, rowsOf, qs } from "../api.jsx";
+import { toNum } from "./format.jsx";
+
+/**
+ * A trip is one vehicle + driver going out on a route on a Nairobi day, carrying
+ * one or more dispatch sales. The load sheet is the cartons per size across those
+ * sales; closing the trip closes every sale's dispatch (returns + collection) at once.
+ *
+ * Endpoints
+ * - /drivers, /vehicles, /delivery-routes   GET (?include_inactive) · POST · PUT /:id
+ * - /trips                                  GET ?date_from&date_to&status&driver_id · POST
+ * - /trips/:id                              GET (with sales) · PUT { driver_id, vehicle_id, route_id, notes, sale_ids }
+ * - /trips/:id/close                        POST { sales: [{ sale_id, returns, amount_paid?, payment_method?, mpesa_code? }],
+ *                                                  summary, note }
+ */
+
+export const FLEET_KINDS = {
+  driver: { path: "/drivers", label: "Driver", plural: "Drivers" },
+  vehicle: { path: "/vehicles", label: "Vehicle", plural: "Vehicles" },
+  route: { path: "/delivery-routes", label: "Route", plural: "Routes" },
+};
+
+export const TRIP_STATUS = {
+  open: { label: "On the road", cls: "bg-amber-500/20 text-amber-300" },
+  closed: { label: "Closed", cls: "bg-emerald-500/20 text-emerald-300" },
+};
+
+/* ---------------- Fleet: drivers / vehicles / routes ---------------- */
+
+export async function listFleet(kind, params = {}) {
+  const res = await apiRequest(`${FLEET_KINDS[kind].path}${qs(params)}`);
+  return rowsOf(res);
+}
+
+export async function saveFleet(kind, record) {
+  const { id, ...body } = record;
+  const path = FLEET_KINDS[kind].path;
+  const res = id
+    ? await apiWrite(`${path}/${id}`, { method: "PUT", body })
+    : await apiWrite(path, { method: "POST", body });
+  return res?.data;
+}
+
+export function fleetLabel(kind, r) {
+  if (!r) return "—";
+  if (kind === "vehicle") return [r.registration, r.description].filter(Boolean).join(" · ");
+  return r.name || `#${r.id}`;
+}
+
+/* ---------------- Trips ---------------- */
+
+export async function listTrips(params = {}) {
+  const res = await apiRequest(`/trips${qs(params)}`);
+  return rowsOf(res);
+}
+
+export async function getTrip(id, opts = {}) {
+  const res = await apiRequest(`/trips/${id}`, { signal: opts.signal });
+  return res?.data || null;
+}
+
+export async function saveTrip(trip) {
+  const { id, ...body } = trip;
+  const res = id
+    ? await apiWrite(`/trips/${id}`, { method: "PUT", body })
+    : await apiWrite(`/trips`, { method: "POST", body });
+  return res?.data;
+}
+
+export async function closeTrip(id, payload) {
+  const res = await apiWrite(`/trips/${id}/close`, { method: "POST", body: payload });
+  return res?.data;
+}
+
+export function tripTitle(trip) {
+  if (!trip) return "";
+  const parts = [trip.driver_name, trip.vehicle_registration, trip.route_name].filter(Boolean);
+  return parts.length ? parts.join(" · ") : `Trip #${trip.id}`;
+}
+
+/* ---------------- Load sheet & trip totals ---------------- */
+
+/**
+ * Cartons per size across a trip's sales.
+ * salesWithItems: [{ sale, items: listItemsForSale(sale.id) }]
+ * → { rows: [{ bottle_size_id, label, quantity, value }], totalCartons, totalValue }
+ */
+export function buildLoadSheet(salesWithItems) {
+  const bySize = new Map();
+  for (const { items } of salesWithItems || []) {
+    for (const it of items || []) {
+      const key = it.bottle_size_id;
+      const row = bySize.get(key) || { bottle_size_id: key, label: it.bottle_size_label || `Size #${key}`, quantity: 0, value: 0 };
+      const qty = toNum(it.quantity);
+      row.quantity += qty;
+      row.value += qty * toNum(it.unit_price);
+      bySize.set(key, row);
+    }
+  }
+  const rows = [...bySize.values()].sort((a, b) => String(a.label).localeCompare(String(b.label)));
+  return {
+    rows,
+    totalCartons: rows.reduce((a, r) => a + r.quantity, 0),
+    totalValue: rows.reduce((a, r) => a + r.value, 0),
+  };
+}
+
+/**
+ * Totals for a trip close form.
+ * lines: [{ items, returns: { [bottle_size_id]: n }, amount_paid, payment_method }]
+ */
+export function tripCloseSummary(lines) {
+  const s = { cartons_loaded: 0, cartons_returned: 0, cartons_delivered: 0, sales_value: 0, cash_collected: 0, mpesa_collected: 0 };
+  for (const line of lines || []) {
+    for (const it of line.items || []) {
+      const sent = toNum(it.quantity);
+      const ret = Math.min(sent, toNum(line.returns?.[it.bottle_size_id]));
+      s.cartons_loaded += sent;
+      s.cartons_returned += ret;
+      s.sales_value += (sent - ret) * toNum(it.unit_price);
+    }
+    const paid = toNum(line.amount_paid);
+    if (line.payment_method === "M-Pesa") s.mpesa_collected += paid;
+    else s.cash_collected += paid;
+  }
+  s.cartons_delivered = s.cartons_loaded - s.cartons_returned;
+  return s;
+}
+
+/**
+ * Per-driver performance over closed trips (each carries the `summary` saved at close).
+ * → [{ driver_id, driver_name, trips, loaded, returned, delivered, returns_rate, cash, mpesa, collected, sales_value }]
+ */
+export function driverPerformance(trips) {
+  const byDriver = new Map();
+  for (const t of trips || []) {
+    if (t.status !== "closed") continue;
+    const key = t.driver_id ?? "none";
+    const row =
+      byDriver.get(key) ||
+      { driver_id: t.driver_id ?? null, driver_name: t.driver_name || "Unassigned", trips: 0, loaded: 0, returned: 0, delivered: 0, cash: 0, mpesa: 0, sales_value: 0 };
+    const s = t.summary || {};
+    row.trips += 1;
+    row.loaded += toNum(s.cartons_loaded);
+    row.returned += toNum(s.cartons_returned);
+    row.delivered += toNum(s.cartons_delivered ?? toNum(s.cartons_loaded) - toNum(s.cartons_returned));
+    row.cash += toNum(s.cash_collected);
+    row.mpesa += toNum(s.mpesa_collected);
+    row.sales_value += toNum(s.sales_value);
+    byDriver.set(key, row);
+  }
+  return [...byDriver.values()]
+    .map((r) => ({
+      ...r,
+      collected: r.cash + r.mpesa,
+      returns_rate: r.loaded > 0 ? r.returned / r.loaded : 0,
+    }))
+    .sort((a, b) => b.delivered - a.delivered);
+}
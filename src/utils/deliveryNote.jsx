@@ -0,0 +1,164 @@
+// src/utils/deliveryNote.jsx — delivery note (per dispatch sale) & trip load sheet documents
+import { escapeHtml } from "./printHtml.jsx";
+import { formatBatches } from "./batches.jsx";
+import { toNum } from "./format.jsx";
+
+/**
+ * Normalized delivery note from a dispatch sale and its listItemsForSale rows.
+ * opts.returns: { [bottle_size_id]: cartons } as entered in DispatchCloseModal / trip close;
+ *   without it, items' own quantity_returned is used once the dispatch is closed.
+ * opts.payment: { amount_paid, payment_method, mpesa_code } collected on close
+ */
+export function deliveryNoteModel(sale, items, { returns = null, payment = null, trip = null } = {}) {
+  const closed =
+    !!returns || sale?.dispatch_status === "closed" || (items || []).some((it) => it.quantity_returned != null);
+  const lines = (items || []).map((it) => {
+    const sent = toNum(it.quantity);
+    const unit = toNum(it.unit_price);
+    const returned = closed
+      ? Math.min(sent, toNum(returns ? returns[it.bottle_size_id] : it.quantity_returned))
+      : null;
+    return {
+      bottle_size_id: it.bottle_size_id,
+      label: it.bottle_size_label || `Size #${it.bottle_size_id}`,
+      batches: formatBatches(it.batches),
+      sent,
+      unit,
+      returned,
+      delivered: closed ? sent - returned : null,
+    };
+  });
+  const sum = (k) => lines.reduce((a, l) => a + toNum(l[k]), 0);
+  return {
+    sale: sale || {},
+    trip: trip || (sale?.driver_name ? { driver_name: sale.driver_name, vehicle_registration: sale.vehicle_registration } : null),
+    lines,
+    closed,
+    payment: payment && toNum(payment.amount_paid) > 0 ? payment : null,
+    totals: {
+      sent: sum("sent"),
+      returned: closed ? sum("returned") : null,
+      delivered: closed ? sum("delivered") : null,
+      value_sent: lines.reduce((a, l) => a + l.sent * l.unit, 0),
+      value_delivered: closed ? lines.reduce((a, l) => a + l.delivered * l.unit, 0) : null,
+    },
+  };
+}
+
+/** HTML body for printHtml(); page "a4" adds price columns, "thermal" keeps to cartons */
+export function deliveryNoteHtml(note, { brand = "", page = "a4" } = {}) {
+  const { sale, trip, lines, closed, totals, payment } = note;
+  const wide = page !== "thermal";
+  const blank = '<span style="display:inline-block;min-width:42px;border-bottom:1px solid #111">&nbsp;</span>';
+  const rows = lines
+    .map(
+      (l) => `<tr><td>${escapeHtml(l.label)}${
+        l.batches ? `<div class="muted">Batch ${escapeHtml(l.batches)}</div>` : ""
+      }</td><td class="num">${l.sent}</td>
+${wide ? `<td class="num">${escapeHtml(money(l.unit))}</td><td class="num">${escapeHtml(money(l.sent * l.unit))}</td>` : ""}
+<td class="num">${closed ? l.returned : blank}</td><td class="num">${closed ? l.delivered : blank}</td></tr>`
+    )
+    .join("");
+  const meta = [
+    ["Receipt", sale.receipt_number],
+    ["Date", formatDateTime(sale.date)],
+    ["Customer", sale.customer_name || "—"],
+    ["Driver", trip?.driver_name],
+    ["Vehicle", trip?.vehicle_registration],
+    ["Route", trip?.route_name],
+  ]
+    .filter(([, v]) => v)
+    .map(([k, v]) => `<div class="row"><span class="muted">${k}</span><span>${escapeHtml(v)}</span></div>`)
+    .join("");
+
+  return `
+<div class="row"><div><h1>${escapeHtml(brand)}</h1>
+<div class="muted">${closed ? "Delivery note — returns recorded" : "Delivery note / load sheet"}</div></div></div>
+<div style="margin-top:8px">${meta}</div>
+<table style="margin-top:10px"><thead><tr><th>Size</th><th class="num">Sent</th>
+${wide ? '<th class="num">Unit</th><th class="num">Value</th>' : ""}
+<th class="num">Returned</th><th class="num">Delivered</th></tr></thead>
+<tbody>${rows}
+<tr class="total"><td>Total cartons</td><td class="num">${totals.sent}</td>
+${wide ? `<td></td><td class="num">${escapeHtml(money(totals.value_sent))}</td>` : ""}
+<td class="num">${closed ? totals.returned : ""}</td><td class="num">${closed ? totals.delivered : ""}</td></tr>
+</tbody></table>
+${
+  closed
+    ? `<div class="row" style="margin-top:8px"><b>Value delivered</b><b>KES ${escapeHtml(money(totals.value_delivered))}</b></div>`
+    : ""
+}
+${
+  payment
+    ? `<div class="row"><span>Collected (${escapeHtml(payment.payment_method || "")}${
+        payment.mpesa_code ? ` ${escapeHtml(payment.mpesa_code)}` : ""
+      })</span><span>KES ${escapeHtml(money(payment.amount_paid))}</span></div>`
+    : ""
+}
+${sale.notes ? `<p class="muted">${escapeHtml(sale.notes)}</p>` : ""}
+<div class="sign"><div>Dispatched by</div><div>Driver</div><div>Received by (customer)</div></div>
+${closed ? '<div class="sign"><div>Returns checked by</div><div>Driver</div></div>' : ""}
+<p class="muted" style="margin-top:10px">Printed ${escapeHtml(formatDateTime(new Date()))}</p>`;
+}
+
+/** Several delivery notes in one print job, one per page */
+export function deliveryNotesHtml(notes, opts = {}) {
+  return notes
+    .map((n, i) => `<section${i ? ' style="page-break-before:always"' : ""}>${deliveryNoteHtml(n, opts)}</section>`)
+    .join("");
+}
+
+/**
+ * Trip load sheet: cartons per size (buildLoadSheet) plus the sales on board.
+ * salesWithItems: [{ sale, items }]
+ */
+export function loadSheetHtml(trip, sheet, salesWithItems, { brand = "", page = "a4" } = {}) {
+  const wide = page !== "thermal";
+  const sizeRows = sheet.rows
+    .map(
+      (r) => `<tr><td>${escapeHtml(r.label)}</td><td class="num">${r.quantity}</td>
+${wide ? `<td class="num">${escapeHtml(money(r.value))}</td>` : ""}<td class="num"></td></tr>`
+    )
+    .join("");
+  const saleRows = (salesWithItems || [])
+    .map(
+      ({ sale, items }) => `<tr><td>${escapeHtml(sale.receipt_number)}</td><td>${escapeHtml(sale.customer_name || "—")}</td>
+<td>${escapeHtml((items || []).map((it) => `${it.bottle_size_label} × ${toNum(it.quantity)}`).join(", "))}</td></tr>`
+    )
+    .join("");
+  return `
+<div class="row"><div><h1>${escapeHtml(brand)}</h1><div class="muted">Load sheet</div></div></div>
+<div style="margin-top:8px">
+<div class="row"><span class="muted">Date</span><span>${escapeHtml(trip?.date || "")}</span></div>
+<div class="row"><span class="muted">Driver</span><span>${escapeHtml(trip?.driver_name || "—")}</span></div>
+<div class="row"><span class="muted">Vehicle</span><span>${escapeHtml(trip?.vehicle_registration || "—")}</span></div>
+${trip?.route_name ? `<div class="row"><span class="muted">Route</span><span>${escapeHtml(trip.route_name)}</span></div>` : ""}
+</div>
+<h2>Cartons loaded</h2>
+<table><thead><tr><th>Size</th><th class="num">Cartons</th>${wide ? '<th class="num">Value</th>' : ""}<th class="num">Returned</th></tr></thead>
+<tbody>${sizeRows}
+<tr class="total"><td>Total</td><td class="num">${sheet.totalCartons}</td>${
+    wide ? `<td class="num">${escapeHtml(money(sheet.totalValue))}</td>` : ""
+  }<td></td></tr></tbody></table>
+<h2>Deliveries</h2>
+<table><thead><tr><th>Receipt</th><th>Customer</th><th>Cartons</th></tr></thead><tbody>${saleRows}</tbody></table>
+<div class="sign"><div>Loaded by</div><div>Driver</div><div>Gate / security</div></div>
+<p class="muted" style="margin-top:10px">Printed ${escapeHtml(formatDateTime(new Date()))}</p>`;
+}
+
+/* ---------------- helpers ---------------- */
+
+function money(v) {
+  return new Intl.NumberFormat("en-KE", { minimumFractionDigits: 0, maximumFractionDigits: 2 }).format(toNum(v));
+}
+
+function formatDateTime(v) {
+  if (!v) return "";
+  const d = v instanceof Date ? v : new Date(v);
+  if (Number.isNaN(d.getTime())) return String(v);
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone: "Africa/Nairobi",
+    dateStyle: "medium",
+    timeStyle: "short",
+  }).format(d);
+}
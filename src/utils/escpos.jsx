@@ -0,0 +1,225 @@
+// src/utils/escpos.jsx — ESC/POS receipt bytes from the getReceipt payload
+//
+// Works with the common 58mm (32 columns) and 80mm (48 columns) thermal printers.
+// Text is sent as plain ASCII; anything else is transliterated or replaced with "?".
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+const CMD = {
+  init: [ESC, 0x40],
+  alignLeft: [ESC, 0x61, 0],
+  alignCenter: [ESC, 0x61, 1],
+  boldOn: [ESC, 0x45, 1],
+  boldOff: [ESC, 0x45, 0],
+  doubleOn: [GS, 0x21, 0x11],
+  doubleOff: [GS, 0x21, 0x00],
+  feed: (n) => [ESC, 0x64, n],
+  cut: [GS, 0x56, 66, 0], // feed to cutter, partial cut
+};
+
+const TRANSLIT = { "—": "-", "–": "-", "•": "*", "×": "x", "’": "'", "‘": "'", "“": '"', "”": '"', "…": "...", "→": "->" };
+
+function ascii(text) {
+  return String(text ?? "")
+    .replace(/[—–•×’‘“”…→]/g, (c) => TRANSLIT[c])
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\x20-\x7e\n]/g, "?");
+}
+
+function money(v) {
+  const n = Number(String(v ?? "").replace(/[^\d.-]/g, ""));
+  return new Intl.NumberFormat("en-KE", { minimumFractionDigits: 0, maximumFractionDigits: 2 }).format(
+    Number.isFinite(n) ? n : 0
+  );
+}
+
+function dateTime(v) {
+  if (!v) return "";
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) return String(v);
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone: "Africa/Nairobi",
+    dateStyle: "short",
+    timeStyle: "short",
+  }).format(d);
+}
+
+// "Label ........ value" padded to the paper width
+function twoCol(left, right, width) {
+  const r = ascii(right);
+  const l = ascii(left).slice(0, Math.max(1, width - r.length - 1));
+  return l + " ".repeat(Math.max(1, width - l.length - r.length)) + r;
+}
+
+function wrap(text, width) {
+  const out = [];
+  ascii(text)
+    .split("\n")
+    .forEach((para) => {
+      let line = "";
+      para.split(/\s+/).forEach((w) => {
+        if (!w) return;
+        if ((line ? line.length + 1 : 0) + w.length > width) {
+          if (line) out.push(line);
+          while (w.length > width) {
+            out.push(w.slice(0, width));
+            w = w.slice(width);
+          }
+          line = w;
+        } else {
+          line = line ? `${line} ${w}` : w;
+        }
+      });
+      if (line) out.push(line);
+    });
+  return out;
+}
+
+class Builder {
+  constructor() {
+    this.bytes = [];
+  }
+  raw(arr) {
+    this.bytes.push(...arr);
+    return this;
+  }
+  text(s) {
+    for (const ch of ascii(s)) this.bytes.push(ch.charCodeAt(0));
+    return this;
+  }
+  line(s = "") {
+    return this.text(s).raw([0x0a]);
+  }
+  toUint8Array() {
+    return Uint8Array.from(this.bytes);
+  }
+}
+
+/**
+ * buildReceipt(receipt, {
+ *   copies = 1, copy_label, is_reprint, payment_ref,
+ *   columns = 32,        // 32 for 58mm, 48 for 80mm
+ *   brand, footer,
+ * }) → Uint8Array (all copies, each cut)
+ *
+ * receipt = getReceipt() payload: { sale, items, totals, payments? }
+ */
+export function buildReceipt(receipt, opts = {}) {
+  const {
+    copies = 1,
+    copy_label = "",
+    is_reprint = false,
+    payment_ref = "",
+    columns = 32,
+    brand = "",
+    footer = "Thank you!",
+  } = opts;
+  const sale = receipt?.sale || {};
+  const items = receipt?.items || [];
+  const totals = receipt?.totals || {};
+  const rule = "-".repeat(columns);
+  const methods = [...new Set((receipt?.payments || []).map((p) => p.payment_method).filter(Boolean))];
+
+  const b = new Builder().raw(CMD.init);
+  const n = Math.max(1, Math.floor(Number(copies) || 1));
+
+  for (let i = 1; i <= n; i++) {
+    b.raw(CMD.alignCenter);
+    if (brand) b.raw(CMD.doubleOn).raw(CMD.boldOn).line(brand).raw(CMD.boldOff).raw(CMD.doubleOff);
+    if (is_reprint) b.raw(CMD.boldOn).line("*** REPRINT ***").raw(CMD.boldOff);
+    if (copy_label || n > 1) {
+      b.line([copy_label, n > 1 ? `(${i}/${n})` : ""].filter(Boolean).join(" "));
+    }
+    b.raw(CMD.alignLeft).line(rule);
+
+    b.line(twoCol("Receipt", sale.receipt_number || "", columns));
+    b.line(twoCol("Date", dateTime(sale.date), columns));
+    if (sale.customer_name) b.line(twoCol("Customer", sale.customer_name, columns));
+    if (sale.sale_type) b.line(twoCol("Type", String(sale.sale_type).replace(/^\w/, (c) => c.toUpperCase()), columns));
+    b.line(rule);
+
+    items.forEach((it) => {
+      wrap(it.bottle_size_label || "Item", columns).forEach((l) => b.line(l));
+      b.line(twoCol(`  ${it.quantity_cartons} x ${money(it.unit_price_carton)}`, money(it.line_total), columns));
+      const lots = batchText(it.batches);
+      if (lots) wrap(`  Batch ${lots}`, columns).forEach((l) => b.line(l));
+    });
+    b.line(rule);
+
+    b.raw(CMD.boldOn).line(twoCol("TOTAL (KES)", money(totals.subtotal), columns)).raw(CMD.boldOff);
+    b.line(twoCol("Paid", money(totals.paid), columns));
+    b.line(twoCol("Balance", money(totals.balance_due), columns));
+    if (methods.length) b.line(twoCol("Paid via", methods.join(", "), columns));
+    if (payment_ref) wrap(`Ref: ${payment_ref}`, columns).forEach((l) => b.line(l));
+
+    b.line(rule).raw(CMD.alignCenter);
+    if (footer) wrap(footer, columns).forEach((l) => b.line(l));
+    if (is_reprint) b.line(`Reprinted ${dateTime(new Date())}`);
+    b.raw(CMD.feed(3)).raw(CMD.cut);
+  }
+  return b.toUint8Array();
+}
+
+/** "261019-500ML x10, 261020-500ML x5" — a sale item's FIFO batch allocation */
+function batchText(batches) {
+  return (batches || [])
+    .filter((x) => x?.batch_code)
+    .map((x) => `${x.batch_code} x${Number(x.quantity) || 0}`)
+    .join(", ");
+}
+
+/**
+ * buildDeliveryNote(note, { columns = 32, brand }) → Uint8Array
+ * note = deliveryNoteModel() from utils/deliveryNote.jsx. Before the dispatch is closed the
+ * Returned column is left as blanks for the driver to fill in.
+ */
+export function buildDeliveryNote(note, opts = {}) {
+  const { columns = 32, brand = "" } = opts;
+  const { sale = {}, trip, lines = [], closed, totals = {}, payment } = note || {};
+  const rule = "-".repeat(columns);
+  // Size | Sent | Ret | Del — numbers right-aligned in 4-char cells
+  const cell = (v) => String(v).padStart(4).slice(-4);
+  const head = (label, sent, ret, del) => {
+    const nums = `${cell(sent)} ${cell(ret)} ${cell(del)}`;
+    const l = ascii(label).slice(0, Math.max(1, columns - nums.length - 1));
+    return l + " ".repeat(Math.max(1, columns - l.length - nums.length)) + nums;
+  };
+
+  const b = new Builder().raw(CMD.init).raw(CMD.alignCenter);
+  if (brand) b.raw(CMD.doubleOn).raw(CMD.boldOn).line(brand).raw(CMD.boldOff).raw(CMD.doubleOff);
+  b.raw(CMD.boldOn).line(closed ? "DELIVERY NOTE - RETURNS" : "DELIVERY NOTE").raw(CMD.boldOff);
+  b.raw(CMD.alignLeft).line(rule);
+
+  b.line(twoCol("Receipt", sale.receipt_number || "", columns));
+  b.line(twoCol("Date", dateTime(sale.date), columns));
+  if (sale.customer_name) b.line(twoCol("Customer", sale.customer_name, columns));
+  if (trip?.driver_name) b.line(twoCol("Driver", trip.driver_name, columns));
+  if (trip?.vehicle_registration) b.line(twoCol("Vehicle", trip.vehicle_registration, columns));
+  b.line(rule);
+
+  b.raw(CMD.boldOn).line(head("Size", "Sent", "Ret", "Del")).raw(CMD.boldOff);
+  lines.forEach((l) => {
+    b.line(head(l.label, l.sent, closed ? l.returned : "___", closed ? l.delivered : "___"));
+    if (l.batches) wrap(`  Batch ${l.batches}`, columns).forEach((x) => b.line(x));
+  });
+  b.line(rule);
+  b.raw(CMD.boldOn)
+    .line(head("TOTAL", totals.sent ?? 0, closed ? totals.returned : "", closed ? totals.delivered : ""))
+    .raw(CMD.boldOff);
+  if (closed) b.line(twoCol("Value delivered", money(totals.value_delivered), columns));
+  if (payment) {
+    b.line(twoCol(`Collected (${payment.payment_method || ""})`, money(payment.amount_paid), columns));
+    if (payment.mpesa_code) b.line(twoCol("M-Pesa", payment.mpesa_code, columns));
+  }
+  b.line(rule);
+
+  const signatures = closed ? ["Returns checked by", "Driver"] : ["Dispatched by", "Driver", "Received by"];
+  signatures.forEach((s) => {
+    b.line().line().line("_".repeat(Math.min(columns, 24))).line(s);
+  });
+  b.raw(CMD.alignCenter).line().line(`Printed ${dateTime(new Date())}`);
+  b.raw(CMD.feed(3)).raw(CMD.cut);
+  return b.toUint8Array();
+}
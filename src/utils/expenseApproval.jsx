@@ -0,0 +1,89 @@
+// src/utils/expenseApproval.jsx — approval of large expenses & decision notices to the cashier
+import { apiRequest, apiWrite, qs } from "../api.jsx";
+import { toNum } from "./format.jsx";
+
+/**
+ * Expenses above the approval limit, entered by someone without "expense.approve", are saved
+ * with status "pending" and do not count in totals until an admin approves them. A rejected
+ * expense keeps its row (status "rejected" + rejection_reason) so the cashier can correct
+ * and resubmit it; editing it puts it back to "pending". Every decision leaves a notice
+ * for the submitter.
+ *
+ * Endpoints
+ * - /expense-approval-settings     GET → { threshold } · PUT { threshold } (0 / null = approval off)
+ * - /expenses?status=pending       the approval queue
+ * - /expenses/:id/approve          POST
+ * - /expenses/:id/reject           POST { reason }
+ * - /notifications                 GET ?unread=true → [{ id, type, expense_id, description, amount,
+ *                                  reason, decided_by_name, created_at }] · POST /:id/read
+ *                                  type: "expense_approved" | "expense_rejected"
+ */
+
+export const EXPENSE_STATUS = {
+  pending: { label: "Pending approval", cls: "bg-amber-500/20 text-amber-300" },
+  approved: { label: "Approved", cls: "bg-emerald-500/20 text-emerald-300" },
+  rejected: { label: "Rejected", cls: "bg-rose-500/20 text-rose-300" },
+};
+
+export async function getApprovalSettings() {
+  const res = await apiRequest(`/expense-approval-settings`);
+  return { threshold: toNum(res?.data?.threshold) };
+}
+
+export async function saveApprovalSettings({ threshold }) {
+  const res = await apiWrite(`/expense-approval-settings`, {
+    method: "PUT",
+    body: { threshold: toNum(threshold) || null },
+  });
+  return { threshold: toNum(res?.data?.threshold ?? threshold) };
+}
+
+export async function listPendingExpenses(params = {}) {
+  const res = await apiRequest(`/expenses${qs({ status: "pending", per_page: 200, ...params })}`);
+  return Array.isArray(res?.data) ? res.data : [];
+}
+
+export async function approveExpense(id) {
+  const res = await apiWrite(`/expenses/${id}/approve`, { method: "POST", body: {} });
+  return res?.data;
+}
+
+export async function rejectExpense(id, reason) {
+  const res = await apiWrite(`/expenses/${id}/reject`, { method: "POST", body: { reason } });
+  return res?.data;
+}
+
+export async function listNotifications(params = {}) {
+  const res = await apiRequest(`/notifications${qs(params)}`);
+  return Array.isArray(res?.data) ? res.data : [];
+}
+
+export async function markNotificationRead(id) {
+  await apiWrite(`/notifications/${id}/read`, { method: "POST", body: {} });
+}
+
+/** Will saving `amount` need an admin's approval? */
+export function needsApproval(amount, threshold, canApprove) {
+  return !canApprove && toNum(threshold) > 0 && toNum(amount) > toNum(threshold);
+}
+
+export function expenseStatus(e) {
+  return EXPENSE_STATUS[e?.status] ? e.status : "approved";
+}
+
+/** Counts in totals: approved (or from before approvals existed) */
+export function isCountedExpense(e) {
+  return expenseStatus(e) === "approved";
+}
+
+/** → { pending: { count, amount }, rejected: { count, amount } } */
+export function uncountedTotals(expenses) {
+  const out = { pending: { count: 0, amount: 0 }, rejected: { count: 0, amount: 0 } };
+  for (const e of expenses || []) {
+    const s = expenseStatus(e);
+    if (s === "approved" || e?.deleted_at) continue;
+    out[s].count += 1;
+    out[s].amount += toNum(e.amount);
+  }
+  return out;
+}
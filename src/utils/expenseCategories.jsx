@@ -0,0 +1,134 @@
+// src/utils/expenseCategories.jsx — managed expense categories, monthly budgets & category breakdowns
+import { apiRequest, apiWrite, qs } from "../api.jsx";
+import { toNum } from "./format.jsx";
+
+/**
+ * Every expense carries `category` (a category key). "cogs" is reserved for COGS purchases
+ * (CogsModal, goods received on purchase orders) and is never offered for operating expenses.
+ * A category may have a monthly budget; spending is compared per calendar month.
+ *
+ * Endpoints
+ * - /expense-categories    GET (?include_inactive) · POST · PUT /:id
+ *                          { name, monthly_budget?, is_active } → rows carry key (slug, fixed once created)
+ */
+
+export const COGS_CATEGORY = "cogs";
+
+/** Offered until an admin saves categories of their own */
+export const DEFAULT_CATEGORIES = [
+  { key: "fuel", name: "Fuel" },
+  { key: "salaries", name: "Salaries & wages" },
+  { key: "electricity", name: "Electricity" },
+  { key: "water", name: "Water bill" },
+  { key: "repairs", name: "Repairs & maintenance" },
+  { key: "transport", name: "Transport" },
+  { key: "rent", name: "Rent" },
+  { key: "other", name: "Other" },
+];
+
+export const BUDGET_STATUS = {
+  over: { label: "Over budget", cls: "bg-rose-500/20 text-rose-300" },
+  near: { label: "Near budget", cls: "bg-amber-500/20 text-amber-300" },
+  ok: { label: "Within budget", cls: "bg-emerald-500/20 text-emerald-300" },
+};
+
+/** Share of the budget at which "near" starts */
+const NEAR_AT = 0.8;
+
+export async function listExpenseCategories(params = {}) {
+  const res = await apiRequest(`/expense-categories${qs(params)}`);
+  const rows = Array.isArray(res?.data) ? res.data : [];
+  return rows.length ? rows : DEFAULT_CATEGORIES;
+}
+
+export async function saveExpenseCategory(category) {
+  const { id, ...body } = category;
+  const res = id
+    ? await apiWrite(`/expense-categories/${id}`, { method: "PUT", body })
+    : await apiWrite(`/expense-categories`, { method: "POST", body });
+  return res?.data;
+}
+
+/** Expenses of one calendar month, fetched directly so callers' own expense lists stay untouched */
+export async function listMonthExpenses(ymd, opts = {}) {
+  const res = await apiRequest(`/expenses${qs(monthRange(ymd))}`, { signal: opts.signal });
+  return Array.isArray(res?.data) ? res.data : [];
+}
+
+export function isCogsExpense(e) {
+  return String(e?.category || "").toLowerCase() === COGS_CATEGORY;
+}
+
+export function categoryName(categories, key) {
+  if (!key) return "Uncategorised";
+  if (String(key).toLowerCase() === COGS_CATEGORY) return "COGS";
+  return (categories || []).find((c) => c.key === key)?.name || key;
+}
+
+/** "2026-10-19" → { date_from: "2026-10-01", date_to: "2026-10-31" } */
+export function monthRange(ymd) {
+  const [y, m] = String(ymd).slice(0, 7).split("-").map(Number);
+  const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  const mm = String(m).padStart(2, "0");
+  return { date_from: `${y}-${mm}-01`, date_to: `${y}-${mm}-${String(last).padStart(2, "0")}` };
+}
+
+/** "over" | "near" | "ok", or null when the category has no budget */
+export function budgetStatus(spent, budget) {
+  const b = toNum(budget);
+  if (b <= 0) return null;
+  const s = toNum(spent);
+  if (s > b) return "over";
+  if (s >= b * NEAR_AT) return "near";
+  return "ok";
+}
+
+/**
+ * Operating expenses (COGS left out) grouped by category, largest first.
+ * monthExpenses, when given, adds the month-to-date spend compared with each budget.
+ * → [{ key, name, spent, share, count, budget, month_spent, status }]
+ */
+export function spendByCategory(expenses, categories, monthExpenses = null) {
+  const byKey = new Map();
+  const bump = (key, field, amount) => {
+    const k = key || "";
+    if (!byKey.has(k)) byKey.set(k, { key: k, spent: 0, count: 0, month_spent: 0 });
+    const row = byKey.get(k);
+    row[field] += amount;
+    if (field === "spent") row.count += 1;
+  };
+  for (const e of expenses || []) if (!isCogsExpense(e)) bump(e.category, "spent", toNum(e.amount));
+  for (const e of monthExpenses || []) if (!isCogsExpense(e)) bump(e.category, "month_spent", toNum(e.amount));
+  // budgeted categories show even before anything is spent on them
+  for (const c of categories || []) if (toNum(c.monthly_budget) > 0 && !byKey.has(c.key)) bump(c.key, "month_spent", 0);
+
+  const total = [...byKey.values()].reduce((a, r) => a + r.spent, 0);
+  return [...byKey.values()]
+    .map((r) => {
+      const cat = (categories || []).find((c) => c.key === r.key);
+      const budget = toNum(cat?.monthly_budget);
+      return {
+        ...r,
+        name: categoryName(categories, r.key),
+        share: total > 0 ? r.spent / total : 0,
+        budget,
+        status: monthExpenses ? budgetStatus(r.month_spent, budget) : null,
+      };
+    })
+    .sort((a, b) => b.spent - a.spent || b.month_spent - a.month_spent);
+}
+
+/**
+ * What saving `amount` in `category` does to its month (for the entry form).
+ * `excludeId` leaves out the expense being edited.
+ * → { budget, spent, after, status } or null when the category has no budget
+ */
+export function budgetCheck(category, amount, categories, monthExpenses, excludeId = null) {
+  const budget = toNum((categories || []).find((c) => c.key === category)?.monthly_budget);
+  if (!category || budget <= 0) return null;
+  const spent = (monthExpenses || [])
+    .filter((e) => e.category === category && (excludeId == null || String(e.id) !== String(excludeId)))
+    .reduce((a, e) => a + toNum(e.amount), 0);
+  const after = spent + toNum(amount);
+  return { budget, spent, after, status: budgetStatus(after, budget) };
+}
@@ -0,0 +1,93 @@
+// src/utils/expenseReceipts.jsx — photos of paper receipts attached to expenses
+import { Capacitor } from "@capacitor/core";
+import { apiRequest, apiWrite } from "../api.jsx";
+
+/**
+ * Photos are shrunk in the browser before upload (long side 1600px, JPEG) together with a
+ * small thumbnail for the expenses list. On the Android app the picker opens the camera
+ * (`capture`), handled by Capacitor's WebView file chooser — no extra plugin needed.
+ *
+ * Endpoints
+ * - /expenses/:id/receipts          POST multipart { file, thumbnail } → { id, url, thumbnail_url }
+ * - /expenses/:id/receipts/:rid     DELETE
+ * Expense rows carry `receipts: [{ id, url, thumbnail_url, created_at }]`.
+ */
+
+const FULL = { maxSide: 1600, quality: 0.72 };
+const THUMB = { maxSide: 240, quality: 0.6 };
+const UPLOAD_TIMEOUT_MS = 60000;
+
+export function isAndroidApp() {
+  return Boolean(Capacitor.isNativePlatform?.() && Capacitor.getPlatform?.() === "android");
+}
+
+export function hasReceipt(expense) {
+  return Array.isArray(expense?.receipts) && expense.receipts.length > 0;
+}
+
+function loadImage(file) {
+  if (typeof createImageBitmap === "function") return createImageBitmap(file);
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not read the image"));
+    };
+    img.src = url;
+  });
+}
+
+/** Resize so the long side is at most `maxSide`, re-encode as JPEG → Blob */
+export async function compressImage(file, { maxSide, quality } = FULL) {
+  const img = await loadImage(file);
+  const w = img.width;
+  const h = img.height;
+  const scale = Math.min(1, maxSide / Math.max(w, h));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(w * scale);
+  canvas.height = Math.round(h * scale);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff"; // transparent PNGs would turn black as JPEG
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  img.close?.();
+  return new Promise((resolve, reject) =>
+    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("Could not compress the image"))), "image/jpeg", quality)
+  );
+}
+
+/**
+ * A picked file → { file, thumbnail, preview } ready to upload.
+ * `preview` is an object URL for the form; revoke it with releasePhoto().
+ */
+export async function preparePhoto(file) {
+  if (!String(file?.type || "").startsWith("image/")) throw new Error("Only photos can be attached");
+  const [full, thumbnail] = await Promise.all([compressImage(file, FULL), compressImage(file, THUMB)]);
+  return { file: full, thumbnail, preview: URL.createObjectURL(thumbnail), name: file.name || "receipt.jpg" };
+}
+
+export function releasePhoto(photo) {
+  if (photo?.preview) URL.revokeObjectURL(photo.preview);
+}
+
+export async function uploadExpenseReceipt(expenseId, photo) {
+  const form = new FormData();
+  const base = String(photo.name || "receipt").replace(/\.[^.]+$/, "");
+  form.append("file", photo.file, `${base}.jpg`);
+  form.append("thumbnail", photo.thumbnail, `${base}-thumb.jpg`);
+  const res = await apiRequest(`/expenses/${expenseId}/receipts`, {
+    method: "POST",
+    body: form,
+    timeoutMs: UPLOAD_TIMEOUT_MS,
+  });
+  return res?.data;
+}
+
+export async function deleteExpenseReceipt(expenseId, receiptId) {
+  await apiWrite(`/expenses/${expenseId}/receipts/${receiptId}`, { method: "DELETE" });
+}
@@ -0,0 +1,103 @@
+// src/utils/format.jsx — number, money & Nairobi calendar-day helpers shared across the app
+
+export const NAIROBI_TZ = "Africa/Nairobi";
+
+/** Number from API values & typed input ("KES 1,200", "1 200", 50) — anything unparseable is 0 */
+export function toNum(v) {
+  if (v === null || v === undefined) return 0;
+  if (typeof v === "number") return Number.isFinite(v) ? v : 0;
+  if (typeof v === "string") {
+    const cleaned = v
+      .replace(/(kes|ksh|\bsh\b|\bkes\.)/gi, "")
+      .replace(/[,\u00A0\s]/g, "") // commas, nbsp, spaces
+      .replace(/[^\d.-]/g, ""); // keep digits, dot, minus
+    const n = Number(cleaned);
+    return Number.isFinite(n) ? n : 0;
+  }
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+}
+
+/** "KSh 1,200.50"; missing / non-numeric values → `blank` */
+export function formatMoney(v, blank = "-") {
+  if (v === null || v === undefined || Number.isNaN(Number(v))) return blank;
+  return new Intl.NumberFormat(undefined, {
+    style: "currency",
+    currency: "KES",
+    currencyDisplay: "narrowSymbol",
+    minimumFractionDigits: 0,
+  }).format(Number(v));
+}
+
+/** Nairobi calendar day of a Date → "YYYY-MM-DD" */
+export function ymdInNairobi(date) {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone: NAIROBI_TZ,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(date);
+  const y = parts.find((p) => p.type === "year")?.value;
+  const m = parts.find((p) => p.type === "month")?.value;
+  const d = parts.find((p) => p.type === "day")?.value;
+  return `${y}-${m}-${d}`;
+}
+
+/** Today in Nairobi → "YYYY-MM-DD" */
+export function todayNairobi() {
+  return ymdInNairobi(new Date());
+}
+
+/** n days before today in Nairobi → "YYYY-MM-DD" */
+export function daysAgoNairobi(n) {
+  return addDays(todayNairobi(), -n);
+}
+
+/** First of this month in Nairobi → "YYYY-MM-DD" */
+export function monthStartNairobi() {
+  return `${todayNairobi().slice(0, 8)}01`;
+}
+
+/** "YYYY-MM-DD" stays as-is; timestamps become the Nairobi calendar day */
+export function ymdOf(v) {
+  if (!v) return "";
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(v))) return String(v);
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? String(v).slice(0, 10) : ymdInNairobi(d);
+}
+
+/* calendar maths on "YYYY-MM-DD" strings (UTC, so no DST / timezone drift) */
+
+function ymdToUTC(ymd) {
+  const [y, m, d] = String(ymd).slice(0, 10).split("-").map(Number);
+  return Date.UTC(y, m - 1, d);
+}
+
+function ymdFromUTC(y, m, d) {
+  return new Date(Date.UTC(y, m - 1, d)).toISOString().slice(0, 10);
+}
+
+/** "YYYY-MM-DD" moved by n days */
+export function addDays(ymd, n) {
+  const [y, m, d] = String(ymd).slice(0, 10).split("-").map(Number);
+  return ymdFromUTC(y, m, d + n);
+}
+
+/** "YYYY-MM-DD" moved by n months, the day clamped to the month's end (Mar 31 − 1 → Feb 28) */
+export function addMonths(ymd, n) {
+  const [y, m, d] = String(ymd).slice(0, 10).split("-").map(Number);
+  const last = new Date(Date.UTC(y, m - 1 + n + 1, 0)).getUTCDate();
+  return ymdFromUTC(y, m + n, Math.min(d, last));
+}
+
+/** Last day of the month of `ymd` */
+export function monthEnd(ymd) {
+  const [y, m] = String(ymd).slice(0, 10).split("-").map(Number);
+  return ymdFromUTC(y, m + 1, 0);
+}
+
+/** Whole days from `from` to `to` (negative when `to` is earlier; 0 if either is missing) */
+export function daysBetween(from, to) {
+  if (!from || !to) return 0;
+  return Math.round((ymdToUTC(to) - ymdToUTC(from)) / 86400000);
+}
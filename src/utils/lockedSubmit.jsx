@@ -0,0 +1,38 @@
+// src/utils/lockedSubmit.jsx — submit lock + reusable idempotency key for create modals
+import { useRef, useState } from "react";
+import { isTransientError, newIdempotencyKey } from "../api.jsx";
+
+/**
+ * Locks a modal's submit until the request settles (no double-tap duplicates).
+ * The idempotency key survives a timeout / network error so "Save" again is de-duplicated,
+ * and is rotated once the server answers (an edited form is a new request).
+ * onSubmit(payload, { idempotencyKey }) must let errors propagate.
+ */
+export function useLockedSubmit(onSubmit) {
+  const lockRef = useRef(false);
+  const keyRef = useRef(null);
+  const sentRef = useRef(""); // payload the kept key was used for
+  const [submitting, setSubmitting] = useState(false);
+
+  const submit = async (payload) => {
+    if (lockRef.current) return;
+    lockRef.current = true;
+    setSubmitting(true);
+    // the key is only reused to retry the SAME write; an edited form is a new write
+    const serialized = JSON.stringify(payload ?? null);
+    if (serialized !== sentRef.current) keyRef.current = null;
+    sentRef.current = serialized;
+    if (!keyRef.current) keyRef.current = newIdempotencyKey();
+    try {
+      await onSubmit(payload, { idempotencyKey: keyRef.current });
+      keyRef.current = null;
+    } catch (e) {
+      if (!isTransientError(e)) keyRef.current = null;
+    } finally {
+      lockRef.current = false;
+      setSubmitting(false);
+    }
+  };
+
+  return { submitting, submit };
+}
@@ -0,0 +1,104 @@
+// src/utils/materials.jsx — raw materials (preforms, caps, labels, shrink wrap), purchases & bill of materials
+import { apiRequest, apiWrite, rowsOf, qs } from "../api.jsx";
+import { toNum } from "./format.jsx";
+
+/**
+ * A material is anything a packaging entry consumes. Each bottle size has a bill of
+ * materials (BOM): how much of each material one carton uses. Packaging N cartons
+ * deducts N × BOM from materials on hand; purchases add to it.
+ *
+ * Endpoints
+ * - /materials                      GET (?include_inactive) · POST · PUT /:id
+ *                                   { name, unit, min_level?, is_active } → rows carry on_hand
+ * - /material-purchases             GET ?date_from&date_to&material_id · POST
+ *                                   { material_id, quantity, unit_cost, supplier?, date, note? }
+ * - /bill-of-materials              GET → [{ bottle_size_id, material_id, qty_per_carton }]
+ * - /bottle-sizes/:id/materials     PUT { lines: [{ material_id, qty_per_carton }] } (replaces the size's BOM)
+ */
+
+export const MATERIAL_UNITS = ["pcs", "kg", "g", "litres", "rolls", "metres"];
+
+/* ---------------- Materials & purchases ---------------- */
+
+export async function listMaterials(params = {}, opts = {}) {
+  const res = await apiRequest(`/materials${qs(params)}`, { signal: opts.signal });
+  return rowsOf(res);
+}
+
+export async function saveMaterial(material) {
+  const { id, ...body } = material;
+  const res = id
+    ? await apiWrite(`/materials/${id}`, { method: "PUT", body })
+    : await apiWrite(`/materials`, { method: "POST", body });
+  return res?.data;
+}
+
+export async function listMaterialPurchases(params = {}) {
+  const res = await apiRequest(`/material-purchases${qs({ per_page: 200, ...params })}`);
+  return rowsOf(res);
+}
+
+export async function createMaterialPurchase(purchase) {
+  const res = await apiWrite(`/material-purchases`, { method: "POST", body: purchase });
+  return res?.data;
+}
+
+/* ---------------- Bill of materials ---------------- */
+
+export async function listBillOfMaterials(opts = {}) {
+  const res = await apiRequest(`/bill-of-materials`, { signal: opts.signal });
+  return rowsOf(res);
+}
+
+export async function saveBillOfMaterials(bottleSizeId, lines) {
+  const res = await apiWrite(`/bottle-sizes/${bottleSizeId}/materials`, {
+    method: "PUT",
+    body: { lines: lines.map((l) => ({ material_id: Number(l.material_id), qty_per_carton: toNum(l.qty_per_carton) })) },
+  });
+  return res?.data;
+}
+
+/**
+ * Materials consumed by packaging `cartons` of one size.
+ * → [{ material_id, name, unit, quantity, on_hand, short }]  (short: quantity beyond what is on hand)
+ */
+export function materialsForPackaging(bom, materials, bottleSizeId, cartons) {
+  const n = toNum(cartons);
+  return (bom || [])
+    .filter((l) => String(l.bottle_size_id) === String(bottleSizeId) && toNum(l.qty_per_carton) > 0)
+    .map((l) => {
+      const m = (materials || []).find((x) => String(x.id) === String(l.material_id)) || {};
+      const quantity = toNum(l.qty_per_carton) * n;
+      const on_hand = toNum(m.on_hand);
+      return {
+        material_id: l.material_id,
+        name: m.name || `Material #${l.material_id}`,
+        unit: m.unit || "",
+        quantity,
+        on_hand,
+        short: Math.max(0, quantity - on_hand),
+      };
+    });
+}
+
+/**
+ * How many more cartons of each size the materials on hand allow (each size on its own).
+ * → [{ bottle_size_id, label, cartons, limiting: material name | null, has_bom }]
+ */
+export function packableCartons(bom, materials, sizes) {
+  return (sizes || []).map((s) => {
+    const lines = (bom || []).filter((l) => String(l.bottle_size_id) === String(s.id) && toNum(l.qty_per_carton) > 0);
+    if (!lines.length) return { bottle_size_id: s.id, label: s.label, cartons: null, limiting: null, has_bom: false };
+    let cartons = Infinity;
+    let limiting = null;
+    for (const l of lines) {
+      const m = (materials || []).find((x) => String(x.id) === String(l.material_id));
+      const can = Math.floor(Math.max(0, toNum(m?.on_hand)) / toNum(l.qty_per_carton));
+      if (can < cartons) {
+        cartons = can;
+        limiting = m?.name || `Material #${l.material_id}`;
+      }
+    }
+    return { bottle_size_id: s.id, label: s.label, cartons, limiting, has_bom: true };
+  });
+}
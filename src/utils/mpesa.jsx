@@ -0,0 +1,60 @@
+// src/utils/mpesa.jsx — M-Pesa transaction codes & statement parsing
+
+// Safaricom receipt numbers: 10 characters, letters + digits, starting with a letter (e.g. "SGH4K7XQ2P")
+const CODE_RE = /^[A-Z][A-Z0-9]{9}$/;
+
+export function normalizeMpesaCode(v) {
+  return String(v ?? "").replace(/\s+/g, "").toUpperCase();
+}
+
+export function isValidMpesaCode(v) {
+  const code = normalizeMpesaCode(v);
+  return CODE_RE.test(code) && /\d/.test(code);
+}
+
+function findCol(header, patterns) {
+  const idx = header.findIndex((h) => patterns.some((re) => re.test(h)));
+  return idx >= 0 ? idx : null;
+}
+
+function toAmount(v) {
+  const n = Number(String(v ?? "").replace(/[^\d.-]/g, ""));
+  return Number.isFinite(n) ? n : 0;
+}
+
+/**
+ * parseMpesaStatement(rows) — rows from parseCsv()
+ * Finds the header row (M-Pesa statements put a few title lines above it) and returns
+ * completed incoming lines: [{ code, time, details, amount, line }]
+ * Throws when no "Receipt No." column is found.
+ */
+export function parseMpesaStatement(rows) {
+  const headerAt = rows.findIndex((r) => r.some((c) => /receipt\s*(no|number)|transaction\s*id/i.test(c)));
+  if (headerAt < 0) throw new Error("Could not find a “Receipt No.” column in this file");
+
+  const header = rows[headerAt].map((h) => String(h).trim());
+  const col = {
+    code: findCol(header, [/receipt\s*(no|number)/i, /transaction\s*id/i]),
+    time: findCol(header, [/completion\s*time/i, /date|time/i]),
+    details: findCol(header, [/details/i, /other\s*party/i, /description/i]),
+    status: findCol(header, [/status/i]),
+    paidIn: findCol(header, [/paid\s*in/i, /credit/i, /^amount$/i]),
+  };
+  if (col.paidIn === null) throw new Error("Could not find a “Paid In” column in this file");
+
+  const out = [];
+  rows.slice(headerAt + 1).forEach((r, i) => {
+    const code = normalizeMpesaCode(r[col.code]);
+    const amount = toAmount(r[col.paidIn]);
+    if (!code || amount <= 0) return; // withdrawals / charges / blank lines
+    if (col.status !== null && r[col.status] && !/completed/i.test(r[col.status])) return;
+    out.push({
+      code,
+      time: col.time !== null ? String(r[col.time] || "").trim() : "",
+      details: col.details !== null ? String(r[col.details] || "").trim() : "",
+      amount,
+      line: headerAt + i + 2,
+    });
+  });
+  return out;
+}
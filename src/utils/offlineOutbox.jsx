@@ -0,0 +1,119 @@
+// src/utils/offlineOutbox.jsx
+// IndexedDB-backed outbox for writes captured while the depot is offline.
+// Entry shape:
+//   { id, kind: "sale" | "payment" | "expense", method, path, body, idempotency_key, meta,
+//     user_id, created_at, status: "pending" | "conflict", error, attempts }
+// SaleContext owns replay; this module only persists entries. Entries belong to the user who
+// queued them: a shared till only replays / shows the signed-in user's entries.
+
+const DB_NAME = "bb.offline";
+const DB_VERSION = 1;
+const STORE = "outbox";
+
+// Fallback when IndexedDB is unavailable (private mode, old WebView)
+const memoryStore = new Map();
+
+let dbPromise = null;
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      try {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains(STORE)) {
+            db.createObjectStore(STORE, { keyPath: "id" });
+          }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => resolve(null);
+      } catch {
+        resolve(null);
+      }
+    });
+  }
+  return dbPromise;
+}
+
+function tx(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(STORE, mode);
+    const store = t.objectStore(STORE);
+    const req = fn(store);
+    t.oncomplete = () => resolve(req?.result);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error);
+  });
+}
+
+function newId() {
+  return typeof crypto !== "undefined" && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `ob-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Oldest first, so replays keep the order the cashier entered them in.
+ * With `userId`, only that user's entries; without it, every entry on the device.
+ */
+export async function listOutbox(userId) {
+  const db = await openDb();
+  let rows = db ? (await tx(db, "readonly", (s) => s.getAll())) || [] : [...memoryStore.values()];
+  if (userId !== undefined) {
+    rows = userId == null ? [] : rows.filter((r) => r.user_id != null && String(r.user_id) === String(userId));
+  }
+  return rows.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+}
+
+export async function enqueueOutbox({ kind, method = "POST", path, body, idempotencyKey, meta, userId }) {
+  const entry = {
+    id: newId(),
+    kind,
+    method,
+    path,
+    body: body ?? null,
+    idempotency_key: idempotencyKey || null,
+    meta: meta || {},
+    user_id: userId ?? null,
+    created_at: new Date().toISOString(),
+    status: "pending",
+    error: null,
+    attempts: 0,
+  };
+  const db = await openDb();
+  if (db) await tx(db, "readwrite", (s) => s.put(entry));
+  else memoryStore.set(entry.id, entry);
+  return entry;
+}
+
+export async function updateOutboxEntry(id, patch) {
+  const db = await openDb();
+  if (!db) {
+    const cur = memoryStore.get(id);
+    if (cur) memoryStore.set(id, { ...cur, ...patch });
+    return;
+  }
+  const cur = await tx(db, "readonly", (s) => s.get(id));
+  if (!cur) return;
+  await tx(db, "readwrite", (s) => s.put({ ...cur, ...patch }));
+}
+
+export async function removeOutboxEntry(id) {
+  const db = await openDb();
+  if (db) await tx(db, "readwrite", (s) => s.delete(id));
+  else memoryStore.delete(id);
+}
+
+/**
+ * True when no response came back (see ApiError codes in src/api.jsx).
+ * Queued writes keep their Idempotency-Key, so a replay of one that did land is de-duplicated.
+ */
+export function isNetworkError(e) {
+  if (typeof navigator !== "undefined" && navigator.onLine === false) return true;
+  return e?.code === "NETWORK_ERROR" || e?.code === "TIMEOUT";
+}
+
+export function isOffline() {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
@@ -0,0 +1,113 @@
+// src/utils/permissions.jsx — single source of truth for "who may do what"
+//
+// Route guards, nav links and in-page buttons ask `can(user, "sale.delete")`
+// instead of checking role names. To add a role (e.g. "driver", "accountant"),
+// add an entry to ROLES below — nothing else needs to change.
+
+/** Every capability the UI checks, with a human-readable description. */
+export const CAPABILITIES = {
+  "dashboard.view": "View the admin dashboard",
+  "sale.view": "View sales",
+  "sale.create": "Record new sales",
+  "sale.pay": "Record payments on sales",
+  "sale.dispatch": "Dispatch trips: load sheets, close with returns & collections",
+  "sale.delete": "Delete / restore sales",
+  "customer.view": "View customers",
+  "customer.manage": "Add / edit customers",
+  "expense.view": "View expenses",
+  "expense.create": "Record expenses & COGS purchases",
+  "expense.edit": "Edit / delete expenses",
+  "expense.review": "Review expense receipts (missing-receipt filter)",
+  "expense.categories": "Expense categories & monthly budgets",
+  "expense.recurring": "Recurring expense templates",
+  "expense.approve": "Approve / reject expenses above the approval limit",
+  "stock.view": "View stock balances",
+  "packaging.manage": "Packaging entries & bottle sizes",
+  "stock.adjust": "Stock-take & stock adjustments",
+  "materials.manage": "Raw materials, purchases & bills of materials",
+  "purchasing.manage": "Suppliers, purchase orders, goods received & supplier payments",
+  "quality.manage": "Water quality tests, limits & compliance reports",
+  "dispatch.manage": "Drivers, vehicles & delivery routes",
+  "day.close": "Close the day (cash-up)",
+  "day.reopen": "Reopen a closed day",
+  "reports.view": "Receivables & M-Pesa reconciliation",
+  "reports.pnl": "Profit & loss statement",
+  "audit.view": "Activity log & record history",
+  "users.view": "View users & devices",
+  "users.manage": "Create users, approve devices",
+};
+
+const ALL = Object.keys(CAPABILITIES);
+
+const CASHIER_CAPS = [
+  "sale.view",
+  "sale.create",
+  "sale.pay",
+  "sale.dispatch",
+  "sale.delete",
+  "customer.view",
+  "customer.manage",
+  "expense.view",
+  "expense.create",
+  "expense.edit",
+  "stock.view",
+  "day.close",
+];
+
+/**
+ * Role → { label, home, caps }
+ * - home: landing route after login (must be a route the role can open)
+ * - caps: capability keys from CAPABILITIES
+ */
+export const ROLES = {
+  overall_admin: { label: "Overall Admin", home: "/admin/dashboard", caps: ALL },
+  admin: {
+    label: "Admin",
+    home: "/admin/dashboard",
+    caps: ALL.filter((c) => c !== "users.manage"),
+  },
+  cashier: { label: "Cashier", home: "/cashier/sale", caps: CASHIER_CAPS },
+  server: {
+    label: "Server",
+    home: "/cashier/sale",
+    caps: ["sale.view", "sale.create", "sale.pay", "customer.view", "stock.view"],
+  },
+};
+
+const ROLE_ALIASES = {
+  "overall-admin": "overall_admin",
+  superadmin: "overall_admin",
+  super_admin: "overall_admin",
+};
+
+/**
+ * Resolve a user to a key of ROLES (or their raw role slug if unknown, which grants nothing).
+ * Admins with admin_level "overall" (or the legacy is_overall_admin / is_super_admin flags) are overall_admin.
+ */
+export function roleOf(user) {
+  if (!user) return "";
+  const raw = String(user.role_slug || user.role || "").trim().toLowerCase();
+  const r = ROLE_ALIASES[raw] || raw;
+  const level = String(user.admin_level || "").trim().toLowerCase();
+  if (
+    r === "overall_admin" ||
+    user.is_overall_admin === true ||
+    user.is_super_admin === true ||
+    (r === "admin" && level === "overall")
+  ) {
+    return "overall_admin";
+  }
+  if (r === "admin" || user.is_admin === true) return "admin";
+  return r;
+}
+
+/** can(user, "sale.delete") → boolean */
+export function can(user, capability) {
+  const role = ROLES[roleOf(user)];
+  return !!role && role.caps.includes(capability);
+}
+
+/** Landing route for a logged-in user ("/" when their role is unknown). */
+export function homePathFor(user) {
+  return ROLES[roleOf(user)]?.home || "/";
+}
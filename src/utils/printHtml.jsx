@@ -0,0 +1,45 @@
+// src/utils/printHtml.jsx
+// Opens a print window for a self-contained HTML document (statements, notes, reports).
+// "Save as PDF" in the browser print dialog covers the PDF case.
+
+export function escapeHtml(v) {
+  return String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+const PAGE_CSS = {
+  a4: "@page{size:A4;margin:14mm} body{font:12px/1.45 system-ui,-apple-system,Segoe UI,Roboto,sans-serif}",
+  thermal:
+    "@page{size:80mm auto;margin:3mm} body{width:74mm;font:11px/1.35 ui-monospace,Menlo,Consolas,monospace}",
+};
+
+const BASE_CSS = `
+*{box-sizing:border-box} body{color:#111;margin:0}
+h1{font-size:18px;margin:0 0 4px} h2{font-size:14px;margin:14px 0 6px}
+table{width:100%;border-collapse:collapse} th,td{padding:4px 6px;border-bottom:1px solid #ddd;text-align:left;vertical-align:top}
+th{background:#f3f4f6;font-weight:600} .num{text-align:right;white-space:nowrap}
+.muted{color:#666} .row{display:flex;justify-content:space-between;gap:12px} .total td{font-weight:700;border-top:2px solid #111}
+.sign{margin-top:36px;display:flex;gap:24px} .sign div{flex:1;border-top:1px solid #111;padding-top:4px;text-align:center}
+`;
+
+/**
+ * printHtml(title, bodyHtml, { page: "a4" | "thermal" })
+ * Throws when the browser blocks the popup so callers can toast it.
+ */
+export function printHtml(title, bodyHtml, { page = "a4" } = {}) {
+  const w = window.open("", "_blank", "width=900,height=1000");
+  if (!w) throw new Error("Allow pop-ups to print");
+  w.document.open();
+  w.document.write(`<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>${BASE_CSS}${PAGE_CSS[page] || PAGE_CSS.a4}</style></head><body>${bodyHtml}</body></html>`);
+  w.document.close();
+  w.focus();
+  // give the new window a tick to lay out before opening the dialog
+  setTimeout(() => {
+    w.print();
+  }, 250);
+}
@@ -0,0 +1,217 @@
+// src/utils/profitLoss.jsx — profit & loss statement with period comparison
+import { apiRequest, qs } from "../api.jsx";
+import { escapeHtml } from "./printHtml.jsx";
+import { spendByCategory } from "./expenseCategories.jsx";
+import { isCountedExpense } from "./expenseApproval.jsx";
+import { toNum, addDays, addMonths, daysBetween, monthEnd } from "./format.jsx";
+
+/**
+ * Same figures as the dashboard's Net Profit card, laid out as a statement:
+ *   Revenue (per size)  −  COGS (per size)  =  Gross profit
+ *   Gross profit  −  Operating expenses (per category)  =  Net profit
+ * Revenue & COGS come from /retail-sales/summary/cogs (SaleContext.fetchCogsSummary);
+ * operating expenses are approved, non-COGS expenses from /expenses.
+ *
+ * Each range is compared with the period of equal length just before it (whole calendar
+ * months compare with the months before) and with the same dates one month earlier
+ * (day clamped to the month's end; a range ending on a month end ends on last month's end).
+ */
+
+export const PERIODS = [
+  { key: "current", label: "This period" },
+  { key: "previous", label: "Previous period" },
+  { key: "last_month", label: "Same period last month" },
+];
+
+/** Inclusive number of days in a range */
+export function rangeDays({ date_from, date_to }) {
+  return daysBetween(date_from, date_to) + 1;
+}
+
+// whole calendar months (1st → month end) → how many, else 0
+function wholeMonths({ date_from, date_to }) {
+  if (!date_from.endsWith("-01") || monthEnd(date_to) !== date_to) return 0;
+  const [ay, am] = date_from.split("-").map(Number);
+  const [by, bm] = date_to.split("-").map(Number);
+  return (by - ay) * 12 + (bm - am) + 1;
+}
+
+/** → { current, previous, last_month } as { date_from, date_to } */
+export function comparisonRanges(range) {
+  const months = wholeMonths(range);
+  const days = rangeDays(range);
+  const previous = months
+    ? { date_from: addMonths(range.date_from, -months), date_to: addDays(range.date_from, -1) }
+    : { date_from: addDays(range.date_from, -days), date_to: addDays(range.date_from, -1) };
+  return {
+    current: { date_from: range.date_from, date_to: range.date_to },
+    previous,
+    last_month: {
+      date_from: addMonths(range.date_from, -1),
+      // a range ending on a month end keeps the whole of last month (Sep 30 → Aug 31)
+      date_to: monthEnd(range.date_to) === range.date_to ? monthEnd(addMonths(range.date_to, -1)) : addMonths(range.date_to, -1),
+    },
+  };
+}
+
+/**
+ * One period's figures.
+ * cogs: SaleContext.fetchCogsSummary() result; expenses: raw /expenses rows.
+ */
+export function buildStatement({ cogs, expenses, categories }) {
+  const sizes = (cogs?.by_size || []).map((r) => ({
+    key: String(r.bottle_size_id ?? r.label),
+    label: r.label,
+    sales: toNum(r.sales),
+    cogs: toNum(r.cogs),
+  }));
+  const revenue = toNum(cogs?.totals?.sales);
+  const cogsTotal = toNum(cogs?.totals?.cogs);
+  const gross = revenue - cogsTotal;
+  const opex = spendByCategory((expenses || []).filter((e) => !e.deleted_at && isCountedExpense(e)), categories)
+    .filter((r) => r.spent > 0)
+    .map((r) => ({ key: r.key, label: r.name, amount: r.spent }));
+  const opexTotal = opex.reduce((a, r) => a + r.amount, 0);
+  const net = gross - opexTotal;
+  return {
+    sizes,
+    revenue,
+    cogs: cogsTotal,
+    gross,
+    gross_margin: revenue > 0 ? (gross / revenue) * 100 : null,
+    opex,
+    opex_total: opexTotal,
+    net,
+    net_margin: revenue > 0 ? (net / revenue) * 100 : null,
+  };
+}
+
+async function listRangeExpenses(range) {
+  const res = await apiRequest(`/expenses${qs(range)}`);
+  return Array.isArray(res?.data) ? res.data : [];
+}
+
+/** Fetch & build one period */
+export async function loadStatement(range, { fetchCogsSummary, categories }) {
+  const [cogs, expenses] = await Promise.all([fetchCogsSummary(range), listRangeExpenses(range)]);
+  return buildStatement({ cogs, expenses, categories });
+}
+
+// union of keyed rows across periods, in first-seen order
+function unionRows(statements, pick) {
+  const seen = new Map();
+  for (const s of statements) for (const r of pick(s)) if (!seen.has(r.key)) seen.set(r.key, r.label);
+  return [...seen.entries()].map(([key, label]) => ({ key, label }));
+}
+
+/**
+ * Statement lines with one value per period (same order as `statements`).
+ * kind: "section" | "line" | "subtotal" | "total" | "ratio" (ratio values are %)
+ */
+export function statementLines(statements) {
+  const val = (fn) => statements.map((s) => (s ? fn(s) : null));
+  const sizes = unionRows(statements, (s) => s?.sizes || []);
+  const cats = unionRows(statements, (s) => s?.opex || []);
+  const sizeVal = (key, field) => val((s) => s.sizes.find((r) => r.key === key)?.[field] ?? 0);
+
+  return [
+    { key: "h_revenue", kind: "section", label: "Revenue" },
+    ...sizes.map((r) => ({ key: `rev_${r.key}`, kind: "line", label: r.label, values: sizeVal(r.key, "sales") })),
+    { key: "revenue", kind: "subtotal", label: "Total revenue", values: val((s) => s.revenue) },
+    { key: "h_cogs", kind: "section", label: "Cost of goods sold" },
+    ...sizes.map((r) => ({ key: `cogs_${r.key}`, kind: "line", label: r.label, values: sizeVal(r.key, "cogs") })),
+    { key: "cogs", kind: "subtotal", label: "Total COGS", values: val((s) => s.cogs) },
+    { key: "gross", kind: "total", label: "Gross profit", values: val((s) => s.gross) },
+    { key: "gross_margin", kind: "ratio", label: "Gross margin", values: val((s) => s.gross_margin) },
+    { key: "h_opex", kind: "section", label: "Operating expenses" },
+    ...cats.map((c) => ({
+      key: `opex_${c.key}`,
+      kind: "line",
+      label: c.label,
+      values: val((s) => s.opex.find((r) => r.key === c.key)?.amount ?? 0),
+    })),
+    { key: "opex_total", kind: "subtotal", label: "Total operating expenses", values: val((s) => s.opex_total) },
+    { key: "net", kind: "total", label: "Net profit", values: val((s) => s.net) },
+    { key: "net_margin", kind: "ratio", label: "Net margin", values: val((s) => s.net_margin) },
+  ];
+}
+
+/**
+ * Change from `base` to `value` → { diff, pct }.
+ * For ratios the diff is in percentage points and pct is null.
+ */
+export function change(value, base, { ratio = false } = {}) {
+  if (value == null || base == null) return { diff: null, pct: null };
+  const diff = value - base;
+  if (ratio) return { diff, pct: null };
+  return { diff, pct: base !== 0 ? (diff / Math.abs(base)) * 100 : null };
+}
+
+/** Lower is better for costs — used to colour changes */
+export function isCostLine(key) {
+  return key === "cogs" || key === "opex_total" || key.startsWith("cogs_") || key.startsWith("opex_");
+}
+
+function rangeText(r) {
+  return r.date_from === r.date_to ? r.date_from : `${r.date_from} – ${r.date_to}`;
+}
+
+/** Columns for toCsv(): line, then value / change / change % for each comparison */
+export function statementCsvColumns(ranges) {
+  const amount = (v) => (v == null ? "" : v.toFixed(2));
+  const cols = [
+    { key: "label", label: "Line", value: (l) => (l.kind === "line" ? `  ${l.label}` : l.label) },
+    { key: "current", label: `This period (${rangeText(ranges.current)})`, value: (l) => amount(l.values?.[0]) },
+  ];
+  PERIODS.slice(1).forEach((p, i) => {
+    const at = i + 1;
+    cols.push(
+      { key: p.key, label: `${p.label} (${rangeText(ranges[p.key])})`, value: (l) => amount(l.values?.[at]) },
+      {
+        key: `${p.key}_diff`,
+        label: `Change vs ${p.label.toLowerCase()}`,
+        value: (l) => amount(l.values ? change(l.values[0], l.values[at], { ratio: l.kind === "ratio" }).diff : null),
+      },
+      {
+        key: `${p.key}_pct`,
+        label: "Change %",
+        value: (l) => amount(l.values ? change(l.values[0], l.values[at], { ratio: l.kind === "ratio" }).pct : null),
+      }
+    );
+  });
+  return cols;
+}
+
+/** A4 statement for printHtml() */
+export function statementReportHtml(lines, ranges, { brand = "", formatMoney = (v) => toNum(v).toFixed(2) } = {}) {
+  const cell = (l, v) => {
+    if (v == null) return "—";
+    return l.kind === "ratio" ? `${v.toFixed(1)}%` : formatMoney(v);
+  };
+  const delta = (l, at) => {
+    const { diff, pct } = change(l.values[0], l.values[at], { ratio: l.kind === "ratio" });
+    if (diff == null) return "—";
+    if (l.kind === "ratio") return `${diff >= 0 ? "+" : ""}${diff.toFixed(1)} pp`;
+    return `${diff >= 0 ? "+" : "−"}${formatMoney(Math.abs(diff))}${pct == null ? "" : ` (${pct >= 0 ? "+" : ""}${pct.toFixed(1)}%)`}`;
+  };
+  const rows = lines
+    .map((l) => {
+      if (l.kind === "section") return `<tr><td colspan="6"><b>${escapeHtml(l.label)}</b></td></tr>`;
+      const strong = l.kind === "subtotal" || l.kind === "total";
+      const label = l.kind === "line" ? `&nbsp;&nbsp;&nbsp;${escapeHtml(l.label)}` : escapeHtml(l.label);
+      return `<tr${l.kind === "total" ? ' class="total"' : ""}><td>${strong ? `<b>${label}</b>` : label}</td>
+<td class="num">${cell(l, l.values[0])}</td><td class="num">${cell(l, l.values[1])}</td><td class="num">${delta(l, 1)}</td>
+<td class="num">${cell(l, l.values[2])}</td><td class="num">${delta(l, 2)}</td></tr>`;
+    })
+    .join("");
+
+  return `
+<div class="row"><div><h1>${escapeHtml(brand)}</h1><div class="muted">Profit &amp; loss statement</div></div>
+<div class="muted">${escapeHtml(rangeText(ranges.current))}</div></div>
+<table style="margin-top:12px"><thead><tr><th></th>
+<th class="num">This period<br><span class="muted">${escapeHtml(rangeText(ranges.current))}</span></th>
+<th class="num">Previous period<br><span class="muted">${escapeHtml(rangeText(ranges.previous))}</span></th><th class="num">Change</th>
+<th class="num">Same period last month<br><span class="muted">${escapeHtml(rangeText(ranges.last_month))}</span></th><th class="num">Change</th>
+</tr></thead><tbody>${rows}</tbody></table>
+<p class="muted">COGS is the cost of cartons sold. Operating expenses are approved expenses excluding COGS purchases.</p>`;
+}
@@ -0,0 +1,131 @@
+// src/utils/purchasing.jsx — suppliers, purchase orders, goods received & supplier payments
+import { apiRequest, apiWrite, rowsOf, qs } from "../api.jsx";
+import { toNum } from "./format.jsx";
+
+/**
+ * A purchase order (PO) lists what we ordered from a supplier: each line is a bottle size
+ * or a raw material with quantity and unit cost. Receiving goods against a PO is what
+ * creates COGS (received qty × unit cost, category "cogs", linked to the PO) — material
+ * lines also add to materials on hand, bottle-size lines update the size's cost per carton.
+ * A supplier's balance is what we received from them minus what we paid them.
+ *
+ * Endpoints
+ * - /suppliers                       GET (?include_inactive) · POST · PUT /:id
+ *                                    { name, phone?, email?, contact_person?, terms_days?, is_active }
+ *                                    → rows carry received_total, paid_total, balance
+ * - /purchase-orders                 GET ?status&supplier_id&date_from&date_to · POST · PUT /:id (nothing received yet)
+ *                                    { supplier_id, date, expected_date?, note?,
+ *                                      lines: [{ item_type: "bottle_size"|"material", bottle_size_id?, material_id?, quantity, unit_cost }] }
+ *                                    → lines carry id, label, quantity_received
+ * - /purchase-orders/:id/receive     POST { date, note?, lines: [{ line_id, quantity }] }
+ * - /purchase-orders/:id/cancel      POST { reason? }
+ * - /supplier-payments               GET ?supplier_id&date_from&date_to · POST
+ *                                    { supplier_id, amount, payment_method, date, reference?, purchase_order_id? }
+ */
+
+export const PO_STATUS = {
+  open: { label: "Open", cls: "bg-sky-500/20 text-sky-300" },
+  partial: { label: "Part received", cls: "bg-amber-500/20 text-amber-300" },
+  received: { label: "Received", cls: "bg-emerald-500/20 text-emerald-300" },
+  cancelled: { label: "Cancelled", cls: "bg-white/10 text-white/50" },
+};
+
+export const PAYMENT_METHODS = ["Cash", "M-Pesa", "Bank", "Other"];
+
+/* ---------------- Suppliers ---------------- */
+
+export async function listSuppliers(params = {}) {
+  const res = await apiRequest(`/suppliers${qs(params)}`);
+  return rowsOf(res);
+}
+
+export async function saveSupplier(supplier) {
+  const { id, ...body } = supplier;
+  const res = id
+    ? await apiWrite(`/suppliers/${id}`, { method: "PUT", body })
+    : await apiWrite(`/suppliers`, { method: "POST", body });
+  return res?.data;
+}
+
+/** What we owe a supplier (positive) or have prepaid (negative) */
+export function supplierBalance(s) {
+  if (s?.balance != null) return toNum(s.balance);
+  return toNum(s?.received_total) - toNum(s?.paid_total);
+}
+
+/* ---------------- Purchase orders ---------------- */
+
+export async function listPurchaseOrders(params = {}, opts = {}) {
+  const res = await apiRequest(`/purchase-orders${qs({ per_page: 200, ...params })}`, { signal: opts.signal });
+  return rowsOf(res);
+}
+
+export async function savePurchaseOrder(po) {
+  const { id, ...body } = po;
+  const payload = {
+    ...body,
+    lines: (body.lines || []).map((l) => ({
+      item_type: l.item_type,
+      ...(l.item_type === "material" ? { material_id: Number(l.material_id) } : { bottle_size_id: Number(l.bottle_size_id) }),
+      quantity: toNum(l.quantity),
+      unit_cost: toNum(l.unit_cost),
+    })),
+  };
+  const res = id
+    ? await apiWrite(`/purchase-orders/${id}`, { method: "PUT", body: payload })
+    : await apiWrite(`/purchase-orders`, { method: "POST", body: payload });
+  return res?.data;
+}
+
+export async function receivePurchaseOrder(id, { date, note, lines }) {
+  const res = await apiWrite(`/purchase-orders/${id}/receive`, {
+    method: "POST",
+    body: {
+      date,
+      ...(note ? { note } : {}),
+      lines: lines.filter((l) => toNum(l.quantity) > 0).map((l) => ({ line_id: l.line_id, quantity: toNum(l.quantity) })),
+    },
+  });
+  return res?.data;
+}
+
+export async function cancelPurchaseOrder(id, reason) {
+  const res = await apiWrite(`/purchase-orders/${id}/cancel`, { method: "POST", body: reason ? { reason } : {} });
+  return res?.data;
+}
+
+export function lineRemaining(line) {
+  return Math.max(0, toNum(line?.quantity) - toNum(line?.quantity_received));
+}
+
+/** → { ordered, received, outstanding } in money */
+export function poTotals(po) {
+  let ordered = 0;
+  let received = 0;
+  for (const l of po?.lines || []) {
+    ordered += toNum(l.quantity) * toNum(l.unit_cost);
+    received += toNum(l.quantity_received) * toNum(l.unit_cost);
+  }
+  return { ordered, received, outstanding: ordered - received };
+}
+
+/** Server status when cancelled, otherwise derived from what has been received */
+export function poStatus(po) {
+  if (po?.status === "cancelled") return "cancelled";
+  const lines = po?.lines || [];
+  if (lines.length && lines.every((l) => lineRemaining(l) === 0)) return "received";
+  if (lines.some((l) => toNum(l.quantity_received) > 0)) return "partial";
+  return "open";
+}
+
+/* ---------------- Supplier payments ---------------- */
+
+export async function listSupplierPayments(params = {}) {
+  const res = await apiRequest(`/supplier-payments${qs({ per_page: 200, ...params })}`);
+  return rowsOf(res);
+}
+
+export async function createSupplierPayment(payment) {
+  const res = await apiWrite(`/supplier-payments`, { method: "POST", body: payment });
+  return res?.data;
+}
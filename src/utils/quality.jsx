@@ -0,0 +1,164 @@
+// src/utils/quality.jsx — water quality tests, pass/fail limits & the inspectors' compliance report
+import { apiRequest, apiWrite, qs } from "../api.jsx";
+import { escapeHtml } from "./printHtml.jsx";
+
+/**
+ * Operators log a test per production run (a Nairobi day, optionally a batch code).
+ * Each parameter is judged against the plant's limits; a test passes when every
+ * recorded parameter does. A day whose latest after-treatment or final-product test failed
+ * blocks packaging entries (raw water is expected to fail before treatment).
+ *
+ * Endpoints
+ * - /quality-tests    GET ?date_from&date_to&batch_code · POST · PUT /:id
+ *                     { date, batch_code?, sample_point, values: { ph, tds, ... }, tested_by?, notes? }
+ * - /quality-limits   GET → { [param]: { min?, max? } } · PUT (same shape)
+ */
+
+/** kind "range": numeric, judged by min/max; kind "absent": microbiology, must be "absent" */
+export const QUALITY_PARAMS = [
+  { key: "ph", label: "pH", unit: "", kind: "range" },
+  { key: "tds", label: "TDS", unit: "mg/L", kind: "range" },
+  { key: "chlorine", label: "Residual chlorine", unit: "mg/L", kind: "range" },
+  { key: "coliforms", label: "Total coliforms", unit: "/100 mL", kind: "absent" },
+  { key: "e_coli", label: "E. coli", unit: "/100 mL", kind: "absent" },
+];
+
+/** Used until an admin saves the plant's own limits */
+export const DEFAULT_LIMITS = {
+  ph: { min: 6.5, max: 8.5 },
+  tds: { max: 500 },
+  chlorine: { max: 0.2 },
+};
+
+export const SAMPLE_POINTS = ["Raw water", "After treatment", "Final product"];
+
+/** Sample points that gate packaging */
+export const GATING_SAMPLE_POINTS = ["After treatment", "Final product"];
+
+export async function listQualityTests(params = {}, opts = {}) {
+  const res = await apiRequest(`/quality-tests${qs({ per_page: 500, ...params })}`, { signal: opts.signal });
+  return Array.isArray(res?.data) ? res.data : [];
+}
+
+export async function saveQualityTest(test) {
+  const { id, ...body } = test;
+  const res = id
+    ? await apiWrite(`/quality-tests/${id}`, { method: "PUT", body })
+    : await apiWrite(`/quality-tests`, { method: "POST", body });
+  return res?.data;
+}
+
+export async function getQualityLimits(opts = {}) {
+  const res = await apiRequest(`/quality-limits`, { signal: opts.signal });
+  const data = res?.data;
+  return data && typeof data === "object" && Object.keys(data).length ? data : DEFAULT_LIMITS;
+}
+
+export async function saveQualityLimits(limits) {
+  const res = await apiWrite(`/quality-limits`, { method: "PUT", body: limits });
+  return res?.data || limits;
+}
+
+/** Is one recorded value within limits? null when not recorded. */
+export function paramPasses(param, value, limits) {
+  if (value === undefined || value === null || value === "") return null;
+  if (param.kind === "absent") return String(value).toLowerCase() === "absent";
+  const n = Number(value);
+  if (!Number.isFinite(n)) return false;
+  const lim = limits?.[param.key] || {};
+  if (lim.min != null && lim.min !== "" && n < Number(lim.min)) return false;
+  if (lim.max != null && lim.max !== "" && n > Number(lim.max)) return false;
+  return true;
+}
+
+/**
+ * → { results: [{ key, label, unit, value, pass }], pass, failed: [labels] }
+ *   pass is null when nothing was recorded
+ */
+export function evaluateTest(test, limits) {
+  const results = QUALITY_PARAMS.map((p) => ({
+    key: p.key,
+    label: p.label,
+    unit: p.unit,
+    value: test?.values?.[p.key],
+    pass: paramPasses(p, test?.values?.[p.key], limits),
+  }));
+  const recorded = results.filter((r) => r.pass !== null);
+  const failed = recorded.filter((r) => !r.pass).map((r) => r.label);
+  return { results, pass: recorded.length ? failed.length === 0 : null, failed };
+}
+
+/**
+ * Quality status of one production day. Only after-treatment and final-product samples count,
+ * and each sample point is judged by its own latest test, so a passing re-test after a failure
+ * clears that point (a later raw-water or other-point test does not).
+ * → { status: "passed" | "failed" | "untested", points: [{ sample_point, latest, pass }],
+ *     failed: ["Final product: pH", ...] }
+ */
+export function dayQualityStatus(tests, date, limits) {
+  const sameDay = (tests || [])
+    .filter((t) => String(t.date).slice(0, 10) === date)
+    .sort((a, b) => String(a.tested_at || a.created_at || "").localeCompare(String(b.tested_at || b.created_at || "")));
+  const points = GATING_SAMPLE_POINTS.map((sp) => sameDay.filter((t) => t.sample_point === sp).pop())
+    .filter(Boolean)
+    .map((latest) => ({ sample_point: latest.sample_point, latest, ev: evaluateTest(latest, limits) }));
+  if (!points.length) return { status: "untested", points: [], failed: [] };
+  const failing = points.filter((p) => p.ev.pass === false);
+  return {
+    status: failing.length ? "failed" : "passed",
+    points: points.map((p) => ({ sample_point: p.sample_point, latest: p.latest, pass: p.ev.pass })),
+    failed: failing.flatMap((p) => p.ev.failed.map((label) => `${p.sample_point}: ${label}`)),
+  };
+}
+
+export function limitText(param, limits) {
+  if (param.kind === "absent") return "Absent";
+  const lim = limits?.[param.key] || {};
+  const hasMin = lim.min != null && lim.min !== "";
+  const hasMax = lim.max != null && lim.max !== "";
+  if (hasMin && hasMax) return `${lim.min} – ${lim.max}`;
+  if (hasMax) return `≤ ${lim.max}`;
+  if (hasMin) return `≥ ${lim.min}`;
+  return "—";
+}
+
+/** HTML body for printHtml(): limits, every test in the period with PASS/FAIL, sign-off */
+export function complianceReportHtml(tests, limits, { brand = "", dateFrom = "", dateTo = "" } = {}) {
+  const evaluated = (tests || []).map((t) => ({ t, ev: evaluateTest(t, limits) }));
+  const passed = evaluated.filter((x) => x.ev.pass === true).length;
+  const failed = evaluated.filter((x) => x.ev.pass === false).length;
+  const days = new Set(evaluated.map((x) => String(x.t.date).slice(0, 10))).size;
+
+  const limitRows = QUALITY_PARAMS.map(
+    (p) => `<tr><td>${escapeHtml(p.label)}</td><td>${escapeHtml(p.unit)}</td><td class="num">${escapeHtml(limitText(p, limits))}</td></tr>`
+  ).join("");
+  const head = QUALITY_PARAMS.map((p) => `<th class="num">${escapeHtml(p.label)}</th>`).join("");
+  const rows = evaluated
+    .map(({ t, ev }) => {
+      const cells = ev.results
+        .map(
+          (r) =>
+            `<td class="num"${r.pass === false ? ' style="font-weight:700;text-decoration:underline"' : ""}>${
+              r.value === undefined || r.value === null || r.value === "" ? "—" : escapeHtml(r.value)
+            }</td>`
+        )
+        .join("");
+      return `<tr><td>${escapeHtml(String(t.date).slice(0, 10))}</td><td>${escapeHtml(t.batch_code || "")}</td>
+<td>${escapeHtml(t.sample_point || "")}</td>${cells}<td><b>${ev.pass === false ? "FAIL" : ev.pass ? "PASS" : "—"}</b></td>
+<td>${escapeHtml(t.tested_by || t.user_name || "")}</td></tr>`;
+    })
+    .join("");
+
+  return `
+<div class="row"><div><h1>${escapeHtml(brand)}</h1><div class="muted">Water quality compliance report</div></div>
+<div class="muted">${escapeHtml(dateFrom)} → ${escapeHtml(dateTo)}</div></div>
+<div class="row" style="margin-top:8px"><span>Production days tested: <b>${days}</b></span>
+<span>Tests: <b>${evaluated.length}</b> · Passed: <b>${passed}</b> · Failed: <b>${failed}</b></span></div>
+<h2>Limits</h2>
+<table><thead><tr><th>Parameter</th><th>Unit</th><th class="num">Limit</th></tr></thead><tbody>${limitRows}</tbody></table>
+<h2>Test results</h2>
+<table><thead><tr><th>Date</th><th>Batch</th><th>Sample</th>${head}<th>Result</th><th>Tested by</th></tr></thead>
+<tbody>${rows || `<tr><td colspan="${QUALITY_PARAMS.length + 5}" class="muted">No tests in this period</td></tr>`}</tbody></table>
+<p class="muted">Failed values are underlined. A failed day's production is held until a passing re-test.</p>
+<div class="sign"><div>Quality officer</div><div>Plant manager</div><div>Inspector</div></div>`;
+}
@@ -0,0 +1,154 @@
+// src/utils/receiptPrinter.jsx — send ESC/POS bytes to a printer attached to this device
+//
+// Transports:
+//   "bluetooth" → Android build: native BluetoothPrinter plugin (classic SPP, paired printers)
+//   "serial"    → Chrome/Edge: Web Serial (USB-serial & Bluetooth SPP ports)
+//   "usb"       → Chrome/Edge: WebUSB (USB printer class)
+// The chosen printer is remembered in localStorage ("bb.printer") so later prints skip the picker.
+
+import { Capacitor, registerPlugin } from "@capacitor/core";
+
+const STORE_KEY = "bb.printer";
+const USB_PRINTER_CLASS = 7;
+const CHUNK = 512; // small writes keep cheap BT printers from dropping bytes
+
+const BluetoothPrinter = registerPlugin("BluetoothPrinter");
+
+// Serial port picked in this tab. Bluetooth SPP ports carry no USB ids, so after a reload
+// nothing tells them apart — the user picks the port again rather than we guess one.
+let chosenSerialPort = null;
+
+export function printerSupport() {
+  const native = Capacitor.isNativePlatform?.() && Capacitor.getPlatform?.() === "android";
+  return {
+    bluetooth: Boolean(native),
+    serial: !native && typeof navigator !== "undefined" && "serial" in navigator,
+    usb: !native && typeof navigator !== "undefined" && "usb" in navigator,
+  };
+}
+
+/** { type, name, address?, vendorId?, productId?, columns } | null */
+export function getSavedPrinter() {
+  try {
+    return JSON.parse(localStorage.getItem(STORE_KEY) || "null");
+  } catch {
+    return null;
+  }
+}
+
+export function savePrinter(printer) {
+  try {
+    if (printer) localStorage.setItem(STORE_KEY, JSON.stringify(printer));
+    else localStorage.removeItem(STORE_KEY);
+  } catch {
+    /* private mode */
+  }
+}
+
+/** Paired Bluetooth printers (Android only): [{ name, address }] */
+export async function listBluetoothPrinters() {
+  const res = await BluetoothPrinter.listPaired();
+  return res?.devices || [];
+}
+
+/**
+ * Ask the user for a printer. Must run from a click handler (browser permission prompt).
+ * Returns the printer descriptor to save (bluetooth needs an address from listBluetoothPrinters).
+ */
+export async function choosePrinter(type, extra = {}) {
+  if (type === "serial") {
+    const port = await navigator.serial.requestPort();
+    chosenSerialPort = port;
+    const info = port.getInfo?.() || {};
+    return {
+      type,
+      name: info.usbProductId ? `Serial ${hex(info.usbVendorId)}:${hex(info.usbProductId)}` : "Serial printer",
+      vendorId: info.usbVendorId,
+      productId: info.usbProductId,
+    };
+  }
+  if (type === "usb") {
+    const dev = await navigator.usb.requestDevice({ filters: [{ classCode: USB_PRINTER_CLASS }] });
+    return { type, name: dev.productName || "USB printer", vendorId: dev.vendorId, productId: dev.productId };
+  }
+  if (type === "bluetooth") {
+    if (!extra.address) throw new Error("Pick a paired printer");
+    return { type, name: extra.name || extra.address, address: extra.address };
+  }
+  throw new Error(`Unsupported printer type: ${type}`);
+}
+
+/** Write bytes to the saved (or given) printer */
+export async function printBytes(bytes, printer = getSavedPrinter()) {
+  if (!printer) throw new Error("No printer selected");
+  if (printer.type === "bluetooth") return printBluetooth(bytes, printer);
+  if (printer.type === "serial") return printSerial(bytes, printer);
+  if (printer.type === "usb") return printUsb(bytes, printer);
+  throw new Error(`Unsupported printer type: ${printer.type}`);
+}
+
+async function printBluetooth(bytes, printer) {
+  await BluetoothPrinter.print({ address: printer.address, data: toBase64(bytes) });
+}
+
+async function printSerial(bytes, printer) {
+  const ports = await navigator.serial.getPorts();
+  const port = printer.productId
+    ? ports.find((p) => {
+        const info = p.getInfo?.() || {};
+        return info.usbVendorId === printer.vendorId && info.usbProductId === printer.productId;
+      })
+    : ports.find((p) => p === chosenSerialPort);
+  if (!port) {
+    throw new Error(
+      printer.productId
+        ? "Printer permission was revoked — choose the printer again"
+        : "Choose the serial printer again — its port can't be recognised after a reload"
+    );
+  }
+  await port.open({ baudRate: 9600 }).catch((e) => {
+    // already open from an earlier print in this tab
+    if (e?.name !== "InvalidStateError") throw e;
+  });
+  const writer = port.writable.getWriter();
+  try {
+    for (let i = 0; i < bytes.length; i += CHUNK) await writer.write(bytes.slice(i, i + CHUNK));
+  } finally {
+    writer.releaseLock();
+    await port.close().catch(() => {});
+  }
+}
+
+async function printUsb(bytes, printer) {
+  const devices = await navigator.usb.getDevices();
+  const dev = devices.find((d) => d.vendorId === printer.vendorId && d.productId === printer.productId);
+  if (!dev) throw new Error("Printer permission was revoked — choose the printer again");
+
+  await dev.open();
+  try {
+    if (!dev.configuration) await dev.selectConfiguration(1);
+    const iface = dev.configuration.interfaces.find((i) =>
+      i.alternates.some((a) => a.interfaceClass === USB_PRINTER_CLASS)
+    ) || dev.configuration.interfaces[0];
+    const alt = iface.alternates.find((a) => a.interfaceClass === USB_PRINTER_CLASS) || iface.alternates[0];
+    const out = alt.endpoints.find((e) => e.direction === "out" && e.type === "bulk");
+    if (!out) throw new Error("This USB device has no printer output endpoint");
+    await dev.claimInterface(iface.interfaceNumber);
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+      await dev.transferOut(out.endpointNumber, bytes.slice(i, i + CHUNK));
+    }
+    await dev.releaseInterface(iface.interfaceNumber).catch(() => {});
+  } finally {
+    await dev.close().catch(() => {});
+  }
+}
+
+function toBase64(bytes) {
+  let s = "";
+  for (let i = 0; i < bytes.length; i++) s += String.fromCharCode(bytes[i]);
+  return btoa(s);
+}
+
+function hex(n) {
+  return Number(n || 0).toString(16).padStart(4, "0");
+}
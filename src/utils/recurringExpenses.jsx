@@ -0,0 +1,128 @@
+// src/utils/recurringExpenses.jsx — recurring expense templates, due drafts & upcoming obligations
+import { apiRequest, apiWrite, qs } from "../api.jsx";
+import { addDays, daysBetween } from "./format.jsx";
+
+/**
+ * A template describes a bill that repeats (rent, salaries, electricity). Every scheduled
+ * date up to today that has not been handled yet is a *draft*: a cashier or admin confirms
+ * it (which records a normal expense carrying `recurring_expense_id` + `occurrence_date`)
+ * or skips it. The server moves the template's `last_occurrence` forward on both.
+ *
+ * Schedules
+ * - weekly:  every `weekday` (0 = Sunday … 6 = Saturday)
+ * - monthly: on `day_of_month` (29–31 fall back to the month's last day)
+ * - custom:  every `interval_days` days counted from `start_date`
+ *
+ * Endpoints
+ * - /recurring-expenses            GET (?include_inactive) · POST · PUT /:id
+ *                                  { description, category, amount, payment_method, frequency, weekday?,
+ *                                    day_of_month?, interval_days?, start_date, end_date?, is_active }
+ *                                  → rows carry last_occurrence
+ * - /recurring-expenses/:id/skip   POST { occurrence_date }
+ * - /expenses                      POST { ..., recurring_expense_id, occurrence_date } (confirming a draft)
+ */
+
+export const FREQUENCIES = {
+  weekly: "Weekly",
+  monthly: "Monthly",
+  custom: "Every N days",
+};
+
+export const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+export async function listRecurringExpenses(params = {}) {
+  const res = await apiRequest(`/recurring-expenses${qs(params)}`);
+  return Array.isArray(res?.data) ? res.data : [];
+}
+
+export async function saveRecurringExpense(template) {
+  const { id, ...body } = template;
+  const res = id
+    ? await apiWrite(`/recurring-expenses/${id}`, { method: "PUT", body })
+    : await apiWrite(`/recurring-expenses`, { method: "POST", body });
+  return res?.data;
+}
+
+export async function skipRecurringOccurrence(id, occurrenceDate) {
+  const res = await apiWrite(`/recurring-expenses/${id}/skip`, {
+    method: "POST",
+    body: { occurrence_date: occurrenceDate },
+  });
+  return res?.data;
+}
+
+/* ---------------- Schedule maths (YYYY-MM-DD, calendar days) ---------------- */
+
+// weekday / day of month of a "YYYY-MM-DD" (UTC, so the calendar day never shifts)
+function parseDay(ymd) {
+  return new Date(`${String(ymd).slice(0, 10)}T00:00:00Z`);
+}
+
+/** Does the template fall due on `ymd`? (ignores start/end) */
+function fallsOn(t, ymd) {
+  const d = parseDay(ymd);
+  if (t.frequency === "weekly") return d.getUTCDay() === Number(t.weekday);
+  if (t.frequency === "monthly") {
+    const last = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+    return d.getUTCDate() === Math.min(Math.max(1, Number(t.day_of_month) || 1), last);
+  }
+  const every = Math.max(1, Math.floor(Number(t.interval_days) || 0));
+  const since = daysBetween(t.start_date, ymd);
+  return since >= 0 && since % every === 0;
+}
+
+/** Scheduled dates in [from, to], inside the template's start/end */
+export function occurrencesBetween(t, from, to) {
+  const start = t.start_date && t.start_date > from ? String(t.start_date).slice(0, 10) : from;
+  const end = t.end_date && t.end_date < to ? String(t.end_date).slice(0, 10) : to;
+  const out = [];
+  const span = daysBetween(start, end);
+  for (let i = 0; i <= span; i++) {
+    const day = addDays(start, i);
+    if (fallsOn(t, day)) out.push(day);
+  }
+  return out;
+}
+
+/** "Monthly on the 5th", "Weekly on Friday", "Every 14 days" */
+export function scheduleLabel(t) {
+  if (t.frequency === "weekly") return `Weekly on ${WEEKDAYS[Number(t.weekday)] || "?"}`;
+  if (t.frequency === "monthly") return `Monthly on day ${Number(t.day_of_month) || 1}`;
+  return `Every ${Math.max(1, Math.floor(Number(t.interval_days) || 0))} days`;
+}
+
+/**
+ * Every occurrence due up to `today` not yet confirmed or skipped, oldest first
+ * (a missed date stays a draft until it is confirmed or skipped). Handle them oldest first:
+ * confirming or skipping a date moves `last_occurrence` past every earlier one.
+ * → [{ key, template, occurrence_date }]
+ */
+export function dueDrafts(templates, today) {
+  const out = [];
+  for (const t of templates || []) {
+    if (t.is_active === false || !t.start_date) continue;
+    const from = t.last_occurrence ? addDays(t.last_occurrence, 1) : String(t.start_date).slice(0, 10);
+    if (from > today) continue;
+    for (const day of occurrencesBetween(t, from, today)) {
+      out.push({ key: `${t.id}:${day}`, template: t, occurrence_date: day });
+    }
+  }
+  return out.sort((a, b) => a.occurrence_date.localeCompare(b.occurrence_date));
+}
+
+/**
+ * What falls due after `today` within `days` days, soonest first.
+ * → [{ key, template, occurrence_date, amount }]
+ */
+export function upcomingObligations(templates, today, days = 30) {
+  const out = [];
+  const from = addDays(today, 1);
+  const to = addDays(today, days);
+  for (const t of templates || []) {
+    if (t.is_active === false || !t.start_date) continue;
+    for (const day of occurrencesBetween(t, from, to)) {
+      out.push({ key: `${t.id}:${day}`, template: t, occurrence_date: day, amount: Number(t.amount) || 0 });
+    }
+  }
+  return out.sort((a, b) => a.occurrence_date.localeCompare(b.occurrence_date));
+}
@@ -0,0 +1,28 @@
+// src/utils/saleMoney.jsx — gross / paid / due of a sale row, whichever field names the API used
+import { toNum } from "./format.jsx";
+
+export const GROSS_KEYS = ["total_amount", "gross_total", "subtotal", "amount", "total", "amount_total"];
+export const PAID_KEYS = ["paid_amount", "amount_paid", "paid", "payments_total"];
+export const DUE_KEYS = ["balance_due", "due", "outstanding", "remaining"];
+
+/** First of `keys` present on obj, as a number; `d` when none is */
+export function pickNum(obj, keys, d = 0) {
+  for (const k of keys) {
+    if (obj?.[k] !== undefined && obj?.[k] !== null) return toNum(obj[k]);
+  }
+  return d;
+}
+
+export function getGross(s) {
+  return pickNum(s, GROSS_KEYS);
+}
+
+export function getPaid(s) {
+  return pickNum(s, PAID_KEYS);
+}
+
+/** Balance due as sent, else gross − paid */
+export function getDue(s) {
+  const d = pickNum(s, DUE_KEYS, NaN);
+  return Number.isFinite(d) ? d : Math.max(0, getGross(s) - getPaid(s));
+}
@@ -0,0 +1,113 @@
+// src/utils/stockLedger.jsx — stock movements per bottle size & the opening → closing ledger built from them
+import { apiRequest, qs } from "../api.jsx";
+import { toNum, ymdOf } from "./format.jsx";
+
+/**
+ * Every change to cartons on hand is a movement:
+ * - packaging   + cartons packed (packaging entry; negative when an entry is deleted)
+ * - sale        − cartons sold (positive when a sale is deleted / its items reduced)
+ * - return      + cartons brought back when a dispatch or trip is closed
+ * - adjustment  ± stock-take corrections, damaged or expired cartons (with a `reason` from ADJUSTMENT_REASONS)
+ *
+ * GET /stock-movements?date_from&date_to&bottle_size_id&type&page&per_page
+ * → { data: [{ id, occurred_at, date, bottle_size_id, bottle_size_label, type, cartons,
+ *              reference_type, reference_id, reference, reason, note, user_name }], pagination }
+ */
+export const MOVEMENT_TYPES = {
+  packaging: { label: "Packaged", cls: "bg-emerald-500/20 text-emerald-300" },
+  sale: { label: "Sold", cls: "bg-sky-500/20 text-sky-300" },
+  return: { label: "Returned", cls: "bg-amber-500/20 text-amber-300" },
+  adjustment: { label: "Adjustment", cls: "bg-rose-500/20 text-rose-300" },
+};
+
+/** Why an adjustment was posted (stock-take screen, ledger lines) */
+export const ADJUSTMENT_REASONS = {
+  damaged: "Damaged / leaking",
+  expired: "Expired",
+  count_correction: "Count correction",
+};
+
+/** All movements matching params, oldest first (pages through /stock-movements until has_next is false) */
+export async function listStockMovements(params = {}, opts = {}) {
+  const out = [];
+  for (let page = 1; ; page++) {
+    const res = await apiRequest(`/stock-movements${qs({ order: "asc", ...params, page, per_page: 500 })}`, {
+      signal: opts.signal,
+    });
+    const rows = Array.isArray(res?.data) ? res.data : [];
+    out.push(...rows);
+    const pg = res?.pagination;
+    if (!rows.length || !(pg?.has_next ?? page < (pg?.pages || 0))) break;
+  }
+  return out;
+}
+
+/** Nairobi "YYYY-MM-DD" of a movement */
+export function movementDay(m) {
+  return m?.date ? String(m.date).slice(0, 10) : ymdOf(m?.occurred_at);
+}
+
+/**
+ * Ledger per size for [dateFrom, dateTo].
+ * movements: everything from dateFrom up to now (listStockMovements({ date_from: dateFrom })),
+ *   so closing = today's on hand − whatever moved after dateTo, and opening = closing − the period's net.
+ * balances: stockBalances rows ({ bottle_size_id, label, cartons_on_hand })
+ * → rows: [{ bottle_size_id, label, opening, packaged, sold, returned, adjusted, closing, on_hand, movements }]
+ *   movements carry a running `balance` so each line explains the next number.
+ */
+export function buildStockLedger(movements, balances, { dateFrom = "", dateTo = "" } = {}) {
+  const bySize = new Map();
+  const rowFor = (id, label) => {
+    const key = String(id);
+    if (!bySize.has(key)) {
+      bySize.set(key, {
+        bottle_size_id: id,
+        label: label || `Size #${id}`,
+        opening: 0,
+        packaged: 0,
+        sold: 0,
+        returned: 0,
+        adjusted: 0,
+        closing: 0,
+        on_hand: 0,
+        after: 0,
+        movements: [],
+      });
+    }
+    return bySize.get(key);
+  };
+
+  for (const b of balances || []) {
+    rowFor(b.bottle_size_id, b.label).on_hand = toNum(b.cartons_on_hand);
+  }
+
+  for (const m of movements || []) {
+    const day = movementDay(m);
+    if (dateFrom && day && day < dateFrom) continue;
+    const row = rowFor(m.bottle_size_id, m.bottle_size_label);
+    const qty = toNum(m.cartons);
+    if (dateTo && day > dateTo) {
+      row.after += qty;
+      continue;
+    }
+    if (m.type === "packaging") row.packaged += qty;
+    else if (m.type === "sale") row.sold -= qty;
+    else if (m.type === "return") row.returned += qty;
+    else row.adjusted += qty;
+    row.movements.push(m);
+  }
+
+  const rows = [...bySize.values()].map(({ after, movements: list, ...r }) => {
+    const closing = r.on_hand - after;
+    const opening = closing - (r.packaged - r.sold + r.returned + r.adjusted);
+    let balance = opening;
+    const withBalance = [...list]
+      .sort((a, b) => String(a.occurred_at || a.date).localeCompare(String(b.occurred_at || b.date)))
+      .map((m) => {
+        balance += toNum(m.cartons);
+        return { ...m, balance };
+      });
+    return { ...r, opening, closing, movements: withBalance };
+  });
+  return rows.sort((a, b) => String(a.label).localeCompare(String(b.label)));
+}
@@ -0,0 +1,78 @@
+// src/utils/stockLevels.jsx — low-stock thresholds (bottle size `min_cartons`) & sale stock checks
+import { toNum } from "./format.jsx";
+
+/**
+ * Each bottle size may carry `min_cartons`, its reorder level (0 / empty = no threshold).
+ * stockBalances rows echo it; bottleSizes are used as a fallback for older rows.
+ */
+export const STOCK_STATUS = {
+  out: { label: "Out of stock", cls: "bg-rose-500/20 text-rose-300" },
+  low: { label: "Low stock", cls: "bg-amber-500/20 text-amber-300" },
+  ok: { label: "OK", cls: "bg-emerald-500/20 text-emerald-300" },
+};
+
+export function minCartonsOf(row, bottleSizes = []) {
+  if (row?.min_cartons != null && row.min_cartons !== "") return toNum(row.min_cartons);
+  const size = (bottleSizes || []).find((b) => String(b.id) === String(row?.bottle_size_id));
+  return toNum(size?.min_cartons);
+}
+
+/** "out" at or below zero, "low" at or below a threshold > 0, otherwise "ok" */
+export function stockStatus(cartons, minCartons) {
+  const n = toNum(cartons);
+  if (n <= 0) return "out";
+  if (toNum(minCartons) > 0 && n <= toNum(minCartons)) return "low";
+  return "ok";
+}
+
+/**
+ * Sizes that need packaging, most urgent first.
+ * → [{ bottle_size_id, label, cartons_on_hand, min_cartons, status, shortfall }]
+ */
+export function lowStockRows(balances, bottleSizes = []) {
+  return (balances || [])
+    .map((b) => {
+      const min = minCartonsOf(b, bottleSizes);
+      const on = toNum(b.cartons_on_hand);
+      return {
+        bottle_size_id: b.bottle_size_id,
+        label: b.label,
+        cartons_on_hand: on,
+        min_cartons: min,
+        status: stockStatus(on, min),
+        shortfall: Math.max(0, min - on),
+      };
+    })
+    .filter((r) => r.status !== "ok")
+    .sort((a, b) => a.cartons_on_hand - b.cartons_on_hand || b.shortfall - a.shortfall);
+}
+
+/**
+ * What a sale would do to stock.
+ * items: [{ bottle_size_id, quantity }] (sizes may repeat)
+ * → { blocks: [...], warnings: [...] } each { bottle_size_id, label, on_hand, quantity, after, min_cartons }
+ *   blocks: the sale takes the size below zero; warnings: it ends at or below the size's threshold.
+ *   Sizes missing from balances are not checked.
+ */
+export function checkSaleStock(items, balances, bottleSizes = []) {
+  const wanted = new Map();
+  for (const it of items || []) {
+    const id = Number(it.bottle_size_id);
+    const qty = toNum(it.quantity);
+    if (!id || qty <= 0) continue;
+    wanted.set(id, (wanted.get(id) || 0) + qty);
+  }
+  const blocks = [];
+  const warnings = [];
+  for (const [id, quantity] of wanted) {
+    const bal = (balances || []).find((b) => Number(b.bottle_size_id) === id);
+    if (!bal) continue;
+    const on_hand = toNum(bal.cartons_on_hand);
+    const min_cartons = minCartonsOf(bal, bottleSizes);
+    const after = on_hand - quantity;
+    const line = { bottle_size_id: id, label: bal.label, on_hand, quantity, after, min_cartons };
+    if (after < 0) blocks.push(line);
+    else if (min_cartons > 0 && after <= min_cartons) warnings.push(line);
+  }
+  return { blocks, warnings };
+}